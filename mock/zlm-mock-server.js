@@ -0,0 +1,527 @@
+/**
+ * ZLMediaKit Mock Server
+ * A dependency-free stand-in for the ZLMediaKit HTTP API, for developing and
+ * testing the comparison page without a media server. It also serves the
+ * repository files, so the page can be opened from the same origin.
+ *
+ * Besides getMediaList it answers WebRTC signaling (/index/api/webrtc and
+ * WHEP) with a synthetic SDP answer, and streams an FLV test stream carrying
+ * SEI wall-clock timestamps, chunked over HTTP or as WebSocket messages (WS-FLV),
+ * and a live HLS playlist of it stamped with EXT-X-PROGRAM-DATE-TIME (without segments).
+ * Streams with `metadata: true` also carry a moving detection box as JSON SEI,
+ * and AAC streams silent audio frames alongside the video. H265 streams are sent with an HEVC sequence header. No real media is exchanged.
+ *
+ * Usage: node mock/zlm-mock-server.js [--port 8080] [--secret <secret>]
+ * Then open http://localhost:8080/index.html with server http://localhost:8080
+ */
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+
+// Simulated streams; `onlineFor`/`offlineFor` (seconds) make a stream come and go.
+// Tests can override the WebRTC answer per stream with `webrtc` (JSON body or raw text) and `webrtcStatus`.
+// `metadata: true` adds the JSON metadata SEI to the FLV frames. AAC streams also send audio tags, stamped
+// `audioOffset` ms later than the video sent with them (negative: earlier) to simulate an A/V sync error.
+const DEFAULT_STREAMS = [
+    { app: 'live', stream: 'camera1', video: ['H264', 1920, 1080, 25], audio: ['AAC', 48000, 2], readers: 3 },
+    { app: 'live', stream: 'camera2', video: ['H264', 1280, 720, 30], audio: null, readers: 1, onlineFor: 20, offlineFor: 10 },
+    { app: 'live', stream: 'screen', video: ['H265', 2560, 1440, 15], audio: ['opus', 48000, 2], readers: 0 },
+    { app: 'test', stream: 'pattern', video: ['H264', 640, 360, 30], audio: ['AAC', 44100, 1], readers: 0, metadata: true }
+];
+
+// UUID of the user_data_unregistered SEI carrying the sender wall clock
+const SEI_UUID = Buffer.from('5a4c4d2d6d6f636b2d74696d65737470', 'hex');
+
+// UUID of the user_data_unregistered SEI carrying JSON metadata
+const METADATA_UUID = Buffer.from('5a4c4d2d6d6f636b2d6d657461646174', 'hex');
+
+// AAC sampling frequencies by index
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/**
+ * Build an SDP answer matching the media sections of an offer
+ * @param {string} offer - The SDP offer
+ * @param {string} direction - Direction of the answer, 'sendonly' for play and 'recvonly' for push
+ * @returns {string}
+ */
+function answerSdp(offer, direction) {
+    const lines = ['v=0', `o=- ${Date.now()} 2 IN IP4 127.0.0.1`, 's=zlm-mock', 't=0 0'];
+    (offer.match(/^m=\w+/gm) || []).forEach((media, index) => {
+        lines.push(`${media} 9 UDP/TLS/RTP/SAVPF 96`, 'c=IN IP4 0.0.0.0', `a=mid:${index}`, `a=${direction}`,
+            'a=ice-ufrag:mock', 'a=ice-pwd:mockmockmockmockmockmock', 'a=setup:passive');
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Insert emulation prevention bytes into an H.264 RBSP (0x0000xx -> 0x000003xx)
+ * @param {Buffer} rbsp - The raw payload
+ * @returns {Buffer}
+ */
+function escapeRbsp(rbsp) {
+    const out = [];
+    let zeros = 0;
+    for (const byte of rbsp) {
+        if (zeros >= 2 && byte <= 3) {
+            out.push(3);
+            zeros = 0;
+        }
+        out.push(byte);
+        zeros = byte === 0 ? zeros + 1 : 0;
+    }
+    return Buffer.from(out);
+}
+
+/**
+ * Build an FLV tag including its PreviousTagSize
+ * @param {number} type - Tag type (9 = video)
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @param {Buffer} body - Tag body
+ * @returns {Buffer}
+ */
+function flvTag(type, timestamp, body) {
+    const header = Buffer.alloc(11);
+    header[0] = type;
+    header.writeUIntBE(body.length, 1, 3);
+    header.writeUIntBE(timestamp & 0xFFFFFF, 4, 3);
+    header[7] = (timestamp >>> 24) & 0xFF;
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(11 + body.length);
+    return Buffer.concat([header, body, size]);
+}
+
+/**
+ * Build a server-to-client WebSocket frame (unmasked, unfragmented)
+ * @param {Buffer} payload - Message payload
+ * @param {number} [opcode=2] - Frame opcode (2 = binary, 8 = close)
+ * @returns {Buffer}
+ */
+function wsFrame(payload, opcode = 2) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Build a user_data_unregistered SEI NAL unit
+ * @param {Buffer} uuid - The 16 byte UUID
+ * @param {Buffer} data - The user data
+ * @param {boolean} hevc - H.265 rather than H.264 NAL header
+ * @returns {Buffer}
+ */
+function seiNal(uuid, data, hevc) {
+    const payload = Buffer.concat([uuid, data]);
+    // payloadSize is coded as 0xFF bytes plus a last byte below 0xFF
+    const size = [...Array(Math.floor(payload.length / 255)).fill(0xFF), payload.length % 255];
+    const message = Buffer.concat([Buffer.from([5, ...size]), payload]);
+    return Buffer.concat([Buffer.from(hevc ? [0x4E, 0x01] : [0x06]), escapeRbsp(message), Buffer.from([0x80])]);
+}
+
+/**
+ * Tags of a synthetic H.264 or H.265 stream: the sequence header, then
+ * frames that each carry an SEI with the wall-clock time (8 byte big-endian ms)
+ * and optionally one with JSON metadata; AAC audio has its own tags
+ */
+const flvStream = {
+    header(hasAudio = false) {
+        // FLV header (video, and audio if any) and PreviousTagSize0
+        return Buffer.from([0x46, 0x4C, 0x56, 0x01, hasAudio ? 0x05 : 0x01, 0, 0, 0, 9, 0, 0, 0, 0]);
+    },
+    
+    audioSequenceHeader(sampleRate, channels) {
+        // AudioSpecificConfig: AAC-LC, sampling frequency index, channel configuration
+        const config = (2 << 11) | (Math.max(0, AAC_SAMPLE_RATES.indexOf(sampleRate)) << 7) | (channels << 3);
+        return flvTag(8, 0, Buffer.from([0xAF, 0, config >> 8, config & 0xFF]));
+    },
+    
+    audioFrame(timestamp) {
+        // A silent raw AAC frame
+        return flvTag(8, timestamp, Buffer.from([0xAF, 1, 0x21, 0x10, 0x04, 0x60, 0x8C, 0x1C]));
+    },
+    
+    sequenceHeader(codec = 'H264') {
+        if (codec === 'H265') {
+            // HEVCDecoderConfigurationRecord: Main profile, level 3.1, no parameter set arrays
+            const hvcC = [1, 0x01, 0x60, 0, 0, 0, 0xB0, 0, 0, 0, 0, 0, 93, 0xF0, 0, 0xFC, 0xFD, 0xF8, 0xF8, 0, 0, 0x0F, 0];
+            return flvTag(9, 0, Buffer.from([0x1C, 0, 0, 0, 0, ...hvcC]));
+        }
+        const sps = [0x67, 0x42, 0x00, 0x1E, 0x95, 0xA8, 0x28, 0x0F, 0x64];
+        const pps = [0x68, 0xCE, 0x38, 0x80];
+        const avcC = [1, 0x42, 0x00, 0x1E, 0xFF, 0xE1, 0, sps.length, ...sps, 1, 0, pps.length, ...pps];
+        return flvTag(9, 0, Buffer.from([0x17, 0, 0, 0, 0, ...avcC]));
+    },
+    
+    frame(timestamp, wallClock, keyframe, codec = 'H264', metadata = null) {
+        const hevc = codec === 'H265';
+        const clock = Buffer.alloc(8);
+        clock.writeBigUInt64BE(BigInt(Math.round(wallClock)));
+        const seis = [seiNal(SEI_UUID, clock, hevc)];
+        if (metadata) {
+            seis.push(seiNal(METADATA_UUID, Buffer.from(JSON.stringify(metadata)), hevc));
+        }
+        const slice = hevc
+            ? Buffer.from(keyframe ? [0x26, 0x01, 0xAF, 0x08, 0x40] : [0x02, 0x01, 0xD0, 0x10, 0x04])
+            : Buffer.from(keyframe ? [0x65, 0x88, 0x84, 0x00, 0x33] : [0x41, 0x9A, 0x02, 0x04]);
+        
+        const nals = [...seis, slice].map(nal => {
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(nal.length);
+            return Buffer.concat([length, nal]);
+        });
+        const codecId = hevc ? 12 : 7;
+        return flvTag(9, timestamp, Buffer.concat([Buffer.from([(keyframe ? 0x10 : 0x20) | codecId, 1, 0, 0, 0]), ...nals]));
+    }
+};
+
+/**
+ * Metadata of a frame: a box crossing the picture once every 100 frames
+ * @param {number} frame - Frame number
+ * @returns {Object} - { frame, boxes }, box coordinates normalized to the picture
+ */
+function frameMetadata(frame) {
+    const x = (frame % 100) / 125;
+    return { frame, boxes: [{ x, y: 0.4, width: 0.2, height: 0.2, label: 'object', score: 0.9 }] };
+}
+
+/**
+ * Create a mock server
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.secret] - Required API secret, if any
+ * @param {Object[]} [options.streams] - Simulated streams (see DEFAULT_STREAMS); the array may be changed while running
+ * @param {Function} [options.now] - Clock in milliseconds, for tests
+ * @param {number} [options.frameInterval=40] - Interval between HTTP-FLV frames in milliseconds
+ * @param {number} [options.dropAfter] - End every HTTP-FLV response after this many frames, to simulate lost connections
+ * @returns {http.Server} - The server; `server.requests` lists the handled API and stream requests
+ */
+function createMockServer(options = {}) {
+    const streams = options.streams || DEFAULT_STREAMS;
+    const now = options.now || Date.now;
+    const startedAt = now();
+    const frameInterval = options.frameInterval || 40;
+    const sessions = new Map();
+    let nextSessionId = 1;
+    
+    const isOnline = (stream) => {
+        if (!stream.onlineFor) return true;
+        const elapsed = ((now() - startedAt) / 1000) % (stream.onlineFor + stream.offlineFor);
+        return elapsed < stream.onlineFor;
+    };
+    
+    const mediaList = (query) => {
+        const aliveSecond = Math.floor((now() - startedAt) / 1000);
+        const data = [];
+        
+        streams.filter(isOnline).forEach(stream => {
+            if (query.get('app') && query.get('app') !== stream.app) return;
+            if (query.get('stream') && query.get('stream') !== stream.stream) return;
+            
+            const tracks = [];
+            if (stream.video) {
+                const [codec, width, height, fps] = stream.video;
+                tracks.push({ codec_id: codec === 'H265' ? 1 : 0, codec_id_name: codec, codec_type: 0, width, height, fps, ready: true });
+            }
+            if (stream.audio) {
+                const [codec, sampleRate, channels] = stream.audio;
+                tracks.push({ codec_id: codec === 'AAC' ? 2 : 7, codec_id_name: codec, codec_type: 1, sample_rate: sampleRate, channels, sample_bit: 16, ready: true });
+            }
+            
+            // ZLMediaKit reports one entry per output schema
+            ['rtmp', 'rtsp', 'fmp4', 'ts', 'hls'].forEach((schema, index) => {
+                data.push({
+                    app: stream.app,
+                    stream: stream.stream,
+                    vhost: '__defaultVhost__',
+                    schema: schema,
+                    readerCount: index === 0 ? stream.readers : 0,
+                    totalReaderCount: stream.readers,
+                    originType: 1,
+                    originTypeStr: 'rtmp_push',
+                    originUrl: `rtmp://127.0.0.1:1935/${stream.app}/${stream.stream}`,
+                    createStamp: Math.floor(startedAt / 1000),
+                    aliveSecond: aliveSecond,
+                    bytesSpeed: 250000,
+                    tracks: tracks
+                });
+            });
+        });
+        
+        return { code: 0, data: data };
+    };
+    
+    const findStream = (app, name) => streams.find(stream => stream.app === (app || 'live') && stream.stream === name && isOnline(stream));
+    
+    const readBody = (req) => new Promise(resolve => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    });
+    
+    // ZLMediaKit signaling: raw SDP offer in, JSON { code, id, sdp } out
+    const webrtc = async (req, res, query) => {
+        const offer = await readBody(req);
+        const stream = findStream(query.get('app'), query.get('stream'));
+        const type = query.get('type') || 'play';
+        
+        if (stream && stream.webrtc !== undefined) {
+            const body = typeof stream.webrtc === 'string' ? stream.webrtc : JSON.stringify(stream.webrtc);
+            res.writeHead(stream.webrtcStatus || 200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(body);
+            return;
+        }
+        
+        let result;
+        if (!offer || offer.indexOf('v=0') === -1) {
+            result = { code: -1, msg: 'invalid sdp offer' };
+        } else if (type === 'play' && !stream) {
+            result = { code: -400, msg: 'stream not found' };
+        } else {
+            result = { code: 0, id: `mock-${nextSessionId++}`, type: 'answer', sdp: answerSdp(offer, type === 'push' ? 'recvonly' : 'sendonly') };
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(result));
+    };
+    
+    // WHEP/WHIP: application/sdp offer in, 201 with the answer and a session resource out
+    const whep = async (req, res, query, direction) => {
+        const offer = await readBody(req);
+        const stream = findStream(query.get('app'), query.get('stream'));
+        
+        if (direction === 'sendonly' && !stream) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('stream not found');
+            return;
+        }
+        
+        const id = `mock-${nextSessionId++}`;
+        sessions.set(id, { etag: `"${id}"` });
+        res.writeHead(201, {
+            'Content-Type': 'application/sdp',
+            'Location': `/index/api/delete_webrtc?id=${id}`,
+            'ETag': `"${id}"`
+        });
+        res.end(answerSdp(offer, direction));
+    };
+    
+    // FLV headers, then a frame every frameInterval ms; returns a function that stops the stream
+    const streamFlv = (stream, write, end) => {
+        const codec = stream.video && stream.video[0] === 'H265' ? 'H265' : 'H264';
+        const aac = stream.audio && stream.audio[0] === 'AAC';
+        write(Buffer.concat([
+            flvStream.header(aac),
+            flvStream.sequenceHeader(codec),
+            ...(aac ? [flvStream.audioSequenceHeader(stream.audio[1], stream.audio[2])] : [])
+        ]));
+        
+        const streamStart = now();
+        let frames = 0;
+        const timer = setInterval(() => {
+            const metadata = stream.metadata ? frameMetadata(frames) : null;
+            const timestamp = Math.round(now() - streamStart);
+            write(flvStream.frame(timestamp, now(), frames % 25 === 0, codec, metadata));
+            if (aac) {
+                write(flvStream.audioFrame(Math.max(0, timestamp + (stream.audioOffset || 0))));
+            }
+            frames++;
+            if (options.dropAfter && frames >= options.dropAfter) {
+                clearInterval(timer);
+                end();
+            }
+        }, frameInterval);
+        return () => clearInterval(timer);
+    };
+    
+    // Chunked HTTP-FLV until the client leaves
+    const flv = (req, res, app, name) => {
+        const stream = findStream(app, name);
+        if (!stream) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('stream not found');
+            return;
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'video/x-flv' });
+        const stop = streamFlv(stream, chunk => res.write(chunk), () => res.end());
+        res.on('close', stop);
+    };
+    
+    // HLS: a live window of three 2 s segments ending now; players that only parse the playlist need no segments
+    const hls = (req, res, app, name) => {
+        const stream = findStream(app, name);
+        if (!stream) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('stream not found');
+            return;
+        }
+        
+        const sequence = Math.floor((now() - startedAt) / 2000);
+        const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:2', `#EXT-X-MEDIA-SEQUENCE:${sequence}`];
+        for (let i = 0; i < 3; i++) {
+            lines.push(`#EXT-X-PROGRAM-DATE-TIME:${new Date(now() - (3 - i) * 2000).toISOString()}`, '#EXTINF:2.000,', `${sequence + i}.ts`);
+        }
+        res.writeHead(200, { 'Content-Type': 'application/vnd.apple.mpegurl' });
+        res.end(`${lines.join('\n')}\n`);
+    };
+    
+    // WS-FLV: the same stream, one binary message per tag, until the client closes
+    const wsFlv = (req, socket, app, name) => {
+        const stream = findStream(app, name);
+        const key = req.headers['sec-websocket-key'];
+        if (!stream || !key) {
+            socket.end(`HTTP/1.1 ${stream ? '400 Bad Request' : '404 Not Found'}\r\nContent-Length: 0\r\n\r\n`);
+            return;
+        }
+        
+        const accept = crypto.createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64');
+        socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+        
+        const close = () => socket.end(wsFrame(Buffer.alloc(0), 8));
+        const stop = streamFlv(stream, chunk => socket.write(wsFrame(chunk)), close);
+        socket.on('data', (data) => {
+            // Client close frame
+            if ((data[0] & 0x0F) === 8) {
+                stop();
+                close();
+            }
+        });
+        socket.on('close', stop);
+        socket.on('error', stop);
+    };
+    
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        
+        res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match');
+        res.setHeader('Access-Control-Expose-Headers', 'Location, ETag');
+        
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        
+        if (url.pathname.startsWith('/index/api/')) {
+            server.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers });
+            
+            const sendJson = (body) => {
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify(body));
+            };
+            
+            // Like ZLMediaKit, WebRTC signaling does not require the API secret
+            const signaling = /\/(webrtc|whep|whip|delete_webrtc)$/.test(url.pathname);
+            if (options.secret && !signaling && url.searchParams.get('secret') !== options.secret) {
+                sendJson({ code: -100, msg: 'Incorrect secret' });
+                return;
+            }
+            
+            if (url.pathname === '/index/api/getMediaList') {
+                sendJson(mediaList(url.searchParams));
+            } else if (url.pathname === '/index/api/webrtc' && req.method === 'POST') {
+                webrtc(req, res, url.searchParams);
+            } else if ((url.pathname === '/index/api/whep' || url.pathname === '/index/api/whip') && req.method === 'POST') {
+                whep(req, res, url.searchParams, url.pathname === '/index/api/whep' ? 'sendonly' : 'recvonly');
+            } else if (url.pathname === '/index/api/delete_webrtc') {
+                // WHEP/WHIP session resource: PATCH trickles candidates, DELETE ends the session
+                const session = sessions.get(url.searchParams.get('id'));
+                if (!session) {
+                    res.writeHead(404);
+                    res.end();
+                } else if (req.method === 'DELETE') {
+                    sessions.delete(url.searchParams.get('id'));
+                    res.writeHead(200);
+                    res.end();
+                } else {
+                    res.writeHead(204, { 'ETag': session.etag });
+                    res.end();
+                }
+            } else {
+                sendJson({ code: -500, msg: 'Unsupported API in mock server' });
+            }
+            return;
+        }
+        
+        // HTTP-FLV test stream: /{app}/{stream}.live.flv
+        const flvMatch = url.pathname.match(/^\/([^/]+)\/([^/]+)\.live\.flv$/);
+        if (flvMatch) {
+            server.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers });
+            flv(req, res, flvMatch[1], flvMatch[2]);
+            return;
+        }
+        
+        // HLS playlist: /{app}/{stream}/hls.m3u8
+        const hlsMatch = url.pathname.match(/^\/([^/]+)\/([^/]+)\/hls\.m3u8$/);
+        if (hlsMatch) {
+            server.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers });
+            hls(req, res, hlsMatch[1], hlsMatch[2]);
+            return;
+        }
+        
+        // Static files from the repository
+        const filePath = path.join(ROOT, decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname));
+        if (!filePath.startsWith(ROOT)) {
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+        fs.readFile(filePath, (error, content) => {
+            if (error) {
+                res.writeHead(404);
+                res.end('Not found');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+            res.end(content);
+        });
+    });
+    
+    server.on('upgrade', (req, socket) => {
+        const url = new URL(req.url, 'http://localhost');
+        const flvMatch = url.pathname.match(/^\/([^/]+)\/([^/]+)\.live\.flv$/);
+        if (!flvMatch) {
+            socket.end('HTTP/1.1 404 Not Found\r\nContent-Length: 0\r\n\r\n');
+            return;
+        }
+        server.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers });
+        wsFlv(req, socket, flvMatch[1], flvMatch[2]);
+    });
+    
+    server.requests = [];
+    return server;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const argValue = (name) => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+    const port = parseInt(argValue('--port') || '8080', 10);
+    
+    createMockServer({ secret: argValue('--secret') }).listen(port, () => {
+        console.log(`ZLMediaKit mock server listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createMockServer, DEFAULT_STREAMS, SEI_UUID, METADATA_UUID, flvStream, flvTag };
\ No newline at end of file
@@ -0,0 +1,479 @@
+/**
+ * ZLMediaKit Network Proxy
+ * A dependency-free forwarding proxy that puts a simulated network between
+ * the players and a ZLMediaKit server: a bandwidth cap, added delay, jitter
+ * and packet loss, switchable at runtime through a small control API.
+ *
+ * HTTP (FLV, TS, fMP4, HLS, signaling) and WebSocket traffic is forwarded
+ * through the proxy. For WebRTC the server's UDP candidates in the SDP answer
+ * are replaced with UDP relays on the proxy, so the media is impaired too;
+ * TCP candidates are removed. On TCP, loss shows up as retransmission delay
+ * (head-of-line blocking); on UDP, datagrams are dropped.
+ *
+ * All connections share one simulated link per direction, like players on
+ * the same network.
+ *
+ * Usage: node mock/zlm-network-proxy.js --target http://zlm-server [--port 8090] [--host 127.0.0.1] [--profile 3g] [--public-ip 127.0.0.1]
+ *        [--allow-origin https://tools.example,http://10.0.0.5:8080]
+ * Then play through http://localhost:8090 instead of the server.
+ *
+ * The proxy forwards to any target set through the control API, so it only
+ * listens on the loopback interface unless --host says otherwise. Players on
+ * other machines need --host 0.0.0.0 and the address they reach the proxy on
+ * as --public-ip.
+ *
+ * Control API:
+ *   GET  /__network  -> { target, profile, settings, profiles, stats }
+ *   POST /__network  <- { profile?, settings?, target? } as application/json
+ * Browsers may only call it from pages on localhost or an --allow-origin
+ * origin, so other sites the developer visits cannot re-target the proxy.
+ */
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const dgram = require('dgram');
+
+// Impairment profiles: bandwidth in kbps (0 = unlimited), delay and jitter in ms (one way), loss in percent
+const PROFILES = {
+    'none': { bandwidth: 0, delay: 0, jitter: 0, loss: 0 },
+    'cable': { bandwidth: 20000, delay: 10, jitter: 2, loss: 0 },
+    '4g': { bandwidth: 8000, delay: 40, jitter: 15, loss: 0.5 },
+    '3g': { bandwidth: 1500, delay: 150, jitter: 40, loss: 1 },
+    'lossy-wifi': { bandwidth: 10000, delay: 15, jitter: 30, loss: 2 },
+    'congested': { bandwidth: 1000, delay: 100, jitter: 80, loss: 3 },
+    'satellite': { bandwidth: 5000, delay: 300, jitter: 20, loss: 0.5 }
+};
+
+// Paths whose responses carry an SDP answer with candidates to relay
+const SIGNALING_PATH = /\/index\/api\/(webrtc|whep|whip)$/;
+
+// Queued bytes per connection before the source is paused
+const HIGH_WATER_MARK = 1024 * 1024;
+const MAX_SEGMENT = 1400;
+
+/**
+ * One direction of the simulated network
+ * Chunks are serialized at the bandwidth cap, then delivered after the delay
+ * plus jitter. Reliable (TCP) flows stay in order and pay a retransmission
+ * timeout for lost segments; unreliable datagrams are dropped instead.
+ */
+class NetworkLink {
+    /**
+     * @param {Function} settings - Returns the current { bandwidth, delay, jitter, loss }
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.stats = { bytes: 0, chunks: 0, dropped: 0, retransmits: 0 };
+        this._busyUntil = 0;
+    }
+    
+    /**
+     * Schedule the delivery of a chunk
+     * @param {number} size - Chunk size in bytes
+     * @param {Function} deliver - Called when the chunk arrives; never called for a lost datagram
+     * @param {Object} [flow] - Ordered flow state ({ last }) for reliable delivery, omit for datagrams
+     */
+    send(size, deliver, flow) {
+        const settings = this.settings();
+        const now = Date.now();
+        
+        let departure = now;
+        if (settings.bandwidth > 0 && size > 0) {
+            // kbps is bits per millisecond
+            this._busyUntil = Math.max(this._busyUntil, now) + size * 8 / settings.bandwidth;
+            departure = this._busyUntil;
+        }
+        
+        let arrival = departure + settings.delay + (settings.jitter ? (Math.random() * 2 - 1) * settings.jitter : 0);
+        arrival = Math.max(arrival, departure);
+        
+        if (settings.loss > 0 && size > 0) {
+            if (!flow) {
+                if (Math.random() * 100 < settings.loss) {
+                    this.stats.dropped++;
+                    return;
+                }
+            } else {
+                // Any lost segment holds the whole chunk back for a retransmission
+                const segments = Math.ceil(size / MAX_SEGMENT);
+                if (Math.random() < 1 - Math.pow(1 - settings.loss / 100, segments)) {
+                    arrival += Math.max(200, 2 * settings.delay);
+                    this.stats.retransmits++;
+                }
+            }
+        }
+        
+        if (flow) {
+            arrival = Math.max(arrival, flow.last);
+            flow.last = arrival;
+        }
+        
+        this.stats.bytes += size;
+        this.stats.chunks++;
+        setTimeout(deliver, Math.max(0, arrival - now));
+    }
+    
+    /**
+     * Forward a readable stream to a writable one through this link, pausing
+     * the source while too much data is in flight
+     * @param {stream.Readable} from - Source
+     * @param {stream.Writable} to - Destination
+     */
+    pipe(from, to) {
+        const flow = { last: 0 };
+        let queued = 0;
+        
+        from.on('data', chunk => {
+            queued += chunk.length;
+            if (queued > HIGH_WATER_MARK) from.pause();
+            
+            this.send(chunk.length, () => {
+                queued -= chunk.length;
+                if (!to.destroyed && !to.writableEnded) to.write(chunk);
+                if (queued <= HIGH_WATER_MARK / 2 && from.isPaused()) from.resume();
+            }, flow);
+        });
+        from.on('end', () => {
+            this.send(0, () => {
+                if (!to.destroyed && !to.writableEnded) to.end();
+            }, flow);
+        });
+    }
+}
+
+/**
+ * Create a network proxy
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.target] - Base URL of the ZLMediaKit server; can also be set through the control API
+ * @param {string} [options.profile='none'] - Initial profile (key of PROFILES)
+ * @param {string} [options.publicIp='127.0.0.1'] - Address of the proxy as seen by the players, used in relayed candidates
+ * @param {boolean} [options.relayMedia=true] - Relay WebRTC media through the proxy
+ * @param {number} [options.relayIdleTimeout=30000] - Close a UDP relay after this many milliseconds without traffic
+ * @param {string[]} [options.allowedOrigins] - Page origins allowed to use the control API besides localhost ones
+ * @returns {http.Server} - The server; `server.network` holds the current settings and `server.setProfile()` changes them
+ */
+function createNetworkProxy(options = {}) {
+    const publicIp = options.publicIp || '127.0.0.1';
+    const relayMedia = options.relayMedia !== false;
+    const relayIdleTimeout = options.relayIdleTimeout || 30000;
+    const allowedOrigins = new Set(options.allowedOrigins || []);
+    
+    const network = {
+        target: options.target || null,
+        profile: null,
+        settings: null
+    };
+    const uplink = new NetworkLink(() => network.settings);
+    const downlink = new NetworkLink(() => network.settings);
+    const relays = new Set();
+    
+    /**
+     * Switch to a profile and/or custom settings
+     * @param {string} [profile] - Key of PROFILES
+     * @param {Object} [settings] - Settings overriding the profile
+     */
+    const setProfile = (profile, settings) => {
+        if (profile && !PROFILES[profile]) {
+            throw new Error(`Unknown profile: ${profile}`);
+        }
+        const base = profile ? PROFILES[profile] : (network.settings || PROFILES.none);
+        network.settings = { ...PROFILES.none, ...base, ...(settings || {}) };
+        network.profile = profile && !settings ? profile : 'custom';
+        ['bandwidth', 'delay', 'jitter', 'loss'].forEach(key => {
+            network.settings[key] = Math.max(0, Number(network.settings[key]) || 0);
+        });
+    };
+    setProfile(options.profile || 'none');
+    
+    const status = () => ({
+        target: network.target,
+        profile: network.profile,
+        settings: network.settings,
+        profiles: PROFILES,
+        relays: relays.size,
+        stats: { uplink: uplink.stats, downlink: downlink.stats }
+    });
+    
+    /**
+     * Whether a browser page of this origin may use the control API
+     * @param {string} origin - Value of the Origin header
+     * @returns {boolean}
+     */
+    const isAllowedOrigin = (origin) => {
+        if (allowedOrigins.has(origin)) return true;
+        try {
+            return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(origin).hostname);
+        } catch (e) {
+            // 'null' (file:// pages, sandboxed frames) and other opaque origins
+            return false;
+        }
+    };
+    
+    // Control API
+    const control = (req, res) => {
+        const origin = req.headers.origin;
+        const sendJson = (code, body) => {
+            const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+            if (origin && isAllowedOrigin(origin)) {
+                Object.assign(headers, {
+                    'Access-Control-Allow-Origin': origin,
+                    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                    'Access-Control-Allow-Headers': 'Content-Type',
+                    'Vary': 'Origin'
+                });
+            }
+            res.writeHead(code, headers);
+            res.end(body ? JSON.stringify(body) : undefined);
+        };
+        
+        if (origin && !isAllowedOrigin(origin)) {
+            sendJson(403, { error: `Origin ${origin} may not use the control API, see --allow-origin` });
+            return;
+        }
+        if (req.method === 'OPTIONS') {
+            sendJson(204);
+            return;
+        }
+        if (req.method !== 'POST') {
+            sendJson(200, status());
+            return;
+        }
+        // A JSON content type makes browsers ask first (CORS preflight), unlike text/plain or form posts
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (contentType !== 'application/json') {
+            req.resume();
+            sendJson(415, { error: 'The control API accepts application/json only' });
+            return;
+        }
+        
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            try {
+                const body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+                if (body.target !== undefined) {
+                    network.target = body.target ? new URL(body.target).origin : null;
+                }
+                if (body.profile || body.settings) {
+                    setProfile(body.profile, body.settings);
+                }
+                sendJson(200, status());
+            } catch (error) {
+                sendJson(400, { error: error.message });
+            }
+        });
+    };
+    
+    /**
+     * Open a UDP relay in front of a server candidate
+     * @param {string} host - Candidate address
+     * @param {number} port - Candidate port
+     * @returns {Promise<number>} - The relay port
+     */
+    const openRelay = (host, port) => new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+        let client = null;
+        let idleTimer = null;
+        
+        const touch = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => socket.close(), relayIdleTimeout);
+        };
+        
+        socket.on('message', (message, remote) => {
+            touch();
+            if (remote.address === host && remote.port === port) {
+                if (client) downlink.send(message.length, () => socket.send(message, client.port, client.address));
+            } else {
+                // The player: remember where to send the server's datagrams
+                client = { address: remote.address, port: remote.port };
+                uplink.send(message.length, () => socket.send(message, port, host));
+            }
+        });
+        socket.on('close', () => {
+            clearTimeout(idleTimer);
+            relays.delete(socket);
+        });
+        socket.on('error', reject);
+        socket.bind(0, () => {
+            relays.add(socket);
+            touch();
+            resolve(socket.address().port);
+        });
+    });
+    
+    /**
+     * Replace the UDP candidates of an SDP answer with relays and drop TCP candidates
+     * @param {string} sdp - The SDP answer
+     * @returns {Promise<string>}
+     */
+    const relayCandidates = async (sdp) => {
+        const lines = sdp.split(/\r?\n/);
+        const result = await Promise.all(lines.map(async line => {
+            const match = line.match(/^a=candidate:(\S+) (\d+) (\w+) (\d+) (\S+) (\d+) typ (\S+)(.*)$/);
+            if (!match) return line;
+            if (match[3].toLowerCase() !== 'udp') return null;
+            const port = await openRelay(match[5], parseInt(match[6], 10));
+            return `a=candidate:${match[1]} ${match[2]} ${match[3]} ${match[4]} ${publicIp} ${port} typ ${match[7]}${match[8]}`;
+        }));
+        return result.filter(line => line !== null).join('\r\n');
+    };
+    
+    /**
+     * Rewrite a signaling response body: JSON with an `sdp` field, or a raw SDP
+     * @param {string} body - Response body
+     * @returns {Promise<string>}
+     */
+    const rewriteSignaling = async (body) => {
+        if (/^v=0/.test(body)) {
+            return relayCandidates(body);
+        }
+        let json;
+        try {
+            json = JSON.parse(body);
+        } catch (e) {
+            // Not JSON, pass it on unchanged
+            return body;
+        }
+        if (json && typeof json.sdp === 'string') {
+            json.sdp = await relayCandidates(json.sdp);
+            return JSON.stringify(json);
+        }
+        return body;
+    };
+    
+    // Forward an HTTP request to the target through the simulated network
+    const forward = (req, res) => {
+        if (!network.target) {
+            res.writeHead(502, { 'Content-Type': 'text/plain' });
+            res.end('No target server set, POST { "target": "http://..." } to /__network');
+            return;
+        }
+        
+        const target = new URL(req.url, network.target);
+        const rewrite = relayMedia && SIGNALING_PATH.test(target.pathname);
+        const headers = { ...req.headers, host: target.host };
+        if (rewrite) delete headers['accept-encoding'];
+        
+        const upstreamRequest = (target.protocol === 'https:' ? https : http).request(target, { method: req.method, headers }, upstream => {
+            const responseHeaders = { ...upstream.headers };
+            const flow = { last: 0 };
+            
+            if (!rewrite) {
+                downlink.send(0, () => {
+                    if (!res.destroyed) res.writeHead(upstream.statusCode, responseHeaders);
+                }, flow);
+                downlink.pipe(upstream, res);
+                return;
+            }
+            
+            const chunks = [];
+            upstream.on('data', chunk => chunks.push(chunk));
+            upstream.on('end', async () => {
+                let body;
+                try {
+                    body = Buffer.from(await rewriteSignaling(Buffer.concat(chunks).toString()));
+                } catch (error) {
+                    // e.g. no UDP relay could be opened for a candidate
+                    if (res.destroyed) return;
+                    res.writeHead(502, { 'Content-Type': 'text/plain' });
+                    res.end(`Proxy error: ${error.message}`);
+                    return;
+                }
+                delete responseHeaders['content-length'];
+                downlink.send(body.length, () => {
+                    if (res.destroyed) return;
+                    res.writeHead(upstream.statusCode, responseHeaders);
+                    res.end(body);
+                }, flow);
+            });
+        });
+        
+        upstreamRequest.on('error', error => {
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            res.writeHead(502, { 'Content-Type': 'text/plain' });
+            res.end(`Proxy error: ${error.message}`);
+        });
+        res.on('close', () => upstreamRequest.destroy());
+        
+        uplink.pipe(req, upstreamRequest);
+    };
+    
+    const server = http.createServer((req, res) => {
+        if (req.url.split('?')[0] === '/__network') {
+            control(req, res);
+        } else {
+            forward(req, res);
+        }
+    });
+    
+    // WebSocket (e.g. WS-FLV): relay the raw upgrade request and both byte streams
+    server.on('upgrade', (req, socket, head) => {
+        if (!network.target) {
+            socket.destroy();
+            return;
+        }
+        
+        const target = new URL(req.url, network.target.replace(/^ws/, 'http'));
+        const secure = target.protocol === 'https:';
+        const port = target.port || (secure ? 443 : 80);
+        const upstream = secure
+            ? tls.connect({ host: target.hostname, port, servername: target.hostname })
+            : net.connect({ host: target.hostname, port });
+        
+        upstream.once(secure ? 'secureConnect' : 'connect', () => {
+            const lines = [`${req.method} ${target.pathname}${target.search} HTTP/1.1`];
+            for (let i = 0; i < req.rawHeaders.length; i += 2) {
+                const name = req.rawHeaders[i];
+                lines.push(`${name}: ${name.toLowerCase() === 'host' ? target.host : req.rawHeaders[i + 1]}`);
+            }
+            upstream.write(lines.join('\r\n') + '\r\n\r\n');
+            if (head.length) upstream.write(head);
+            
+            downlink.pipe(upstream, socket);
+            uplink.pipe(socket, upstream);
+        });
+        
+        upstream.on('error', () => socket.destroy());
+        socket.on('error', () => upstream.destroy());
+        upstream.on('close', () => socket.destroy());
+        socket.on('close', () => upstream.destroy());
+    });
+    
+    server.on('close', () => {
+        relays.forEach(socket => socket.close());
+    });
+    
+    server.network = network;
+    server.setProfile = setProfile;
+    return server;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const argValue = (name) => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+    const port = parseInt(argValue('--port') || '8090', 10);
+    const host = argValue('--host') || '127.0.0.1';
+    const wildcard = host === '0.0.0.0' || host === '::';
+    
+    const server = createNetworkProxy({
+        target: argValue('--target'),
+        profile: argValue('--profile'),
+        publicIp: argValue('--public-ip') || (wildcard ? undefined : host),
+        allowedOrigins: (argValue('--allow-origin') || '').split(',').filter(Boolean)
+    });
+    server.listen(port, host, () => {
+        console.log(`ZLMediaKit network proxy listening on http://${net.isIPv6(host) ? `[${host}]` : host}:${port}` +
+            (server.network.target ? `, forwarding to ${server.network.target}` : '') +
+            `, profile ${server.network.profile}`);
+    });
+}
+
+module.exports = { createNetworkProxy, NetworkLink, PROFILES };
\ No newline at end of file
@@ -0,0 +1,7 @@
+/**
+ * ZLMediaKit Player Components - TypeScript definitions of the ES module entry point
+ */
+import * as components from './index.js';
+
+export * from './index.js';
+export default components;
\ No newline at end of file
@@ -0,0 +1,1530 @@
+/**
+ * ZLMediaKit Player Components - TypeScript definitions
+ */
+
+// ---------------------------------------------------------------------------
+// Shared player events and state
+// ---------------------------------------------------------------------------
+
+export type ZLMPlayerState = 'idle' | 'connecting' | 'playing' | 'stalled' | 'reconnecting' | 'stopped';
+
+export type ZLMLogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+/** A log level, or 'success': an info entry shown as a success */
+export type ZLMLogType = ZLMLogLevel | 'success';
+
+/** How a player tries to recover: WebRTC 'ice-restart' or 're-offer', HTTP 're-open', HLS 'reload', ZLMAutoPlayer 'fallback' */
+export type ZLMReconnectStrategy = 'ice-restart' | 're-offer' | 're-open' | 'reload' | 'fallback';
+
+export type ZLMLatencySource = 'rtcp-sr' | 'sei' | 'program-date-time';
+
+export interface ZLMPlayerEvents<TStats> {
+    connected: () => void;
+    disconnected: () => void;
+    reconnecting: (attempt: number, strategy: ZLMReconnectStrategy) => void;
+    reconnected: () => void;
+    error: (error: Error) => void;
+    stats: (stats: TStats) => void;
+    log: (message: string, type: ZLMLogType) => void;
+    statechange: (state: ZLMPlayerState, previous: ZLMPlayerState) => void;
+    recording: (info: ZLMRecordingInfo) => void;
+    /** Metadata sent with the stream; frameTimestamp is in seconds on info.clock, null when not tied to a frame */
+    metadata: (frameTimestamp: number | null, payload: ZLMMetadataPayload, info: ZLMMetadataInfo) => void;
+    /** Every measurement of the audio meter (see startAudioMeter) */
+    audiolevel: (level: ZLMAudioLevel) => void;
+}
+
+/** Stats fields reported by every player */
+export interface ZLMCommonStats {
+    /** Received bitrate in kbps */
+    bitrate: number | null;
+    frameRate: number;
+    droppedFrames: number;
+    /** Buffered media ahead of the playback position (jitter buffer delay for WebRTC), in seconds */
+    buffer: number;
+    /** Glass-to-glass latency in milliseconds, null without sender timestamps */
+    latency: number | null;
+    latencySource: ZLMLatencySource | null;
+}
+
+export class ZLMPlayerBase<TStats = ZLMCommonStats, TEvents extends ZLMPlayerEvents<TStats> = ZLMPlayerEvents<TStats>> {
+    static STATES: ZLMPlayerState[];
+    /** Callback slot of each event, e.g. connected -> onConnected */
+    static CALLBACKS: Record<string, string>;
+    
+    readonly state: ZLMPlayerState;
+    /** The running recording, null when not recording */
+    recorder: ZLMMediaCapture | null;
+    /** The running audio meter, null when not measuring */
+    audioMeter: ZLMAudioMeter | null;
+    /** Null without zlm-logger.js in a script-tag page: only 'log' is emitted then */
+    logger: ZLMLogger | null;
+    /** Player id in the log entries */
+    logId: string;
+    /** The view of logContainer, if given */
+    logView: ZLMLogView | null;
+    
+    on<K extends keyof TEvents>(event: K, listener: TEvents[K]): this;
+    off<K extends keyof TEvents>(event: K, listener?: TEvents[K]): this;
+    once<K extends keyof TEvents>(event: K, listener: TEvents[K]): this;
+    
+    /** Stop playing; emits 'disconnected' if the stream was connected */
+    stop(): void;
+    
+    /** Capture the current frame as a PNG image */
+    snapshot(): Promise<Blob>;
+    /** Record what the player shows; emits 'recording' when it starts and ends */
+    startRecording(options?: ZLMRecordingOptions): ZLMMediaCapture;
+    stopRecording(): Promise<ZLMRecordingResult>;
+    /** Measure the audio level with Web Audio, emitting 'audiolevel'; start it from a user gesture */
+    startAudioMeter(options?: ZLMAudioMeterOptions): ZLMAudioMeter;
+    stopAudioMeter(): void;
+    
+    onConnected: ZLMPlayerEvents<TStats>['connected'];
+    onDisconnected: ZLMPlayerEvents<TStats>['disconnected'];
+    onReconnecting: ZLMPlayerEvents<TStats>['reconnecting'];
+    onReconnected: ZLMPlayerEvents<TStats>['reconnected'];
+    onError: ZLMPlayerEvents<TStats>['error'];
+    onStats: ZLMPlayerEvents<TStats>['stats'];
+    onLog: ZLMPlayerEvents<TStats>['log'];
+    onStateChange: ZLMPlayerEvents<TStats>['statechange'];
+    onRecording: ZLMPlayerEvents<TStats>['recording'];
+    onMetadata: ZLMPlayerEvents<TStats>['metadata'];
+    onAudioLevel: ZLMPlayerEvents<TStats>['audiolevel'];
+    
+    /** Decode metadata bytes: JSON, else text, else the bytes themselves */
+    static decodeMetadata(data: ArrayBuffer | Uint8Array | string): ZLMMetadataPayload;
+}
+
+export interface ZLMPlayerOptions {
+    videoElement: HTMLVideoElement;
+    logContainer?: HTMLElement | null;
+    /** Logger for the entries of this player (default ZLMLogger.shared) */
+    logger?: ZLMLogger;
+    logId?: string;
+    statsContainer?: HTMLElement | null;
+}
+
+// ---------------------------------------------------------------------------
+// WebRTC player
+// ---------------------------------------------------------------------------
+
+export interface ZLMReconnectOptions {
+    /** Try an ICE restart before a full re-offer (default true) */
+    iceRestart?: boolean;
+    /** Full re-offer attempts before giving up (default 5) */
+    maxAttempts?: number;
+    /** First backoff delay in ms (default 1000) */
+    baseDelay?: number;
+    /** Upper bound of the backoff delay in ms (default 30000) */
+    maxDelay?: number;
+    /** Grace period for a 'disconnected' ICE state in ms (default 3000) */
+    disconnectedTimeout?: number;
+    /** Time allowed for an ICE restart in ms (default 5000) */
+    iceRestartTimeout?: number;
+}
+
+export interface ZLMWebRTCPlayerOptions extends ZLMPlayerOptions {
+    iceServers?: RTCIceServer[];
+    signaling?: 'zlm' | 'whep';
+    bearerToken?: string;
+    trickleIce?: boolean;
+    /** Time to wait for ICE gathering before sending the offer, in ms (default 5000) */
+    iceGatheringTimeout?: number;
+    latencyMeter?: ZLMLatencyMeterOptions;
+    reconnect?: ZLMReconnectOptions | false;
+    /** Only receive the audio of the stream (default false) */
+    audioOnly?: boolean;
+    /** Emit the metadata sent by the server as 'metadata' */
+    metadata?: Partial<ZLMWebRTCMetadataOptions> | boolean;
+}
+
+export interface ZLMWebRTCMetadataOptions {
+    /** Negotiate a DataChannel, labelled 'metadata' unless given a label (default true) */
+    dataChannel: boolean | string;
+    /** Read the SEI of the received H.264/H.265 frames (default true) */
+    encodedFrames: boolean;
+    /** Only emit SEI with this UUID (32 hex digits) */
+    seiUuid: string | null;
+    /** URL of zlm-metadata-worker.js (default next to zlm-webrtc-player.js) */
+    workerUrl: string;
+}
+
+export interface ZLMWebRTCVideoStats {
+    codec: string | null;
+    width: number | null;
+    height: number | null;
+    frameRate: number;
+    /** kbps */
+    bitrate: number;
+    bytesReceived: number;
+    packetsReceived: number;
+    packetsLost: number;
+    /** Packet loss since the previous sample, 0-1 */
+    lossRate: number;
+    jitter: number;
+    /** Average jitter buffer delay since the previous sample, in ms */
+    jitterBufferDelay: number | null;
+    framesDecoded: number;
+    framesDropped: number;
+    keyFramesDecoded: number;
+    freezeCount: number;
+    totalFreezesDuration: number;
+    nackCount: number;
+    pliCount: number;
+    firCount: number;
+    decoder: string | null;
+}
+
+export interface ZLMWebRTCAudioStats {
+    codec: string | null;
+    /** kbps */
+    bitrate: number;
+    bytesReceived: number;
+    packetsReceived: number;
+    packetsLost: number;
+    lossRate: number;
+    jitter: number;
+    /** Average jitter buffer delay since the previous sample, in ms */
+    jitterBufferDelay: number | null;
+    concealedSamples: number;
+    /** Share of concealed samples since the previous sample, 0-1 */
+    concealmentRate: number;
+    audioLevel: number | null;
+}
+
+export interface ZLMWebRTCTransportStats {
+    /** Round-trip time in ms */
+    rtt: number | null;
+    /** kbps */
+    availableIncomingBitrate: number | null;
+    localCandidateType: RTCIceCandidateType | null;
+    remoteCandidateType: RTCIceCandidateType | null;
+    protocol: string | null;
+    /** True when media goes through a TURN server */
+    relayed: boolean;
+    relayProtocol: string | null;
+}
+
+export interface ZLMWebRTCStats extends ZLMCommonStats {
+    bitrate: number;
+    packetsReceived: number;
+    packetsLost: number;
+    bytesReceived: number;
+    framesDecoded: number;
+    jitter: number;
+    timestamp: number;
+    /** From the playout timestamps of audio and video, null without both */
+    avSync: ZLMAvSync | null;
+    /** Null when receiving audio only; the top-level fields then come from the audio */
+    video: ZLMWebRTCVideoStats | null;
+    audio: ZLMWebRTCAudioStats | null;
+    transport: ZLMWebRTCTransportStats;
+}
+
+export class ZLMWebRTCPlayer extends ZLMPlayerBase<ZLMWebRTCStats> {
+    constructor(options: ZLMWebRTCPlayerOptions);
+    
+    videoElement: HTMLVideoElement;
+    peerConnection: RTCPeerConnection | null;
+    stream: MediaStream | null;
+    signaling: 'zlm' | 'whep';
+    /** Null when zlm-latency-meter.js is not loaded; latency is then always null */
+    latencyMeter: ZLMLatencyMeter | null;
+    reconnectAttempts: number;
+    reconnecting: boolean;
+    audioOnly: boolean;
+    metadata: ZLMWebRTCMetadataOptions | null;
+    /** The metadata DataChannel of the current connection */
+    dataChannel: RTCDataChannel | null;
+    
+    /** Play a ZLMediaKit WebRTC (or WHEP) URL, or the matching URL of a builder */
+    play(url: string | ZLMUrlBuilder): Promise<boolean>;
+    
+    /** The RTCRtpScriptTransform worker that reads SEI metadata */
+    static METADATA_WORKER_URL: string;
+    /** The API this browser offers to read received encoded frames */
+    static encodedFrameApi(): 'script-transform' | 'encoded-streams' | null;
+    static buildSdpFragment(localSdp: string, candidates: RTCIceCandidate[], endOfCandidates?: boolean, credentialsOnly?: boolean): string;
+}
+
+// ---------------------------------------------------------------------------
+// HTTP-FLV / MPEG-TS / fMP4 player (mpegts.js)
+// ---------------------------------------------------------------------------
+
+export type ZLMStreamType = 'flv' | 'mse' | 'mpegts' | 'm2ts' | 'mp4';
+
+export interface ZLMStreamPlayerOptions extends ZLMPlayerOptions {
+    /** Media data source fields passed to mpegts.createPlayer */
+    mpegtsOptions?: Record<string, unknown>;
+    /** mpegts.js config merged over the defaults, e.g. liveBufferLatencyMaxLatency */
+    mpegtsConfig?: Record<string, unknown>;
+    streamType?: ZLMStreamType;
+    /** Transport of the URLs built from a ZLMUrlBuilder (default 'http') */
+    transport?: 'http' | 'ws';
+    /** Check the stream codecs before attaching and fail with a ZLMCodecError (default true, needs zlm-codec-probe.js and zlm-codec-error.js) */
+    codecCheck?: boolean;
+    /** Milliseconds to wait for the stream header before playing unchecked (default 3000) */
+    probeTimeout?: number;
+    /**
+     * Measure the latency (and A/V sync) from SEI timestamps: true or latency meter options (default false).
+     * Reading the SEI replaces the mpegts.js loader and runs it without its worker.
+     */
+    latencyMeter?: ZLMLatencyMeterOptions | boolean;
+    /** Only play the audio of the stream; fails when it has none (default false) */
+    audioOnly?: boolean;
+    /** Emit the user_data_unregistered SEI of FLV and MPEG-TS streams as 'metadata'; runs mpegts.js without its worker */
+    metadata?: { seiUuid?: string } | boolean;
+    /** The mpegts.js module; defaults to the global `mpegts` */
+    mpegts?: any;
+    /** Delay before re-opening the stream after a network error, in ms (default 2000) */
+    reconnectDelay?: number;
+    /** Live latency management: true for the defaults, or its settings (default false, the latency is never corrected) */
+    latencyControl?: Partial<ZLMLatencyControl> | boolean;
+}
+
+export interface ZLMLatencyControl {
+    /** Correct the latency at all (default false) */
+    enabled: boolean;
+    /** Target distance to the live edge in seconds (default 0.5) */
+    targetLatency: number;
+    /** Seconds above the target tolerated before catching up (default 0.3) */
+    tolerance: number;
+    /** Catch up by raising the playback rate (default true) */
+    catchUp: boolean;
+    /** Playback rate while catching up (default 1.2) */
+    playbackRate: number;
+    /** Seconds behind the live edge that trigger a jump to it, 0 to never jump (default 2.0) */
+    jumpThreshold: number;
+}
+
+export interface ZLMCatchUpInfo {
+    /** True when catching up starts, false when the target is reached */
+    active: boolean;
+    playbackRate: number;
+    /** Distance to the live edge in seconds */
+    latency: number | null;
+}
+
+export interface ZLMLiveJumpInfo {
+    /** Distance to the live edge before and after the jump, in seconds */
+    from: number;
+    to: number;
+}
+
+export interface ZLMStreamPlayerEvents extends ZLMPlayerEvents<ZLMStreamStats> {
+    catchup: (info: ZLMCatchUpInfo) => void;
+    livejump: (info: ZLMLiveJumpInfo) => void;
+}
+
+export interface ZLMStreamStats extends ZLMCommonStats {
+    bitrate: number;
+    /** Download speed as reported by mpegts.js, in KiB/s */
+    currentSpeed: number;
+    decodedFrames: number;
+    totalBytes: number;
+    playbackRate: number;
+    /** RFC 6381 codec strings (or codec ids) from the stream header */
+    videoCodec: string | null;
+    audioCodec: string | null;
+    /** The audio track as mpegts.js demuxed it */
+    audio: ZLMStreamAudioStats | null;
+    /** From the timestamps of the newest audio and video received, null without an SEI reader or either track */
+    avSync: ZLMAvSync | null;
+}
+
+export interface ZLMStreamAudioStats {
+    codec: string | null;
+    sampleRate: number | null;
+    channelCount: number | null;
+    /** kbps */
+    bitrate: number | null;
+}
+
+export class ZLMStreamPlayer extends ZLMPlayerBase<ZLMStreamStats, ZLMStreamPlayerEvents> {
+    static LATENCY_CONTROL_DEFAULTS: ZLMLatencyControl;
+    /** Builder protocols per transport and stream type */
+    static PROTOCOLS: Record<'http' | 'ws', Record<'flv' | 'mpegts' | 'mp4', ZLMProtocol>>;
+    /** mpegts.js media error details reported as a ZLMCodecError */
+    static CODEC_ERROR_DETAILS: string[];
+    
+    constructor(options: ZLMStreamPlayerOptions);
+    
+    videoElement: HTMLVideoElement;
+    streamType: ZLMStreamType;
+    mpegts: any;
+    /** The mpegts.js player while playing */
+    player: any;
+    /** The URL last played, re-opened when reconnecting */
+    url: string | null;
+    latencyMeter: ZLMLatencyMeter | null;
+    audioOnly: boolean;
+    metadata: { seiUuid: string | null } | null;
+    /** SEI readers of FLV and MPEG-TS streams, null when neither latency nor metadata is read */
+    flvParser: ZLMFlvParser | null;
+    tsParser: ZLMTsParser | null;
+    reconnectAttempts: number;
+    maxReconnectAttempts: number;
+    reconnectDelay: number;
+    latencyControl: ZLMLatencyControl;
+    transport: 'http' | 'ws';
+    codecCheck: boolean;
+    probeTimeout: number;
+    /** Codecs of the current stream, null until read or when the header could not be read */
+    codecs: ZLMCodecInfo | null;
+    
+    /** Rejects without an 'error' event when a newer play() or stop() supersedes it */
+    play(url: string | ZLMUrlBuilder, type?: ZLMStreamType): Promise<boolean>;
+    /** Change the latency management, also while playing */
+    setLatencyControl(options: Partial<ZLMLatencyControl>): void;
+    
+    onCatchUp: ZLMStreamPlayerEvents['catchup'];
+    onLiveJump: ZLMStreamPlayerEvents['livejump'];
+}
+
+/** Old name of ZLMStreamPlayer */
+export const ZLMFLVPlayer: typeof ZLMStreamPlayer;
+export type ZLMFLVPlayer = ZLMStreamPlayer;
+
+// ---------------------------------------------------------------------------
+// HLS player
+// ---------------------------------------------------------------------------
+
+export interface ZLMHLSPlayerOptions extends ZLMPlayerOptions {
+    /** hls.js config merged over the defaults */
+    hlsOptions?: Record<string, unknown>;
+    lowLatency?: boolean;
+    preferNative?: boolean;
+    latencyMeter?: ZLMLatencyMeterOptions;
+    /** The hls.js class; defaults to the global `Hls` */
+    Hls?: any;
+    /** Delay before reloading after a network error, or a video error or stall in native mode, in ms (default 2000) */
+    reconnectDelay?: number;
+}
+
+export interface ZLMHLSStats extends ZLMCommonStats {
+    mode: 'native' | 'mse';
+    /** Bitrate of the current level in kbps */
+    bitrate: number | null;
+    bandwidthEstimate: number | null;
+    decodedFrames: number;
+    /** Distance to the live edge reported by hls.js, in ms */
+    liveEdgeLatency: number | null;
+    stallCount: number;
+    /** Total stall time in ms */
+    stallDuration: number;
+}
+
+export class ZLMHLSPlayer extends ZLMPlayerBase<ZLMHLSStats> {
+    constructor(options: ZLMHLSPlayerOptions);
+    
+    videoElement: HTMLVideoElement;
+    mode: 'native' | 'mse' | null;
+    /** The hls.js instance while playing with MSE */
+    hls: any;
+    /** Null when zlm-latency-meter.js is not loaded; latency is then always null */
+    latencyMeter: ZLMLatencyMeter | null;
+    stallCount: number;
+    stallDuration: number;
+    /** The URL last played, reloaded when reconnecting in native mode */
+    url: string | null;
+    reconnectAttempts: number;
+    maxReconnectAttempts: number;
+    reconnectDelay: number;
+    /** hls.js media error recoveries of this play(); the next media error after maxMediaRecoveries is fatal */
+    mediaRecoveries: number;
+    maxMediaRecoveries: number;
+    
+    /** Rejects without an 'error' event when a newer play() or stop() supersedes it */
+    play(url: string | ZLMUrlBuilder): Promise<boolean>;
+}
+
+// ---------------------------------------------------------------------------
+// WebRTC publisher
+// ---------------------------------------------------------------------------
+
+export interface ZLMWebRTCPublisherOptions {
+    videoElement?: HTMLVideoElement | null;
+    logContainer?: HTMLElement | null;
+    logger?: ZLMLogger;
+    /** Publisher id in the log entries (default 'publisher') */
+    logId?: string;
+    statsContainer?: HTMLElement | null;
+    iceServers?: RTCIceServer[];
+    source?: 'camera' | 'screen' | 'canvas';
+    audio?: boolean;
+    videoConstraints?: MediaTrackConstraints | boolean;
+    videoCodec?: 'H264' | 'VP8' | 'VP9' | 'AV1' | string;
+    /** kbps */
+    maxBitrate?: number;
+    maxFramerate?: number;
+    canvasSize?: { width: number; height: number };
+    /** Burn a ZLMTimecode strip into the synthetic source (default true) */
+    timecode?: boolean;
+}
+
+export interface ZLMPublisherStats {
+    packetsSent: number;
+    bytesSent: number;
+    /** kbps */
+    bitrate: number;
+    framesEncoded: number;
+    frameRate: number;
+    frameWidth: number;
+    frameHeight: number;
+    codec: string | null;
+    qualityLimitationReason: string;
+    timestamp: number;
+}
+
+export class ZLMWebRTCPublisher {
+    constructor(options?: ZLMWebRTCPublisherOptions);
+    
+    source: 'camera' | 'screen' | 'canvas';
+    videoCodec: string | null;
+    maxBitrate: number | null;
+    maxFramerate: number | null;
+    timecode: boolean;
+    peerConnection: RTCPeerConnection | null;
+    stream: MediaStream | null;
+    logger: ZLMLogger | null;
+    logId: string;
+    
+    publish(url: string | ZLMUrlBuilder): Promise<boolean>;
+    stop(): void;
+    
+    static getSupportedCodecs(): string[];
+    
+    onConnected: () => void;
+    onDisconnected: () => void;
+    onError: (error: Error) => void;
+    onStats: (stats: ZLMPublisherStats) => void;
+    onLog: (message: string, type: ZLMLogType) => void;
+}
+
+// ---------------------------------------------------------------------------
+// Latency measurement
+// ---------------------------------------------------------------------------
+
+export interface ZLMLatencyMeterOptions {
+    /** Milliseconds to add to the local clock to match the sender clock */
+    clockOffset?: number;
+    /** Only accept user_data_unregistered SEI with this UUID (hex) */
+    seiUuid?: string;
+    /** Exponential smoothing factor, 0-1 (default 0.3) */
+    smoothing?: number;
+}
+
+export class ZLMLatencyMeter {
+    static NTP_EPOCH_OFFSET_MS: number;
+    
+    constructor(options?: ZLMLatencyMeterOptions);
+    
+    clockOffset: number;
+    latency: number | null;
+    source: ZLMLatencySource | null;
+    
+    now(): number;
+    reset(): void;
+    measureWebRTC(report: RTCStatsReport): number | null;
+    addSei(sei: ZLMSeiMessage, firstTimestamp: number | null): void;
+    measureMediaElement(mediaElement: HTMLMediaElement): number | null;
+    measureProgramDateTime(playingDate: Date): number;
+    
+    static parseTimestamp(data: Uint8Array): number | null;
+}
+
+export interface ZLMSeiMessage {
+    payloadType: number;
+    codec: 'h264' | 'h265';
+    /** Decode timestamp in ms */
+    dts: number;
+    /** Presentation timestamp in ms */
+    pts: number;
+    /** user_data_unregistered UUID (hex), null for other payload types */
+    uuid: string | null;
+    payload: Uint8Array;
+}
+
+export class ZLMFlvParser {
+    constructor();
+    
+    firstTimestamp: number | null;
+    /** Presentation time of the newest audio and video frame, in ms */
+    lastTimestamps: ZLMMediaTimestamps;
+    videoCodec: string | null;
+    
+    push(chunk: ArrayBuffer | Uint8Array): void;
+    reset(): void;
+    
+    onSei: (sei: ZLMSeiMessage) => void;
+    
+    static removeEmulationPrevention(data: Uint8Array): Uint8Array;
+    /** The SEI messages of a NAL unit (with its header); none for other NAL types */
+    static parseSeiNal(nal: Uint8Array, codec: 'h264' | 'h265', dts: number, pts: number): ZLMSeiMessage[];
+    /** The SEI messages of an Annex B byte stream, as carried by MPEG-TS and WebRTC encoded frames */
+    static parseAnnexB(data: Uint8Array, codec: 'h264' | 'h265', dts: number, pts: number): ZLMSeiMessage[];
+}
+
+/** Create an mpegts.js customLoader class that hands every received chunk to onData */
+export function createZLMTapLoader(mpegts: any, onData: (chunk: ArrayBuffer) => void): new (seekHandler: any, config: any) => any;
+
+// ---------------------------------------------------------------------------
+// URLs and stream discovery
+// ---------------------------------------------------------------------------
+
+export type ZLMProtocol = 'webrtc' | 'webrtc-push' | 'whep' | 'whip' | 'http-flv' | 'ws-flv' | 'http-ts' | 'ws-ts'
+    | 'fmp4' | 'ws-fmp4' | 'hls' | 'hls-fmp4' | 'rtsp' | 'rtmp';
+
+export interface ZLMUrlBuilderOptions {
+    serverBase: string;
+    stream?: string;
+    app?: string;
+    vhost?: string;
+    params?: Record<string, string> | string;
+    secret?: string;
+    /** Templates with {base}, {wsBase}, {host}, {app}, {stream} and {vhost} placeholders */
+    templates?: Partial<Record<ZLMProtocol | string, string>>;
+}
+
+export class ZLMUrlBuilder {
+    static TEMPLATES: Record<ZLMProtocol, string>;
+    
+    constructor(options?: ZLMUrlBuilderOptions);
+    
+    serverBase: string;
+    stream: string;
+    app: string;
+    vhost: string;
+    params: Record<string, string>;
+    secret: string;
+    
+    build(protocol: ZLMProtocol | string, overrides?: { template?: string; stream?: string; app?: string }): string;
+    apiUrl(method: string, params?: Record<string, string | number>): string;
+    
+    static parseParams(params?: Record<string, string> | string): Record<string, string>;
+}
+
+export interface ZLMMediaListOptions {
+    urlBuilder: ZLMUrlBuilder;
+    app?: string;
+    /** Polling interval in ms (default 3000) */
+    interval?: number;
+    /** How long offline streams stay listed, in ms (default 60000) */
+    offlineRetention?: number;
+}
+
+export interface ZLMMediaStream {
+    key: string;
+    vhost: string;
+    app: string;
+    stream: string;
+    schemas: string[];
+    readerCount: number;
+    totalReaderCount: number;
+    video: { codec: string; width: number; height: number; fps: number } | null;
+    audio: { codec: string; sampleRate: number; channels: number } | null;
+    originType: number;
+    originUrl: string;
+    aliveSecond: number;
+    bytesSpeed: number;
+    online: boolean;
+    firstSeen: number;
+    lastSeen: number;
+    offlineSince: number | null;
+}
+
+export class ZLMMediaList {
+    constructor(options: ZLMMediaListOptions);
+    
+    start(): Promise<void>;
+    stop(): void;
+    refresh(): Promise<ZLMMediaStream[]>;
+    getStreams(): ZLMMediaStream[];
+    
+    onUpdate: (streams: ZLMMediaStream[]) => void;
+    onError: (error: Error) => void;
+    
+    static describe(stream: ZLMMediaStream): string;
+}
+
+// ---------------------------------------------------------------------------
+// Session recording and charts
+// ---------------------------------------------------------------------------
+
+export interface ZLMSessionEntry {
+    /** Milliseconds since the session start */
+    t: number;
+    wallClock: number;
+    player: string | null;
+    type: 'stats' | 'event' | 'state' | 'log' | 'error' | 'qoe' | 'marker';
+    message: string | null;
+    data: Record<string, any> | null;
+    /** Conditions the entry was recorded under (see setContext), missing in older exports */
+    context?: Record<string, any> | null;
+}
+
+export interface ZLMSessionPlayerSummary {
+    protocol?: string;
+    label?: string;
+    samples: number;
+    errors: number;
+    reconnects: number;
+    latency: { min: number; avg: number; max: number } | null;
+    /** Last QoE metrics recorded for the player */
+    qoe: ZLMQoEMetrics | null;
+    [key: string]: any;
+}
+
+export interface ZLMSessionExport {
+    format: 'zlm-session';
+    version: number;
+    startedAt: string | null;
+    endedAt: string | null;
+    meta: Record<string, any>;
+    players: Record<string, Record<string, any>>;
+    entries: ZLMSessionEntry[];
+}
+
+export class ZLMSessionRecorder {
+    constructor(options?: { meta?: Record<string, any>; recordLogs?: boolean });
+    
+    meta: Record<string, any>;
+    players: Record<string, Record<string, any>>;
+    entries: ZLMSessionEntry[];
+    startedAt: number | null;
+    endedAt: number | null;
+    recording: boolean;
+    context: Record<string, any> | null;
+    
+    start(meta?: Record<string, any>): void;
+    stop(): void;
+    setContext(context: Record<string, any> | null): void;
+    attach(id: string, player: ZLMPlayerBase<any> | ZLMWebRTCPublisher, info?: Record<string, any>): void;
+    detach(id: string): void;
+    record(playerId: string | null, type: ZLMSessionEntry['type'], message: string | null, data?: Record<string, any>): void;
+    summarize(): Record<string, ZLMSessionPlayerSummary>;
+    /** Replace the content of the container with the summary table; values are set as text */
+    renderSummary(container: HTMLElement): HTMLTableElement;
+    toJSON(): ZLMSessionExport;
+    toCSV(): string;
+    
+    static fromJSON(json: string | ZLMSessionExport): ZLMSessionRecorder;
+    static download(filename: string, content: string, mimeType?: string): void;
+}
+
+export type ZLMChartMetric = 'bitrate' | 'frameRate' | 'droppedFrames' | 'buffer' | 'latency';
+
+export interface ZLMChartMetricDefinition {
+    label: string;
+    unit: string;
+    defaultMax?: number;
+    /** Plot the difference between samples per second instead of the value */
+    perSecond?: boolean;
+    value: (stats: any) => number | null | undefined;
+}
+
+export class ZLMStatsChart {
+    static METRICS: Record<ZLMChartMetric | string, ZLMChartMetricDefinition>;
+    static COLORS: string[];
+    
+    constructor(options: {
+        container: HTMLElement;
+        metrics?: Array<ZLMChartMetric | string>;
+        /** Rolling window in seconds (default 60) */
+        window?: number;
+        /** Height of each chart in CSS pixels (default 120) */
+        height?: number;
+    });
+    
+    series: Record<string, { label: string; color: string; samples: Array<{ time: number; values: Record<string, number | null> }> }>;
+    
+    addSeries(id: string, info?: { label?: string; color?: string }): void;
+    removeSeries(id: string): void;
+    push(id: string, stats: object, time?: number): void;
+    clear(): void;
+    destroy(): void;
+}
+
+// ---------------------------------------------------------------------------
+// Quality of experience
+// ---------------------------------------------------------------------------
+
+export interface ZLMQoEMetrics {
+    /** Time to the first frame in ms, null until it is shown */
+    startupTime: number | null;
+    rebufferCount: number;
+    rebufferDuration: number;
+    freezeCount: number;
+    freezeDuration: number;
+    droppedFrames: number;
+    totalFrames: number;
+    droppedRatio: number;
+    sessionDuration: number;
+    /** Share of the time after the first frame spent rebuffering or frozen (0-1) */
+    stallRatio: number;
+    /** 0-100, null before the session started */
+    score: number | null;
+}
+
+export type ZLMQoEEvent = 'firstframe' | 'rebuffer' | 'rebuffer-end' | 'freeze' | 'freeze-end';
+
+export interface ZLMQoEMonitorOptions {
+    videoElement: HTMLVideoElement;
+    /** Milliseconds without a new frame that count as a freeze; derived from the frame rate by default */
+    freezeThreshold?: number;
+    /** Interval of onUpdate calls in ms (default 1000) */
+    interval?: number;
+    /** The element only plays audio: its playback position stands in for frames */
+    audioOnly?: boolean;
+    /** Clock in milliseconds, for tests */
+    now?: () => number;
+}
+
+export class ZLMQoEMonitor {
+    constructor(options: ZLMQoEMonitorOptions);
+    
+    videoElement: HTMLVideoElement;
+    /** Set before start() */
+    audioOnly: boolean;
+    running: boolean;
+    
+    start(): void;
+    stop(): void;
+    getMetrics(): ZLMQoEMetrics;
+    
+    onUpdate: (metrics: ZLMQoEMetrics) => void;
+    onEvent: (type: ZLMQoEEvent, data: Record<string, number>) => void;
+    
+    static score(metrics: Omit<ZLMQoEMetrics, 'score'>): number | null;
+}
+
+// ---------------------------------------------------------------------------
+// Network simulation
+// ---------------------------------------------------------------------------
+
+export interface ZLMNetworkSettings {
+    /** Bandwidth cap in kbps, 0 for unlimited */
+    bandwidth: number;
+    /** One-way delay in ms */
+    delay: number;
+    /** Random delay variation in ms */
+    jitter: number;
+    /** Packet loss in percent */
+    loss: number;
+}
+
+export interface ZLMNetworkLinkStats {
+    bytes: number;
+    chunks: number;
+    /** Datagrams dropped (WebRTC media) */
+    dropped: number;
+    /** Chunks delayed by a simulated TCP retransmission */
+    retransmits: number;
+}
+
+export interface ZLMNetworkStatus {
+    target: string | null;
+    /** Profile name, or 'custom' when settings were overridden */
+    profile: string;
+    settings: ZLMNetworkSettings;
+    profiles: Record<string, ZLMNetworkSettings>;
+    /** Open WebRTC media relays */
+    relays: number;
+    stats: { uplink: ZLMNetworkLinkStats; downlink: ZLMNetworkLinkStats };
+}
+
+export class ZLMNetworkSimulator {
+    constructor(options: { proxyUrl: string });
+    
+    proxyUrl: string;
+    status: ZLMNetworkStatus | null;
+    
+    getStatus(): Promise<ZLMNetworkStatus>;
+    setProfile(profile?: string, settings?: Partial<ZLMNetworkSettings>): Promise<ZLMNetworkStatus>;
+    setTarget(target: string | null): Promise<ZLMNetworkStatus>;
+    
+    static describe(settings: ZLMNetworkSettings | null): string;
+    static CONTROL_PATH: string;
+}
+
+// ---------------------------------------------------------------------------
+// Frame comparison
+// ---------------------------------------------------------------------------
+
+export interface ZLMTimecodeValue {
+    /** Sender wall clock, Unix ms modulo 2^32 */
+    timestamp: number;
+    /** Frame counter modulo 256, null when the source carries none */
+    frame: number | null;
+}
+
+export class ZLMTimecode {
+    static draw(context: CanvasRenderingContext2D, width: number, height: number, timestamp: number, frame: number): void;
+    static read(image: { width: number; height: number; data: Uint8ClampedArray }): { timestamp: number; frame: number } | null;
+    static encode(timestamp: number, frame: number): number[];
+    static decode(bits: number[]): { timestamp: number; frame: number } | null;
+    static stripHeight(width: number): number;
+    static CELLS: number;
+    static MIN_CONTRAST: number;
+}
+
+export type ZLMComparatorView = 'side-by-side' | 'wipe' | 'off';
+
+export interface ZLMFrameComparatorOptions {
+    videoA: HTMLVideoElement;
+    videoB: HTMLVideoElement;
+    /** Canvas for the combined view */
+    canvas?: HTMLCanvasElement | null;
+    view?: ZLMComparatorView;
+    labelA?: string;
+    labelB?: string;
+    /** Frame time source (default 'auto': timecode, then QR via BarcodeDetector) */
+    source?: 'timecode' | 'qr' | 'auto';
+    /** Milliseconds between measurements (default 100) */
+    interval?: number;
+    /** Measurements the smoothed offset is the median of (default 15) */
+    window?: number;
+}
+
+export interface ZLMComparison {
+    a: (ZLMTimecodeValue & { source?: 'timecode' | 'qr' }) | null;
+    b: (ZLMTimecodeValue & { source?: 'timecode' | 'qr' }) | null;
+    /** Milliseconds A is ahead of B (negative when B is ahead), null without both timecodes */
+    offset: number | null;
+    /** Frames A is ahead of B */
+    frames: number | null;
+    ahead: 'a' | 'b' | null;
+    smoothedOffset?: number | null;
+    frameDuration?: number | null;
+}
+
+export class ZLMFrameComparator {
+    constructor(options: ZLMFrameComparatorOptions);
+    
+    videoA: HTMLVideoElement;
+    videoB: HTMLVideoElement;
+    canvas: HTMLCanvasElement | null;
+    view: ZLMComparatorView;
+    labelA: string;
+    labelB: string;
+    /** Position of the wipe divider, 0 (all B) to 1 (all A) */
+    wipePosition: number;
+    running: boolean;
+    result: ZLMComparison | null;
+    
+    start(): void;
+    stop(): void;
+    setView(view: ZLMComparatorView): void;
+    
+    onUpdate: (result: ZLMComparison) => void;
+    onError: (error: Error) => void;
+    
+    static compare(a: ZLMTimecodeValue | null, b: ZLMTimecodeValue | null, frameDuration?: number | null): ZLMComparison;
+    static describe(result: ZLMComparison | null, labelA?: string, labelB?: string): string;
+    static parseQr(text: string): ZLMTimecodeValue | null;
+    static SAMPLE_WIDTH: number;
+}
+
+// ---------------------------------------------------------------------------
+// Stream wall
+// ---------------------------------------------------------------------------
+
+export type ZLMWallTileState = 'idle' | 'queued' | 'hidden' | 'connecting' | 'playing' | 'stalled' | 'reconnecting' | 'failed';
+
+export interface ZLMWallStream {
+    stream: string;
+    /** Application name (default 'live') */
+    app?: string;
+    label?: string;
+    /** Protocol of this tile, overriding the wall protocol */
+    protocol?: ZLMProtocol;
+}
+
+export interface ZLMWallTile {
+    id: number;
+    /** 'app/stream' */
+    key: string;
+    stream: ZLMWallStream;
+    element: HTMLElement;
+    video: HTMLVideoElement;
+    player: ZLMPlayerBase<any, any> | null;
+    /** Protocol of the running player */
+    protocol: ZLMProtocol | null;
+    state: ZLMWallTileState;
+    visible: boolean;
+    stats: ZLMCommonStats | null;
+    error: Error | null;
+    retries: number;
+}
+
+export interface ZLMStreamWallOptions {
+    container: HTMLElement;
+    /** Builder holding server base, vhost and params; app and stream come from each tile */
+    urlBuilder: ZLMUrlBuilder;
+    streams?: ZLMWallStream[];
+    /** Default 'webrtc' */
+    protocol?: ZLMProtocol;
+    /** Protocol for WebRTC tiles started while all peer connections are taken; without it they wait */
+    fallbackProtocol?: ZLMProtocol | null;
+    /** Maximum concurrent players (default 16) */
+    maxPlayers?: number;
+    /** Maximum concurrent WebRTC peer connections (default 8) */
+    maxPeerConnections?: number;
+    /** Milliseconds off screen before a tile's player is stopped (default 2000) */
+    hideDelay?: number;
+    /** First restart delay of a failed tile, doubled on every failure (default 5000) */
+    retryDelay?: number;
+    /** Default 60000 */
+    maxRetryDelay?: number;
+    createPlayer?: (protocol: ZLMProtocol, elements: { videoElement: HTMLVideoElement }, tile: ZLMWallTile) => ZLMPlayerBase<any, any>;
+}
+
+export interface ZLMWallHealth {
+    tiles: number;
+    visible: number;
+    players: number;
+    peerConnections: number;
+    states: Record<ZLMWallTileState, number>;
+    /** Share of visible tiles playing (0-1), null without visible tiles */
+    healthy: number | null;
+    /** Sum over playing tiles, kbps */
+    bitrate: number;
+    /** Average over tiles reporting latency, ms */
+    latency: number | null;
+}
+
+export class ZLMStreamWall {
+    constructor(options: ZLMStreamWallOptions);
+    
+    container: HTMLElement;
+    urlBuilder: ZLMUrlBuilder;
+    protocol: ZLMProtocol;
+    fallbackProtocol: ZLMProtocol | null;
+    maxPlayers: number;
+    maxPeerConnections: number;
+    tiles: ZLMWallTile[];
+    running: boolean;
+    
+    setStreams(streams: ZLMWallStream[]): void;
+    start(): void;
+    stop(): void;
+    destroy(): void;
+    reconnectTile(id: number): void;
+    getHealth(): ZLMWallHealth;
+    
+    onHealth: (health: ZLMWallHealth) => void;
+    onTileState: (tile: ZLMWallTile, state: ZLMWallTileState) => void;
+    
+    static createPlayer(protocol: ZLMProtocol, elements: { videoElement: HTMLVideoElement }): ZLMPlayerBase<any, any>;
+    static isWebRTC(protocol: string): boolean;
+    static streamKey(stream: ZLMWallStream): string;
+    static parseStreams(text: string): ZLMWallStream[];
+    static TILE_STATES: ZLMWallTileState[];
+}
+
+// ---------------------------------------------------------------------------
+// Auto player
+// ---------------------------------------------------------------------------
+
+export type ZLMSwitchReason = 'start' | 'failed' | 'reconnect-timeout' | 'qoe' | 'upgrade' | 'manual';
+
+export interface ZLMSwitchInfo {
+    /** Protocol before the switch, null on start */
+    from: ZLMProtocol | null;
+    to: ZLMProtocol;
+    reason: ZLMSwitchReason;
+}
+
+export interface ZLMProbeInfo {
+    protocol: ZLMProtocol;
+    success: boolean;
+    error?: string;
+}
+
+export interface ZLMAutoPlayerPolicy {
+    /** Milliseconds a protocol may take to start playing (default 8000) */
+    connectTimeout: number;
+    /** Milliseconds the active player may spend reconnecting before falling back (default 5000) */
+    reconnectTimeout: number;
+    /** Milliseconds of playback the QoE score is computed over (default 10000) */
+    evaluationWindow: number;
+    /** QoE score of the window below which the next protocol is tried (default 60) */
+    minScore: number;
+    /** Replaces the minScore rule */
+    shouldFallback: ((sample: { protocol: ZLMProtocol; score: number | null; metrics: Omit<ZLMQoEMetrics, 'score'> }) => boolean) | null;
+    /** Milliseconds before a preferred protocol is probed again, 0 to stay on the fallback (default 30000) */
+    upgradeInterval: number;
+    /** Default 300000 */
+    maxUpgradeInterval: number;
+    /** Milliseconds a probed protocol must play without stalling before it takes over (default 3000) */
+    probeDuration: number;
+}
+
+export interface ZLMAutoPlayerOptions extends ZLMPlayerOptions {
+    /** Hidden element new protocols start in; a copy of videoElement inserted after it by default */
+    standbyElement?: HTMLVideoElement;
+    /** In order of preference (default ['webrtc', 'http-flv', 'hls']) */
+    protocols?: ZLMProtocol[];
+    /** Options of the player of each protocol */
+    playerOptions?: Partial<Record<ZLMProtocol, Record<string, any>>>;
+    policy?: Partial<ZLMAutoPlayerPolicy>;
+    createPlayer?: (protocol: ZLMProtocol, options: ZLMPlayerOptions & Record<string, any>) => ZLMPlayerBase<any, any>;
+}
+
+export type ZLMAutoStats = ZLMCommonStats & { protocol: ZLMProtocol } & Record<string, any>;
+
+export interface ZLMAutoPlayerEvents extends ZLMPlayerEvents<ZLMAutoStats> {
+    switch: (info: ZLMSwitchInfo) => void;
+    probe: (info: ZLMProbeInfo) => void;
+    catchup: (info: ZLMCatchUpInfo) => void;
+    livejump: (info: ZLMLiveJumpInfo) => void;
+}
+
+export class ZLMAutoPlayer extends ZLMPlayerBase<ZLMAutoStats, ZLMAutoPlayerEvents> {
+    static POLICY_DEFAULTS: ZLMAutoPlayerPolicy;
+    
+    constructor(options: ZLMAutoPlayerOptions);
+    
+    /** The element currently shown; changes on every switch */
+    videoElement: HTMLVideoElement;
+    standbyElement: HTMLVideoElement;
+    protocols: ZLMProtocol[];
+    policy: ZLMAutoPlayerPolicy;
+    /** The player of the active protocol */
+    player: ZLMPlayerBase<any, any> | null;
+    protocol: ZLMProtocol | null;
+    /** QoE score of the last evaluation window */
+    score: number | null;
+    
+    play(source: ZLMUrlBuilder | Partial<Record<ZLMProtocol, string>>): Promise<boolean>;
+    switchTo(protocol: ZLMProtocol): Promise<boolean>;
+    
+    onSwitch: ZLMAutoPlayerEvents['switch'];
+    onProbe: ZLMAutoPlayerEvents['probe'];
+    
+    static createPlayer(protocol: ZLMProtocol, options: ZLMPlayerOptions & Record<string, any>): ZLMPlayerBase<any, any>;
+    static windowMetrics(from: Omit<ZLMQoEMetrics, 'score'>, to: Omit<ZLMQoEMetrics, 'score'>): Omit<ZLMQoEMetrics, 'score'>;
+}
+
+// ---------------------------------------------------------------------------
+// Codecs
+// ---------------------------------------------------------------------------
+
+export interface ZLMCodecTrack {
+    /** Codec id: 'h264', 'h265', 'av1', 'vp9', 'aac', 'mp3', 'opus', 'g711a', ... */
+    codec: string;
+    /** Display name, e.g. 'H.265/HEVC' */
+    name: string;
+    /** RFC 6381 codec string, null for codecs browsers do not know */
+    mime: string | null;
+}
+
+export interface ZLMCodecInfo {
+    container: 'flv' | 'mpegts' | 'mp4' | null;
+    video: ZLMCodecTrack | null;
+    audio: ZLMCodecTrack | null;
+}
+
+export interface ZLMUnsupportedTrack extends ZLMCodecTrack {
+    kind: 'video' | 'audio';
+    /** The MIME type the browser refused, null when there is none to ask about */
+    type: string | null;
+}
+
+export interface ZLMCodecProbeOptions {
+    /** Milliseconds to read before giving up (default 3000) */
+    timeout?: number;
+    /** Bytes to read before giving up (default 1 MiB) */
+    maxBytes?: number;
+    /** Cancels the probe, which then rejects with an AbortError */
+    signal?: AbortSignal;
+}
+
+export class ZLMCodecProbe {
+    static CODEC_NAMES: Record<string, string>;
+    static MAX_FLV_TAGS: number;
+    static MAX_TS_PACKETS: number;
+    
+    constructor();
+    
+    container: ZLMCodecInfo['container'];
+    video: ZLMCodecTrack | null;
+    audio: ZLMCodecTrack | null;
+    /** True once the codecs are known or the probe gave up */
+    done: boolean;
+    readonly result: ZLMCodecInfo;
+    
+    reset(): void;
+    /** Parse the next chunk; returns `done` */
+    push(chunk: ArrayBuffer | Uint8Array): boolean;
+    
+    /** Open a stream (HTTP or WebSocket), read its codecs and close it again */
+    static probe(url: string, options?: ZLMCodecProbeOptions): Promise<ZLMCodecInfo>;
+    /** The tracks the browser cannot play, or null when there is no MediaSource to ask */
+    static unsupportedTracks(result: ZLMCodecInfo, options?: { mediaElement?: HTMLMediaElement | null }): ZLMUnsupportedTrack[] | null;
+    static mimeType(kind: 'video' | 'audio', track: ZLMCodecTrack): string | null;
+    static describe(result: ZLMCodecInfo): string;
+    static detectContainer(data: Uint8Array): ZLMCodecInfo['container'];
+    static avcCodec(data: Uint8Array, fourCC?: string): string;
+    static hevcCodec(hvcC: Uint8Array, fourCC?: string): string;
+    static av1Codec(av1C: Uint8Array): string;
+    static aacCodec(config: Uint8Array): string;
+}
+
+/** Raised when the browser cannot play the codecs of a stream */
+export class ZLMCodecError extends Error {
+    constructor(tracks: ZLMUnsupportedTrack[], codecs?: ZLMCodecInfo | null, reason?: string | null);
+    
+    name: 'ZLMCodecError';
+    tracks: ZLMUnsupportedTrack[];
+    codecs: ZLMCodecInfo | null;
+}
+
+// ---------------------------------------------------------------------------
+// Media capture
+// ---------------------------------------------------------------------------
+
+export interface ZLMRecordingOptions {
+    /** Container and codecs; the first supported of ZLMMediaCapture.MIME_TYPES by default */
+    mimeType?: string;
+    /** Stop once the recording reaches this many bytes */
+    maxBytes?: number;
+    /** Stop after this many milliseconds */
+    maxDuration?: number;
+    /** Milliseconds of media per recorded chunk (default 1000) */
+    timeslice?: number;
+}
+
+/** Why a recording stopped; 'ended' when the recorded tracks ended by themselves */
+export type ZLMRecordingStopReason = 'manual' | 'max-bytes' | 'max-duration' | 'stopped' | 'error' | 'ended';
+
+export interface ZLMRecordingResult {
+    blob: Blob;
+    mimeType: string;
+    /** Bytes */
+    size: number;
+    /** Milliseconds */
+    duration: number;
+    reason: ZLMRecordingStopReason;
+}
+
+/** Payload of the 'recording' event: active with the format when it starts, the result when it ends */
+export interface ZLMRecordingInfo extends Partial<ZLMRecordingResult> {
+    active: boolean;
+    mimeType: string;
+}
+
+export class ZLMMediaCapture {
+    /** Recording formats in order of preference */
+    static MIME_TYPES: string[];
+    
+    constructor(stream: MediaStream, options?: ZLMRecordingOptions);
+    
+    stream: MediaStream;
+    mimeType: string;
+    maxBytes: number;
+    maxDuration: number;
+    timeslice: number;
+    recording: boolean;
+    /** Bytes recorded so far */
+    size: number;
+    startedAt: number | null;
+    result: ZLMRecordingResult | null;
+    
+    start(): void;
+    stop(reason?: string): Promise<ZLMRecordingResult>;
+    
+    onStop: (result: ZLMRecordingResult) => void;
+    
+    /** The first of MIME_TYPES MediaRecorder supports, or '' */
+    static supportedMimeType(): string;
+    static snapshot(videoElement: HTMLVideoElement, type?: string): Promise<Blob>;
+    /** e.g. 'camera1_webrtc_2024-05-01T12-30-00-000Z.png' */
+    static fileName(info: { stream?: string; protocol?: string; mimeType: string; date?: Date }): string;
+}
+
+// ---------------------------------------------------------------------------
+// Logging
+// ---------------------------------------------------------------------------
+
+export interface ZLMLoggerOptions {
+    /** Entries kept; the oldest are dropped beyond that (default 1000) */
+    capacity?: number;
+    /** Lowest level kept (default 'debug') */
+    level?: ZLMLogLevel;
+    /** Lowest level also written to the console (default 'info') */
+    consoleLevel?: ZLMLogLevel | 'off';
+}
+
+export interface ZLMLogEntry {
+    seq: number;
+    /** Milliseconds since the epoch; an ISO string in the NDJSON export */
+    time: number;
+    level: ZLMLogLevel;
+    type: ZLMLogType;
+    message: string;
+    /** Component that wrote the entry, e.g. 'ZLM Stream Player' */
+    source?: string;
+    /** Player id; '<id>/<protocol>' for the players of a ZLMAutoPlayer */
+    player?: string;
+    protocol?: string | null;
+    state?: ZLMPlayerState;
+    /** Structured data, e.g. the arguments of an mpegts.js event */
+    data?: unknown;
+    [field: string]: unknown;
+}
+
+export interface ZLMLogFilter {
+    /** Lowest level to match */
+    level?: ZLMLogLevel;
+    /** Text to find in the message, source and protocol (case-insensitive) */
+    search?: string;
+    /** Player id, also matching the players it created */
+    player?: string;
+    [field: string]: unknown;
+}
+
+export interface ZLMLogView {
+    container: HTMLElement;
+    filter: ZLMLogFilter;
+    maxEntries: number;
+    setFilter(filter: ZLMLogFilter): void;
+    detach(): void;
+}
+
+export class ZLMLogger {
+    static LEVELS: Record<ZLMLogLevel, number>;
+    /** The logger of players created without one */
+    static shared: ZLMLogger;
+    
+    constructor(options?: ZLMLoggerOptions);
+    
+    capacity: number;
+    level: ZLMLogLevel;
+    consoleLevel: ZLMLogLevel | 'off';
+    /** Entries dropped from the ring buffer */
+    dropped: number;
+    /** The kept entries, oldest first */
+    readonly entries: ZLMLogEntry[];
+    
+    log(type: ZLMLogType, message: string, fields?: Record<string, unknown>): ZLMLogEntry | null;
+    debug(message: string, fields?: Record<string, unknown>): ZLMLogEntry | null;
+    info(message: string, fields?: Record<string, unknown>): ZLMLogEntry | null;
+    warn(message: string, fields?: Record<string, unknown>): ZLMLogEntry | null;
+    error(message: string, fields?: Record<string, unknown>): ZLMLogEntry | null;
+    query(filter?: ZLMLogFilter): ZLMLogEntry[];
+    toNDJSON(filter?: ZLMLogFilter): string;
+    clear(): void;
+    /** Returns a function that removes the listener */
+    subscribe(listener: (entry: ZLMLogEntry) => void): () => void;
+    /** Show the matching entries in a container; replaces a previous view of the container */
+    attach(container: HTMLElement, options?: { filter?: ZLMLogFilter; maxEntries?: number }): ZLMLogView;
+    
+    static levelOf(type: ZLMLogType): ZLMLogLevel;
+    static matches(entry: ZLMLogEntry, filter: ZLMLogFilter): boolean;
+}
+
+// ---------------------------------------------------------------------------
+// Metadata overlays
+// ---------------------------------------------------------------------------
+
+/** Decoded metadata: JSON, text, or the bytes when neither */
+export type ZLMMetadataPayload = any;
+
+export interface ZLMMetadataInfo {
+    source: 'sei' | 'datachannel';
+    /** What frameTimestamp is measured on: the media time of the video element, or RTP timestamp / 90000 */
+    clock: 'media' | 'rtp' | null;
+    /** SEI UUID (hex) */
+    uuid?: string;
+    /** DataChannel label */
+    label?: string;
+    /** Protocol of the active player, for the events of a ZLMAutoPlayer */
+    protocol?: ZLMProtocol;
+}
+
+/** Incrementally parses an MPEG-TS byte stream and extracts the SEI of its video; the ZLMFlvParser counterpart */
+export class ZLMTsParser {
+    /** Video codecs by PMT stream type */
+    static STREAM_TYPES: Record<number, 'h264' | 'h265'>;
+    /** Audio codecs by PMT stream type */
+    static AUDIO_STREAM_TYPES: Record<number, string>;
+    
+    constructor();
+    
+    firstTimestamp: number | null;
+    /** PTS of the newest audio and video PES packet, in ms */
+    lastTimestamps: ZLMMediaTimestamps;
+    videoCodec: 'h264' | 'h265' | null;
+    audioCodec: string | null;
+    
+    push(chunk: ArrayBuffer | Uint8Array): void;
+    reset(): void;
+    
+    onSei: (sei: ZLMSeiMessage) => void;
+}
+
+/** A box in the picture: normalized (all values up to 1) or in video pixels */
+export interface ZLMMetadataBox {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+    label?: string;
+    /** 0 to 1, shown as a percentage */
+    score?: number;
+    color?: string;
+}
+
+/** Where the picture is on the overlay canvas (letterboxed like object-fit: contain) */
+export interface ZLMVideoRect {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+    videoWidth: number;
+    videoHeight: number;
+}
+
+export interface ZLMMetadataOverlayOptions {
+    videoElement: HTMLVideoElement;
+    /** Canvas to draw on; by default one is created over the video, in its (positioned) parent */
+    canvas?: HTMLCanvasElement;
+    /** Player whose 'metadata' events to show */
+    player?: ZLMPlayerBase<any, any>;
+    /** Seconds an item stays drawn without a newer one (default 0.5) */
+    holdTime?: number;
+    /** Items waiting for their frame at most (default 300) */
+    maxItems?: number;
+    /** Draws a payload (default ZLMMetadataOverlay.drawBoxes) */
+    draw?: (context: CanvasRenderingContext2D, payload: ZLMMetadataPayload, rect: ZLMVideoRect) => void;
+}
+
+export interface ZLMMetadataItem {
+    timestamp: number | null;
+    clock: 'media' | 'rtp' | null;
+    payload: ZLMMetadataPayload;
+    /** Date.now() when pushed */
+    receivedAt: number;
+}
+
+/** Draws the metadata of a player over its video, in sync with the displayed frame */
+export class ZLMMetadataOverlay {
+    /** Colour of boxes without their own */
+    static BOX_COLOR: string;
+    
+    constructor(options: ZLMMetadataOverlayOptions);
+    
+    videoElement: HTMLVideoElement;
+    canvas: HTMLCanvasElement;
+    holdTime: number;
+    maxItems: number;
+    player: ZLMPlayerBase<any, any> | null;
+    running: boolean;
+    /** The item drawn, null when none */
+    shown: ZLMMetadataItem | null;
+    
+    /** Show the 'metadata' events of a player and start drawing */
+    attach(player: ZLMPlayerBase<any, any>): void;
+    detach(): void;
+    push(frameTimestamp: number | null, payload: ZLMMetadataPayload, info?: Partial<ZLMMetadataInfo>): void;
+    /** Redraw on every displayed frame */
+    start(): void;
+    stop(): void;
+    clear(): void;
+    /** Stop, detach and remove the canvas this overlay created */
+    destroy(): void;
+    /** Draw the item of the displayed frame (requestVideoFrameCallback metadata, else currentTime) */
+    render(frame?: { mediaTime?: number; rtpTimestamp?: number } | null): ZLMMetadataItem | null;
+    
+    /** Draw labelled boxes: a payload { boxes } or an array of boxes */
+    static drawBoxes(context: CanvasRenderingContext2D, payload: ZLMMetadataPayload, rect: ZLMVideoRect): void;
+}
+
+// ---------------------------------------------------------------------------
+// Audio
+// ---------------------------------------------------------------------------
+
+/** Timestamps of the newest frame of each track, in ms; null before one is seen */
+export interface ZLMMediaTimestamps {
+    audio: number | null;
+    video: number | null;
+}
+
+/** Offset between audio and video */
+export interface ZLMAvSync {
+    /** Milliseconds the audio is behind the video; negative when it is ahead */
+    offset: number;
+    /** Change of the offset since the first measurement of the stream, in ms */
+    drift: number;
+    /** 'playout' (WebRTC estimatedPlayoutTimestamp) or 'timestamps' (stream timestamps) */
+    source: 'playout' | 'timestamps';
+}
+
+export interface ZLMAudioLevel {
+    rms: number;
+    peak: number;
+    /** RMS level in dBFS, ZLMAudioMeter.MIN_DB at the lowest */
+    db: number;
+    peakDb: number;
+    clipping: boolean;
+    /** Below the silence threshold */
+    silent: boolean;
+    /** Milliseconds since the level was last above the silence threshold */
+    silentFor: number;
+}
+
+export interface ZLMAudioMeterSource {
+    /** Element whose audio to measure; routed through Web Audio, it keeps playing */
+    mediaElement?: HTMLMediaElement | null;
+    /** Or a stream whose audio track to measure */
+    stream?: MediaStream | null;
+}
+
+export interface ZLMAudioMeterOptions extends ZLMAudioMeterSource {
+    /** Default ZLMAudioMeter.context() */
+    audioContext?: AudioContext;
+    /** Milliseconds between measurements (default 100) */
+    interval?: number;
+    /** Level in dBFS below which the audio counts as silent (default -60) */
+    silenceThreshold?: number;
+    /** Samples per measurement (default 2048) */
+    fftSize?: number;
+}
+
+export class ZLMAudioMeter {
+    /** Lowest level reported, in dBFS */
+    static MIN_DB: number;
+    /** Sample peak from which the audio counts as clipping */
+    static CLIP_LEVEL: number;
+    
+    constructor(options?: ZLMAudioMeterOptions);
+    
+    audioContext: AudioContext | null;
+    interval: number;
+    silenceThreshold: number;
+    fftSize: number;
+    running: boolean;
+    /** The last level reported */
+    level: ZLMAudioLevel | null;
+    mediaElement: HTMLMediaElement | null;
+    stream: MediaStream | null;
+    /** Why nothing is measured: the context is not running, the element has no source yet,
+     *  it plays cross-origin media without CORS or captureStream(), or the stream has no audio */
+    blocked: 'suspended' | 'no-source' | 'cross-origin' | 'no-audio' | null;
+    
+    /** Measure another element or stream */
+    setSource(source: ZLMAudioMeterSource): void;
+    start(): void;
+    stop(): void;
+    /** The current level, null when not running or without audio to measure */
+    measure(): ZLMAudioLevel | null;
+    
+    onLevel: (level: ZLMAudioLevel) => void;
+    
+    /** The AudioContext shared by all meters */
+    static context(): AudioContext;
+    /** The level of a block of samples between -1 and 1 */
+    static levelOf(samples: Float32Array | number[]): Omit<ZLMAudioLevel, 'silent' | 'silentFor'>;
+}
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * ZLMediaKit Player Components - CommonJS entry point
+ * Pages using script tags include the individual files instead.
+ */
+const ZLMStreamPlayer = require('./zlm-flv-player.js');
+
+module.exports = {
+    ZLMPlayerBase: require('./zlm-player-base.js'),
+    ZLMWebRTCPlayer: require('./zlm-webrtc-player.js'),
+    ZLMWebRTCPublisher: require('./zlm-webrtc-publisher.js'),
+    ZLMStreamPlayer: ZLMStreamPlayer,
+    // Old name of ZLMStreamPlayer, kept for backward compatibility
+    ZLMFLVPlayer: ZLMStreamPlayer,
+    ZLMHLSPlayer: require('./zlm-hls-player.js'),
+    ZLMLatencyMeter: require('./zlm-latency-meter.js'),
+    ZLMFlvParser: require('./zlm-flv-parser.js'),
+    ZLMTsParser: require('./zlm-ts-parser.js'),
+    createZLMTapLoader: require('./zlm-tap-loader.js'),
+    ZLMCodecProbe: require('./zlm-codec-probe.js'),
+    ZLMCodecError: require('./zlm-codec-error.js'),
+    ZLMMediaCapture: require('./zlm-media-capture.js'),
+    ZLMLogger: require('./zlm-logger.js'),
+    ZLMMetadataOverlay: require('./zlm-metadata-overlay.js'),
+    ZLMAudioMeter: require('./zlm-audio-meter.js'),
+    ZLMUrlBuilder: require('./zlm-url-builder.js'),
+    ZLMMediaList: require('./zlm-media-list.js'),
+    ZLMSessionRecorder: require('./zlm-session-recorder.js'),
+    ZLMStatsChart: require('./zlm-stats-chart.js'),
+    ZLMQoEMonitor: require('./zlm-qoe-monitor.js'),
+    ZLMNetworkSimulator: require('./zlm-network-simulator.js'),
+    ZLMTimecode: require('./zlm-timecode.js'),
+    ZLMFrameComparator: require('./zlm-frame-comparator.js'),
+    ZLMStreamWall: require('./zlm-stream-wall.js'),
+    ZLMAutoPlayer: require('./zlm-auto-player.js')
+};
\ No newline at end of file
@@ -0,0 +1,40 @@
+/**
+ * ZLMediaKit Player Components - ES module entry point
+ * mpegts.js and hls.js are not read from globals when passed in:
+ *
+ *   import mpegts from 'mpegts.js';
+ *   import { ZLMStreamPlayer } from 'zlm-player';
+ *   const player = new ZLMStreamPlayer({ videoElement, mpegts });
+ */
+import components from './index.js';
+
+export const {
+    ZLMPlayerBase,
+    ZLMWebRTCPlayer,
+    ZLMWebRTCPublisher,
+    ZLMStreamPlayer,
+    ZLMFLVPlayer,
+    ZLMHLSPlayer,
+    ZLMLatencyMeter,
+    ZLMFlvParser,
+    ZLMTsParser,
+    createZLMTapLoader,
+    ZLMCodecProbe,
+    ZLMCodecError,
+    ZLMMediaCapture,
+    ZLMLogger,
+    ZLMMetadataOverlay,
+    ZLMAudioMeter,
+    ZLMUrlBuilder,
+    ZLMMediaList,
+    ZLMSessionRecorder,
+    ZLMStatsChart,
+    ZLMQoEMonitor,
+    ZLMNetworkSimulator,
+    ZLMTimecode,
+    ZLMFrameComparator,
+    ZLMStreamWall,
+    ZLMAutoPlayer
+} = components;
+
+export default components;
\ No newline at end of file
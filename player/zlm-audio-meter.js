@@ -0,0 +1,328 @@
+/**
+ * ZLMediaKit Audio Meter
+ * Measures the level of the audio a player plays with a Web Audio
+ * AnalyserNode: RMS and peak in dBFS, clipping and how long the audio has
+ * been silent. Measures a media element (routed through Web Audio, it keeps
+ * playing through the speakers) or a MediaStream (WebRTC, whose remote audio
+ * a media element source cannot read in every browser). All meters share one
+ * AudioContext, which browsers only start after a user gesture.
+ * Metering never mutes playback: an element is only routed through a running
+ * context, and one playing cross-origin media without CORS is measured from
+ * its captureStream(), or not at all (see `blocked`).
+ */
+class ZLMAudioMeter {
+    /**
+     * Create a meter; call start() to begin measuring
+     * @param {Object} [options] - Meter options
+     * @param {HTMLMediaElement} [options.mediaElement] - Element whose audio to measure
+     * @param {MediaStream} [options.stream] - Or a stream whose audio track to measure
+     * @param {AudioContext} [options.audioContext] - Context to use, ZLMAudioMeter.context() by default
+     * @param {number} [options.interval=100] - Milliseconds between measurements
+     * @param {number} [options.silenceThreshold=-60] - Level in dBFS below which the audio counts as silent
+     * @param {number} [options.fftSize=2048] - Samples per measurement
+     */
+    constructor(options = {}) {
+        this.audioContext = options.audioContext || null;
+        this.interval = options.interval || 100;
+        this.silenceThreshold = options.silenceThreshold !== undefined ? options.silenceThreshold : -60;
+        this.fftSize = options.fftSize || 2048;
+        
+        // Internal state
+        this.running = false;
+        this.level = null;
+        this.mediaElement = null;
+        this.stream = null;
+        // Why nothing is measured: 'suspended', 'no-source', 'cross-origin' or 'no-audio'
+        this.blocked = null;
+        this._analyser = null;
+        this._source = null;
+        this._samples = null;
+        this._timer = null;
+        this._soundAt = null;
+        this._retry = null;
+        
+        // Set up event callbacks (can be overridden by users)
+        this.onLevel = (level) => {};
+        
+        this.setSource(options);
+    }
+    
+    /**
+     * Measure another element or stream, e.g. when the player switches protocols
+     * @param {Object} source - { mediaElement } or { stream }
+     */
+    setSource(source) {
+        this._disconnect();
+        this.mediaElement = source.mediaElement || null;
+        this.stream = source.stream || null;
+        if (this.running) {
+            this._connect();
+        }
+    }
+    
+    /**
+     * Start measuring every interval
+     */
+    start() {
+        if (this.running) return;
+        
+        if (!this.audioContext) {
+            this.audioContext = ZLMAudioMeter.context();
+        }
+        if (this.audioContext.state === 'suspended') {
+            // Without a user gesture it stays suspended and the levels are silent
+            Promise.resolve(this.audioContext.resume()).catch(() => {});
+        }
+        
+        this._analyser = this.audioContext.createAnalyser();
+        this._analyser.fftSize = this.fftSize;
+        this._samples = new Float32Array(this._analyser.fftSize);
+        this._soundAt = Date.now();
+        this.running = true;
+        this._connect();
+        this._timer = setInterval(() => this._update(), this.interval);
+    }
+    
+    /**
+     * Stop measuring; a media element keeps playing through Web Audio
+     */
+    stop() {
+        if (!this.running) return;
+        
+        clearInterval(this._timer);
+        this._timer = null;
+        this._disconnect();
+        this._analyser = null;
+        this.running = false;
+        this.level = null;
+    }
+    
+    /**
+     * Measure the current level
+     * @returns {Object|null} - { rms, peak, db, peakDb, clipping, silent, silentFor }, or null
+     *     when not running or there is no audio to measure
+     */
+    measure() {
+        if (!this.running || !this._source) return null;
+        
+        this._analyser.getFloatTimeDomainData(this._samples);
+        const level = ZLMAudioMeter.levelOf(this._samples);
+        const now = Date.now();
+        level.silent = level.db <= this.silenceThreshold;
+        if (!level.silent) {
+            this._soundAt = now;
+        }
+        level.silentFor = now - this._soundAt;
+        return level;
+    }
+    
+    /**
+     * Measure and report the level
+     * @private
+     */
+    _update() {
+        const level = this.measure();
+        if (!level) return;
+        
+        this.level = level;
+        try {
+            this.onLevel(level);
+        } catch (e) {
+            console.error('ZLM Audio Meter: onLevel failed:', e);
+        }
+    }
+    
+    /**
+     * Connect the source to the analyser, or wait until it can be measured
+     * @private
+     */
+    _connect() {
+        let stream = this.stream;
+        
+        if (this.mediaElement) {
+            const element = this.mediaElement;
+            if (this.audioContext.state !== 'running') {
+                // Routed through a suspended context the element would fall silent
+                this._block('suspended', this.audioContext, 'statechange');
+                return;
+            }
+            if (!element.currentSrc && !element.src && !element.srcObject) {
+                // Whether the element can be read depends on what it loads
+                this._block('no-source', element, 'loadstart');
+                return;
+            }
+            
+            if (!ZLMAudioMeter._isCrossOrigin(element)) {
+                this._source = ZLMAudioMeter._elementSource(this.audioContext, element);
+            } else {
+                // Web Audio would play cross-origin media without CORS as silence; a capture leaves the element alone
+                const capture = element.captureStream || element.mozCaptureStream;
+                if (typeof capture !== 'function') {
+                    this._block('cross-origin');
+                    return;
+                }
+                stream = capture.call(element);
+            }
+        }
+        
+        if (!this._source && stream) {
+            if (!stream.getAudioTracks().length) {
+                this._block('no-audio', stream, 'addtrack');
+                return;
+            }
+            this._source = this.audioContext.createMediaStreamSource(stream);
+        }
+        if (this._source) {
+            this._source.connect(this._analyser);
+            this._soundAt = Date.now();
+        }
+    }
+    
+    /**
+     * Record why nothing is measured, and try again on an event of the target
+     * @param {string} reason - The value of `blocked`
+     * @param {EventTarget} [target] - Object whose event may lift the block
+     * @param {string} [event] - The event
+     * @private
+     */
+    _block(reason, target, event) {
+        this.blocked = reason;
+        if (!target || typeof target.addEventListener !== 'function') return;
+        
+        const retry = () => {
+            this._unblock();
+            if (this.running && !this._source) {
+                this._connect();
+            }
+        };
+        target.addEventListener(event, retry);
+        this._retry = { target, event, retry };
+    }
+    
+    /**
+     * Stop waiting for the event of a block
+     * @private
+     */
+    _unblock() {
+        if (this._retry) {
+            this._retry.target.removeEventListener(this._retry.event, this._retry.retry);
+            this._retry = null;
+        }
+        this.blocked = null;
+    }
+    
+    /**
+     * Disconnect the source from the analyser
+     * @private
+     */
+    _disconnect() {
+        this._unblock();
+        if (this._source && this._analyser) {
+            this._source.disconnect(this._analyser);
+        }
+        this._source = null;
+    }
+    
+    /**
+     * The AudioContext shared by all meters, created on first use
+     * @returns {AudioContext}
+     */
+    static context() {
+        if (!ZLMAudioMeter._context) {
+            const AudioContextClass = typeof AudioContext !== 'undefined' ? AudioContext
+                : (typeof webkitAudioContext !== 'undefined' ? webkitAudioContext : null);
+            if (!AudioContextClass) {
+                throw new Error('Web Audio is not supported by this browser');
+            }
+            ZLMAudioMeter._context = new AudioContextClass();
+        }
+        return ZLMAudioMeter._context;
+    }
+    
+    /**
+     * The Web Audio source of a media element, created once per element
+     * An element can only be routed through Web Audio once, so the source is kept
+     * and also connected to the speakers, which then play the element's audio.
+     * @param {AudioContext} context - The context
+     * @param {HTMLMediaElement} element - The element
+     * @returns {MediaElementAudioSourceNode}
+     * @private
+     */
+    static _elementSource(context, element) {
+        const known = ZLMAudioMeter._elementSources.get(element);
+        if (known) {
+            if (known.context !== context) {
+                throw new Error('The media element is already measured with another AudioContext');
+            }
+            return known.source;
+        }
+        
+        const source = context.createMediaElementSource(element);
+        source.connect(context.destination);
+        ZLMAudioMeter._elementSources.set(element, { context, source });
+        return source;
+    }
+    
+    /**
+     * Whether Web Audio cannot read the media of an element: an HTTP(S) URL of
+     * another origin, loaded without CORS
+     * @param {HTMLMediaElement} element - The element
+     * @returns {boolean}
+     * @private
+     */
+    static _isCrossOrigin(element) {
+        const page = typeof window !== 'undefined' && window.location ? window.location : null;
+        const src = element.currentSrc || element.src;
+        if (!page || !src || element.srcObject || element.crossOrigin) return false;
+        
+        try {
+            const url = new URL(src, page.href);
+            return /^https?:$/.test(url.protocol) && url.origin !== page.origin;
+        } catch (e) {
+            return false;
+        }
+    }
+    
+    /**
+     * The level of a block of samples
+     * @param {Float32Array|number[]} samples - Samples between -1 and 1
+     * @returns {Object} - { rms, peak, db, peakDb, clipping }, db and peakDb in dBFS (ZLMAudioMeter.MIN_DB at the lowest)
+     */
+    static levelOf(samples) {
+        let sum = 0;
+        let peak = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        const rms = samples.length ? Math.sqrt(sum / samples.length) : 0;
+        const toDb = (value) => value > 0 ? Math.max(ZLMAudioMeter.MIN_DB, 20 * Math.log10(value)) : ZLMAudioMeter.MIN_DB;
+        
+        return {
+            rms,
+            peak,
+            db: toDb(rms),
+            peakDb: toDb(peak),
+            clipping: peak >= ZLMAudioMeter.CLIP_LEVEL
+        };
+    }
+}
+
+// Lowest level reported, in dBFS (digital silence)
+ZLMAudioMeter.MIN_DB = -100;
+
+// Sample peak from which the audio counts as clipping
+ZLMAudioMeter.CLIP_LEVEL = 0.99;
+
+// AudioContext shared by all meters
+ZLMAudioMeter._context = null;
+
+// Web Audio source of each media element measured
+ZLMAudioMeter._elementSources = new WeakMap();
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMAudioMeter;
+} else {
+    window.ZLMAudioMeter = ZLMAudioMeter;
+}
\ No newline at end of file
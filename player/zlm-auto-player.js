@@ -0,0 +1,660 @@
+/**
+ * ZLMediaKit Auto Player
+ * One player that picks the best working protocol: it starts with the first
+ * of a preference list (WebRTC by default) and falls back to the next one
+ * (HTTP-FLV, then HLS) when a protocol does not start, its connection is lost
+ * for too long or its QoE score drops below a threshold. While on a fallback
+ * it probes the preferred protocols again and switches back once one holds.
+ * New protocols start on a second, hidden video element and are swapped in
+ * when they play, so a switch does not interrupt the picture.
+ * Requires zlm-player-base.js, zlm-qoe-monitor.js and the players of the protocols used
+ */
+class ZLMAutoPlayer extends (typeof ZLMPlayerBase !== 'undefined' ? ZLMPlayerBase
+    : typeof require === 'function' ? require('./zlm-player-base.js')
+    : (() => { throw new Error('zlm-player-base.js is required. Please include it before zlm-auto-player.js.'); })()) {
+    /**
+     * Create a new auto player
+     * @param {Object} options - Configuration options
+     * @param {HTMLVideoElement} options.videoElement - The video element to play the stream in
+     * @param {HTMLVideoElement} [options.standbyElement] - Hidden element new protocols start in; by default
+     *     a copy of videoElement inserted after it
+     * @param {HTMLElement} [options.logContainer] - Optional container for logs
+     * @param {ZLMLogger} [options.logger] - Logger for the entries of this player; ZLMLogger.shared by default
+     * @param {string} [options.logId] - Player id in the log entries; generated by default
+     * @param {HTMLElement} [options.statsContainer] - Optional container for the statistics of the active protocol
+     * @param {string[]} [options.protocols=['webrtc', 'http-flv', 'hls']] - ZLMUrlBuilder protocols in order of preference
+     * @param {Object} [options.playerOptions] - Options of the player of each protocol, e.g. { webrtc: { iceServers } }
+     * @param {Object} [options.policy] - Switching policy, merged over ZLMAutoPlayer.POLICY_DEFAULTS
+     * @param {Function} [options.createPlayer] - (protocol, options) => player, overriding ZLMAutoPlayer.createPlayer
+     */
+    constructor(options) {
+        super();
+        
+        // Required options
+        if (!options.videoElement) {
+            throw new Error('Video element is required');
+        }
+        
+        const QoEMonitor = typeof ZLMQoEMonitor !== 'undefined' ? ZLMQoEMonitor
+            : (typeof require === 'function' ? require('./zlm-qoe-monitor.js') : null);
+        if (!QoEMonitor) {
+            throw new Error('zlm-qoe-monitor.js is required. Please include it in your page.');
+        }
+        this._QoEMonitor = QoEMonitor;
+        
+        // Store options
+        this.videoElement = options.videoElement;
+        this.standbyElement = options.standbyElement || null;
+        this.logContainer = options.logContainer || null;
+        this._setupLogging(options, 'ZLM Auto Player');
+        this.statsContainer = options.statsContainer || null;
+        this.protocols = options.protocols || ['webrtc', 'http-flv', 'hls'];
+        this.playerOptions = options.playerOptions || {};
+        this.policy = { ...ZLMAutoPlayer.POLICY_DEFAULTS, ...(options.policy || {}) };
+        this.createPlayer = options.createPlayer || ZLMAutoPlayer.createPlayer;
+        
+        if (this.protocols.length === 0) {
+            throw new Error('At least one protocol is required');
+        }
+        
+        // The standby element takes the place of the video element when a new protocol plays
+        if (!this.standbyElement) {
+            this.standbyElement = this.videoElement.cloneNode(false);
+            this.standbyElement.removeAttribute('id');
+            if (this.videoElement.parentNode) {
+                this.videoElement.parentNode.insertBefore(this.standbyElement, this.videoElement.nextSibling);
+            }
+        }
+        this._display = this.videoElement.style.display || '';
+        this.standbyElement.style.display = 'none';
+        
+        // Internal state
+        this.player = null;
+        this.protocol = null;
+        this.score = null;
+        this.source = null;
+        this._session = 0;
+        this._candidate = null;
+        this._fallingBack = null;
+        this._failTimer = null;
+        this._probeTimer = null;
+        this._probeDelay = this.policy.upgradeInterval;
+        this._upgradedAt = null;
+        this._forwarders = null;
+        this._qoe = null;
+        this._samples = [];
+        this._pendingPlay = null;
+        
+        // Bind methods to this
+        this.play = this.play.bind(this);
+        this.stop = this.stop.bind(this);
+        
+        // Set up event callbacks (can be overridden by users)
+        this.onConnected = () => {};
+        this.onDisconnected = () => {};
+        this.onReconnecting = (attempt, strategy) => {};
+        this.onReconnected = () => {};
+        this.onError = (error) => { console.error('ZLM Auto Player error:', error); };
+        this.onStats = (stats) => {};
+        this.onLog = (message, type) => {};
+        this.onStateChange = (state, previous) => {};
+        this.onSwitch = (info) => {};
+        this.onProbe = (info) => {};
+        this.onRecording = (info) => {};
+        this.onMetadata = (frameTimestamp, payload, info) => {};
+        this.onAudioLevel = (level) => {};
+    }
+    
+    /**
+     * Start playing a stream with the first protocol that works
+     * @param {ZLMUrlBuilder|Object} source - A URL builder, or the URL of each protocol ({ webrtc: url, 'http-flv': url, ... })
+     * @returns {Promise} - Resolves with true when a protocol plays (false if stopped first), rejects when none does
+     */
+    async play(source) {
+        if (!source) {
+            throw new Error('Stream URL is required');
+        }
+        
+        this._teardown();
+        this.source = source;
+        this._probeDelay = this.policy.upgradeInterval;
+        this._upgradedAt = null;
+        this._setState('connecting');
+        
+        const protocols = this.protocols.filter(protocol => this._url(protocol));
+        if (protocols.length === 0) {
+            const error = new Error(`No URL for any of the protocols ${this.protocols.join(', ')}`);
+            this._emit('error', error);
+            this.stop();
+            throw error;
+        }
+        
+        const session = this._session;
+        const started = new Promise((resolve, reject) => {
+            this._pendingPlay = { resolve, reject };
+        });
+        
+        this._switch(protocols, 'start', 0).then(switched => {
+            if (session !== this._session || switched) return;
+            this._fail(new Error(`None of the protocols played: ${protocols.join(', ')}`));
+        });
+        
+        return started;
+    }
+    
+    /**
+     * Switch to a protocol now, keeping the current one until the new one plays
+     * The policy still applies afterwards: a lower protocol is probed for an upgrade.
+     * @param {string} protocol - One of the configured protocols
+     * @returns {Promise<boolean>} - Whether the switch happened (false while a fallback is in progress)
+     */
+    async switchTo(protocol) {
+        if (!this.player) {
+            throw new Error('Not playing');
+        }
+        if (!this._url(protocol)) {
+            throw new Error(`No URL for protocol ${protocol}`);
+        }
+        if (protocol === this.protocol) return true;
+        if (this._fallingBack) return false;
+        
+        if (this._candidate) this._candidate.cancel();
+        return this._switch([protocol], 'manual', 0);
+    }
+    
+    /**
+     * URL of a protocol from the play() source
+     * @param {string} protocol - A ZLMUrlBuilder protocol
+     * @returns {string|null}
+     * @private
+     */
+    _url(protocol) {
+        if (!this.source) return null;
+        if (typeof this.source.build === 'function') {
+            return this.source.build(protocol);
+        }
+        return this.source[protocol] || null;
+    }
+    
+    /**
+     * Try protocols in order on the standby element and promote the first that plays
+     * @param {string[]} protocols - Protocols to try
+     * @param {string} reason - Why the switch happens: start, failed, reconnect-timeout, qoe, upgrade or manual
+     * @param {number} holdTime - Milliseconds a protocol must keep playing before it is promoted
+     * @returns {Promise<boolean>} - Whether a protocol was promoted
+     * @private
+     */
+    async _switch(protocols, reason, holdTime) {
+        const session = this._session;
+        
+        for (const protocol of protocols) {
+            this._log(`Trying ${protocol} (${reason})...`);
+            const result = await this._attempt(protocol, holdTime);
+            if (session !== this._session) return false;
+            
+            if (reason === 'upgrade' && !result.cancelled) {
+                this._emit('probe', { protocol, success: !!result.player, error: result.error });
+            }
+            if (result.player) {
+                this._promote(result.player, protocol, reason);
+                return true;
+            }
+            if (result.cancelled) return false;
+            this._log(`${protocol} failed: ${result.error}`, 'error');
+        }
+        return false;
+    }
+    
+    /**
+     * Start a protocol on the standby element and wait until it plays
+     * @param {string} protocol - The protocol
+     * @param {number} holdTime - Milliseconds it must keep playing without stalling
+     * @returns {Promise<Object>} - { player } on success, { error } on failure, { cancelled: true } when cancelled
+     * @private
+     */
+    _attempt(protocol, holdTime) {
+        return new Promise(resolve => {
+            const element = this.standbyElement;
+            element.muted = true;
+            
+            let player;
+            try {
+                player = this.createPlayer(protocol, {
+                    // Shown in the log container of this player
+                    logger: this.logger,
+                    logId: `${this.logId}/${protocol}`,
+                    ...(this.playerOptions[protocol] || {}),
+                    videoElement: element
+                });
+            } catch (error) {
+                resolve({ error: error.message });
+                return;
+            }
+            
+            let connectTimer = null;
+            let holdTimer = null;
+            const candidate = { protocol, player };
+            const finish = (result) => {
+                if (this._candidate !== candidate) return;
+                this._candidate = null;
+                clearTimeout(connectTimer);
+                clearTimeout(holdTimer);
+                player.off('statechange', onState);
+                if (!result.player) player.stop();
+                resolve(result);
+            };
+            const onState = (state) => {
+                if (state === 'playing') {
+                    clearTimeout(connectTimer);
+                    if (!holdTime) {
+                        finish({ player });
+                    } else if (!holdTimer) {
+                        holdTimer = setTimeout(() => finish({ player }), holdTime);
+                    }
+                } else if (state === 'stopped') {
+                    finish({ error: 'stopped' });
+                } else if (holdTimer) {
+                    finish({ error: `${state} within ${holdTime} ms` });
+                }
+            };
+            candidate.cancel = () => finish({ cancelled: true });
+            this._candidate = candidate;
+            
+            player.on('statechange', onState);
+            connectTimer = setTimeout(() => finish({ error: `not playing after ${this.policy.connectTimeout} ms` }),
+                this.policy.connectTimeout);
+            player.play(this._url(protocol)).catch(error => finish({ error: error.message }));
+        });
+    }
+    
+    /**
+     * Make a candidate the active player: show its element and stop the previous player
+     * @param {ZLMPlayerBase} player - The candidate player, playing on the standby element
+     * @param {string} protocol - Its protocol
+     * @param {string} reason - Why it was started
+     * @private
+     */
+    _promote(player, protocol, reason) {
+        const previous = this.player;
+        const from = this.protocol;
+        
+        // Swap the elements, keeping the audio settings the viewer chose
+        const element = this.standbyElement;
+        element.muted = this.videoElement.muted;
+        element.volume = this.videoElement.volume;
+        element.style.display = this._display;
+        this.videoElement.style.display = 'none';
+        this.standbyElement = this.videoElement;
+        this.videoElement = element;
+        
+        if (previous) {
+            this._detach(previous);
+            previous.stop();
+        }
+        clearTimeout(this._failTimer);
+        this._failTimer = null;
+        
+        this.player = player;
+        this.protocol = protocol;
+        player.statsContainer = this.statsContainer;
+        this._attach(player);
+        this._watchQoE();
+        if (this.audioMeter) {
+            this.audioMeter.setSource(this._audioSource());
+        }
+        
+        // A protocol that degrades soon after an upgrade makes the next probe wait longer
+        if (reason === 'upgrade') {
+            this._upgradedAt = Date.now();
+        } else if (reason !== 'start' && reason !== 'manual') {
+            const flapping = this._upgradedAt !== null && Date.now() - this._upgradedAt < this.policy.upgradeInterval;
+            this._probeDelay = flapping ? Math.min(this._probeDelay * 2, this.policy.maxUpgradeInterval) : this.policy.upgradeInterval;
+        }
+        
+        this._log(`Playing with ${protocol}${from ? ` (was ${from}, ${reason})` : ''}`, 'success');
+        this._emit('switch', { from, to: protocol, reason });
+        
+        const wasState = this.state;
+        this._setState('playing');
+        if (wasState === 'connecting') {
+            this._emit('connected');
+        } else if (wasState === 'reconnecting') {
+            this._emit('reconnected');
+        }
+        if (this._pendingPlay) {
+            this._pendingPlay.resolve(true);
+            this._pendingPlay = null;
+        }
+        
+        this._scheduleProbe();
+    }
+    
+    /**
+     * Follow the state and forward the events of the active player
+     * @param {ZLMPlayerBase} player - The active player
+     * @private
+     */
+    _attach(player) {
+        const protocol = this.protocol;
+        this._forwarders = {
+            statechange: (state) => this._onPlayerState(state),
+            stats: (stats) => this._emit('stats', { ...stats, protocol }),
+            log: (message, type) => this._emit('log', `${protocol}: ${message}`, type),
+            reconnecting: (attempt, strategy) => this._emit('reconnecting', attempt, strategy),
+            reconnected: () => {
+                // A WebRTC player receives a new stream
+                if (this.audioMeter) this.audioMeter.setSource(this._audioSource());
+                this._emit('reconnected');
+            },
+            // Errors of the active player end in a fallback rather than an error of this player
+            error: (error) => this._log(`${protocol} error: ${error.message}`, 'error'),
+            catchup: (info) => this._emit('catchup', info),
+            livejump: (info) => this._emit('livejump', info),
+            metadata: (frameTimestamp, payload, info) => this._emit('metadata', frameTimestamp, payload, { ...info, protocol })
+        };
+        Object.keys(this._forwarders).forEach(event => player.on(event, this._forwarders[event]));
+    }
+    
+    /**
+     * Stop following a player
+     * @param {ZLMPlayerBase} player - The previously active player
+     * @private
+     */
+    _detach(player) {
+        if (!this._forwarders) return;
+        Object.keys(this._forwarders).forEach(event => player.off(event, this._forwarders[event]));
+        this._forwarders = null;
+    }
+    
+    /**
+     * Mirror the state of the active player and fall back when it is lost
+     * @param {string} state - The new state of the active player
+     * @private
+     */
+    _onPlayerState(state) {
+        if (state === 'playing' || state === 'stalled') {
+            clearTimeout(this._failTimer);
+            this._failTimer = null;
+            // Recovered by itself while the fallback was starting
+            if (this._fallingBack && this._fallingBack !== 'qoe' && this._candidate) {
+                this._candidate.cancel();
+            }
+            this._setState(state);
+        } else if (state === 'reconnecting') {
+            this._setState('reconnecting');
+            if (!this._failTimer) {
+                this._failTimer = setTimeout(() => {
+                    this._failTimer = null;
+                    this._fallback('reconnect-timeout');
+                }, this.policy.reconnectTimeout);
+            }
+        } else if (state === 'stopped') {
+            clearTimeout(this._failTimer);
+            this._failTimer = null;
+            this._fallback('failed');
+        }
+    }
+    
+    /**
+     * Move to another protocol because the active one failed or degraded
+     * After a failure every protocol is tried, the following ones first; a
+     * degraded protocol only gives way to the following ones.
+     * @param {string} reason - failed, reconnect-timeout or qoe
+     * @private
+     */
+    async _fallback(reason) {
+        if (this._fallingBack) return;
+        
+        const index = this.protocols.indexOf(this.protocol);
+        const failed = reason !== 'qoe';
+        const order = failed
+            ? [...this.protocols.slice(index + 1), ...this.protocols.slice(0, index + 1)]
+            : this.protocols.slice(index + 1);
+        if (order.length === 0) return;
+        
+        // Preempt a running upgrade probe
+        if (this._candidate) this._candidate.cancel();
+        clearTimeout(this._probeTimer);
+        this._probeTimer = null;
+        
+        const session = this._session;
+        this._fallingBack = reason;
+        this._log(`${this.protocol} ${reason === 'qoe' ? `degraded (QoE score ${this.score})` : reason}, falling back...`, 'error');
+        if (failed) {
+            this._setState('reconnecting');
+            this._emit('reconnecting', 1, 'fallback');
+        }
+        
+        const switched = await this._switch(order, reason, 0);
+        if (session !== this._session) return;
+        this._fallingBack = null;
+        if (switched) return;
+        
+        // Keep a degraded or recovered player rather than nothing
+        if (this.player && (this.player.state === 'playing' || this.player.state === 'stalled')) {
+            this._samples = [];
+            this._scheduleProbe();
+            return;
+        }
+        this._fail(new Error(`None of the protocols played: ${order.join(', ')}`));
+    }
+    
+    /**
+     * Schedule a probe of the preferred protocols while playing a fallback
+     * @private
+     */
+    _scheduleProbe() {
+        clearTimeout(this._probeTimer);
+        this._probeTimer = null;
+        
+        const index = this.protocols.indexOf(this.protocol);
+        if (index <= 0 || !this.policy.upgradeInterval) return;
+        
+        const session = this._session;
+        this._probeTimer = setTimeout(async () => {
+            this._probeTimer = null;
+            if (this._candidate || this._fallingBack) {
+                this._scheduleProbe();
+                return;
+            }
+            
+            const better = this.protocols.slice(0, this.protocols.indexOf(this.protocol));
+            const switched = await this._switch(better, 'upgrade', this.policy.probeDuration);
+            if (session !== this._session || switched || this._fallingBack) return;
+            
+            this._probeDelay = Math.min(this._probeDelay * 2, this.policy.maxUpgradeInterval);
+            this._scheduleProbe();
+        }, this._probeDelay);
+    }
+    
+    /**
+     * Measure the QoE of the active element and fall back when it degrades
+     * @private
+     */
+    _watchQoE() {
+        if (this._qoe) {
+            this._qoe.stop();
+            this._qoe.videoElement = this.videoElement;
+        } else {
+            this._qoe = new this._QoEMonitor({ videoElement: this.videoElement });
+        }
+        
+        this._samples = [];
+        this.score = null;
+        this._qoe.onUpdate = (metrics) => {
+            if (this._qoe.running) this._evaluate(metrics);
+        };
+        this._qoe.start();
+    }
+    
+    /**
+     * Score the last evaluation window and apply the policy
+     * @param {Object} metrics - Session metrics from ZLMQoEMonitor
+     * @private
+     */
+    _evaluate(metrics) {
+        if (metrics.startupTime === null) return;
+        
+        const window = this.policy.evaluationWindow;
+        this._samples.push(metrics);
+        while (this._samples.length > 1 && metrics.sessionDuration - this._samples[1].sessionDuration >= window) {
+            this._samples.shift();
+        }
+        if (metrics.sessionDuration - this._samples[0].sessionDuration < window) return;
+        
+        const windowMetrics = ZLMAutoPlayer.windowMetrics(this._samples[0], metrics);
+        this.score = this._QoEMonitor.score(windowMetrics);
+        
+        if (this._fallingBack || this.protocols.indexOf(this.protocol) === this.protocols.length - 1) return;
+        
+        const degraded = typeof this.policy.shouldFallback === 'function'
+            ? this.policy.shouldFallback({ protocol: this.protocol, score: this.score, metrics: windowMetrics })
+            : this.score < this.policy.minScore;
+        if (degraded) {
+            this._fallback('qoe');
+        }
+    }
+    
+    /**
+     * Give up: report the error and stop
+     * @param {Error} error - The reason
+     * @private
+     */
+    _fail(error) {
+        this._log(error.message, 'error');
+        this._emit('error', error);
+        const pending = this._pendingPlay;
+        this._pendingPlay = null;
+        this.stop();
+        if (pending) pending.reject(error);
+    }
+    
+    /**
+     * Measure what the active player plays; the meter follows it on every switch
+     * @returns {Object}
+     * @private
+     */
+    _audioSource() {
+        return this.player ? this.player._audioSource() : super._audioSource();
+    }
+    
+    /**
+     * Stop the active and candidate players and all timers
+     * @private
+     */
+    _teardown() {
+        super._teardown();
+        this._session++;
+        
+        if (this._candidate) this._candidate.cancel();
+        this._fallingBack = null;
+        clearTimeout(this._failTimer);
+        clearTimeout(this._probeTimer);
+        this._failTimer = null;
+        this._probeTimer = null;
+        
+        if (this._qoe) this._qoe.stop();
+        if (this.player) {
+            const player = this.player;
+            this._detach(player);
+            this.player = null;
+            player.stop();
+        }
+        this.protocol = null;
+        this.score = null;
+        
+        if (this._pendingPlay) {
+            this._pendingPlay.resolve(false);
+            this._pendingPlay = null;
+        }
+    }
+    
+    /**
+     * Metrics of the interval between two ZLMQoEMonitor samples of the same session
+     * The startup time is left out, so the score reflects only the interval.
+     * @param {Object} from - Earlier metrics
+     * @param {Object} to - Later metrics
+     * @returns {Object} - Metrics accepted by ZLMQoEMonitor.score
+     */
+    static windowMetrics(from, to) {
+        const duration = to.sessionDuration - from.sessionDuration;
+        const stalled = (to.rebufferDuration + to.freezeDuration) - (from.rebufferDuration + from.freezeDuration);
+        const dropped = to.droppedFrames - from.droppedFrames;
+        const total = to.totalFrames - from.totalFrames;
+        
+        return {
+            startupTime: 0,
+            rebufferCount: to.rebufferCount - from.rebufferCount,
+            rebufferDuration: to.rebufferDuration - from.rebufferDuration,
+            freezeCount: to.freezeCount - from.freezeCount,
+            freezeDuration: to.freezeDuration - from.freezeDuration,
+            droppedFrames: dropped,
+            totalFrames: total,
+            droppedRatio: total > 0 ? dropped / total : 0,
+            sessionDuration: duration,
+            stallRatio: duration > 0 ? Math.min(1, stalled / duration) : 0
+        };
+    }
+    
+    /**
+     * Create the player of a protocol
+     * @param {string} protocol - A ZLMUrlBuilder protocol
+     * @param {Object} options - Player options, including videoElement
+     * @returns {ZLMPlayerBase}
+     */
+    static createPlayer(protocol, options) {
+        if (protocol === 'webrtc' || protocol === 'whep') {
+            const WebRTCPlayer = typeof ZLMWebRTCPlayer !== 'undefined' ? ZLMWebRTCPlayer
+                : (typeof require === 'function' ? require('./zlm-webrtc-player.js') : null);
+            if (!WebRTCPlayer) {
+                throw new Error('zlm-webrtc-player.js is required. Please include it in your page.');
+            }
+            return new WebRTCPlayer({ ...options, signaling: protocol === 'whep' ? 'whep' : 'zlm' });
+        }
+        if (protocol === 'hls') {
+            const HLSPlayer = typeof ZLMHLSPlayer !== 'undefined' ? ZLMHLSPlayer
+                : (typeof require === 'function' ? require('./zlm-hls-player.js') : null);
+            if (!HLSPlayer) {
+                throw new Error('zlm-hls-player.js is required. Please include it in your page.');
+            }
+            return new HLSPlayer(options);
+        }
+        
+        const StreamPlayer = typeof ZLMStreamPlayer !== 'undefined' ? ZLMStreamPlayer
+            : (typeof require === 'function' ? require('./zlm-flv-player.js') : null);
+        if (!StreamPlayer) {
+            throw new Error('zlm-flv-player.js is required. Please include it in your page.');
+        }
+        return new StreamPlayer({
+            streamType: { 'http-ts': 'mpegts', 'ws-ts': 'mpegts', 'fmp4': 'mp4', 'ws-fmp4': 'mp4' }[protocol] || 'flv',
+            ...options
+        });
+    }
+}
+
+// Default switching policy
+ZLMAutoPlayer.POLICY_DEFAULTS = {
+    // Milliseconds a protocol may take to start playing
+    connectTimeout: 8000,
+    // Milliseconds the active player may spend reconnecting before the next protocol is tried
+    reconnectTimeout: 5000,
+    // Milliseconds of playback the QoE score is computed over
+    evaluationWindow: 10000,
+    // QoE score (0-100) of the window below which the next protocol is tried
+    minScore: 60,
+    // Optional ({ protocol, score, metrics }) => boolean replacing the minScore rule
+    shouldFallback: null,
+    // Milliseconds before a preferred protocol is probed again, 0 to stay on the fallback
+    upgradeInterval: 30000,
+    // Upper bound of the probe delay, which doubles after failed probes and flapping upgrades
+    maxUpgradeInterval: 300000,
+    // Milliseconds a probed protocol must play without stalling before it takes over
+    probeDuration: 3000
+};
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMAutoPlayer;
+} else {
+    window.ZLMAutoPlayer = ZLMAutoPlayer;
+}
\ No newline at end of file
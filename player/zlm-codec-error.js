@@ -0,0 +1,30 @@
+/**
+ * ZLMediaKit Codec Error
+ * Raised by the players when the browser cannot decode the codecs of a
+ * stream, e.g. H.265 through MediaSource on most desktop browsers.
+ */
+class ZLMCodecError extends Error {
+    /**
+     * Create a codec error
+     * @param {Object[]} tracks - The unplayable tracks ({ kind, codec, name, mime, type }, see ZLMCodecProbe.unsupportedTracks)
+     * @param {Object} [codecs] - The codecs of the stream (see ZLMCodecProbe), if known
+     * @param {string} [reason] - What reported the failure, e.g. an mpegts.js error detail
+     */
+    constructor(tracks, codecs = null, reason = null) {
+        const names = tracks.map(track => `${track.name} ${track.kind}${track.mime ? ` (${track.mime})` : ''}`);
+        const subject = names.length ? `the ${names.join(' and ')} of this stream` : 'this stream';
+        super(`This browser cannot play ${subject}${reason ? ` (${reason})` : ''}. ` +
+            'Try WebRTC or native HLS, or transcode the stream to H.264/AAC.');
+        
+        this.name = 'ZLMCodecError';
+        this.tracks = tracks;
+        this.codecs = codecs;
+    }
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMCodecError;
+} else {
+    window.ZLMCodecError = ZLMCodecError;
+}
\ No newline at end of file
@@ -0,0 +1,741 @@
+/**
+ * ZLMediaKit Codec Probe
+ * Reads the codecs of a live stream from its first bytes: the sequence headers
+ * of FLV (legacy and enhanced-RTMP tags), the PMT and first PES packets of
+ * MPEG-TS, or the moov box of fragmented MP4. Each track is described with its
+ * RFC 6381 codec string, so the browser can be asked whether it plays the
+ * stream (MediaSource.isTypeSupported, canPlayType) before a player attaches.
+ */
+class ZLMCodecProbe {
+    /**
+     * Create a probe; feed it with push() until `done`
+     */
+    constructor() {
+        this.reset();
+    }
+    
+    /**
+     * Forget everything read so far, for a new stream
+     */
+    reset() {
+        this.container = null;
+        this.video = null;
+        this.audio = null;
+        this.done = false;
+        this._buffer = new Uint8Array(0);
+        this._flvFlags = null;
+        this._flvTags = 0;
+        this._tsPackets = 0;
+        this._pmtPid = null;
+        this._tsTracks = null;
+    }
+    
+    /**
+     * The codecs read so far
+     * @returns {Object} - { container, video, audio }; a track is { codec, name, mime } or null
+     */
+    get result() {
+        return { container: this.container, video: this.video, audio: this.audio };
+    }
+    
+    /**
+     * Parse the next chunk of the stream
+     * @param {ArrayBuffer|Uint8Array} chunk - Stream data
+     * @returns {boolean} - Whether the probe is done; further chunks are ignored
+     */
+    push(chunk) {
+        if (this.done) return true;
+        
+        const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+        const merged = new Uint8Array(this._buffer.length + bytes.length);
+        merged.set(this._buffer, 0);
+        merged.set(bytes, this._buffer.length);
+        this._buffer = merged;
+        
+        if (!this.container) {
+            if (this._buffer.length < 8) return false;
+            this.container = ZLMCodecProbe.detectContainer(this._buffer);
+            if (!this.container) {
+                this.done = true;
+                return true;
+            }
+        }
+        
+        if (this.container === 'flv') {
+            this._parseFlv();
+        } else if (this.container === 'mpegts') {
+            this._parseTs();
+        } else {
+            this._parseMp4();
+        }
+        if (this.done) {
+            this._buffer = new Uint8Array(0);
+        }
+        return this.done;
+    }
+    
+    /**
+     * Read FLV tags until every track announced in the header has its sequence header
+     * @private
+     */
+    _parseFlv() {
+        const data = this._buffer;
+        let offset = 0;
+        
+        if (!this._flvFlags) {
+            if (data.length < 13) return;
+            offset = ZLMCodecProbe._uint32(data, 5) + 4;
+            if (data.length < offset) return;
+            this._flvFlags = { audio: (data[4] & 0x04) !== 0, video: (data[4] & 0x01) !== 0 };
+        }
+        
+        while (data.length - offset >= 11) {
+            const tagType = data[offset] & 0x1F;
+            const dataSize = (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3];
+            if (data.length - offset < 11 + dataSize + 4) break;
+            
+            const body = data.subarray(offset + 11, offset + 11 + dataSize);
+            if (tagType === 9 && !this.video && body.length) {
+                this.video = ZLMCodecProbe._flvVideoTrack(body);
+            } else if (tagType === 8 && !this.audio && body.length) {
+                this.audio = ZLMCodecProbe._flvAudioTrack(body);
+            }
+            offset += 11 + dataSize + 4;
+            this._flvTags++;
+            
+            // ZLMediaKit sends the sequence headers first; give up on a track that has none
+            if ((this.video || !this._flvFlags.video) && (this.audio || !this._flvFlags.audio) ||
+                this._flvTags >= ZLMCodecProbe.MAX_FLV_TAGS) {
+                this.done = true;
+                return;
+            }
+        }
+        
+        this._buffer = data.slice(offset);
+    }
+    
+    /**
+     * Read MPEG-TS packets: PAT, PMT, then the first PES of every elementary stream
+     * @private
+     */
+    _parseTs() {
+        const data = this._buffer;
+        let offset = 0;
+        
+        while (data.length - offset >= 188) {
+            if (data[offset] !== 0x47) {
+                offset++;
+                continue;
+            }
+            this._parseTsPacket(data.subarray(offset, offset + 188));
+            offset += 188;
+            
+            const tracks = this._tsTracks ? [...this._tsTracks.values()] : null;
+            if (tracks && tracks.every(track => !track.pending) || ++this._tsPackets >= ZLMCodecProbe.MAX_TS_PACKETS) {
+                (tracks || []).forEach(track => {
+                    this[track.kind] = { codec: track.codec, name: track.name, mime: track.mime };
+                });
+                this.done = true;
+                return;
+            }
+        }
+        
+        this._buffer = data.slice(offset);
+    }
+    
+    /**
+     * Parse one 188 byte transport packet
+     * @param {Uint8Array} packet - The packet
+     * @private
+     */
+    _parseTsPacket(packet) {
+        const payloadStart = (packet[1] & 0x40) !== 0;
+        const pid = ((packet[1] & 0x1F) << 8) | packet[2];
+        const adaptation = (packet[3] >> 4) & 0x03;
+        let offset = 4;
+        if (adaptation & 0x02) offset += 1 + packet[4];
+        if (!(adaptation & 0x01) || offset >= packet.length || !payloadStart) return;
+        const payload = packet.subarray(offset);
+        
+        if (pid === 0) {
+            // PAT: the PMT of the first program
+            const table = payload.subarray(1 + payload[0]);
+            const end = Math.min(table.length, 3 + (((table[1] & 0x0F) << 8) | table[2])) - 4;
+            for (let i = 8; i + 4 <= end; i += 4) {
+                if (((table[i] << 8) | table[i + 1]) !== 0) {
+                    this._pmtPid = ((table[i + 2] & 0x1F) << 8) | table[i + 3];
+                    break;
+                }
+            }
+        } else if (pid === this._pmtPid && !this._tsTracks) {
+            // PMT: one entry per elementary stream, the first video and audio stream are kept
+            const table = payload.subarray(1 + payload[0]);
+            const end = Math.min(table.length, 3 + (((table[1] & 0x0F) << 8) | table[2])) - 4;
+            const kinds = new Set();
+            this._tsTracks = new Map();
+            for (let i = 12 + (((table[10] & 0x0F) << 8) | table[11]); i + 5 <= end;) {
+                const infoLength = ((table[i + 3] & 0x0F) << 8) | table[i + 4];
+                const track = ZLMCodecProbe._tsTrack(table[i], table.subarray(i + 5, i + 5 + infoLength));
+                if (track && !kinds.has(track.kind)) {
+                    kinds.add(track.kind);
+                    this._tsTracks.set(((table[i + 1] & 0x1F) << 8) | table[i + 2], track);
+                }
+                i += 5 + infoLength;
+            }
+        } else if (this._tsTracks && this._tsTracks.has(pid)) {
+            // PES: the profile of H.264 (SPS) and AAC (ADTS header)
+            const track = this._tsTracks.get(pid);
+            if (!track.pending || payload.length < 9 || payload[0] !== 0 || payload[1] !== 0 || payload[2] !== 1) return;
+            const es = payload.subarray(9 + payload[8]);
+            if (track.codec === 'h264') {
+                const sps = ZLMCodecProbe._findNalUnit(es, 7);
+                if (sps && sps.length >= 4) track.mime = ZLMCodecProbe.avcCodec(sps);
+            } else if (track.codec === 'aac' && es.length >= 3 && es[0] === 0xFF && (es[1] & 0xF0) === 0xF0) {
+                track.mime = `mp4a.40.${(es[2] >> 6) + 1}`;
+            }
+            track.pending = false;
+        }
+    }
+    
+    /**
+     * Read top-level boxes up to the moov box of a fragmented MP4 stream
+     * @private
+     */
+    _parseMp4() {
+        const data = this._buffer;
+        let offset = 0;
+        
+        while (data.length - offset >= 8) {
+            const type = ZLMCodecProbe._fourCC(data, offset + 4);
+            const size = ZLMCodecProbe._uint32(data, offset);
+            if (type === 'moof' || type === 'mdat' || size < 8) {
+                // Media before the movie header, or a box size the probe does not handle
+                this.done = true;
+                return;
+            }
+            if (data.length - offset < size) break;
+            
+            if (type === 'moov') {
+                ZLMCodecProbe._boxes(data.subarray(offset + 8, offset + size))
+                    .filter(box => box.type === 'trak')
+                    .forEach(box => {
+                        const track = ZLMCodecProbe._mp4Track(box.data);
+                        if (track && !this[track.kind]) {
+                            this[track.kind] = { codec: track.codec, name: track.name, mime: track.mime };
+                        }
+                    });
+                this.done = true;
+                return;
+            }
+            offset += size;
+        }
+        
+        this._buffer = data.slice(offset);
+    }
+    
+    /**
+     * Detect the container from the first bytes of a stream
+     * @param {Uint8Array} data - At least 8 bytes
+     * @returns {string|null} - 'flv', 'mpegts', 'mp4' or null
+     */
+    static detectContainer(data) {
+        if (data[0] === 0x46 && data[1] === 0x4C && data[2] === 0x56) return 'flv';
+        if (data[0] === 0x47 && (data.length <= 188 || data[188] === 0x47)) return 'mpegts';
+        if (['ftyp', 'styp', 'moov', 'free', 'skip'].includes(ZLMCodecProbe._fourCC(data, 4))) return 'mp4';
+        return null;
+    }
+    
+    /**
+     * Describe a track of a known codec
+     * @param {string} codec - Codec id, a key of ZLMCodecProbe.CODEC_NAMES
+     * @param {string|null} mime - RFC 6381 codec string, or null if the codec has none browsers know
+     * @returns {Object} - { codec, name, mime }
+     * @private
+     */
+    static _track(codec, mime) {
+        return { codec: codec, name: ZLMCodecProbe.CODEC_NAMES[codec] || codec, mime: mime };
+    }
+    
+    /**
+     * Codec of an FLV video tag, once its sequence header arrives
+     * @param {Uint8Array} body - The tag body
+     * @returns {Object|null} - The track, or null before the sequence header
+     * @private
+     */
+    static _flvVideoTrack(body) {
+        if (body[0] & 0x80) {
+            // Enhanced RTMP: packet type in the low nibble, then a FourCC
+            if (body.length < 5) return null;
+            const fourCC = ZLMCodecProbe._fourCC(body, 1);
+            const config = (body[0] & 0x0F) === 0 ? body.subarray(5) : null;
+            return ZLMCodecProbe._videoTrack(fourCC, config);
+        }
+        
+        const codecId = body[0] & 0x0F;
+        const fourCC = { 7: 'avc1', 12: 'hvc1' }[codecId];
+        if (!fourCC) return ZLMCodecProbe._track(`flv-codec-${codecId}`, null);
+        return body[1] === 0 ? ZLMCodecProbe._videoTrack(fourCC, body.subarray(5)) : null;
+    }
+    
+    /**
+     * Codec of an FLV audio tag, once its sequence header arrives (AAC)
+     * @param {Uint8Array} body - The tag body
+     * @returns {Object|null} - The track, or null before the sequence header
+     * @private
+     */
+    static _flvAudioTrack(body) {
+        const soundFormat = body[0] >> 4;
+        if (soundFormat === 10) {
+            return body[1] === 0 && body.length >= 4 ? ZLMCodecProbe._track('aac', ZLMCodecProbe.aacCodec(body.subarray(2))) : null;
+        }
+        if (soundFormat === 9 && body.length >= 5) {
+            // Enhanced RTMP audio
+            const fourCC = ZLMCodecProbe._fourCC(body, 1);
+            if (fourCC === 'mp4a') {
+                return (body[0] & 0x0F) === 0 ? ZLMCodecProbe._track('aac', ZLMCodecProbe.aacCodec(body.subarray(5))) : null;
+            }
+            return ZLMCodecProbe._audioTrack(fourCC);
+        }
+        return ZLMCodecProbe._audioTrack({ 2: '.mp3', 7: 'alaw', 8: 'ulaw', 13: 'Opus' }[soundFormat] || `flv-audio-${soundFormat}`);
+    }
+    
+    /**
+     * Video track from an ISO BMFF sample entry or enhanced-RTMP FourCC and its configuration record
+     * @param {string} fourCC - avc1, avc3, hvc1, hev1, av01 or vp09
+     * @param {Uint8Array|null} config - avcC, hvcC, av1C or vpcC payload
+     * @returns {Object|null} - The track, or null without the configuration record
+     * @private
+     */
+    static _videoTrack(fourCC, config) {
+        if (fourCC === 'avc1' || fourCC === 'avc3') {
+            return config && config.length >= 4 ? ZLMCodecProbe._track('h264', ZLMCodecProbe.avcCodec(config, fourCC)) : null;
+        }
+        if (fourCC === 'hvc1' || fourCC === 'hev1') {
+            return config && config.length >= 13 ? ZLMCodecProbe._track('h265', ZLMCodecProbe.hevcCodec(config, fourCC)) : null;
+        }
+        if (fourCC === 'av01') {
+            return config && config.length >= 3 ? ZLMCodecProbe._track('av1', ZLMCodecProbe.av1Codec(config)) : null;
+        }
+        if (fourCC === 'vp09') {
+            const vpcC = config && config.length >= 7 ? config : null;
+            return ZLMCodecProbe._track('vp9', vpcC ? `vp09.${ZLMCodecProbe._hex(vpcC[4], 10)}.${ZLMCodecProbe._hex(vpcC[5], 10)}.${ZLMCodecProbe._hex(vpcC[6] >> 4, 10)}` : 'vp09.00.10.08');
+        }
+        return ZLMCodecProbe._track(fourCC, null);
+    }
+    
+    /**
+     * Audio track of a codec without a configuration record
+     * @param {string} fourCC - Opus, .mp3, fLaC, ac-3, ec-3, alaw or ulaw
+     * @returns {Object} - The track
+     * @private
+     */
+    static _audioTrack(fourCC) {
+        const known = {
+            'Opus': ['opus', 'opus'],
+            '.mp3': ['mp3', 'mp3'],
+            'fLaC': ['flac', 'flac'],
+            'ac-3': ['ac-3', 'ac-3'],
+            'ec-3': ['ec-3', 'ec-3'],
+            'alaw': ['g711a', null],
+            'ulaw': ['g711u', null]
+        }[fourCC];
+        return known ? ZLMCodecProbe._track(known[0], known[1]) : ZLMCodecProbe._track(fourCC, null);
+    }
+    
+    /**
+     * Track of an MPEG-TS elementary stream
+     * @param {number} streamType - Stream type from the PMT
+     * @param {Uint8Array} descriptors - ES info descriptors
+     * @returns {Object|null} - { kind, codec, name, mime, pending }, or null for data streams
+     * @private
+     */
+    static _tsTrack(streamType, descriptors) {
+        const make = (kind, codec, mime, pending = false) => ({ kind, ...ZLMCodecProbe._track(codec, mime), pending });
+        switch (streamType) {
+            case 0x1B: return make('video', 'h264', 'avc1.42e01e', true);
+            case 0x24: return make('video', 'h265', 'hvc1.1.6.L93.B0');
+            case 0x0F:
+            case 0x11: return make('audio', 'aac', 'mp4a.40.2', true);
+            case 0x03:
+            case 0x04: return make('audio', 'mp3', 'mp3');
+            case 0x81: return make('audio', 'ac-3', 'ac-3');
+            case 0x06: {
+                // Private data: Opus carries a registration descriptor
+                for (let i = 0; i + 2 <= descriptors.length; i += 2 + descriptors[i + 1]) {
+                    if (descriptors[i] === 0x05 && ZLMCodecProbe._fourCC(descriptors, i + 2) === 'Opus') {
+                        return make('audio', 'opus', 'opus');
+                    }
+                }
+                return null;
+            }
+            default: return null;
+        }
+    }
+    
+    /**
+     * Track of an MP4 trak box
+     * @param {Uint8Array} trak - The trak payload
+     * @returns {Object|null} - { kind, codec, name, mime }, or null for other tracks
+     * @private
+     */
+    static _mp4Track(trak) {
+        const mdia = ZLMCodecProbe._findBox(trak, ['mdia']);
+        const hdlr = mdia && ZLMCodecProbe._findBox(mdia, ['hdlr']);
+        const stsd = mdia && ZLMCodecProbe._findBox(mdia, ['minf', 'stbl', 'stsd']);
+        if (!hdlr || !stsd || hdlr.length < 12 || stsd.length < 16) return null;
+        
+        const handler = ZLMCodecProbe._fourCC(hdlr, 8);
+        const entry = ZLMCodecProbe._boxes(stsd.subarray(8))[0];
+        if (!entry) return null;
+        
+        if (handler === 'vide') {
+            // Visual sample entry: 78 bytes of fields before the child boxes
+            const children = ZLMCodecProbe._boxes(entry.data.subarray(78));
+            const config = children.find(box => ['avcC', 'hvcC', 'av1C', 'vpcC'].includes(box.type));
+            const track = ZLMCodecProbe._videoTrack(entry.type, config ? config.data : null) || ZLMCodecProbe._track(entry.type, null);
+            return { kind: 'video', ...track };
+        }
+        if (handler === 'soun') {
+            // Audio sample entry: 28 bytes of fields before the child boxes
+            if (entry.type !== 'mp4a') return { kind: 'audio', ...ZLMCodecProbe._audioTrack(entry.type) };
+            const esds = ZLMCodecProbe._boxes(entry.data.subarray(28)).find(box => box.type === 'esds');
+            return { kind: 'audio', ...ZLMCodecProbe._esdsTrack(esds ? esds.data.subarray(4) : new Uint8Array(0)) };
+        }
+        return null;
+    }
+    
+    /**
+     * Track of an MPEG-4 audio elementary stream descriptor
+     * @param {Uint8Array} data - Descriptors of the esds box
+     * @returns {Object} - The track; AAC unless the object type says MP3
+     * @private
+     */
+    static _esdsTrack(data) {
+        let offset = 0;
+        while (offset + 2 <= data.length) {
+            const tag = data[offset++];
+            let length = 0;
+            for (let i = 0; i < 4 && offset < data.length; i++) {
+                const byte = data[offset++];
+                length = (length << 7) | (byte & 0x7F);
+                if (!(byte & 0x80)) break;
+            }
+            if (tag === 0x03) {
+                // ES_Descriptor: ES_ID, flags and the optional fields they announce
+                const flags = data[offset + 2];
+                offset += 3;
+                if (flags & 0x80) offset += 2;
+                if (flags & 0x40) offset += 1 + data[offset];
+                if (flags & 0x20) offset += 2;
+            } else if (tag === 0x04) {
+                // DecoderConfigDescriptor: object type, then 12 bytes before the decoder specific info
+                const objectType = data[offset];
+                if (objectType === 0x69 || objectType === 0x6B) return ZLMCodecProbe._track('mp3', 'mp3');
+                offset += 13;
+            } else if (tag === 0x05) {
+                return ZLMCodecProbe._track('aac', ZLMCodecProbe.aacCodec(data.subarray(offset, offset + length)));
+            } else {
+                offset += length;
+            }
+        }
+        return ZLMCodecProbe._track('aac', 'mp4a.40.2');
+    }
+    
+    /**
+     * RFC 6381 codec string of H.264 from an avcC record or an SPS NAL unit
+     * (both carry profile, constraint flags and level in bytes 1 to 3)
+     * @param {Uint8Array} data - AVCDecoderConfigurationRecord or SPS
+     * @param {string} [fourCC='avc1'] - Sample entry type
+     * @returns {string} - e.g. 'avc1.42e01e'
+     */
+    static avcCodec(data, fourCC = 'avc1') {
+        return `${fourCC}.${ZLMCodecProbe._hex(data[1])}${ZLMCodecProbe._hex(data[2])}${ZLMCodecProbe._hex(data[3])}`;
+    }
+    
+    /**
+     * RFC 6381 codec string of H.265 from an hvcC record (ISO/IEC 14496-15 annex E)
+     * @param {Uint8Array} hvcC - HEVCDecoderConfigurationRecord
+     * @param {string} [fourCC='hvc1'] - Sample entry type
+     * @returns {string} - e.g. 'hvc1.1.6.L93.B0'
+     */
+    static hevcCodec(hvcC, fourCC = 'hvc1') {
+        const profileSpace = ['', 'A', 'B', 'C'][hvcC[1] >> 6];
+        const tier = (hvcC[1] & 0x20) ? 'H' : 'L';
+        const profile = hvcC[1] & 0x1F;
+        
+        // The compatibility flags are written in reverse bit order
+        let flags = ZLMCodecProbe._uint32(hvcC, 2);
+        let compatibility = 0;
+        for (let i = 0; i < 32; i++) {
+            compatibility = (compatibility << 1) | (flags & 1);
+            flags >>>= 1;
+        }
+        
+        const constraints = Array.from(hvcC.subarray(6, 12));
+        while (constraints.length && constraints[constraints.length - 1] === 0) constraints.pop();
+        
+        return `${fourCC}.${profileSpace}${profile}.${(compatibility >>> 0).toString(16).toUpperCase()}.${tier}${hvcC[12]}` +
+            constraints.map(byte => `.${byte.toString(16).toUpperCase()}`).join('');
+    }
+    
+    /**
+     * RFC 6381 codec string of AV1 from an av1C record
+     * @param {Uint8Array} av1C - AV1CodecConfigurationRecord
+     * @returns {string} - e.g. 'av01.0.08M.08'
+     */
+    static av1Codec(av1C) {
+        const profile = av1C[1] >> 5;
+        const level = av1C[1] & 0x1F;
+        const tier = av1C[2] & 0x80 ? 'H' : 'M';
+        const bitDepth = av1C[2] & 0x40 ? (av1C[2] & 0x20 ? 12 : 10) : 8;
+        return `av01.${profile}.${ZLMCodecProbe._hex(level, 10)}${tier}.${ZLMCodecProbe._hex(bitDepth, 10)}`;
+    }
+    
+    /**
+     * RFC 6381 codec string of AAC from an AudioSpecificConfig
+     * @param {Uint8Array} config - AudioSpecificConfig
+     * @returns {string} - e.g. 'mp4a.40.2'
+     */
+    static aacCodec(config) {
+        let objectType = config[0] >> 3;
+        if (objectType === 31 && config.length >= 2) {
+            objectType = 32 + (((config[0] & 0x07) << 3) | (config[1] >> 5));
+        }
+        return `mp4a.40.${objectType}`;
+    }
+    
+    /**
+     * MIME type to ask the browser about for a track
+     * @param {string} kind - 'video' or 'audio'
+     * @param {Object} track - A track of a probe result
+     * @returns {string|null} - e.g. 'video/mp4; codecs="avc1.42e01e"', or null for codecs browsers do not know
+     */
+    static mimeType(kind, track) {
+        if (!track.mime) return null;
+        if (track.mime === 'mp3') return 'audio/mpeg';
+        return `${kind}/mp4; codecs="${track.mime}"`;
+    }
+    
+    /**
+     * Tracks of a probe result the browser cannot play
+     * @param {Object} result - A probe result
+     * @param {Object} [options] - Options
+     * @param {HTMLMediaElement} [options.mediaElement] - Ask the element (canPlayType) instead of MediaSource, for native playback
+     * @returns {Object[]|null} - The unplayable tracks ({ kind, codec, name, mime, type }), or null when the browser cannot be asked
+     */
+    static unsupportedTracks(result, options = {}) {
+        const element = options.mediaElement || null;
+        const MediaSourceClass = typeof MediaSource !== 'undefined' ? MediaSource
+            : (typeof ManagedMediaSource !== 'undefined' ? ManagedMediaSource : null);
+        if (!element && !MediaSourceClass) return null;
+        
+        const tracks = [];
+        ['video', 'audio'].forEach(kind => {
+            const track = result[kind];
+            if (!track) return;
+            const type = ZLMCodecProbe.mimeType(kind, track);
+            const supported = type !== null && (element ? element.canPlayType(type) !== '' : MediaSourceClass.isTypeSupported(type));
+            if (!supported) {
+                tracks.push({ kind, ...track, type });
+            }
+        });
+        return tracks;
+    }
+    
+    /**
+     * Human-readable summary of a probe result
+     * @param {Object} result - A probe result
+     * @returns {string} - e.g. 'H.264 (avc1.42e01e) + AAC (mp4a.40.2) in FLV'
+     */
+    static describe(result) {
+        const tracks = [result.video, result.audio].filter(Boolean)
+            .map(track => track.mime ? `${track.name} (${track.mime})` : track.name);
+        return `${tracks.length ? tracks.join(' + ') : 'no tracks found'} in ${(result.container || 'unknown container').toUpperCase()}`;
+    }
+    
+    /**
+     * Open a stream, read its codecs and close it again
+     * @param {string} url - http(s):// or ws(s):// URL of a live stream
+     * @param {Object} [options] - Options
+     * @param {number} [options.timeout=3000] - Milliseconds to read before giving up; tracks not found by then are null
+     * @param {number} [options.maxBytes=1048576] - Bytes to read before giving up
+     * @param {AbortSignal} [options.signal] - Cancels the probe, which then rejects with an AbortError
+     * @returns {Promise<Object>} - The probe result; rejects on network errors
+     */
+    static probe(url, options = {}) {
+        const probe = new ZLMCodecProbe();
+        const timeout = options.timeout || 3000;
+        const maxBytes = options.maxBytes || 1048576;
+        const signal = options.signal || null;
+        
+        return new Promise((resolve, reject) => {
+            let received = 0;
+            let settled = false;
+            let close = () => {};
+            let timer = null;
+            
+            const onAbort = () => {
+                const error = new Error('The codec probe was aborted');
+                error.name = 'AbortError';
+                finish(error);
+            };
+            const finish = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                close();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(probe.result);
+                }
+            };
+            const onChunk = (chunk) => {
+                received += chunk.byteLength;
+                if (probe.push(chunk) || received >= maxBytes) finish();
+            };
+            
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort);
+            }
+            timer = setTimeout(() => finish(), timeout);
+            
+            if (/^wss?:/i.test(url)) {
+                const socket = new WebSocket(url);
+                socket.binaryType = 'arraybuffer';
+                close = () => socket.close();
+                socket.onmessage = (event) => {
+                    if (event.data instanceof ArrayBuffer) onChunk(event.data);
+                };
+                socket.onerror = () => finish(new Error(`WebSocket error on ${url}`));
+                socket.onclose = () => finish();
+                return;
+            }
+            
+            const controller = new AbortController();
+            close = () => controller.abort();
+            fetch(url, { mode: 'cors', credentials: 'same-origin', signal: controller.signal }).then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+                }
+                const reader = response.body.getReader();
+                const pump = () => reader.read().then(result => {
+                    if (result.done) {
+                        finish();
+                    } else if (!settled) {
+                        onChunk(result.value);
+                        return pump();
+                    }
+                });
+                return pump();
+            }).catch(error => {
+                if (!settled) finish(error);
+            });
+        });
+    }
+    
+    /**
+     * Child boxes of an ISO BMFF box payload
+     * @param {Uint8Array} data - Box payload
+     * @returns {Object[]} - { type, data } per complete box
+     * @private
+     */
+    static _boxes(data) {
+        const boxes = [];
+        let offset = 0;
+        while (offset + 8 <= data.length) {
+            const size = ZLMCodecProbe._uint32(data, offset);
+            if (size < 8 || offset + size > data.length) break;
+            boxes.push({ type: ZLMCodecProbe._fourCC(data, offset + 4), data: data.subarray(offset + 8, offset + size) });
+            offset += size;
+        }
+        return boxes;
+    }
+    
+    /**
+     * Payload of a nested box
+     * @param {Uint8Array} data - Box payload to search
+     * @param {string[]} path - Box types from the outermost to the wanted box
+     * @returns {Uint8Array|null}
+     * @private
+     */
+    static _findBox(data, path) {
+        let current = data;
+        for (const type of path) {
+            const box = ZLMCodecProbe._boxes(current).find(child => child.type === type);
+            if (!box) return null;
+            current = box.data;
+        }
+        return current;
+    }
+    
+    /**
+     * First H.264 NAL unit of a type in an Annex B byte stream
+     * @param {Uint8Array} data - Annex B data
+     * @param {number} type - nal_unit_type
+     * @returns {Uint8Array|null} - The NAL unit up to the end of the data
+     * @private
+     */
+    static _findNalUnit(data, type) {
+        for (let i = 0; i + 3 < data.length; i++) {
+            if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1 && (data[i + 3] & 0x1F) === type) {
+                return data.subarray(i + 3);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * @private
+     */
+    static _uint32(data, offset) {
+        return ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+    }
+    
+    /**
+     * @private
+     */
+    static _fourCC(data, offset) {
+        return String.fromCharCode(data[offset], data[offset + 1], data[offset + 2], data[offset + 3]);
+    }
+    
+    /**
+     * Two-digit hexadecimal (or decimal) number
+     * @private
+     */
+    static _hex(value, radix = 16) {
+        return value.toString(radix).padStart(2, '0');
+    }
+}
+
+// Display names of the codec ids in probe results
+ZLMCodecProbe.CODEC_NAMES = {
+    'h264': 'H.264',
+    'h265': 'H.265/HEVC',
+    'av1': 'AV1',
+    'vp9': 'VP9',
+    'aac': 'AAC',
+    'mp3': 'MP3',
+    'opus': 'Opus',
+    'flac': 'FLAC',
+    'ac-3': 'AC-3',
+    'ec-3': 'E-AC-3',
+    'g711a': 'G.711 A-law',
+    'g711u': 'G.711 µ-law'
+};
+
+// Tags or packets to read before giving up on tracks without a sequence header
+ZLMCodecProbe.MAX_FLV_TAGS = 50;
+ZLMCodecProbe.MAX_TS_PACKETS = 2000;
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMCodecProbe;
+} else {
+    window.ZLMCodecProbe = ZLMCodecProbe;
+}
\ No newline at end of file
@@ -0,0 +1,335 @@
+/**
+ * ZLMediaKit FLV Stream Parser
+ * Incrementally parses an HTTP-FLV byte stream and extracts SEI messages
+ * from H.264/H.265 video tags. Supports legacy and enhanced-RTMP FLV tags.
+ * Its static SEI helpers also serve ZLMTsParser and the WebRTC frame reader.
+ * lastTimestamps holds the presentation time of the newest audio and video
+ * frame, which ZLMStreamPlayer compares to measure the A/V sync of the stream.
+ */
+class ZLMFlvParser {
+    /**
+     * Create a new FLV parser
+     */
+    constructor() {
+        this._buffer = new Uint8Array(0);
+        this._headerParsed = false;
+        this._nalLengthSize = 4;
+        this.firstTimestamp = null;
+        this.lastTimestamps = { audio: null, video: null };
+        this.videoCodec = null;
+        
+        // Set up event callbacks (can be overridden by users)
+        this.onSei = (sei) => {};
+    }
+    
+    /**
+     * Reset the parser state for a new stream
+     */
+    reset() {
+        this._buffer = new Uint8Array(0);
+        this._headerParsed = false;
+        this._nalLengthSize = 4;
+        this.firstTimestamp = null;
+        this.lastTimestamps = { audio: null, video: null };
+        this.videoCodec = null;
+    }
+    
+    /**
+     * Feed a chunk of the FLV byte stream
+     * @param {ArrayBuffer|Uint8Array} chunk - Raw bytes as received from the network
+     */
+    push(chunk) {
+        const data = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+        const merged = new Uint8Array(this._buffer.length + data.length);
+        merged.set(this._buffer, 0);
+        merged.set(data, this._buffer.length);
+        
+        let offset = 0;
+        
+        if (!this._headerParsed) {
+            if (merged.length < 9) {
+                this._buffer = merged;
+                return;
+            }
+            if (merged[0] !== 0x46 || merged[1] !== 0x4C || merged[2] !== 0x56) {
+                throw new Error('Invalid FLV header');
+            }
+            const dataOffset = ZLMFlvParser._readUint32(merged, 5);
+            if (merged.length < dataOffset + 4) {
+                this._buffer = merged;
+                return;
+            }
+            // Skip the header and PreviousTagSize0
+            offset = dataOffset + 4;
+            this._headerParsed = true;
+        }
+        
+        // Each tag is an 11 byte header, the tag body and a 4 byte PreviousTagSize
+        while (merged.length - offset >= 11) {
+            const tagType = merged[offset] & 0x1F;
+            const dataSize = ZLMFlvParser._readUint24(merged, offset + 1);
+            if (merged.length - offset < 11 + dataSize + 4) break;
+            
+            const timestamp = ZLMFlvParser._readUint24(merged, offset + 4) | (merged[offset + 7] << 24);
+            const body = merged.subarray(offset + 11, offset + 11 + dataSize);
+            
+            if ((tagType === 8 || tagType === 9) && this.firstTimestamp === null) {
+                this.firstTimestamp = timestamp;
+            }
+            if (tagType === 9 && dataSize > 0) {
+                this._parseVideoTag(body, timestamp);
+            } else if (tagType === 8 && dataSize > 0 && !(body[0] >> 4 === 10 && body[1] === 0)) {
+                // Any audio frame but the AAC sequence header
+                this.lastTimestamps.audio = timestamp;
+            }
+            
+            offset += 11 + dataSize + 4;
+        }
+        
+        this._buffer = merged.slice(offset);
+    }
+    
+    /**
+     * Parse a video tag body
+     * @param {Uint8Array} body - The tag body
+     * @param {number} dts - The tag timestamp in milliseconds
+     * @private
+     */
+    _parseVideoTag(body, dts) {
+        let codec;
+        let packetType;
+        let cts = 0;
+        let offset;
+        
+        if (body[0] & 0x80) {
+            // Enhanced RTMP: FourCC follows the packet type
+            if (body.length < 5) return;
+            packetType = body[0] & 0x0F;
+            const fourCC = String.fromCharCode(body[1], body[2], body[3], body[4]);
+            if (fourCC === 'avc1') {
+                codec = 'h264';
+            } else if (fourCC === 'hvc1') {
+                codec = 'h265';
+            } else {
+                this.videoCodec = fourCC;
+                return;
+            }
+            offset = 5;
+            if (packetType === 1) {
+                if (body.length < 8) return;
+                cts = ZLMFlvParser._readInt24(body, 5);
+                offset = 8;
+            } else if (packetType === 3) {
+                // CodedFramesX carries no composition time
+                packetType = 1;
+            }
+        } else {
+            const codecId = body[0] & 0x0F;
+            if (codecId === 7) {
+                codec = 'h264';
+            } else if (codecId === 12) {
+                codec = 'h265';
+            } else {
+                this.videoCodec = `flv-codec-${codecId}`;
+                return;
+            }
+            if (body.length < 5) return;
+            packetType = body[1];
+            cts = ZLMFlvParser._readInt24(body, 2);
+            offset = 5;
+        }
+        
+        this.videoCodec = codec;
+        
+        if (packetType === 0) {
+            this._parseDecoderConfig(body.subarray(offset), codec);
+        } else if (packetType === 1) {
+            this.lastTimestamps.video = dts + cts;
+            this._parseNalUnits(body.subarray(offset), codec, dts, dts + cts);
+        }
+    }
+    
+    /**
+     * Read the NAL unit length size from an avcC/hvcC record
+     * @param {Uint8Array} config - The decoder configuration record
+     * @param {string} codec - 'h264' or 'h265'
+     * @private
+     */
+    _parseDecoderConfig(config, codec) {
+        if (codec === 'h264' && config.length > 4) {
+            this._nalLengthSize = (config[4] & 0x03) + 1;
+        } else if (codec === 'h265' && config.length > 21) {
+            this._nalLengthSize = (config[21] & 0x03) + 1;
+        }
+    }
+    
+    /**
+     * Walk length-prefixed NAL units and parse any SEI found
+     * @param {Uint8Array} data - Length-prefixed NAL units
+     * @param {string} codec - 'h264' or 'h265'
+     * @param {number} dts - Decode timestamp in milliseconds
+     * @param {number} pts - Presentation timestamp in milliseconds
+     * @private
+     */
+    _parseNalUnits(data, codec, dts, pts) {
+        const lengthSize = this._nalLengthSize;
+        let offset = 0;
+        
+        while (offset + lengthSize <= data.length) {
+            let nalSize = 0;
+            for (let i = 0; i < lengthSize; i++) {
+                nalSize = (nalSize * 256) + data[offset + i];
+            }
+            offset += lengthSize;
+            if (nalSize === 0 || offset + nalSize > data.length) break;
+            
+            const nal = data.subarray(offset, offset + nalSize);
+            offset += nalSize;
+            
+            ZLMFlvParser.parseSeiNal(nal, codec, dts, pts).forEach(sei => this.onSei(sei));
+        }
+    }
+    
+    /**
+     * Parse the SEI messages of a NAL unit
+     * @param {Uint8Array} nal - The NAL unit, header included
+     * @param {string} codec - 'h264' or 'h265'
+     * @param {number} dts - Decode timestamp in milliseconds
+     * @param {number} pts - Presentation timestamp in milliseconds
+     * @returns {Object[]} - The SEI messages ({ payloadType, codec, dts, pts, uuid, payload }); none for other NAL types
+     */
+    static parseSeiNal(nal, codec, dts, pts) {
+        if (codec === 'h264' && nal.length > 1 && (nal[0] & 0x1F) === 6) {
+            return ZLMFlvParser._parseSei(nal.subarray(1), codec, dts, pts);
+        }
+        if (codec === 'h265' && nal.length > 2) {
+            const nalType = (nal[0] >> 1) & 0x3F;
+            if (nalType === 39 || nalType === 40) {
+                return ZLMFlvParser._parseSei(nal.subarray(2), codec, dts, pts);
+            }
+        }
+        return [];
+    }
+    
+    /**
+     * Parse the SEI messages of an Annex B byte stream (NAL units after 00 00 01 start codes),
+     * as carried by MPEG-TS and by WebRTC encoded frames
+     * @param {Uint8Array} data - The byte stream, e.g. one access unit
+     * @param {string} codec - 'h264' or 'h265'
+     * @param {number} dts - Decode timestamp in milliseconds
+     * @param {number} pts - Presentation timestamp in milliseconds
+     * @returns {Object[]} - The SEI messages
+     */
+    static parseAnnexB(data, codec, dts, pts) {
+        const messages = [];
+        let start = -1;
+        
+        for (let i = 0; i + 2 < data.length; i++) {
+            if (data[i] !== 0 || data[i + 1] !== 0 || data[i + 2] !== 1) continue;
+            if (start >= 0) {
+                // A four byte start code leaves a zero at the end of the previous NAL unit
+                const end = data[i - 1] === 0 ? i - 1 : i;
+                messages.push(...ZLMFlvParser.parseSeiNal(data.subarray(start, end), codec, dts, pts));
+            }
+            start = i + 3;
+            i += 2;
+        }
+        if (start >= 0 && start < data.length) {
+            messages.push(...ZLMFlvParser.parseSeiNal(data.subarray(start), codec, dts, pts));
+        }
+        return messages;
+    }
+    
+    /**
+     * Parse the SEI messages contained in a NAL unit payload
+     * @param {Uint8Array} rbspWithEmulation - NAL payload without the NAL header
+     * @param {string} codec - 'h264' or 'h265'
+     * @param {number} dts - Decode timestamp in milliseconds
+     * @param {number} pts - Presentation timestamp in milliseconds
+     * @returns {Object[]} - The SEI messages
+     * @private
+     */
+    static _parseSei(rbspWithEmulation, codec, dts, pts) {
+        const rbsp = ZLMFlvParser.removeEmulationPrevention(rbspWithEmulation);
+        const messages = [];
+        let offset = 0;
+        
+        // Stop at the rbsp_trailing_bits byte
+        while (offset < rbsp.length && rbsp[offset] !== 0x80) {
+            let payloadType = 0;
+            while (offset < rbsp.length && rbsp[offset] === 0xFF) {
+                payloadType += 255;
+                offset++;
+            }
+            payloadType += rbsp[offset++];
+            
+            let payloadSize = 0;
+            while (offset < rbsp.length && rbsp[offset] === 0xFF) {
+                payloadSize += 255;
+                offset++;
+            }
+            payloadSize += rbsp[offset++];
+            
+            if (offset + payloadSize > rbsp.length) break;
+            
+            const payload = rbsp.subarray(offset, offset + payloadSize);
+            offset += payloadSize;
+            
+            const sei = { payloadType, codec, dts, pts, uuid: null, payload };
+            
+            // user_data_unregistered: 16 byte UUID followed by user data
+            if (payloadType === 5 && payload.length >= 16) {
+                sei.uuid = Array.from(payload.subarray(0, 16), b => b.toString(16).padStart(2, '0')).join('');
+                sei.payload = payload.subarray(16);
+            }
+            
+            messages.push(sei);
+        }
+        return messages;
+    }
+    
+    /**
+     * Remove H.264/H.265 emulation prevention bytes (0x000003 -> 0x0000)
+     * @param {Uint8Array} data - Escaped NAL payload
+     * @returns {Uint8Array} - The unescaped RBSP
+     */
+    static removeEmulationPrevention(data) {
+        const out = new Uint8Array(data.length);
+        let length = 0;
+        let zeros = 0;
+        
+        for (let i = 0; i < data.length; i++) {
+            if (zeros >= 2 && data[i] === 0x03) {
+                zeros = 0;
+                continue;
+            }
+            out[length++] = data[i];
+            zeros = data[i] === 0 ? zeros + 1 : 0;
+        }
+        
+        return out.subarray(0, length);
+    }
+    
+    /** @private */
+    static _readUint24(data, offset) {
+        return (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+    }
+    
+    /** @private */
+    static _readInt24(data, offset) {
+        const value = ZLMFlvParser._readUint24(data, offset);
+        return value & 0x800000 ? value - 0x1000000 : value;
+    }
+    
+    /** @private */
+    static _readUint32(data, offset) {
+        return ((data[offset] << 24) >>> 0) + ((data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]);
+    }
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMFlvParser;
+} else {
+    window.ZLMFlvParser = ZLMFlvParser;
+}
\ No newline at end of file
@@ -1,32 +1,60 @@
 /**
  * ZLMediaKit HTTP-FLV/MPEG-TS Player
- * A reusable component for playing FLV and MPEG-TS streams from ZLMediaKit
- * Requires mpegts.js (https://github.com/xqq/mpegts.js)
+ * A reusable component for playing FLV, MPEG-TS and fMP4 streams from ZLMediaKit,
+ * over HTTP or WebSocket
+ * Requires mpegts.js (https://github.com/xqq/mpegts.js), zlm-player-base.js,
+ * zlm-codec-probe.js and zlm-codec-error.js; reading SEI (latency, metadata) and
+ * A/V sync also zlm-flv-parser.js, zlm-ts-parser.js and zlm-tap-loader.js, and
+ * glass-to-glass latency zlm-latency-meter.js (null without it)
  */
-class ZLMStreamPlayer {
+class ZLMStreamPlayer extends (typeof ZLMPlayerBase !== 'undefined' ? ZLMPlayerBase
+    : typeof require === 'function' ? require('./zlm-player-base.js')
+    : (() => { throw new Error('zlm-player-base.js is required. Please include it before zlm-flv-player.js.'); })()) {
     /**
      * Create a new HTTP-FLV/MPEG-TS player
      * @param {Object} options - Configuration options
      * @param {HTMLVideoElement} options.videoElement - The video element to play the stream in
      * @param {HTMLElement} [options.logContainer] - Optional container for logs
+     * @param {ZLMLogger} [options.logger] - Logger for the entries of this player; ZLMLogger.shared by default
+     * @param {string} [options.logId] - Player id in the log entries; generated by default
      * @param {HTMLElement} [options.statsContainer] - Optional container for statistics
      * @param {Object} [options.mpegtsOptions] - Custom mpegts.js options
-     * @param {string} [options.streamType='flv'] - Stream type: 'flv', 'mse', 'mpegts', or 'm2ts'
+     * @param {Object} [options.mpegtsConfig] - Custom mpegts.js player config, merged over the defaults (e.g. liveBufferLatencyMaxLatency)
+     * @param {string} [options.streamType='flv'] - Stream type: 'flv', 'mse', 'mpegts', 'm2ts', or 'mp4' (fMP4, played natively)
+     * @param {string} [options.transport='http'] - Transport of the URLs built from a ZLMUrlBuilder: 'http' or 'ws'
+     * @param {boolean} [options.codecCheck=true] - Read the codecs from the stream header and fail with a ZLMCodecError
+     *     when the browser cannot play them, before attaching mpegts.js; needs zlm-codec-probe.js and zlm-codec-error.js
+     * @param {number} [options.probeTimeout=3000] - Milliseconds to wait for the stream header; playback starts unchecked after that
+     * @param {boolean} [options.audioOnly=false] - Only play the audio of the stream; its video is not decoded (FLV)
+     * @param {Object|boolean} [options.latencyMeter=false] - Measure the latency from SEI timestamps: true or ZLMLatencyMeter options.
+     *     Reading the SEI replaces the mpegts.js loader and runs it without its worker.
+     * @param {Object|boolean} [options.metadata] - Emit the user_data_unregistered SEI of FLV and MPEG-TS streams as 'metadata'
+     *     (true or options). Reading SEI runs mpegts.js without its worker.
+     * @param {string} [options.metadata.seiUuid] - Only emit SEI with this UUID (hex, 32 chars)
+     * @param {Object} [options.mpegts] - The mpegts.js module, for bundled apps; defaults to the global `mpegts`
+     * @param {number} [options.reconnectDelay=2000] - Milliseconds to wait before re-opening the stream after a network error
+     * @param {Object|boolean} [options.latencyControl=false] - Live latency management (see setLatencyControl): true for the
+     *     defaults, or its settings. Off by default. It replaces the mpegts.js latency chasing, which can still be enabled
+     *     through mpegtsConfig.
      */
     constructor(options) {
-        // Check if mpegts.js is available
-        if (typeof mpegts === 'undefined') {
-            throw new Error('mpegts.js is required. Please include it in your page.');
+        super();
+        
+        // Check if mpegts.js is available (injected or global)
+        const mpegtsModule = options.mpegts || (typeof mpegts !== 'undefined' ? mpegts : null);
+        if (!mpegtsModule) {
+            throw new Error('mpegts.js is required. Please include it in your page or pass it as options.mpegts.');
         }
+        this.mpegts = mpegtsModule;
         
         // Check mpegts.js feature compatibility
-        if (!mpegts.getFeatureList().mseLivePlayback) {
+        if (!this.mpegts.getFeatureList().mseLivePlayback) {
             throw new Error('Your browser does not support MSE live playback required by mpegts.js');
         }
         
         // Enable logging if available
         try {
-            mpegts.enableLogs(true);
+            this.mpegts.enableLogs(true);
         } catch (e) {
             console.warn('Unable to enable mpegts.js logging:', e);
         }
@@ -39,16 +67,84 @@ class ZLMStreamPlayer {
         // Store options
         this.videoElement = options.videoElement;
         this.logContainer = options.logContainer || null;
+        this._setupLogging(options, 'ZLM Stream Player');
         this.statsContainer = options.statsContainer || null;
         this.mpegtsOptions = options.mpegtsOptions || {};
+        this.mpegtsConfig = options.mpegtsConfig || {};
         this.streamType = options.streamType || 'flv';
+        this.transport = options.transport || 'http';
+        if (!ZLMStreamPlayer.PROTOCOLS[this.transport]) {
+            throw new Error(`Unknown transport: ${this.transport}`);
+        }
+        
+        // Codecs of the current stream, read from its header before attaching; skipped
+        // without zlm-codec-probe.js and zlm-codec-error.js
+        const CodecProbe = typeof ZLMCodecProbe !== 'undefined' ? ZLMCodecProbe
+            : (typeof require === 'function' ? require('./zlm-codec-probe.js') : null);
+        const CodecError = typeof ZLMCodecError !== 'undefined' ? ZLMCodecError
+            : (typeof require === 'function' ? require('./zlm-codec-error.js') : null);
+        this._CodecProbe = CodecProbe && CodecError ? CodecProbe : null;
+        this._CodecError = CodecProbe && CodecError ? CodecError : null;
+        this.codecCheck = options.codecCheck !== false && !!this._CodecProbe;
+        this.probeTimeout = options.probeTimeout || 3000;
+        this.codecs = null;
+        this._probeController = null;
+        this.audioOnly = !!options.audioOnly;
         
         // Internal state
         this.player = null;
+        this.url = null;
+        this._playType = null;
         this.statsInterval = null;
+        this._lastStats = null;
         this.latencyStartTime = 0;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 3;
+        this.reconnectDelay = options.reconnectDelay !== undefined ? options.reconnectDelay : 2000;
+        this._reconnectTimer = null;
+        this._playId = 0;
+        
+        // Live latency management on the video element, off unless asked for
+        this.latencyControl = { ...ZLMStreamPlayer.LATENCY_CONTROL_DEFAULTS, enabled: !!options.latencyControl };
+        if (typeof options.latencyControl === 'object') {
+            Object.assign(this.latencyControl, options.latencyControl);
+        }
+        this._catchingUp = false;
+        
+        // SEI messages of the byte stream: glass-to-glass latency from timestamps, and metadata
+        this.latencyMeter = null;
+        this.metadata = options.metadata ? { seiUuid: null, ...(typeof options.metadata === 'object' ? options.metadata : {}) } : null;
+        this.flvParser = null;
+        this.tsParser = null;
+        this._seiParser = null;
+        const LatencyMeter = typeof ZLMLatencyMeter !== 'undefined' ? ZLMLatencyMeter
+            : (typeof require === 'function' ? require('./zlm-latency-meter.js') : null);
+        if (options.latencyMeter) {
+            if (!LatencyMeter) {
+                throw new Error('zlm-latency-meter.js is required for latencyMeter. Please include it in your page.');
+            }
+            this.latencyMeter = new LatencyMeter(options.latencyMeter === true ? {} : options.latencyMeter);
+        }
+        if (this.latencyMeter || this.metadata) {
+            const FlvParser = typeof ZLMFlvParser !== 'undefined' ? ZLMFlvParser
+                : (typeof require === 'function' ? require('./zlm-flv-parser.js') : null);
+            const TsParser = typeof ZLMTsParser !== 'undefined' ? ZLMTsParser
+                : (typeof require === 'function' ? require('./zlm-ts-parser.js') : null);
+            const createTapLoader = typeof createZLMTapLoader !== 'undefined' ? createZLMTapLoader
+                : (typeof require === 'function' ? require('./zlm-tap-loader.js') : null);
+            if (!FlvParser || !TsParser || !createTapLoader) {
+                throw new Error('zlm-flv-parser.js, zlm-ts-parser.js and zlm-tap-loader.js are required to read SEI. ' +
+                    'Please include them in your page.');
+            }
+            
+            this.flvParser = new FlvParser();
+            this.tsParser = new TsParser();
+            this.flvParser.onSei = (sei) => this._onSei(sei, this.flvParser);
+            this.tsParser.onSei = (sei) => this._onSei(sei, this.tsParser);
+            this._tapLoader = createTapLoader(this.mpegts, (chunk) => {
+                if (this._seiParser) this._seiParser.push(chunk);
+            });
+        }
         
         // Bind methods to this
         this.play = this.play.bind(this);
@@ -60,52 +156,117 @@ class ZLMStreamPlayer {
         this.onDisconnected = () => {};
         this.onError = (error) => { console.error('ZLM Stream Player error:', error); };
         this.onStats = (stats) => {};
+        this.onLog = (message, type) => {};
+        this.onReconnecting = (attempt, strategy) => {};
+        this.onReconnected = () => {};
+        this.onStateChange = (state, previous) => {};
+        this.onCatchUp = (info) => {};
+        this.onLiveJump = (info) => {};
+        this.onRecording = (info) => {};
+        this.onMetadata = (frameTimestamp, payload, info) => {};
+        this.onAudioLevel = (level) => {};
     }
     
     /**
-     * Log a message
-     * @param {string} message - The message to log
-     * @param {string} [type='info'] - Log level (info, error, success)
-     * @private
+     * Change the live latency management, also while playing
+     * The distance to the live edge (the buffered media ahead of the playback
+     * position) is kept near `targetLatency`: above target + tolerance playback
+     * speeds up to `playbackRate` until the target is reached, and above
+     * `jumpThreshold` the player seeks straight to the live edge.
+     * @param {Object} options - Settings to change
+     * @param {boolean} [options.enabled] - Correct the latency at all; off unless enabled here or through the latencyControl option
+     * @param {number} [options.targetLatency=0.5] - Target distance to the live edge in seconds
+     * @param {number} [options.tolerance=0.3] - Seconds above the target tolerated before catching up
+     * @param {boolean} [options.catchUp=true] - Catch up by raising the playback rate
+     * @param {number} [options.playbackRate=1.2] - Playback rate while catching up
+     * @param {number} [options.jumpThreshold=2.0] - Seconds behind the live edge that trigger a jump, 0 to never jump
      */
-    _log(message, type = 'info') {
-        console.log(`ZLM Stream Player: ${message}`);
-        
-        if (this.logContainer) {
-            const logEntry = document.createElement('div');
-            logEntry.className = `log-entry log-${type}`;
-            logEntry.textContent = `${new Date().toLocaleTimeString()} - ${message}`;
-            this.logContainer.appendChild(logEntry);
-            this.logContainer.scrollTop = this.logContainer.scrollHeight;
+    setLatencyControl(options) {
+        const control = Object.assign(this.latencyControl, options);
+        if (control.enabled) {
+            this._log(`Latency control: target ${control.targetLatency}s, catch-up ${control.catchUp ? `at ${control.playbackRate}x` : 'off'}, ` +
+                `jump ${control.jumpThreshold > 0 ? `above ${control.jumpThreshold}s` : 'off'}`);
+        } else {
+            this._log('Latency control off');
         }
+        
+        if (!control.enabled || !control.catchUp) {
+            this._stopCatchUp(this._liveEdgeDistance());
+        }
+        this._controlLatency();
     }
     
     /**
      * Start playing a stream
-     * @param {string} url - The HTTP-FLV or MPEG-TS stream URL from ZLMediaKit
-     * @param {string} [type] - Override the stream type (flv, mse, mpegts, m2ts)
-     * @returns {Promise} - Resolves when connected, rejects on error
+     * @param {string|ZLMUrlBuilder} url - The HTTP(S) or WS(S) stream URL from ZLMediaKit, or a URL builder
+     * @param {string} [type] - Override the stream type (flv, mse, mpegts, m2ts, mp4)
+     * @returns {Promise} - Resolves when connected, rejects on error (a ZLMCodecError when the codecs are not playable).
+     *     Also rejects when a newer play() or stop() supersedes it, without emitting 'error' or stopping the newer one.
      */
     async play(url, type) {
+        // Allow overriding the stream type for this specific play action
+        const streamType = type || this.streamType;
+        
+        // Accept a ZLMUrlBuilder in place of a URL
+        if (url && typeof url.build === 'function') {
+            const protocols = ZLMStreamPlayer.PROTOCOLS[this.transport];
+            url = url.build(protocols[streamType] || protocols.mpegts);
+        }
+        
         if (!url) {
             throw new Error('Stream URL is required');
         }
         
-        // Allow overriding the stream type for this specific play action
-        const streamType = type || this.streamType;
+        // fMP4 is played by the video element itself, which only loads HTTP URLs
+        if (streamType === 'mp4' && /^wss?:/i.test(url)) {
+            throw new Error('fMP4 is played natively and needs an HTTP URL; use FLV or MPEG-TS over WebSocket');
+        }
         
         this._log(`Starting ${streamType.toUpperCase()} stream...`);
-        this.stop();
+        this._teardown();
+        
+        // Kept for reconnecting, which re-opens the same stream
+        this.url = url;
+        this._playType = streamType;
+        
+        // A reconnection reopens the stream through play() but keeps its state
+        const reconnecting = this.state === 'reconnecting';
+        if (!reconnecting) {
+            this.reconnectAttempts = 0;
+            this._setState('connecting');
+        }
+        
+        // A newer play() (or stop) supersedes this one; its failure is then not an error
+        const attempt = ++this._playId;
+        let playTimeout = null;
         
         try {
-            // Record start time for latency calculation
+            // Record start time for setup time calculation
             this.latencyStartTime = Date.now();
             
+            // A reconnection reuses the codecs read on the first connection
+            if (this.codecCheck && !(reconnecting && this.codecs)) {
+                this.codecs = await this._checkCodecs(url, streamType);
+            }
+            
+            // Read SEI from the FLV or MPEG-TS byte stream. mpegts.js cannot pass
+            // a custom loader into its worker, so the worker is disabled here.
+            this._seiParser = !this._tapLoader || !/^(https?|wss?):/i.test(url) ? null
+                : (streamType === 'flv' ? this.flvParser : (streamType === 'mp4' ? null : this.tsParser));
+            const loaderConfig = this._seiParser
+                ? { enableWorker: false, customLoader: this._tapLoader }
+                : { enableWorker: true };
+            if (this._seiParser) {
+                this._seiParser.reset();
+                if (this.latencyMeter) this.latencyMeter.reset();
+            }
+            
             // Create player with detailed configuration
-            this.player = mpegts.createPlayer({
+            this.player = this.mpegts.createPlayer({
                 type: streamType,
                 url: url,
                 isLive: true,
+                ...(this.audioOnly ? { hasVideo: false } : {}),
                 cors: true,
                 withCredentials: false,
                 headers: {
@@ -114,7 +275,7 @@ class ZLMStreamPlayer {
                 },
                 ...this.mpegtsOptions
             }, {
-                enableWorker: true,
+                ...loaderConfig,
                 enableStashBuffer: false,
                 stashInitialSize: 128,  // Reduce initial buffer size for lower latency
                 autoCleanupSourceBuffer: true,
@@ -124,10 +285,12 @@ class ZLMStreamPlayer {
                 // MPEG-TS specific options
                 accurateSeek: false,
                 fixAudioTimestampGap: false,
-                liveBufferLatencyChasing: true, // Enable latency chasing for live streams
-                liveBufferLatencyMaxLatency: 2.0, // Target latency in seconds
-                liveBufferLatencyMinRemain: 0.1, // Minimum buffer in seconds
-                liveBufferLatencySmoothCoefficient: 0.8 // Smooth playback rate changes
+                // Latency is managed by the player (see setLatencyControl); the
+                // mpegts.js settings below only apply if chasing is enabled in mpegtsConfig
+                liveBufferLatencyChasing: false,
+                liveBufferLatencyMaxLatency: 2.0,
+                liveBufferLatencyMinRemain: 0.1,
+                ...this.mpegtsConfig
             });
             
             this._log(`Created ${streamType.toUpperCase()} player for URL: ${url}`);
@@ -144,7 +307,7 @@ class ZLMStreamPlayer {
             this._log(`${streamType.toUpperCase()} stream loaded, attempting to play...`);
             
             // Set a timeout to detect if the stream gets stuck
-            const playTimeout = setTimeout(() => {
+            playTimeout = setTimeout(() => {
                 if (this.videoElement.readyState <= 1) {  // HAVE_NOTHING or HAVE_METADATA
                     this._log('Stream appears to be stuck, checking network', 'error');
                     // Let's manually check if the stream URL is accessible
@@ -163,19 +326,79 @@ class ZLMStreamPlayer {
             }, 5000);
             
             await this.videoElement.play();
-            clearTimeout(playTimeout);
             
             this._log(`${streamType.toUpperCase()} stream started`, 'success');
             this._startStatsMonitoring();
-            this.onConnected();
+            this._setState('playing');
+            this._emit(reconnecting ? 'reconnected' : 'connected');
             
             return true;
         } catch (error) {
+            if (attempt !== this._playId) throw error;
+            
             this._log(`Error: ${error.message}`, 'error');
-            this.onError(error);
+            this._emit('error', error);
             this.stop();
             throw error;
+        } finally {
+            clearTimeout(playTimeout);
+        }
+    }
+    
+    /**
+     * Read the codecs from the stream header and check the browser plays them
+     * Network errors and timeouts only skip the check; mpegts.js reports them
+     * again when it opens the stream.
+     * @param {string} url - The stream URL
+     * @param {string} streamType - The stream type
+     * @returns {Promise<Object|null>} - The codecs (see ZLMCodecProbe), or null when the header could not be read
+     * @throws {ZLMCodecError} When the browser cannot play a track
+     * @throws {Error} When playing audio only and the stream has no audio
+     * @private
+     */
+    async _checkCodecs(url, streamType) {
+        const controller = new AbortController();
+        this._probeController = controller;
+        
+        let codecs;
+        try {
+            codecs = await this._CodecProbe.probe(url, { timeout: this.probeTimeout, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            this._log(`Could not read the stream codecs (${error.message}), playing without the codec check`, 'warn');
+            return null;
+        } finally {
+            if (this._probeController === controller) {
+                this._probeController = null;
+            }
+        }
+        
+        this._log(`Stream codecs: ${this._CodecProbe.describe(codecs)}`);
+        if (this.audioOnly && !codecs.audio) {
+            throw new Error('The stream has no audio to play');
         }
+        
+        // fMP4 is played by the element itself, everything else through MediaSource; the video of audio only does not matter
+        const unsupported = (this._CodecProbe.unsupportedTracks(codecs, { mediaElement: streamType === 'mp4' ? this.videoElement : null }) || [])
+            .filter(track => !this.audioOnly || track.kind === 'audio');
+        if (unsupported.length) {
+            throw new this._CodecError(unsupported, codecs);
+        }
+        return codecs;
+    }
+    
+    /**
+     * Handle an SEI message of the stream: a latency timestamp, metadata, or both
+     * @param {Object} sei - The message
+     * @param {ZLMFlvParser|ZLMTsParser} parser - The parser that read it
+     * @private
+     */
+    _onSei(sei, parser) {
+        if (this.latencyMeter) {
+            this.latencyMeter.addSei(sei, parser.firstTimestamp);
+        }
+        // The media timeline of the video element starts at the first timestamp
+        this._emitSeiMetadata(sei, (sei.pts - (parser.firstTimestamp || 0)) / 1000, 'media');
     }
     
     /**
@@ -185,27 +408,32 @@ class ZLMStreamPlayer {
     _setupEventListeners() {
         if (!this.player) return;
         
-        // Monitor all mpegts.js events for debugging
+        // Monitor all mpegts.js events for debugging; errors are logged below
+        const mpegts = this.mpegts;
         const events = mpegts.Events;
         for (const eventName in events) {
             if (Object.prototype.hasOwnProperty.call(events, eventName)) {
                 const event = events[eventName];
                 this.player.on(event, (...args) => {
-                    if (event === events.STATISTICS_INFO) return; // Too verbose
-                    
-                    if (args.length > 0) {
-                        this._log(`Event: ${eventName} - ${JSON.stringify(args)}`, 
-                            event === events.ERROR ? 'error' : 'info');
-                    } else {
-                        this._log(`Event: ${eventName}`, 'info');
-                    }
+                    if (event === events.STATISTICS_INFO || event === events.ERROR) return; // Too verbose, or logged below
+                    this._log(`Event: ${eventName}`, 'debug', args.length > 0 ? args : undefined);
                 });
             }
         }
         
         // Handle error events
-        this.player.on(mpegts.Events.ERROR, (errorType, errorDetail) => {
-            this._log(`Player error: ${errorType} - ${errorDetail}`, 'error');
+        this.player.on(mpegts.Events.ERROR, (errorType, errorDetail, errorInfo) => {
+            this._log(`Player error: ${errorType} - ${errorDetail}`, 'error', errorInfo);
+            
+            // MediaSource refused the codecs the header check could not rule out
+            if (errorType === mpegts.ErrorTypes.MEDIA_ERROR && ZLMStreamPlayer.CODEC_ERROR_DETAILS.includes(errorDetail) && this._CodecError) {
+                const reason = errorInfo && errorInfo.msg ? `${errorDetail}: ${errorInfo.msg}` : errorDetail;
+                const tracks = this.codecs ? ['video', 'audio'].filter(kind => this.codecs[kind])
+                    .map(kind => ({ kind, ...this.codecs[kind], type: this._CodecProbe.mimeType(kind, this.codecs[kind]) })) : [];
+                this._emit('error', new this._CodecError(tracks, this.codecs, reason));
+                this.stop();
+                return;
+            }
             
             // Additional details for network errors
             if (errorType === mpegts.ErrorTypes.NETWORK_ERROR) {
@@ -216,59 +444,142 @@ class ZLMStreamPlayer {
                 }
             }
             
-            this.onError(new Error(`${errorType}: ${errorDetail}`));
+            this._emit('error', new Error(`${errorType}: ${errorDetail}`));
             
-            // Attempt reconnection for network errors
+            // Attempt reconnection for network errors, give up otherwise
             if (errorType === mpegts.ErrorTypes.NETWORK_ERROR && 
                 this.reconnectAttempts < this.maxReconnectAttempts) {
                 this.reconnectAttempts++;
                 this._log(`Attempting reconnection ${this.reconnectAttempts}/${this.maxReconnectAttempts}...`, 'info');
+                this._setState('reconnecting');
+                this._emit('reconnecting', this.reconnectAttempts, 're-open');
                 
                 // Recreate the player
-                const url = this.player._config.url;
-                const type = this.player._config.type;
-                setTimeout(() => {
-                    this.stop();
+                const url = this.url;
+                const type = this._playType;
+                clearTimeout(this._reconnectTimer);
+                this._reconnectTimer = setTimeout(() => {
+                    this._reconnectTimer = null;
                     this.play(url, type).catch(e => {
                         this._log(`Reconnection failed: ${e.message}`, 'error');
                     });
-                }, 2000);
+                }, this.reconnectDelay);
+            } else {
+                this.stop();
             }
         });
         
-        // Listen for video events
-        this.videoElement.addEventListener('canplay', () => {
+        // Listen for video events (removed again on teardown)
+        this._trackStalls(this.videoElement);
+        
+        this._listenMedia(this.videoElement, 'canplay', () => {
             const setupTime = Date.now() - this.latencyStartTime;
             this._log(`Video can play (setup took ${setupTime}ms)`, 'success');
         });
         
-        this.videoElement.addEventListener('playing', () => {
+        this._listenMedia(this.videoElement, 'playing', () => {
             this._log('Video is playing', 'success');
             this.reconnectAttempts = 0; // Reset on successful playback
         });
         
-        this.videoElement.addEventListener('waiting', () => {
+        this._listenMedia(this.videoElement, 'waiting', () => {
             this._log('Video buffering...', 'info');
         });
         
-        this.videoElement.addEventListener('stalled', () => {
+        this._listenMedia(this.videoElement, 'stalled', () => {
             this._log('Video download stalled', 'error');
         });
         
-        this.videoElement.addEventListener('error', (e) => {
+        this._listenMedia(this.videoElement, 'error', (e) => {
             const errorCode = this.videoElement.error ? this.videoElement.error.code : 'unknown';
             this._log(`Video element error: ${errorCode}`, 'error');
         });
+        
+        // Playback advances in a few timeupdates per second, often enough to steer the latency
+        this._listenMedia(this.videoElement, 'timeupdate', () => this._controlLatency());
+    }
+    
+    /**
+     * Seconds of media buffered ahead of the playback position
+     * @returns {number|null} - The distance to the live edge, or null when nothing is buffered
+     * @private
+     */
+    _liveEdgeDistance() {
+        const buffered = this.videoElement.buffered;
+        if (!buffered || !buffered.length) return null;
+        return Math.max(0, buffered.end(buffered.length - 1) - this.videoElement.currentTime);
+    }
+    
+    /**
+     * Keep the distance to the live edge near the target: jump when far behind,
+     * otherwise speed up until the target is reached
+     * @private
+     */
+    _controlLatency() {
+        const control = this.latencyControl;
+        const video = this.videoElement;
+        if (!control.enabled || !this.player || video.paused) return;
+        
+        const distance = this._liveEdgeDistance();
+        if (distance === null) return;
+        
+        if (control.jumpThreshold > 0 && distance > control.jumpThreshold) {
+            const liveEdge = video.buffered.end(video.buffered.length - 1);
+            this._stopCatchUp(distance, true);
+            video.currentTime = Math.max(video.currentTime, liveEdge - control.targetLatency);
+            this._log(`Jumped to the live edge (${distance.toFixed(2)}s behind)`, 'info');
+            this._emit('livejump', { from: distance, to: liveEdge - video.currentTime });
+            return;
+        }
+        
+        if (!control.catchUp) return;
+        if (!this._catchingUp && distance > control.targetLatency + control.tolerance) {
+            this._catchingUp = true;
+            video.playbackRate = control.playbackRate;
+            this._log(`Catching up at ${control.playbackRate}x (${distance.toFixed(2)}s behind)`, 'info');
+            this._emit('catchup', { active: true, playbackRate: control.playbackRate, latency: distance });
+        } else if (this._catchingUp && distance <= control.targetLatency) {
+            this._stopCatchUp(distance);
+        }
     }
     
     /**
-     * Stop playing the stream
+     * Return to normal speed after catching up
+     * @param {number|null} distance - Current distance to the live edge in seconds
+     * @param {boolean} [silent=false] - Do not emit 'catchup' (a jump follows)
+     * @private
+     */
+    _stopCatchUp(distance, silent = false) {
+        if (!this._catchingUp) return;
+        this._catchingUp = false;
+        this.videoElement.playbackRate = 1;
+        if (!silent) {
+            this._log('Caught up with the live edge', 'info');
+            this._emit('catchup', { active: false, playbackRate: 1, latency: distance });
+        }
+    }
+    
+    /**
+     * Destroy the mpegts.js player without changing the state
+     * @private
      */
-    stop() {
+    _teardown() {
+        super._teardown();
+        this._playId++;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        
+        if (this._probeController) {
+            this._probeController.abort();
+            this._probeController = null;
+        }
+        
         if (this.statsInterval) {
             clearInterval(this.statsInterval);
             this.statsInterval = null;
         }
+        this._lastStats = null;
+        this._stopCatchUp(null, true);
         
         if (this.player) {
             this.player.pause();
@@ -284,8 +595,16 @@ class ZLMStreamPlayer {
         if (this.statsContainer) {
             this.statsContainer.innerHTML = '';
         }
-        
-        this.onDisconnected();
+    }
+    
+    /**
+     * The builder protocol of the transport and stream type, for the log entries
+     * @returns {string}
+     * @private
+     */
+    _logProtocol() {
+        const protocols = ZLMStreamPlayer.PROTOCOLS[this.transport];
+        return protocols[this.streamType] || protocols.mpegts;
     }
     
     /**
@@ -299,41 +618,98 @@ class ZLMStreamPlayer {
             if (!this.player) return;
             
             const stats = this.player.statisticsInfo || {};
-            const currentTime = this.videoElement.currentTime;
             
-            // Calculate estimated latency
-            // This is an approximation and may not be precisely accurate
-            const timestamp = new Date();
-            const videoTimestamp = new Date(timestamp - (currentTime * 1000));
-            const estimatedLatency = Math.round((timestamp - videoTimestamp) / 1000);
+            // Glass-to-glass latency of the displayed frame, from SEI timestamps
+            const latency = this.latencyMeter ? this.latencyMeter.measureMediaElement(this.videoElement) : null;
+            
+            // Frame rate from the difference to the previous sample
+            const now = Date.now();
+            const decodedFrames = stats.decodedFrames || 0;
+            let frameRate = 0;
+            if (this._lastStats && decodedFrames >= this._lastStats.decodedFrames && now > this._lastStats.time) {
+                frameRate = Math.round((decodedFrames - this._lastStats.decodedFrames) * 1000 / (now - this._lastStats.time));
+            }
+            this._lastStats = { time: now, decodedFrames: decodedFrames };
+            
+            const video = this.videoElement;
+            const buffer = video.buffered.length ? Math.max(0, video.buffered.end(video.buffered.length - 1) - video.currentTime) : 0;
+            
+            // The audio track as mpegts.js demuxed it
+            const mediaInfo = this.player.mediaInfo || null;
+            const audio = mediaInfo && mediaInfo.hasAudio ? {
+                codec: mediaInfo.audioCodec || null,
+                sampleRate: mediaInfo.audioSampleRate || null,
+                channelCount: mediaInfo.audioChannelCount || null,
+                bitrate: mediaInfo.audioDataRate ? Math.round(mediaInfo.audioDataRate) : null
+            } : null;
+            
+            // MSE plays audio and video on one clock, by their timestamps: audio stamped later than
+            // the video captured with it is heard late. Sent in real time, the newest audio and video
+            // received carry that offset (to within a frame).
+            const received = this._seiParser ? this._seiParser.lastTimestamps : null;
+            const avSync = received && received.audio !== null && received.video !== null
+                ? this._measureAvSync(received.audio - received.video, 'timestamps')
+                : null;
             
             const statsData = {
                 currentSpeed: stats.speed || 0,
-                decodedFrames: stats.decodedFrames || 0,
+                // mpegts.js reports the download speed in KiB/s
+                bitrate: Math.round((stats.speed || 0) * 1024 * 8 / 1000),
+                decodedFrames: decodedFrames,
                 droppedFrames: stats.droppedFrames || 0,
+                frameRate: frameRate,
+                buffer: buffer,
+                playbackRate: video.playbackRate,
                 totalBytes: stats.totalBytes || 0,
-                estimatedLatency: estimatedLatency
+                latency: latency,
+                latencySource: latency !== null ? this.latencyMeter.source : null,
+                avSync: avSync,
+                audio: audio,
+                videoCodec: this.codecs && this.codecs.video ? this.codecs.video.mime || this.codecs.video.codec : null,
+                audioCodec: this.codecs && this.codecs.audio ? this.codecs.audio.mime || this.codecs.audio.codec : null
             };
             
             // Update stats container if available
             if (this.statsContainer) {
                 this.statsContainer.innerHTML = `
-                    Current Speed: ${Math.round((statsData.currentSpeed || 0) * 8 / 1024)} kbps<br>
+                    Current Speed: ${statsData.bitrate} kbps<br>
+                    Codecs: ${this.codecs ? this._CodecProbe.describe(this.codecs) : 'unknown'}<br>
                     Decoded Frames: ${statsData.decodedFrames || 0}<br>
                     Dropped Frames: ${statsData.droppedFrames || 0}<br>
                     Total Received: ${((statsData.totalBytes || 0) / 1024 / 1024).toFixed(2)} MB<br>
-                    Est. Latency: ${statsData.estimatedLatency}s<br>
-                    Buffer: ${this.videoElement.buffered.length ? this.videoElement.buffered.end(0) - this.videoElement.currentTime : 0}s<br>
+                    Latency: ${latency !== null ? `${latency} ms` : 'n/a (no SEI timestamps)'}<br>
+                    Audio: ${audio ? `${audio.codec || 'n/a'}, ${audio.sampleRate ? `${audio.sampleRate} Hz` : '?'}, ${audio.channelCount || '?'} ch` : 'none'}<br>
+                    A/V Sync: ${avSync ? `${avSync.offset} ms, drift ${avSync.drift} ms` : 'n/a'}<br>
+                    Buffer: ${buffer.toFixed(2)}s${video.playbackRate !== 1 ? ` (catching up at ${video.playbackRate}x)` : ''}<br>
                 `;
             }
             
             // Call the stats callback
-            this.onStats(statsData);
+            this._emit('stats', statsData);
             
         }, 1000);
     }
 }
 
+// Defaults of ZLMStreamPlayer#setLatencyControl
+ZLMStreamPlayer.LATENCY_CONTROL_DEFAULTS = {
+    enabled: false,
+    targetLatency: 0.5,
+    tolerance: 0.3,
+    catchUp: true,
+    playbackRate: 1.2,
+    jumpThreshold: 2.0
+};
+
+// Builder protocols per transport and stream type ('mse' and 'm2ts' use the MPEG-TS entry)
+ZLMStreamPlayer.PROTOCOLS = {
+    http: { flv: 'http-flv', mpegts: 'http-ts', mp4: 'fmp4' },
+    ws: { flv: 'ws-flv', mpegts: 'ws-ts', mp4: 'ws-fmp4' }
+};
+
+// mpegts.js media error details raised when MediaSource cannot take the codecs
+ZLMStreamPlayer.CODEC_ERROR_DETAILS = ['MediaMSEError', 'MediaFormatUnsupported', 'MediaCodecUnsupported'];
+
 // Export for module environments
 if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
     module.exports = ZLMStreamPlayer;
@@ -0,0 +1,366 @@
+/**
+ * ZLMediaKit Frame Comparator
+ * Compares what two video elements show at the same instant: reads the
+ * burned-in timecode (ZLMTimecode, drawn by ZLMWebRTCPublisher's synthetic
+ * source) or a QR code (via BarcodeDetector, where available) from both
+ * frames and reports the offset between them in milliseconds and frames.
+ * Can also render both streams into one canvas, side by side or as a wipe.
+ */
+class ZLMFrameComparator {
+    /**
+     * Create a new frame comparator
+     * @param {Object} options - Configuration options
+     * @param {HTMLVideoElement} options.videoA - First video element
+     * @param {HTMLVideoElement} options.videoB - Second video element
+     * @param {HTMLCanvasElement} [options.canvas] - Canvas for the combined view
+     * @param {string} [options.view='side-by-side'] - Combined view: 'side-by-side', 'wipe' or 'off'
+     * @param {string} [options.labelA='A'] - Label of the first video in the combined view
+     * @param {string} [options.labelB='B'] - Label of the second video in the combined view
+     * @param {string} [options.source='auto'] - Frame time source: 'timecode', 'qr' or 'auto' (timecode, then QR)
+     * @param {number} [options.interval=100] - Milliseconds between measurements
+     * @param {number} [options.window=15] - Measurements the smoothed offset is the median of
+     */
+    constructor(options) {
+        if (!options || !options.videoA || !options.videoB) {
+            throw new Error('Two video elements are required');
+        }
+        
+        this.videoA = options.videoA;
+        this.videoB = options.videoB;
+        this.canvas = options.canvas || null;
+        this.view = options.view || 'side-by-side';
+        this.labelA = options.labelA || 'A';
+        this.labelB = options.labelB || 'B';
+        this.source = options.source || 'auto';
+        this.interval = options.interval || 100;
+        this.window = options.window || 15;
+        
+        // Position of the wipe divider, 0 (all B) to 1 (all A)
+        this.wipePosition = 0.5;
+        
+        // Internal state
+        this.running = false;
+        this.result = null;
+        this._offsets = [];
+        this._frameDuration = null;
+        this._lastA = null;
+        this._timer = null;
+        this._animationFrame = null;
+        this._busy = false;
+        this._scratch = [null, null];
+        this._detector = null;
+        this._timecode = typeof ZLMTimecode !== 'undefined' ? ZLMTimecode
+            : (typeof require === 'function' ? require('./zlm-timecode.js') : null);
+        if (!this._timecode) {
+            throw new Error('zlm-timecode.js is required. Please include it in your page.');
+        }
+        
+        // Set up event callbacks (can be overridden by users)
+        this.onUpdate = (result) => {};
+        this.onError = (error) => { console.error('ZLM Frame Comparator error:', error); };
+    }
+    
+    /**
+     * Start measuring and rendering
+     */
+    start() {
+        this.stop();
+        this.running = true;
+        this.result = null;
+        this._offsets = [];
+        this._frameDuration = null;
+        this._lastA = null;
+        
+        if (this.source !== 'timecode' && typeof BarcodeDetector !== 'undefined') {
+            this._detector = new BarcodeDetector({ formats: ['qr_code'] });
+        }
+        
+        this._timer = setInterval(() => this._measure(), this.interval);
+        this._scheduleRender();
+    }
+    
+    /**
+     * Stop measuring and rendering; the last result stays available
+     */
+    stop() {
+        this.running = false;
+        clearInterval(this._timer);
+        this._timer = null;
+        if (this._animationFrame !== null) {
+            cancelAnimationFrame(this._animationFrame);
+            this._animationFrame = null;
+        }
+    }
+    
+    /**
+     * Change the combined view
+     * @param {string} view - 'side-by-side', 'wipe' or 'off'
+     */
+    setView(view) {
+        this.view = view;
+        if (view === 'off' && this.canvas) {
+            this.canvas.getContext('2d').clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+    }
+    
+    /**
+     * Read both frames and update the offset
+     * @private
+     */
+    async _measure() {
+        // QR detection is asynchronous; skip ticks while one is in progress
+        if (this._busy) return;
+        this._busy = true;
+        
+        try {
+            // Capture both frames first so they are from the same instant
+            const frames = [this._capture(this.videoA, 0), this._capture(this.videoB, 1)];
+            const codes = await Promise.all(frames.map(frame => this._read(frame)));
+            if (!this.running) return;
+            this._update(codes[0], codes[1]);
+        } catch (error) {
+            // A cross-origin video without CORS taints the canvas; nothing can be read from it
+            this.stop();
+            this.onError(error.name === 'SecurityError'
+                ? new Error('Cannot read the video frames (cross-origin video without CORS)')
+                : error);
+        } finally {
+            this._busy = false;
+        }
+    }
+    
+    /**
+     * Copy the current frame of a video into a scratch canvas
+     * @param {HTMLVideoElement} video - The video
+     * @param {number} index - Scratch canvas index
+     * @returns {{canvas: HTMLCanvasElement, image: ImageData}|null} - null when no frame is available
+     * @private
+     */
+    _capture(video, index) {
+        if (video.readyState < 2 || !video.videoWidth) return null;
+        
+        if (!this._scratch[index]) {
+            this._scratch[index] = document.createElement('canvas');
+        }
+        const canvas = this._scratch[index];
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        
+        // Only the timecode strip is needed, unless a QR code may be anywhere in the frame
+        if (!this._detector) {
+            const width = ZLMFrameComparator.SAMPLE_WIDTH;
+            const height = this._timecode.stripHeight(width);
+            const sourceHeight = video.videoWidth / this._timecode.CELLS;
+            canvas.width = width;
+            canvas.height = height;
+            context.drawImage(video, 0, video.videoHeight - sourceHeight, video.videoWidth, sourceHeight, 0, 0, width, height);
+        } else {
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            context.drawImage(video, 0, 0);
+        }
+        
+        return { canvas, image: context.getImageData(0, 0, canvas.width, canvas.height) };
+    }
+    
+    /**
+     * Read the frame time from a captured frame
+     * @param {Object|null} frame - Result of _capture
+     * @returns {Promise<{timestamp: number, frame: number|null, source: string}|null>}
+     * @private
+     */
+    async _read(frame) {
+        if (!frame) return null;
+        
+        if (this.source !== 'qr') {
+            const code = this._timecode.read(frame.image);
+            if (code) return { ...code, source: 'timecode' };
+        }
+        
+        if (this._detector) {
+            const barcodes = await this._detector.detect(frame.canvas);
+            for (const barcode of barcodes) {
+                const code = ZLMFrameComparator.parseQr(barcode.rawValue);
+                if (code) return { ...code, source: 'qr' };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Compute the offset between two frame times and notify
+     * @param {Object|null} a - Frame time of video A
+     * @param {Object|null} b - Frame time of video B
+     * @private
+     */
+    _update(a, b) {
+        // Frame duration from consecutive frames of A, to convert large offsets to frames
+        if (a && a.frame !== null && this._lastA && this._lastA.frame !== null) {
+            const frames = (a.frame - this._lastA.frame + 256) % 256;
+            const elapsed = (a.timestamp - this._lastA.timestamp) | 0;
+            if (frames > 0 && elapsed > 0) {
+                const duration = elapsed / frames;
+                this._frameDuration = this._frameDuration === null ? duration : this._frameDuration * 0.9 + duration * 0.1;
+            }
+        }
+        if (a) this._lastA = a;
+        
+        const result = ZLMFrameComparator.compare(a, b, this._frameDuration);
+        
+        if (result.offset !== null) {
+            this._offsets.push(result.offset);
+            if (this._offsets.length > this.window) {
+                this._offsets.shift();
+            }
+        }
+        const sorted = this._offsets.slice().sort((x, y) => x - y);
+        result.smoothedOffset = sorted.length ? sorted[Math.floor(sorted.length / 2)] : null;
+        result.frameDuration = this._frameDuration !== null ? Math.round(this._frameDuration * 10) / 10 : null;
+        
+        this.result = result;
+        this.onUpdate(result);
+    }
+    
+    /**
+     * Render the combined view on every animation frame
+     * @private
+     */
+    _scheduleRender() {
+        if (!this.canvas || typeof requestAnimationFrame === 'undefined') return;
+        
+        const render = () => {
+            if (!this.running) return;
+            if (this.view !== 'off') this._render();
+            this._animationFrame = requestAnimationFrame(render);
+        };
+        this._animationFrame = requestAnimationFrame(render);
+    }
+    
+    /**
+     * Draw both videos into the canvas
+     * @private
+     */
+    _render() {
+        const canvas = this.canvas;
+        const context = canvas.getContext('2d');
+        const a = this.videoA;
+        const b = this.videoB;
+        const reference = a.videoWidth ? a : b;
+        if (!reference.videoWidth) return;
+        
+        // Both videos are scaled to the size of A, so the same content lines up
+        const width = reference.videoWidth;
+        const height = reference.videoHeight;
+        const sideBySide = this.view === 'side-by-side';
+        const canvasWidth = sideBySide ? width * 2 : width;
+        if (canvas.width !== canvasWidth || canvas.height !== height) {
+            canvas.width = canvasWidth;
+            canvas.height = height;
+        }
+        
+        context.fillStyle = '#000000';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        
+        if (sideBySide) {
+            if (a.videoWidth) context.drawImage(a, 0, 0, width, height);
+            if (b.videoWidth) context.drawImage(b, width, 0, width, height);
+        } else {
+            const divider = Math.round(width * this.wipePosition);
+            if (b.videoWidth) context.drawImage(b, 0, 0, width, height);
+            if (a.videoWidth && divider > 0) {
+                context.save();
+                context.beginPath();
+                context.rect(0, 0, divider, height);
+                context.clip();
+                context.drawImage(a, 0, 0, width, height);
+                context.restore();
+            }
+            context.fillStyle = '#ffeb3b';
+            context.fillRect(divider - 1, 0, 2, height);
+        }
+        
+        const fontSize = Math.round(height / 24);
+        context.font = `bold ${fontSize}px sans-serif`;
+        context.textAlign = 'left';
+        context.fillStyle = '#ffeb3b';
+        context.fillText(this.labelA, fontSize / 2, fontSize * 1.5);
+        context.textAlign = 'right';
+        context.fillText(this.labelB, canvas.width - fontSize / 2, fontSize * 1.5);
+        
+        if (this.result && this.result.offset !== null) {
+            context.textAlign = 'center';
+            context.fillText(ZLMFrameComparator.describe(this.result, this.labelA, this.labelB), canvas.width / 2, fontSize * 1.5);
+        }
+    }
+    
+    /**
+     * Compare two frame times
+     * @param {Object|null} a - { timestamp, frame } shown by A
+     * @param {Object|null} b - { timestamp, frame } shown by B
+     * @param {number|null} [frameDuration] - Frame duration in ms, to count frames beyond the frame counter range
+     * @returns {Object} - { a, b, offset (ms, positive when A is ahead), frames, ahead ('a', 'b' or null) }
+     */
+    static compare(a, b, frameDuration = null) {
+        const result = { a, b, offset: null, frames: null, ahead: null };
+        if (!a || !b) return result;
+        
+        // Timestamps are the lower 32 bits of the wall clock
+        result.offset = (a.timestamp - b.timestamp) | 0;
+        
+        // The 8-bit frame counter is exact within +-127 frames; beyond that, derive frames from the time
+        if (a.frame !== null && b.frame !== null && (frameDuration === null || Math.abs(result.offset) < frameDuration * 100)) {
+            result.frames = ((a.frame - b.frame + 384) % 256) - 128;
+        } else if (frameDuration) {
+            result.frames = Math.round(result.offset / frameDuration);
+        }
+        
+        if (result.offset > 0) {
+            result.ahead = 'a';
+        } else if (result.offset < 0) {
+            result.ahead = 'b';
+        }
+        return result;
+    }
+    
+    /**
+     * Describe a comparison result, e.g. 'WebRTC ahead by 12 frames (480 ms)'
+     * @param {Object} result - Result of compare()
+     * @param {string} [labelA='A'] - Name of the first video
+     * @param {string} [labelB='B'] - Name of the second video
+     * @returns {string}
+     */
+    static describe(result, labelA = 'A', labelB = 'B') {
+        if (!result || result.offset === null) return 'No timecode';
+        if (result.ahead === null) return 'In sync';
+        
+        const leader = result.ahead === 'a' ? labelA : labelB;
+        const ms = `${Math.abs(result.offset)} ms`;
+        return result.frames !== null
+            ? `${leader} ahead by ${Math.abs(result.frames)} frame${Math.abs(result.frames) === 1 ? '' : 's'} (${ms})`
+            : `${leader} ahead by ${ms}`;
+    }
+    
+    /**
+     * Parse the content of a QR code as a frame time
+     * Accepts Unix milliseconds, optionally followed by a frame number ('1700000000000/25' or 't=...;f=...').
+     * @param {string} text - The QR code content
+     * @returns {{timestamp: number, frame: number|null}|null}
+     */
+    static parseQr(text) {
+        const match = /^\s*(?:t=)?(\d{12,14})(?:[\/;,\s]+(?:f=)?(\d+))?\s*$/.exec(text || '');
+        if (!match) return null;
+        return {
+            timestamp: Number(match[1]) % 0x100000000,
+            frame: match[2] !== undefined ? Number(match[2]) & 0xFF : null
+        };
+    }
+}
+
+// Width the timecode strip is scaled to before it is read
+ZLMFrameComparator.SAMPLE_WIDTH = 400;
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMFrameComparator;
+} else {
+    window.ZLMFrameComparator = ZLMFrameComparator;
+}
\ No newline at end of file
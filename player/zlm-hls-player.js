@@ -0,0 +1,470 @@
+/**
+ * ZLMediaKit HLS / LL-HLS Player
+ * A reusable component for playing HLS streams from ZLMediaKit
+ * Uses native HLS where available and hls.js (https://github.com/video-dev/hls.js) otherwise
+ * Requires zlm-player-base.js; glass-to-glass latency also zlm-latency-meter.js (null without it)
+ */
+class ZLMHLSPlayer extends (typeof ZLMPlayerBase !== 'undefined' ? ZLMPlayerBase
+    : typeof require === 'function' ? require('./zlm-player-base.js')
+    : (() => { throw new Error('zlm-player-base.js is required. Please include it before zlm-hls-player.js.'); })()) {
+    /**
+     * Create a new HLS player
+     * @param {Object} options - Configuration options
+     * @param {HTMLVideoElement} options.videoElement - The video element to play the stream in
+     * @param {HTMLElement} [options.logContainer] - Optional container for logs
+     * @param {ZLMLogger} [options.logger] - Logger for the entries of this player; ZLMLogger.shared by default
+     * @param {string} [options.logId] - Player id in the log entries; generated by default
+     * @param {HTMLElement} [options.statsContainer] - Optional container for statistics
+     * @param {Object} [options.hlsOptions] - Custom hls.js options, merged over the defaults
+     * @param {boolean} [options.lowLatency=true] - Enable LL-HLS partial segment loading
+     * @param {boolean} [options.preferNative=true] - Use the browser's native HLS support when available
+     * @param {Object} [options.latencyMeter] - ZLMLatencyMeter options (e.g. clockOffset)
+     * @param {Function} [options.Hls] - The hls.js class, for bundled apps; defaults to the global `Hls`
+     * @param {number} [options.reconnectDelay=2000] - Milliseconds to wait before reloading after a network error,
+     *     or after a video element error or stall in native mode
+     */
+    constructor(options) {
+        super();
+        
+        // Required options
+        if (!options.videoElement) {
+            throw new Error('Video element is required');
+        }
+        
+        // Store options
+        this.videoElement = options.videoElement;
+        this.logContainer = options.logContainer || null;
+        this._setupLogging(options, 'ZLM HLS Player');
+        this.statsContainer = options.statsContainer || null;
+        this.hlsOptions = options.hlsOptions || {};
+        this.lowLatency = options.lowLatency !== false;
+        this.preferNative = options.preferNative !== false;
+        
+        // Check that at least one playback path is available
+        this.nativeSupported = !!this.videoElement.canPlayType('application/vnd.apple.mpegurl');
+        this.Hls = options.Hls || (typeof Hls !== 'undefined' ? Hls : null);
+        this.mseSupported = !!this.Hls && this.Hls.isSupported();
+        if (!this.nativeSupported && !this.mseSupported) {
+            throw new Error('hls.js is required for HLS playback in this browser. Please include it in your page or pass it as options.Hls.');
+        }
+        
+        // Glass-to-glass latency from EXT-X-PROGRAM-DATE-TIME, reported as null without zlm-latency-meter.js
+        const LatencyMeter = typeof ZLMLatencyMeter !== 'undefined' ? ZLMLatencyMeter
+            : (typeof require === 'function' ? require('./zlm-latency-meter.js') : null);
+        this.latencyMeter = LatencyMeter ? new LatencyMeter(options.latencyMeter) : null;
+        
+        // Internal state
+        this.hls = null;
+        this.mode = null;
+        this.url = null;
+        this.statsInterval = null;
+        this._lastStats = null;
+        this.startTime = 0;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 3;
+        this.reconnectDelay = options.reconnectDelay !== undefined ? options.reconnectDelay : 2000;
+        this._reconnectTimer = null;
+        this.mediaRecoveries = 0;
+        this.maxMediaRecoveries = 3;
+        this.stallCount = 0;
+        this.stallDuration = 0;
+        this._stallStart = null;
+        this._partsLogged = false;
+        this._playId = 0;
+        this._rejectManifest = null;
+        
+        // Bind methods to this
+        this.play = this.play.bind(this);
+        this.stop = this.stop.bind(this);
+        this._startStatsMonitoring = this._startStatsMonitoring.bind(this);
+        
+        // Set up event callbacks (can be overridden by users)
+        this.onConnected = () => {};
+        this.onDisconnected = () => {};
+        this.onError = (error) => { console.error('ZLM HLS Player error:', error); };
+        this.onStats = (stats) => {};
+        this.onLog = (message, type) => {};
+        this.onReconnecting = (attempt, strategy) => {};
+        this.onReconnected = () => {};
+        this.onStateChange = (state, previous) => {};
+        this.onRecording = (info) => {};
+        this.onMetadata = (frameTimestamp, payload, info) => {};
+        this.onAudioLevel = (level) => {};
+    }
+    
+    /**
+     * Start playing a stream
+     * @param {string|ZLMUrlBuilder} url - The HLS playlist URL from ZLMediaKit (e.g. /live/<stream>/hls.m3u8), or a URL builder
+     * @returns {Promise} - Resolves when playback starts, rejects on error. Also rejects when a newer
+     *     play() or stop() supersedes it, without emitting 'error' or stopping the newer one.
+     */
+    async play(url) {
+        // Accept a ZLMUrlBuilder in place of a URL
+        if (url && typeof url.build === 'function') {
+            url = url.build('hls');
+        }
+        
+        if (!url) {
+            throw new Error('Stream URL is required');
+        }
+        
+        this._teardown();
+        this._setState('connecting');
+        
+        // A newer play() (or stop) supersedes this one; its failure is then not an error
+        const attempt = ++this._playId;
+        
+        this.url = url;
+        this.mode = (this.nativeSupported && (this.preferNative || !this.mseSupported)) ? 'native' : 'mse';
+        this._log(`Starting HLS stream (${this.mode === 'native' ? 'native' : 'hls.js'}${this.lowLatency ? ', low latency' : ''})...`);
+        
+        try {
+            this.startTime = Date.now();
+            this.reconnectAttempts = 0;
+            this.mediaRecoveries = 0;
+            this.stallCount = 0;
+            this.stallDuration = 0;
+            this._stallStart = null;
+            this._lastStats = null;
+            if (this.latencyMeter) this.latencyMeter.reset();
+            
+            this._setupVideoListeners();
+            
+            if (this.mode === 'native') {
+                this.videoElement.src = url;
+            } else {
+                await this._attachHlsJs(url);
+            }
+            
+            await this.videoElement.play();
+            
+            this._log('HLS stream started', 'success');
+            this._startStatsMonitoring();
+            this._setState('playing');
+            this._emit('connected');
+            
+            return true;
+        } catch (error) {
+            if (attempt !== this._playId) throw error;
+            
+            this._log(`Error: ${error.message}`, 'error');
+            this._emit('error', error);
+            this.stop();
+            throw error;
+        }
+    }
+    
+    /**
+     * Create an hls.js instance and wait for the manifest
+     * @param {string} url - The playlist URL
+     * @returns {Promise} - Resolves once the manifest is parsed
+     * @private
+     */
+    _attachHlsJs(url) {
+        const Hls = this.Hls;
+        this.hls = new Hls({
+            lowLatencyMode: this.lowLatency,
+            liveSyncDurationCount: this.lowLatency ? 1 : 3,
+            backBufferLength: 30,
+            enableWorker: true,
+            ...this.hlsOptions
+        });
+        
+        const hls = this.hls;
+        
+        hls.on(Hls.Events.LEVEL_LOADED, (event, data) => {
+            if (data.details.partList && data.details.partList.length && !this._partsLogged) {
+                this._partsLogged = true;
+                this._log(`LL-HLS partial segments detected (part target ${data.details.partTarget}s)`);
+            }
+        });
+        
+        // Loading resumed after a network error
+        hls.on(Hls.Events.FRAG_LOADED, () => {
+            if (this.state === 'reconnecting') {
+                this._log('Reconnected', 'success');
+                this._setState('playing');
+                this._emit('reconnected');
+            }
+        });
+        
+        hls.on(Hls.Events.ERROR, (event, data) => {
+            if (!data.fatal) {
+                this._log(`Non-fatal error: ${data.details}`, 'warn');
+                return;
+            }
+            
+            this._log(`Player error: ${data.type} - ${data.details}`, 'error');
+            
+            if (data.type === Hls.ErrorTypes.NETWORK_ERROR && this.reconnectAttempts < this.maxReconnectAttempts) {
+                this.reconnectAttempts++;
+                this._log(`Attempting reconnection ${this.reconnectAttempts}/${this.maxReconnectAttempts}...`, 'info');
+                // Before the manifest is parsed play() handles the failure
+                if (this.state !== 'connecting') {
+                    this._setState('reconnecting');
+                    this._emit('reconnecting', this.reconnectAttempts, 'reload');
+                }
+                setTimeout(() => {
+                    if (this.hls === hls) hls.startLoad();
+                }, this.reconnectDelay);
+            } else if (data.type === Hls.ErrorTypes.MEDIA_ERROR && this.mediaRecoveries < this.maxMediaRecoveries) {
+                this.mediaRecoveries++;
+                this._log(`Recovering from media error ${this.mediaRecoveries}/${this.maxMediaRecoveries}...`, 'info');
+                // As hls.js recommends: when recovering alone did not help, retry once with the audio codec swapped
+                if (this.mediaRecoveries === 2) {
+                    this._log('Swapping the audio codec', 'info');
+                    hls.swapAudioCodec();
+                }
+                hls.recoverMediaError();
+            } else {
+                this._emit('error', new Error(`${data.type}: ${data.details}`));
+                this.stop();
+            }
+        });
+        
+        return new Promise((resolve, reject) => {
+            const onManifest = (event, data) => {
+                hls.off(Hls.Events.ERROR, onError);
+                this._rejectManifest = null;
+                this._log(`Manifest parsed (${data.levels.length} level(s))`);
+                resolve();
+            };
+            const onError = (event, data) => {
+                if (!data.fatal) return;
+                hls.off(Hls.Events.MANIFEST_PARSED, onManifest);
+                this._rejectManifest = null;
+                reject(new Error(`${data.type}: ${data.details}`));
+            };
+            // Destroying hls.js silences both events, so the teardown rejects the wait
+            this._rejectManifest = reject;
+            
+            hls.once(Hls.Events.MANIFEST_PARSED, onManifest);
+            hls.on(Hls.Events.ERROR, onError);
+            
+            hls.loadSource(url);
+            hls.attachMedia(this.videoElement);
+        });
+    }
+    
+    /**
+     * Track stalls and log video element events
+     * @private
+     */
+    _setupVideoListeners() {
+        const listen = (eventName, handler) => this._listenMedia(this.videoElement, eventName, handler);
+        
+        this._trackStalls(this.videoElement);
+        
+        listen('canplay', () => {
+            this._log(`Video can play (setup took ${Date.now() - this.startTime}ms)`, 'success');
+        });
+        
+        listen('playing', () => {
+            this.reconnectAttempts = 0;
+            // hls.js reports its reconnections on FRAG_LOADED
+            if (this.mode === 'native' && this.state === 'reconnecting') {
+                this._log('Reconnected', 'success');
+                this._setState('playing');
+                this._emit('reconnected');
+            }
+            if (this._stallStart !== null) {
+                this.stallDuration += Date.now() - this._stallStart;
+                this._stallStart = null;
+                this._log('Playback resumed', 'success');
+            }
+        });
+        
+        listen('waiting', () => {
+            // Buffering before the first frame is startup, not a stall
+            if (this.videoElement.currentTime > 0 && this._stallStart === null) {
+                this.stallCount++;
+                this._stallStart = Date.now();
+                this._log('Video buffering...', 'info');
+            }
+        });
+        
+        listen('error', () => {
+            const errorCode = this.videoElement.error ? this.videoElement.error.code : 'unknown';
+            this._log(`Video element error: ${errorCode}`, 'error');
+            if (this.mode === 'native') this._reloadNative(`video element error ${errorCode}`);
+        });
+        
+        listen('stalled', () => {
+            if (this.mode === 'native' && this.state !== 'connecting') {
+                this._log('Video stalled: no data from the server', 'warn');
+                this._reloadNative('stalled');
+            }
+        });
+    }
+    
+    /**
+     * Reload the playlist in native mode after an error or stall, up to maxReconnectAttempts times
+     * Before the first frame play() handles the failure instead.
+     * @param {string} reason - What went wrong, for the error once the attempts are used up
+     * @private
+     */
+    _reloadNative(reason) {
+        if (this.state === 'connecting' || this._reconnectTimer) return;
+        
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this._emit('error', new Error(`Native HLS playback failed: ${reason}`));
+            this.stop();
+            return;
+        }
+        
+        this.reconnectAttempts++;
+        this._log(`Attempting reconnection ${this.reconnectAttempts}/${this.maxReconnectAttempts}...`, 'info');
+        this._setState('reconnecting');
+        this._emit('reconnecting', this.reconnectAttempts, 'reload');
+        
+        const url = this.url;
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this.videoElement.src = url;
+            this.videoElement.play().catch(e => {
+                // An error event or a newer reload follows
+                this._log(`Reconnection failed: ${e.message}`, 'error');
+            });
+        }, this.reconnectDelay);
+    }
+    
+    /**
+     * Destroy hls.js and reset the video element without changing the state
+     * @private
+     */
+    _teardown() {
+        super._teardown();
+        
+        if (this.statsInterval) {
+            clearInterval(this.statsInterval);
+            this.statsInterval = null;
+        }
+        
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        
+        this._playId++;
+        if (this._rejectManifest) {
+            const error = new Error('Playback stopped before the manifest was parsed');
+            error.name = 'AbortError';
+            this._rejectManifest(error);
+            this._rejectManifest = null;
+        }
+        
+        if (this.hls) {
+            this.hls.destroy();
+            this.hls = null;
+            this._log('Player destroyed');
+        }
+        this._partsLogged = false;
+        
+        this.videoElement.removeAttribute('src');
+        this.videoElement.load();
+        
+        if (this.statsContainer) {
+            this.statsContainer.innerHTML = '';
+        }
+    }
+    
+    /**
+     * The protocol of the log entries
+     * @returns {string}
+     * @private
+     */
+    _logProtocol() {
+        return 'hls';
+    }
+    
+    /**
+     * Date of the frame being played, from EXT-X-PROGRAM-DATE-TIME
+     * @returns {Date|null}
+     * @private
+     */
+    _getPlayingDate() {
+        if (this.hls) {
+            return this.hls.playingDate || null;
+        }
+        
+        // Safari maps the first PROGRAM-DATE-TIME to the start of the media timeline
+        if (typeof this.videoElement.getStartDate === 'function') {
+            const startDate = this.videoElement.getStartDate();
+            if (startDate && !isNaN(startDate.getTime())) {
+                return new Date(startDate.getTime() + this.videoElement.currentTime * 1000);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Start monitoring playback stats
+     * @private
+     */
+    _startStatsMonitoring() {
+        if (this.statsInterval) return;
+        
+        this.statsInterval = setInterval(() => {
+            const video = this.videoElement;
+            const quality = typeof video.getVideoPlaybackQuality === 'function' ? video.getVideoPlaybackQuality() : null;
+            
+            let buffer = 0;
+            for (let i = 0; i < video.buffered.length; i++) {
+                if (video.buffered.start(i) <= video.currentTime && video.currentTime <= video.buffered.end(i)) {
+                    buffer = video.buffered.end(i) - video.currentTime;
+                }
+            }
+            
+            const playingDate = this._getPlayingDate();
+            const latency = playingDate && this.latencyMeter ? this.latencyMeter.measureProgramDateTime(playingDate) : null;
+            const level = this.hls && this.hls.currentLevel >= 0 ? this.hls.levels[this.hls.currentLevel] : null;
+            const currentStall = this._stallStart !== null ? Date.now() - this._stallStart : 0;
+            
+            // Frame rate from the difference to the previous sample
+            const now = Date.now();
+            const decodedFrames = quality ? quality.totalVideoFrames : 0;
+            let frameRate = 0;
+            if (this._lastStats && decodedFrames >= this._lastStats.decodedFrames && now > this._lastStats.time) {
+                frameRate = Math.round((decodedFrames - this._lastStats.decodedFrames) * 1000 / (now - this._lastStats.time));
+            }
+            this._lastStats = { time: now, decodedFrames: decodedFrames };
+            
+            const statsData = {
+                mode: this.mode,
+                bitrate: level ? Math.round(level.bitrate / 1000) : null,
+                bandwidthEstimate: this.hls ? Math.round(this.hls.bandwidthEstimate / 1000) : null,
+                decodedFrames: decodedFrames,
+                droppedFrames: quality ? quality.droppedVideoFrames : 0,
+                frameRate: frameRate,
+                buffer: buffer,
+                liveEdgeLatency: this.hls && this.hls.latency ? Math.round(this.hls.latency * 1000) : null,
+                stallCount: this.stallCount,
+                stallDuration: this.stallDuration + currentStall,
+                latency: latency,
+                latencySource: latency !== null ? this.latencyMeter.source : null
+            };
+            
+            // Update stats container if available
+            if (this.statsContainer) {
+                this.statsContainer.innerHTML = `
+                    Mode: ${statsData.mode === 'native' ? 'Native HLS' : 'hls.js (MSE)'}<br>
+                    Bitrate: ${statsData.bitrate !== null ? `${statsData.bitrate} kbps` : 'n/a'}<br>
+                    Decoded Frames: ${statsData.decodedFrames}<br>
+                    Dropped Frames: ${statsData.droppedFrames}<br>
+                    Buffer: ${statsData.buffer.toFixed(2)}s<br>
+                    Stalls: ${statsData.stallCount} (${(statsData.stallDuration / 1000).toFixed(1)}s)<br>
+                    Latency: ${latency !== null ? `${latency} ms` : 'n/a (no PROGRAM-DATE-TIME)'}<br>
+                `;
+            }
+            
+            // Call the stats callback
+            this._emit('stats', statsData);
+        
+        }, 1000);
+    }
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMHLSPlayer;
+} else {
+    window.ZLMHLSPlayer = ZLMHLSPlayer;
+}
\ No newline at end of file
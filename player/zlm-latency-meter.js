@@ -0,0 +1,182 @@
+/**
+ * ZLMediaKit Latency Meter
+ * Measures glass-to-glass latency from sender wall-clock timestamps:
+ * RTCP sender reports (via getStats) for WebRTC, SEI timestamps for HTTP-FLV,
+ * EXT-X-PROGRAM-DATE-TIME for HLS.
+ * All sources require the sender and viewer clocks to be in sync (NTP);
+ * use `clockOffset` to correct a known skew.
+ */
+class ZLMLatencyMeter {
+    /**
+     * Create a new latency meter
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.clockOffset=0] - Milliseconds to add to the local clock to match the sender clock
+     * @param {string} [options.seiUuid] - Only accept user_data_unregistered SEI with this UUID (hex, 32 chars)
+     * @param {number} [options.smoothing=0.3] - Exponential smoothing factor (0-1, 1 disables smoothing)
+     */
+    constructor(options = {}) {
+        this.clockOffset = options.clockOffset || 0;
+        this.seiUuid = options.seiUuid ? options.seiUuid.replace(/-/g, '').toLowerCase() : null;
+        this.smoothing = options.smoothing !== undefined ? options.smoothing : 0.3;
+        
+        // Internal state
+        this.samples = [];
+        this.maxSamples = 120;
+        this.latency = null;
+        this.source = null;
+    }
+    
+    /**
+     * Clear all timestamps and the current measurement
+     */
+    reset() {
+        this.samples = [];
+        this.latency = null;
+        this.source = null;
+    }
+    
+    /**
+     * Current time on the sender clock in Unix milliseconds
+     * @returns {number}
+     */
+    now() {
+        return Date.now() + this.clockOffset;
+    }
+    
+    /**
+     * Measure WebRTC latency from a getStats() report
+     * Uses `estimatedPlayoutTimestamp`, which the browser derives from the RTP to
+     * NTP mapping carried in RTCP sender reports (exposed as `remote-outbound-rtp`).
+     * @param {RTCStatsReport} report - The result of RTCPeerConnection.getStats()
+     * @returns {number|null} - Latency in milliseconds, or null when unavailable
+     */
+    measureWebRTC(report) {
+        let inbound = null;
+        let senderReport = null;
+        
+        report.forEach(stat => {
+            if (stat.type === 'inbound-rtp' && stat.kind === 'video') {
+                inbound = stat;
+            }
+        });
+        if (!inbound) return null;
+        
+        report.forEach(stat => {
+            if (stat.type === 'remote-outbound-rtp' && (stat.id === inbound.remoteId || stat.localId === inbound.id)) {
+                senderReport = stat;
+            }
+        });
+        
+        // Without a sender report there is no wall-clock reference yet
+        if (!senderReport || !inbound.estimatedPlayoutTimestamp) return null;
+        
+        const latency = this.now() + ZLMLatencyMeter.NTP_EPOCH_OFFSET_MS - inbound.estimatedPlayoutTimestamp;
+        return this._update(latency, 'rtcp-sr');
+    }
+    
+    /**
+     * Handle an SEI message from ZLMFlvParser and keep its timestamp if it carries one
+     * @param {Object} sei - The parsed SEI message
+     * @param {number} firstTimestamp - Timestamp of the first FLV tag (ms), the media timeline origin
+     */
+    addSei(sei, firstTimestamp) {
+        if (sei.payloadType !== 5 || !sei.uuid) return;
+        if (this.seiUuid && sei.uuid !== this.seiUuid) return;
+        
+        const wallClock = ZLMLatencyMeter.parseTimestamp(sei.payload);
+        if (wallClock === null) return;
+        
+        this.samples.push({
+            mediaTime: (sei.pts - (firstTimestamp || 0)) / 1000,
+            wallClock: wallClock
+        });
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+    }
+    
+    /**
+     * Measure latency of the frame currently shown by a media element from SEI timestamps
+     * @param {HTMLMediaElement} mediaElement - The element playing the stream
+     * @returns {number|null} - Latency in milliseconds, or null when unavailable
+     */
+    measureMediaElement(mediaElement) {
+        const currentTime = mediaElement.currentTime;
+        let reference = null;
+        
+        // Most recent timestamped frame at or before the playback position
+        for (let i = this.samples.length - 1; i >= 0; i--) {
+            if (this.samples[i].mediaTime <= currentTime) {
+                reference = this.samples[i];
+                break;
+            }
+        }
+        if (!reference) return null;
+        
+        const displayedWallClock = reference.wallClock + (currentTime - reference.mediaTime) * 1000;
+        return this._update(this.now() - displayedWallClock, 'sei');
+    }
+    
+    /**
+     * Measure latency from the wall-clock date of the frame being played
+     * (e.g. derived from HLS EXT-X-PROGRAM-DATE-TIME)
+     * @param {Date} playingDate - Sender wall-clock time of the displayed frame
+     * @returns {number} - Latency in milliseconds
+     */
+    measureProgramDateTime(playingDate) {
+        return this._update(this.now() - playingDate.getTime(), 'program-date-time');
+    }
+    
+    /**
+     * Apply smoothing and store the latest measurement
+     * @param {number} latency - Raw latency in milliseconds
+     * @param {string} source - Measurement source
+     * @returns {number} - Smoothed latency in milliseconds
+     * @private
+     */
+    _update(latency, source) {
+        if (this.latency === null || this.source !== source) {
+            this.latency = latency;
+        } else {
+            this.latency += (latency - this.latency) * this.smoothing;
+        }
+        this.source = source;
+        return Math.round(this.latency);
+    }
+    
+    /**
+     * Parse a wall-clock timestamp from SEI user data
+     * Accepts an 8 byte big-endian Unix time in milliseconds, or an ASCII
+     * number of Unix milliseconds or seconds (with optional fraction).
+     * @param {Uint8Array} data - The user data following the SEI UUID
+     * @returns {number|null} - Unix time in milliseconds, or null if not a timestamp
+     */
+    static parseTimestamp(data) {
+        if (!data || data.length === 0) return null;
+        
+        if (data.length === 8) {
+            const high = ((data[0] << 24) >>> 0) + ((data[1] << 16) | (data[2] << 8) | data[3]);
+            const low = ((data[4] << 24) >>> 0) + ((data[5] << 16) | (data[6] << 8) | data[7]);
+            const value = high * 0x100000000 + low;
+            if (value > 1e12 && value < 1e14) return value;
+        }
+        
+        const text = String.fromCharCode.apply(null, data).replace(/\0+$/, '').trim();
+        if (!/^\d+(\.\d+)?$/.test(text)) return null;
+        
+        const value = parseFloat(text);
+        if (value > 1e12 && value < 1e14) return value;
+        if (value > 1e9 && value < 1e11) return value * 1000;
+        return null;
+    }
+}
+
+// Milliseconds between the NTP epoch (1900) and the Unix epoch (1970)
+ZLMLatencyMeter.NTP_EPOCH_OFFSET_MS = 2208988800000;
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMLatencyMeter;
+} else {
+    window.ZLMLatencyMeter = ZLMLatencyMeter;
+}
\ No newline at end of file
@@ -0,0 +1,289 @@
+/**
+ * ZLMediaKit Logger
+ * Structured log shared by the players: entries with a level and the fields
+ * of the player that wrote them (player id, protocol, state), kept in a ring
+ * buffer of fixed size. Log panels attach a view that shows the entries
+ * matching a filter, with a cap on DOM nodes, and the whole log exports as
+ * NDJSON for bug reports.
+ *
+ * Players log to ZLMLogger.shared unless given their own logger.
+ */
+class ZLMLogger {
+    /**
+     * Create a logger
+     * @param {Object} [options] - Logger options
+     * @param {number} [options.capacity=1000] - Entries kept; the oldest are dropped beyond that
+     * @param {string} [options.level='debug'] - Lowest level kept: debug, info, warn or error
+     * @param {string} [options.consoleLevel='info'] - Lowest level also written to the console, or 'off'
+     */
+    constructor(options = {}) {
+        this.capacity = Math.max(1, options.capacity || 1000);
+        this.level = options.level || 'debug';
+        this.consoleLevel = options.consoleLevel || 'info';
+        
+        // Ring buffer: _start is the oldest entry once the buffer is full
+        this.dropped = 0;
+        this._entries = [];
+        this._start = 0;
+        this._seq = 0;
+        this._listeners = [];
+        this._views = [];
+    }
+    
+    /**
+     * Add an entry
+     * @param {string} type - Level of the entry: debug, info, warn or error; 'success' is an info entry shown as a success
+     * @param {string} message - The message
+     * @param {Object} [fields] - Structured fields, e.g. { source, player, protocol, state, data }
+     * @returns {Object|null} - The entry, or null when below the logger level
+     */
+    log(type, message, fields = {}) {
+        const level = ZLMLogger.levelOf(type);
+        if (ZLMLogger.LEVELS[level] < ZLMLogger.LEVELS[this.level]) return null;
+        
+        const entry = { seq: ++this._seq, time: Date.now(), level, type, message: String(message), ...fields };
+        if (this._entries.length < this.capacity) {
+            this._entries.push(entry);
+        } else {
+            this._entries[this._start] = entry;
+            this._start = (this._start + 1) % this.capacity;
+            this.dropped++;
+        }
+        
+        if (this.consoleLevel !== 'off' && ZLMLogger.LEVELS[level] >= ZLMLogger.LEVELS[this.consoleLevel]) {
+            const write = level === 'error' ? console.error : (level === 'warn' ? console.warn : console.log);
+            write(`${entry.source || 'ZLM'}: ${entry.message}`);
+        }
+        
+        this._listeners.slice().forEach(listener => {
+            try {
+                listener(entry);
+            } catch (e) {
+                console.error('ZLM Logger: listener failed:', e);
+            }
+        });
+        this._views.forEach(view => this._appendToView(view, entry));
+        return entry;
+    }
+    
+    /**
+     * Add a debug entry
+     * @param {string} message - The message
+     * @param {Object} [fields] - Structured fields
+     * @returns {Object|null} - The entry
+     */
+    debug(message, fields) {
+        return this.log('debug', message, fields);
+    }
+    
+    /**
+     * Add an info entry
+     * @param {string} message - The message
+     * @param {Object} [fields] - Structured fields
+     * @returns {Object|null} - The entry
+     */
+    info(message, fields) {
+        return this.log('info', message, fields);
+    }
+    
+    /**
+     * Add a warning
+     * @param {string} message - The message
+     * @param {Object} [fields] - Structured fields
+     * @returns {Object|null} - The entry
+     */
+    warn(message, fields) {
+        return this.log('warn', message, fields);
+    }
+    
+    /**
+     * Add an error entry
+     * @param {string} message - The message
+     * @param {Object} [fields] - Structured fields
+     * @returns {Object|null} - The entry
+     */
+    error(message, fields) {
+        return this.log('error', message, fields);
+    }
+    
+    /**
+     * The kept entries, oldest first
+     * @type {Object[]}
+     */
+    get entries() {
+        return this._entries.slice(this._start).concat(this._entries.slice(0, this._start));
+    }
+    
+    /**
+     * Entries matching a filter
+     * @param {Object} [filter] - See ZLMLogger.matches
+     * @returns {Object[]} - The entries, oldest first
+     */
+    query(filter = {}) {
+        return this.entries.filter(entry => ZLMLogger.matches(entry, filter));
+    }
+    
+    /**
+     * Export entries as newline-delimited JSON, one entry per line with an ISO time
+     * @param {Object} [filter] - See ZLMLogger.matches
+     * @returns {string} - The NDJSON text
+     */
+    toNDJSON(filter = {}) {
+        return this.query(filter).map(entry => {
+            try {
+                return JSON.stringify({ ...entry, time: new Date(entry.time).toISOString() });
+            } catch (e) {
+                // Data that does not serialize, e.g. a circular structure
+                return JSON.stringify({ ...entry, time: new Date(entry.time).toISOString(), data: String(entry.data) });
+            }
+        }).join('\n') + '\n';
+    }
+    
+    /**
+     * Drop all entries and empty the attached views
+     */
+    clear() {
+        this._entries = [];
+        this._start = 0;
+        this.dropped = 0;
+        this._views.forEach(view => this._renderView(view));
+    }
+    
+    /**
+     * Call a listener with every new entry
+     * @param {Function} listener - Called with the entry
+     * @returns {Function} - Removes the listener again
+     */
+    subscribe(listener) {
+        this._listeners.push(listener);
+        return () => {
+            this._listeners = this._listeners.filter(item => item !== listener);
+        };
+    }
+    
+    /**
+     * Show the entries matching a filter in a container, newest last
+     * A container shows one view: attaching it again replaces the previous view.
+     * @param {HTMLElement} container - The log panel
+     * @param {Object} [options] - View options
+     * @param {Object} [options.filter] - Entries to show (see ZLMLogger.matches)
+     * @param {number} [options.maxEntries=200] - Entries shown at most; older ones are removed from the DOM
+     * @returns {Object} - The view: { container, filter, maxEntries, setFilter(filter), detach() }
+     */
+    attach(container, options = {}) {
+        this._views.filter(view => view.container === container).forEach(view => view.detach());
+        
+        const view = {
+            container,
+            filter: options.filter || {},
+            maxEntries: options.maxEntries || 200,
+            setFilter: (filter) => {
+                view.filter = filter;
+                this._renderView(view);
+            },
+            detach: () => {
+                this._views = this._views.filter(item => item !== view);
+            }
+        };
+        this._views.push(view);
+        this._renderView(view);
+        return view;
+    }
+    
+    /**
+     * Fill a view with the matching entries
+     * @param {Object} view - The view
+     * @private
+     */
+    _renderView(view) {
+        const container = view.container;
+        while (container.children.length) {
+            container.children[0].remove();
+        }
+        this.query(view.filter).slice(-view.maxEntries).forEach(entry => container.appendChild(this._createEntryElement(entry)));
+        container.scrollTop = container.scrollHeight;
+    }
+    
+    /**
+     * Append an entry to a view if it matches, dropping the oldest shown entries over the cap
+     * @param {Object} view - The view
+     * @param {Object} entry - The new entry
+     * @private
+     */
+    _appendToView(view, entry) {
+        if (!ZLMLogger.matches(entry, view.filter)) return;
+        
+        const container = view.container;
+        container.appendChild(this._createEntryElement(entry));
+        while (container.children.length > view.maxEntries) {
+            container.children[0].remove();
+        }
+        container.scrollTop = container.scrollHeight;
+    }
+    
+    /**
+     * Create the DOM node of an entry
+     * @param {Object} entry - The entry
+     * @returns {HTMLElement} - A .log-entry element
+     * @private
+     */
+    _createEntryElement(entry) {
+        const element = document.createElement('div');
+        element.className = `log-entry log-${entry.type}`;
+        element.textContent = `${new Date(entry.time).toLocaleTimeString()} - ${entry.message}`;
+        element.title = [entry.player, entry.protocol, entry.state].filter(Boolean).join(' · ');
+        return element;
+    }
+    
+    /**
+     * The level of an entry type ('success' entries are info entries)
+     * @param {string} type - Entry type
+     * @returns {string} - debug, info, warn or error
+     */
+    static levelOf(type) {
+        return ZLMLogger.LEVELS[type] !== undefined ? type : 'info';
+    }
+    
+    /**
+     * Whether an entry matches a filter
+     * @param {Object} entry - The entry
+     * @param {Object} filter - Filter: { level, search, player, ...fields }
+     *     - level: lowest level to match
+     *     - search: text to find in the message, source and protocol (case-insensitive)
+     *     - player: player id; also matches the players it created ('<id>/<protocol>')
+     *     - any other key must equal the entry field
+     * @returns {boolean} - True when the entry matches
+     */
+    static matches(entry, filter) {
+        return Object.keys(filter).every(key => {
+            const value = filter[key];
+            if (value === undefined || value === null || value === '') return true;
+            
+            switch (key) {
+                case 'level':
+                    return ZLMLogger.LEVELS[entry.level] >= ZLMLogger.LEVELS[value];
+                case 'search': {
+                    const text = `${entry.message} ${entry.source || ''} ${entry.protocol || ''}`.toLowerCase();
+                    return text.includes(String(value).toLowerCase());
+                }
+                case 'player':
+                    return entry.player === value || (typeof entry.player === 'string' && entry.player.startsWith(`${value}/`));
+                default:
+                    return entry[key] === value;
+            }
+        });
+    }
+}
+
+// Log levels by severity
+ZLMLogger.LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// The logger of players created without one
+ZLMLogger.shared = new ZLMLogger();
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMLogger;
+} else {
+    window.ZLMLogger = ZLMLogger;
+}
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * ZLMediaKit Media Capture
+ * Evidence of what a player showed: PNG snapshots of the current frame, and
+ * MediaRecorder recordings of a MediaStream that stop by themselves at a
+ * size or duration limit. The players expose both through snapshot() and
+ * startRecording()/stopRecording().
+ */
+class ZLMMediaCapture {
+    /**
+     * Create a recording of a stream; call start() to begin
+     * @param {MediaStream} stream - The stream to record (a WebRTC stream or video.captureStream())
+     * @param {Object} [options] - Recording options
+     * @param {string} [options.mimeType] - Container and codecs; the first supported of ZLMMediaCapture.MIME_TYPES by default
+     * @param {number} [options.maxBytes] - Stop once the recording reaches this size (it may exceed it by one timeslice)
+     * @param {number} [options.maxDuration] - Stop after this many milliseconds
+     * @param {number} [options.timeslice=1000] - Milliseconds of media per recorded chunk
+     */
+    constructor(stream, options = {}) {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('MediaRecorder is not supported by this browser');
+        }
+        if (!stream) {
+            throw new Error('Nothing to record: the player has no media stream');
+        }
+        
+        this.stream = stream;
+        this.mimeType = options.mimeType || ZLMMediaCapture.supportedMimeType();
+        this.maxBytes = options.maxBytes || 0;
+        this.maxDuration = options.maxDuration || 0;
+        this.timeslice = options.timeslice || 1000;
+        
+        // Internal state
+        this.recording = false;
+        this.size = 0;
+        this.startedAt = null;
+        this.result = null;
+        this._recorder = null;
+        this._chunks = [];
+        this._timer = null;
+        this._reason = null;
+        this._stopped = null;
+        this._resolveStopped = null;
+        
+        // Set up event callbacks (can be overridden by users)
+        this.onStop = (result) => {};
+    }
+    
+    /**
+     * Start recording
+     */
+    start() {
+        if (this.recording || this.result) {
+            throw new Error('A recording can only be started once');
+        }
+        
+        const recorder = new MediaRecorder(this.stream, this.mimeType ? { mimeType: this.mimeType } : {});
+        recorder.ondataavailable = (event) => {
+            if (!event.data || !event.data.size) return;
+            this._chunks.push(event.data);
+            this.size += event.data.size;
+            if (this.maxBytes && this.size >= this.maxBytes) {
+                this.stop('max-bytes');
+            }
+        };
+        // Also fires when the tracks end, e.g. when the player stops
+        recorder.onstop = () => this._finish();
+        recorder.onerror = () => this.stop('error');
+        
+        this._recorder = recorder;
+        this._stopped = new Promise(resolve => { this._resolveStopped = resolve; });
+        recorder.start(this.timeslice);
+        this.mimeType = recorder.mimeType || this.mimeType;
+        this.startedAt = Date.now();
+        this.recording = true;
+        
+        if (this.maxDuration) {
+            this._timer = setTimeout(() => this.stop('max-duration'), this.maxDuration);
+        }
+    }
+    
+    /**
+     * Stop recording
+     * @param {string} [reason='manual'] - Why the recording stopped, reported in the result
+     * @returns {Promise<Object>} - The result: { blob, mimeType, size, duration, reason }
+     */
+    stop(reason = 'manual') {
+        if (!this._recorder) {
+            return Promise.reject(new Error('The recording was not started'));
+        }
+        if (this.recording && !this._reason) {
+            this._reason = reason;
+            clearTimeout(this._timer);
+            if (this._recorder.state !== 'inactive') {
+                // The last chunk arrives before 'stop'
+                this._recorder.stop();
+            } else {
+                this._finish();
+            }
+        }
+        return this._stopped;
+    }
+    
+    /**
+     * Collect the recorded chunks once MediaRecorder has stopped
+     * @private
+     */
+    _finish() {
+        if (!this.recording) return;
+        this.recording = false;
+        clearTimeout(this._timer);
+        
+        this.result = {
+            blob: new Blob(this._chunks, { type: this.mimeType }),
+            mimeType: this.mimeType,
+            size: this.size,
+            duration: Date.now() - this.startedAt,
+            reason: this._reason || 'ended'
+        };
+        this._chunks = [];
+        
+        try {
+            this.onStop(this.result);
+        } catch (e) {
+            console.error('ZLM Media Capture: onStop failed:', e);
+        }
+        this._resolveStopped(this.result);
+    }
+    
+    /**
+     * The first recording format of MIME_TYPES this browser supports
+     * @returns {string} - The MIME type, or '' to let MediaRecorder choose
+     */
+    static supportedMimeType() {
+        if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') return '';
+        return ZLMMediaCapture.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+    
+    /**
+     * Capture the frame a video element currently shows
+     * @param {HTMLVideoElement} videoElement - The element
+     * @param {string} [type='image/png'] - Image format
+     * @returns {Promise<Blob>} - The image; rejects when the element has no frame or the canvas is tainted
+     */
+    static snapshot(videoElement, type = 'image/png') {
+        if (!videoElement || videoElement.readyState < 2 || !videoElement.videoWidth) {
+            return Promise.reject(new Error('No video frame to capture'));
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = videoElement.videoWidth;
+        canvas.height = videoElement.videoHeight;
+        canvas.getContext('2d').drawImage(videoElement, 0, 0, canvas.width, canvas.height);
+        
+        return new Promise((resolve, reject) => {
+            try {
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('The frame could not be encoded'));
+                    }
+                }, type);
+            } catch (e) {
+                // A cross-origin video without CORS taints the canvas
+                reject(new Error(`The frame could not be read: ${e.message}`));
+            }
+        });
+    }
+    
+    /**
+     * File name for a capture, tagged with the stream, protocol and time
+     * @param {Object} info - What was captured
+     * @param {string} [info.stream] - Stream name
+     * @param {string} [info.protocol] - Protocol of the player
+     * @param {string} info.mimeType - MIME type of the capture, for the extension
+     * @param {Date} [info.date] - Capture time, now by default
+     * @returns {string} - e.g. 'camera1_webrtc_2024-05-01T12-30-00-000Z.png'
+     */
+    static fileName(info) {
+        const extension = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' }[info.mimeType]
+            || (/mp4/i.test(info.mimeType) ? 'mp4' : 'webm');
+        const time = (info.date || new Date()).toISOString().replace(/[:.]/g, '-');
+        const safe = (value) => String(value).replace(/[^\w.-]+/g, '-');
+        return `${safe(info.stream || 'stream')}_${safe(info.protocol || 'player')}_${time}.${extension}`;
+    }
+}
+
+// Recording formats in order of preference
+ZLMMediaCapture.MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm',
+    'video/mp4'
+];
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMMediaCapture;
+} else {
+    window.ZLMMediaCapture = ZLMMediaCapture;
+}
\ No newline at end of file
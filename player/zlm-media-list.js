@@ -0,0 +1,212 @@
+/**
+ * ZLMediaKit Media List
+ * Polls /index/api/getMediaList and keeps a live list of streams with their
+ * codecs, resolution and reader count. Streams that disappear are flagged
+ * offline for a while before they are dropped.
+ */
+class ZLMMediaList {
+    /**
+     * Create a new media list poller
+     * @param {Object} options - Configuration options
+     * @param {ZLMUrlBuilder} options.urlBuilder - Builder holding server base, secret and vhost
+     * @param {string} [options.app] - Only list streams of this app
+     * @param {number} [options.interval=3000] - Polling interval in milliseconds
+     * @param {number} [options.offlineRetention=60000] - How long offline streams stay listed, in milliseconds
+     */
+    constructor(options) {
+        // Required options
+        if (!options || !options.urlBuilder) {
+            throw new Error('URL builder is required');
+        }
+        
+        // Store options
+        this.urlBuilder = options.urlBuilder;
+        this.app = options.app || null;
+        this.interval = options.interval || 3000;
+        this.offlineRetention = options.offlineRetention !== undefined ? options.offlineRetention : 60000;
+        
+        // Internal state
+        this.streams = new Map();
+        this.pollTimer = null;
+        this._pollId = 0;
+        
+        // Bind methods to this
+        this.start = this.start.bind(this);
+        this.stop = this.stop.bind(this);
+        this.refresh = this.refresh.bind(this);
+        
+        // Set up event callbacks (can be overridden by users)
+        this.onUpdate = (streams) => {};
+        this.onError = (error) => { console.error('ZLM Media List error:', error); };
+    }
+    
+    /**
+     * Start polling
+     * @returns {Promise} - Resolves after the first refresh
+     */
+    async start() {
+        this.stop();
+        // A refresh still running from an earlier start() must not schedule its own loop
+        const loop = this._pollId;
+        
+        const poll = async () => {
+            try {
+                await this.refresh();
+            } catch (error) {
+                this.onError(error);
+            }
+            if (loop === this._pollId) {
+                this.pollTimer = setTimeout(poll, this.interval);
+            }
+        };
+        
+        await poll();
+    }
+    
+    /**
+     * Stop polling
+     */
+    stop() {
+        this._pollId++;
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+    
+    /**
+     * Fetch the media list once and update the stream list
+     * @returns {Promise<Object[]>} - The current streams
+     */
+    async refresh() {
+        const params = this.app ? { app: this.app } : {};
+        const response = await fetch(this.urlBuilder.apiUrl('getMediaList', params));
+        
+        if (!response.ok) {
+            throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+        }
+        
+        const result = await response.json();
+        if (result.code !== 0) {
+            throw new Error(`ZLMediaKit error: ${result.msg || 'Unknown error'}`);
+        }
+        
+        this._merge(result.data || []);
+        
+        const streams = this.getStreams();
+        this.onUpdate(streams);
+        return streams;
+    }
+    
+    /**
+     * List the known streams, online first
+     * @returns {Object[]}
+     */
+    getStreams() {
+        return Array.from(this.streams.values()).sort((a, b) => {
+            if (a.online !== b.online) return a.online ? -1 : 1;
+            return a.key.localeCompare(b.key);
+        });
+    }
+    
+    /**
+     * Merge a getMediaList response into the stream list
+     * getMediaList returns one entry per schema (rtmp, rtsp, hls, ...) of each stream.
+     * @param {Object[]} entries - The `data` array of the response
+     * @private
+     */
+    _merge(entries) {
+        const now = Date.now();
+        const seen = new Set();
+        
+        entries.forEach(entry => {
+            const key = `${entry.vhost}/${entry.app}/${entry.stream}`;
+            let stream = seen.has(key) ? this.streams.get(key) : null;
+            
+            if (!stream) {
+                const previous = this.streams.get(key);
+                stream = {
+                    key: key,
+                    vhost: entry.vhost,
+                    app: entry.app,
+                    stream: entry.stream,
+                    schemas: [],
+                    readerCount: 0,
+                    totalReaderCount: 0,
+                    video: null,
+                    audio: null,
+                    originType: entry.originType,
+                    originUrl: entry.originUrl || '',
+                    aliveSecond: entry.aliveSecond || 0,
+                    bytesSpeed: 0,
+                    online: true,
+                    firstSeen: previous ? previous.firstSeen : now,
+                    lastSeen: now,
+                    offlineSince: null
+                };
+                this.streams.set(key, stream);
+                seen.add(key);
+            }
+            
+            stream.schemas.push(entry.schema);
+            stream.readerCount += entry.readerCount || 0;
+            stream.totalReaderCount = Math.max(stream.totalReaderCount, entry.totalReaderCount || 0);
+            stream.bytesSpeed = Math.max(stream.bytesSpeed, entry.bytesSpeed || 0);
+            
+            (entry.tracks || []).forEach(track => {
+                // codec_type: 0 = video, 1 = audio
+                if (track.codec_type === 0 && !stream.video) {
+                    stream.video = {
+                        codec: track.codec_id_name,
+                        width: track.width,
+                        height: track.height,
+                        fps: track.fps
+                    };
+                } else if (track.codec_type === 1 && !stream.audio) {
+                    stream.audio = {
+                        codec: track.codec_id_name,
+                        sampleRate: track.sample_rate,
+                        channels: track.channels
+                    };
+                }
+            });
+        });
+        
+        // Flag streams that went away, and forget them after the retention period
+        this.streams.forEach((stream, key) => {
+            if (seen.has(key)) return;
+            
+            if (stream.online) {
+                stream.online = false;
+                stream.offlineSince = now;
+                stream.readerCount = 0;
+                stream.bytesSpeed = 0;
+            } else if (now - stream.offlineSince > this.offlineRetention) {
+                this.streams.delete(key);
+            }
+        });
+    }
+    
+    /**
+     * Describe a stream's tracks for display, e.g. "H264 1920x1080@25 / AAC 48kHz"
+     * @param {Object} stream - A stream from getStreams()
+     * @returns {string}
+     */
+    static describe(stream) {
+        const parts = [];
+        if (stream.video) {
+            parts.push(`${stream.video.codec} ${stream.video.width}x${stream.video.height}${stream.video.fps ? `@${Math.round(stream.video.fps)}` : ''}`);
+        }
+        if (stream.audio) {
+            parts.push(`${stream.audio.codec}${stream.audio.sampleRate ? ` ${stream.audio.sampleRate / 1000}kHz` : ''}`);
+        }
+        return parts.join(' / ') || 'no tracks';
+    }
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMMediaList;
+} else {
+    window.ZLMMediaList = ZLMMediaList;
+}
\ No newline at end of file
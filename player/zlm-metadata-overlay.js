@@ -0,0 +1,306 @@
+/**
+ * ZLMediaKit Metadata Overlay
+ * Draws the 'metadata' of a player (e.g. detection boxes) on a canvas over
+ * its video, in sync with the frame on screen: an item is drawn once the
+ * displayed frame reaches its timestamp and stays until a newer one replaces
+ * it or it is older than the hold time. Timestamps are compared on their
+ * clock: 'media' with the media time of the frame, 'rtp' with its RTP
+ * timestamp (requestVideoFrameCallback). Items without a timestamp are drawn
+ * as they arrive.
+ */
+class ZLMMetadataOverlay {
+    /**
+     * Create an overlay
+     * @param {Object} options - Overlay options
+     * @param {HTMLVideoElement} options.videoElement - The video the metadata belongs to
+     * @param {HTMLCanvasElement} [options.canvas] - Canvas to draw on; by default one is created over the
+     *     video, in its parent (which should be positioned)
+     * @param {ZLMPlayerBase} [options.player] - Player whose 'metadata' events to show
+     * @param {number} [options.holdTime=0.5] - Seconds an item stays drawn without a newer one
+     * @param {number} [options.maxItems=300] - Items waiting for their frame at most
+     * @param {Function} [options.draw] - Draws a payload: (context, payload, rect) => {}; ZLMMetadataOverlay.drawBoxes by default
+     */
+    constructor(options) {
+        if (!options || !options.videoElement) {
+            throw new Error('Video element is required');
+        }
+        
+        this.videoElement = options.videoElement;
+        this.canvas = options.canvas || ZLMMetadataOverlay._createCanvas(this.videoElement);
+        this._ownsCanvas = !options.canvas;
+        this.holdTime = options.holdTime !== undefined ? options.holdTime : 0.5;
+        this.maxItems = options.maxItems || 300;
+        this.draw = options.draw || ZLMMetadataOverlay.drawBoxes;
+        
+        // Internal state
+        this.player = null;
+        this.running = false;
+        this.shown = null;
+        this._items = [];
+        this._frameRequest = null;
+        this._resized = false;
+        this._listener = (frameTimestamp, payload, info) => this.push(frameTimestamp, payload, info);
+        
+        if (options.player) {
+            this.attach(options.player);
+        }
+    }
+    
+    /**
+     * Show the 'metadata' events of a player and start drawing
+     * @param {ZLMPlayerBase} player - The player
+     */
+    attach(player) {
+        this.detach();
+        this.player = player;
+        player.on('metadata', this._listener);
+        this.start();
+    }
+    
+    /**
+     * Stop showing the events of the attached player
+     */
+    detach() {
+        if (this.player) {
+            this.player.off('metadata', this._listener);
+            this.player = null;
+        }
+    }
+    
+    /**
+     * Add an item to draw once its frame is displayed
+     * @param {number|null} frameTimestamp - Seconds on the clock of the item, or null to draw it now
+     * @param {*} payload - What to draw
+     * @param {Object} [info] - Event info; its `clock` ('media' or 'rtp') says what the timestamp is
+     */
+    push(frameTimestamp, payload, info = {}) {
+        const item = {
+            timestamp: typeof frameTimestamp === 'number' ? frameTimestamp : null,
+            clock: info.clock || null,
+            payload,
+            receivedAt: Date.now()
+        };
+        
+        // Keep the items in timestamp order; they arrive in decode order
+        let index = this._items.length;
+        while (index > 0 && item.timestamp !== null && this._items[index - 1].timestamp > item.timestamp) {
+            index--;
+        }
+        this._items.splice(index, 0, item);
+        if (this._items.length > this.maxItems) {
+            this._items.splice(0, this._items.length - this.maxItems);
+        }
+    }
+    
+    /**
+     * Redraw on every displayed frame (requestVideoFrameCallback, else requestAnimationFrame)
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this._requestFrame();
+    }
+    
+    /**
+     * Stop redrawing; the canvas keeps its last drawing
+     */
+    stop() {
+        this.running = false;
+        if (this._frameRequest) {
+            if (this._frameRequest.video) {
+                this.videoElement.cancelVideoFrameCallback(this._frameRequest.id);
+            } else {
+                cancelAnimationFrame(this._frameRequest.id);
+            }
+            this._frameRequest = null;
+        }
+    }
+    
+    /**
+     * Drop all items and clear the canvas
+     */
+    clear() {
+        this._items = [];
+        this.shown = null;
+        const context = this.canvas.getContext('2d');
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+    
+    /**
+     * Stop, detach and remove the canvas this overlay created
+     */
+    destroy() {
+        this.stop();
+        this.detach();
+        this._items = [];
+        if (this._ownsCanvas) {
+            this.canvas.remove();
+        }
+    }
+    
+    /**
+     * Draw the item that belongs to the displayed frame
+     * @param {Object} [frame] - requestVideoFrameCallback metadata ({ mediaTime, rtpTimestamp });
+     *     the element's currentTime is used without it
+     * @returns {Object|null} - The item drawn, or null when there is none
+     */
+    render(frame) {
+        const times = {
+            media: frame && typeof frame.mediaTime === 'number' ? frame.mediaTime : this.videoElement.currentTime,
+            rtp: frame && typeof frame.rtpTimestamp === 'number' ? frame.rtpTimestamp / 90000 : null
+        };
+        const now = Date.now();
+        
+        // The newest item the frame has reached on each clock; the ones before it are done
+        let current = null;
+        const pending = [];
+        this._items.forEach(item => {
+            const time = item.timestamp === null ? null : times[item.clock || 'media'];
+            if (item.timestamp !== null && (typeof time !== 'number' || item.timestamp > time)) {
+                pending.push(item);
+                return;
+            }
+            const age = item.timestamp === null ? (now - item.receivedAt) / 1000 : time - item.timestamp;
+            if (age <= this.holdTime && (!current || item.receivedAt >= current.receivedAt)) {
+                current = item;
+            }
+        });
+        this._items = current ? [current, ...pending] : pending;
+        
+        this._resizeCanvas();
+        if (current === this.shown && !this._resized) return current;
+        this._resized = false;
+        this.shown = current;
+        
+        const context = this.canvas.getContext('2d');
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (current) {
+            try {
+                this.draw(context, current.payload, this._videoRect());
+            } catch (e) {
+                console.error('ZLM Metadata Overlay: draw failed:', e);
+            }
+        }
+        return current;
+    }
+    
+    /**
+     * Ask for the next displayed frame
+     * @private
+     */
+    _requestFrame() {
+        const video = this.videoElement;
+        const onFrame = (frame) => {
+            this._frameRequest = null;
+            if (!this.running) return;
+            this.render(frame);
+            this._requestFrame();
+        };
+        
+        if (typeof video.requestVideoFrameCallback === 'function') {
+            this._frameRequest = { video: true, id: video.requestVideoFrameCallback((now, frame) => onFrame(frame)) };
+        } else {
+            this._frameRequest = { video: false, id: requestAnimationFrame(() => onFrame(null)) };
+        }
+    }
+    
+    /**
+     * Give the canvas the displayed size of the video
+     * @private
+     */
+    _resizeCanvas() {
+        const width = this.videoElement.clientWidth || this.canvas.width;
+        const height = this.videoElement.clientHeight || this.canvas.height;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+            this._resized = true;
+        }
+    }
+    
+    /**
+     * Where the picture is on the canvas, letterboxed like object-fit: contain
+     * @returns {Object} - { x, y, width, height, videoWidth, videoHeight }
+     * @private
+     */
+    _videoRect() {
+        const canvasWidth = this.canvas.width;
+        const canvasHeight = this.canvas.height;
+        const videoWidth = this.videoElement.videoWidth || canvasWidth;
+        const videoHeight = this.videoElement.videoHeight || canvasHeight;
+        const scale = Math.min(canvasWidth / videoWidth, canvasHeight / videoHeight);
+        const width = videoWidth * scale;
+        const height = videoHeight * scale;
+        return { x: (canvasWidth - width) / 2, y: (canvasHeight - height) / 2, width, height, videoWidth, videoHeight };
+    }
+    
+    /**
+     * Create a canvas covering the video
+     * @param {HTMLVideoElement} videoElement - The video
+     * @returns {HTMLCanvasElement} - The canvas, added after the video
+     * @private
+     */
+    static _createCanvas(videoElement) {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'metadata-overlay';
+        Object.assign(canvas.style, {
+            position: 'absolute',
+            left: '0',
+            top: '0',
+            width: '100%',
+            height: '100%',
+            pointerEvents: 'none'
+        });
+        if (videoElement.parentNode) {
+            videoElement.parentNode.appendChild(canvas);
+        }
+        return canvas;
+    }
+    
+    /**
+     * Draw labelled boxes: a payload { boxes: [...] } or an array of boxes
+     * A box is { x, y, width, height, label?, score?, color? }, normalized to the
+     * picture (all values up to 1) or in video pixels.
+     * @param {CanvasRenderingContext2D} context - The canvas context
+     * @param {*} payload - The metadata; anything without boxes draws nothing
+     * @param {Object} rect - Where the picture is on the canvas (see _videoRect)
+     */
+    static drawBoxes(context, payload, rect) {
+        const boxes = Array.isArray(payload) ? payload : (payload && Array.isArray(payload.boxes) ? payload.boxes : []);
+        context.lineWidth = 2;
+        context.font = '12px sans-serif';
+        
+        boxes.forEach(box => {
+            const normalized = box.x <= 1 && box.y <= 1 && box.width <= 1 && box.height <= 1;
+            const scaleX = normalized ? rect.width : rect.width / rect.videoWidth;
+            const scaleY = normalized ? rect.height : rect.height / rect.videoHeight;
+            const x = rect.x + box.x * scaleX;
+            const y = rect.y + box.y * scaleY;
+            const color = box.color || ZLMMetadataOverlay.BOX_COLOR;
+            
+            context.strokeStyle = color;
+            context.strokeRect(x, y, box.width * scaleX, box.height * scaleY);
+            
+            const label = [box.label, typeof box.score === 'number' ? `${Math.round(box.score * 100)}%` : null]
+                .filter(part => part !== undefined && part !== null && part !== '').join(' ');
+            if (label) {
+                // Above the box, or inside it at the top of the picture
+                const labelY = y - 16 >= rect.y ? y - 16 : y;
+                context.fillStyle = color;
+                context.fillRect(x, labelY, context.measureText(label).width + 6, 16);
+                context.fillStyle = '#000000';
+                context.fillText(label, x + 3, labelY + 12);
+            }
+        });
+    }
+}
+
+// Colour of boxes without their own
+ZLMMetadataOverlay.BOX_COLOR = '#00e676';
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMMetadataOverlay;
+} else {
+    window.ZLMMetadataOverlay = ZLMMetadataOverlay;
+}
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * ZLMediaKit Metadata Worker
+ * RTCRtpScriptTransform worker of ZLMWebRTCPlayer: passes the received video
+ * frames on unchanged and posts the SEI messages found in them as
+ * { timestamp, messages }, timestamp being the 90 kHz RTP timestamp.
+ * Loads zlm-flv-parser.js from its own directory.
+ */
+self.window = self;
+importScripts('zlm-flv-parser.js');
+
+self.onrtctransform = (event) => {
+    const transformer = event.transformer;
+    const codec = transformer.options.codec;
+    
+    transformer.readable.pipeThrough(new TransformStream({
+        transform(frame, controller) {
+            const messages = ZLMFlvParser.parseAnnexB(new Uint8Array(frame.data), codec, 0, 0);
+            if (messages.length) {
+                self.postMessage({ timestamp: frame.timestamp, messages });
+            }
+            controller.enqueue(frame);
+        }
+    })).pipeTo(transformer.writable).catch(() => {
+        // Ends with the connection
+    });
+};
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * ZLMediaKit Network Simulator
+ * Browser client for the network proxy (mock/zlm-network-proxy.js): reads
+ * and switches the impairment profile and the server the proxy forwards to.
+ * The proxy only answers pages served from localhost or an origin started
+ * with --allow-origin.
+ */
+class ZLMNetworkSimulator {
+    /**
+     * Create a new network simulator client
+     * @param {Object} options - Configuration options
+     * @param {string} options.proxyUrl - Base URL of the network proxy (e.g. http://localhost:8090)
+     */
+    constructor(options) {
+        // Required options
+        if (!options || !options.proxyUrl) {
+            throw new Error('proxyUrl is required');
+        }
+        
+        this.proxyUrl = options.proxyUrl.trim().replace(/\/+$/, '');
+        
+        // Last status received from the proxy
+        this.status = null;
+    }
+    
+    /**
+     * Read the current target, profile, settings and link statistics
+     * @returns {Promise<Object>} - { target, profile, settings, profiles, relays, stats }
+     */
+    async getStatus() {
+        return this._request('GET');
+    }
+    
+    /**
+     * Switch the impairment profile
+     * @param {string} [profile] - Profile name (see `status.profiles`)
+     * @param {Object} [settings] - { bandwidth (kbps, 0 = unlimited), delay (ms), jitter (ms), loss (%) } overriding the profile
+     * @returns {Promise<Object>} - The new status
+     */
+    async setProfile(profile, settings) {
+        return this._request('POST', { profile, settings });
+    }
+    
+    /**
+     * Set the ZLMediaKit server the proxy forwards to
+     * @param {string|null} target - Server base URL, or null to unset
+     * @returns {Promise<Object>} - The new status
+     */
+    async setTarget(target) {
+        return this._request('POST', { target });
+    }
+    
+    /**
+     * Call the proxy control API
+     * @param {string} method - 'GET' or 'POST'
+     * @param {Object} [body] - JSON body for POST
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _request(method, body) {
+        const response = await fetch(`${this.proxyUrl}${ZLMNetworkSimulator.CONTROL_PATH}`, {
+            method: method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        
+        const result = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error(`Network proxy returned ${response.status}: ${(result && result.error) || response.statusText}`);
+        }
+        
+        this.status = result;
+        return result;
+    }
+    
+    /**
+     * Describe impairment settings in one line, e.g. '1.5 Mbps, 150±40 ms, 1% loss'
+     * @param {Object} settings - { bandwidth, delay, jitter, loss }
+     * @returns {string}
+     */
+    static describe(settings) {
+        if (!settings) return 'unknown';
+        
+        const parts = [];
+        if (settings.bandwidth > 0) {
+            parts.push(settings.bandwidth >= 1000 ? `${settings.bandwidth / 1000} Mbps` : `${settings.bandwidth} kbps`);
+        }
+        if (settings.delay > 0 || settings.jitter > 0) {
+            parts.push(settings.jitter > 0 ? `${settings.delay}±${settings.jitter} ms` : `${settings.delay} ms`);
+        }
+        if (settings.loss > 0) {
+            parts.push(`${settings.loss}% loss`);
+        }
+        return parts.length ? parts.join(', ') : 'unimpaired';
+    }
+}
+
+// Path of the proxy control API
+ZLMNetworkSimulator.CONTROL_PATH = '/__network';
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMNetworkSimulator;
+} else {
+    window.ZLMNetworkSimulator = ZLMNetworkSimulator;
+}
\ No newline at end of file
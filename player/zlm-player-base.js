@@ -0,0 +1,438 @@
+/**
+ * ZLMediaKit Player Base
+ * Event emitter and playback state lifecycle shared by all ZLM players, so
+ * pages can treat WebRTC, HTTP-FLV/MPEG-TS and HLS players the same way,
+ * along with the logging, capture and audio metering every player offers.
+ *
+ * States: idle -> connecting -> playing <-> stalled, playing/stalled -> reconnecting
+ * -> playing, and any state -> stopped. Every change emits 'statechange'.
+ */
+class ZLMPlayerBase {
+    /**
+     * Create the shared player state
+     */
+    constructor() {
+        this.state = 'idle';
+        this.recorder = null;
+        this.audioMeter = null;
+        this._avSyncStart = null;
+        this._listeners = {};
+        this._mediaListeners = [];
+    }
+    
+    /**
+     * Add an event listener
+     * @param {string} event - Event name: connected, disconnected, reconnecting, reconnected, error, stats, log, statechange, recording,
+     *     metadata or audiolevel;
+     *     ZLMStreamPlayer also emits catchup and livejump, ZLMAutoPlayer switch and probe
+     * @param {Function} listener - Called with the event arguments
+     * @returns {ZLMPlayerBase} - This player, for chaining
+     */
+    on(event, listener) {
+        if (!this._listeners[event]) {
+            this._listeners[event] = [];
+        }
+        this._listeners[event].push(listener);
+        return this;
+    }
+    
+    /**
+     * Remove an event listener, or all listeners of an event
+     * @param {string} event - Event name
+     * @param {Function} [listener] - The listener to remove; all listeners of the event if omitted
+     * @returns {ZLMPlayerBase} - This player, for chaining
+     */
+    off(event, listener) {
+        if (!this._listeners[event]) return this;
+        
+        if (listener) {
+            this._listeners[event] = this._listeners[event].filter(item => item !== listener && item._listener !== listener);
+        } else {
+            delete this._listeners[event];
+        }
+        return this;
+    }
+    
+    /**
+     * Add an event listener that is removed after its first call
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event arguments
+     * @returns {ZLMPlayerBase} - This player, for chaining
+     */
+    once(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener.apply(this, args);
+        };
+        wrapper._listener = listener;
+        return this.on(event, wrapper);
+    }
+    
+    /**
+     * Capture the current video frame
+     * Needs zlm-media-capture.js.
+     * @returns {Promise<Blob>} - A PNG image; rejects when no frame is shown
+     */
+    snapshot() {
+        return this._mediaCapture().snapshot(this.videoElement);
+    }
+    
+    /**
+     * Record the played video (and audio) with MediaRecorder
+     * Emits 'recording' when the recording starts and again with the result
+     * when it stops, also when it stops by itself at a limit or with the player.
+     * Needs zlm-media-capture.js.
+     * @param {Object} [options] - ZLMMediaCapture options
+     * @param {string} [options.mimeType] - Recording format, picked from ZLMMediaCapture.MIME_TYPES by default
+     * @param {number} [options.maxBytes] - Stop at this size
+     * @param {number} [options.maxDuration] - Stop after this many milliseconds
+     * @returns {ZLMMediaCapture} - The recording
+     */
+    startRecording(options = {}) {
+        if (this.recorder) {
+            throw new Error('Already recording');
+        }
+        
+        const MediaCapture = this._mediaCapture();
+        const recorder = new MediaCapture(this._recordingStream(), options);
+        recorder.onStop = (result) => {
+            if (this.recorder === recorder) this.recorder = null;
+            this._emit('recording', { active: false, ...result });
+        };
+        recorder.start();
+        this.recorder = recorder;
+        this._emit('recording', { active: true, mimeType: recorder.mimeType });
+        return recorder;
+    }
+    
+    /**
+     * Stop the current recording
+     * @returns {Promise<Object>} - The result: { blob, mimeType, size, duration, reason }
+     */
+    stopRecording() {
+        if (!this.recorder) {
+            return Promise.reject(new Error('Not recording'));
+        }
+        return this.recorder.stop();
+    }
+    
+    /**
+     * Measure the audio level of the player with Web Audio, emitting 'audiolevel' on every measurement
+     * Needs zlm-audio-meter.js. Start it from a user gesture (e.g. the click on Play): browsers keep an
+     * AudioContext suspended until then. The meter outlives stop() and play(),
+     * so it follows the player across streams until stopAudioMeter().
+     * @param {Object} [options] - ZLMAudioMeter options
+     * @param {number} [options.interval=100] - Milliseconds between measurements
+     * @param {number} [options.silenceThreshold=-60] - Level in dBFS below which the audio counts as silent
+     * @returns {ZLMAudioMeter} - The meter
+     */
+    startAudioMeter(options = {}) {
+        if (this.audioMeter) {
+            return this.audioMeter;
+        }
+        
+        const AudioMeter = typeof ZLMAudioMeter !== 'undefined' ? ZLMAudioMeter
+            : (typeof require === 'function' ? require('./zlm-audio-meter.js') : null);
+        if (!AudioMeter) {
+            throw new Error('zlm-audio-meter.js is required for audio meters. Please include it in your page.');
+        }
+        
+        const meter = new AudioMeter({ ...options, ...this._audioSource() });
+        meter.onLevel = (level) => this._emit('audiolevel', level);
+        meter.start();
+        this.audioMeter = meter;
+        return meter;
+    }
+    
+    /**
+     * Stop measuring the audio level
+     */
+    stopAudioMeter() {
+        if (this.audioMeter) {
+            this.audioMeter.stop();
+            this.audioMeter = null;
+        }
+    }
+    
+    /**
+     * Stop playing the stream
+     * Emits 'disconnected' if the stream was connected. A recording ends with it.
+     */
+    stop() {
+        const wasConnected = this.state === 'playing' || this.state === 'stalled' || this.state === 'reconnecting';
+        
+        if (this.recorder) {
+            this.recorder.stop('stopped');
+        }
+        
+        this._teardown();
+        
+        if (wasConnected) {
+            this._emit('disconnected');
+        }
+        if (this.state !== 'idle') {
+            this._setState('stopped');
+        }
+    }
+    
+    /**
+     * Release the connection and media resources without changing the state
+     * Implemented by every player; play() uses it to clear a previous stream.
+     * @private
+     */
+    _teardown() {
+        this._removeMediaListeners();
+        this._avSyncStart = null;
+    }
+    
+    /**
+     * What the audio meter measures: the video element by default
+     * @returns {Object} - ZLMAudioMeter source options, { mediaElement } or { stream }
+     * @private
+     */
+    _audioSource() {
+        return { mediaElement: this.videoElement };
+    }
+    
+    /**
+     * Turn an A/V offset into the avSync of the stats, with its drift since the first measurement
+     * Players that can measure the offset between audio and video report it in every 'stats'.
+     * @param {number} offset - Milliseconds the audio is behind the video (negative when it is ahead)
+     * @param {string} source - How the offset was measured, e.g. 'playout'
+     * @returns {Object} - { offset, drift, source }
+     * @private
+     */
+    _measureAvSync(offset, source) {
+        if (!this._avSyncStart || this._avSyncStart.source !== source) {
+            this._avSyncStart = { offset, source };
+        }
+        return {
+            offset: Math.round(offset),
+            drift: Math.round(offset - this._avSyncStart.offset),
+            source
+        };
+    }
+    
+    /**
+     * The stream startRecording() records: the video element's captureStream() by default
+     * @returns {MediaStream}
+     * @private
+     */
+    _recordingStream() {
+        const video = this.videoElement;
+        const capture = video && (video.captureStream || video.mozCaptureStream);
+        if (!capture) {
+            throw new Error('This browser cannot record a video element (no captureStream)');
+        }
+        return capture.call(video);
+    }
+    
+    /**
+     * The ZLMMediaCapture class, global or required
+     * @returns {Function}
+     * @private
+     */
+    _mediaCapture() {
+        const MediaCapture = typeof ZLMMediaCapture !== 'undefined' ? ZLMMediaCapture
+            : (typeof require === 'function' ? require('./zlm-media-capture.js') : null);
+        if (!MediaCapture) {
+            throw new Error('zlm-media-capture.js is required for snapshots and recordings. Please include it in your page.');
+        }
+        return MediaCapture;
+    }
+    
+    /**
+     * Send the log of this player to a ZLMLogger; every player calls it from its constructor
+     * Without zlm-logger.js (and no options.logger) only the 'log' event is emitted.
+     * @param {Object} options - Player options: logger (ZLMLogger.shared by default), logId and logContainer
+     * @param {string} source - Name of the player in the log, e.g. 'ZLM Stream Player'
+     * @private
+     */
+    _setupLogging(options, source) {
+        const Logger = typeof ZLMLogger !== 'undefined' ? ZLMLogger
+            : (typeof require === 'function' ? require('./zlm-logger.js') : null);
+        
+        this.logger = options.logger || (Logger ? Logger.shared : null);
+        this.logId = options.logId || `player-${++ZLMPlayerBase._lastLogId}`;
+        this._logSource = source;
+        // The container shows the entries of this player and of the players it creates
+        this.logView = options.logContainer && this.logger
+            ? this.logger.attach(options.logContainer, { filter: { player: this.logId } })
+            : null;
+    }
+    
+    /**
+     * Log a message with the fields of this player, and emit 'log'
+     * @param {string} message - The message to log
+     * @param {string} [type='info'] - Log level: debug, info, warn, error, or success (an info entry shown as a success)
+     * @param {*} [data] - Structured data of the entry, e.g. the arguments of a library event
+     * @private
+     */
+    _log(message, type = 'info', data) {
+        if (this.logger) {
+            this.logger.log(type, message, {
+                source: this._logSource,
+                player: this.logId,
+                protocol: this._logProtocol(),
+                state: this.state,
+                ...(data !== undefined ? { data } : {})
+            });
+        }
+        this._emit('log', message, type);
+    }
+    
+    /**
+     * The protocol named in the log entries of this player
+     * @returns {string|null}
+     * @private
+     */
+    _logProtocol() {
+        return this.protocol || null;
+    }
+    
+    /**
+     * Emit 'metadata' for a user_data_unregistered SEI message of the stream
+     * Metadata also arrives over a WebRTC DataChannel; ZLMMetadataOverlay draws
+     * it in sync with the video frame it belongs to.
+     * @param {Object} sei - The message (see ZLMFlvParser.parseSeiNal)
+     * @param {number} frameTimestamp - Timestamp of the frame carrying it, in seconds on the given clock
+     * @param {string} clock - 'media' (video element time) or 'rtp' (RTP timestamp / 90000)
+     * @private
+     */
+    _emitSeiMetadata(sei, frameTimestamp, clock) {
+        if (!this.metadata || sei.payloadType !== 5 || !sei.uuid) return;
+        if (this.metadata.seiUuid && sei.uuid !== this.metadata.seiUuid.replace(/-/g, '').toLowerCase()) return;
+        
+        this._emit('metadata', frameTimestamp, ZLMPlayerBase.decodeMetadata(sei.payload), { source: 'sei', clock, uuid: sei.uuid });
+    }
+    
+    /**
+     * Emit an event: the single-slot callback (e.g. onConnected) first, then the listeners
+     * A throwing listener is logged and does not prevent the others from running.
+     * @param {string} event - Event name
+     * @param {...*} args - Event arguments
+     * @private
+     */
+    _emit(event, ...args) {
+        const callback = this[ZLMPlayerBase.CALLBACKS[event]];
+        const listeners = [
+            ...(typeof callback === 'function' ? [callback] : []),
+            ...(this._listeners[event] || [])
+        ];
+        
+        listeners.forEach(listener => {
+            try {
+                listener.apply(this, args);
+            } catch (e) {
+                console.error(`ZLM Player: '${event}' listener failed:`, e);
+            }
+        });
+    }
+    
+    /**
+     * Change the playback state and emit 'statechange'
+     * @param {string} state - The new state (one of ZLMPlayerBase.STATES)
+     * @private
+     */
+    _setState(state) {
+        if (state === this.state) return;
+        
+        const previous = this.state;
+        this.state = state;
+        this._emit('statechange', state, previous);
+    }
+    
+    /**
+     * Add a DOM event listener that is removed on teardown
+     * @param {EventTarget} target - The element
+     * @param {string} eventName - The DOM event name
+     * @param {Function} handler - The handler
+     * @private
+     */
+    _listenMedia(target, eventName, handler) {
+        target.addEventListener(eventName, handler);
+        this._mediaListeners.push([target, eventName, handler]);
+    }
+    
+    /**
+     * Remove all listeners added with _listenMedia
+     * @private
+     */
+    _removeMediaListeners() {
+        this._mediaListeners.forEach(([target, eventName, handler]) => {
+            target.removeEventListener(eventName, handler);
+        });
+        this._mediaListeners = [];
+    }
+    
+    /**
+     * Switch between 'playing' and 'stalled' when the video element waits for data
+     * @param {HTMLMediaElement} mediaElement - The element playing the stream
+     * @private
+     */
+    _trackStalls(mediaElement) {
+        this._listenMedia(mediaElement, 'waiting', () => {
+            if (this.state === 'playing') this._setState('stalled');
+        });
+        this._listenMedia(mediaElement, 'playing', () => {
+            if (this.state === 'stalled') this._setState('playing');
+        });
+    }
+    
+    /**
+     * Decode a metadata payload: JSON, else text, else the bytes themselves
+     * @param {Uint8Array|ArrayBuffer|string} data - SEI user data or a DataChannel message
+     * @returns {*} - The parsed JSON value, the text, or a Uint8Array
+     */
+    static decodeMetadata(data) {
+        let text = data;
+        if (typeof data !== 'string') {
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            try {
+                text = new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/\0+$/, '');
+            } catch (e) {
+                return bytes;
+            }
+            // Binary data that happens to be valid UTF-8
+            if (/[\x00-\x08\x0E-\x1F]/.test(text)) return bytes;
+        }
+        
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return text;
+        }
+    }
+}
+
+// Playback states, in lifecycle order
+ZLMPlayerBase.STATES = ['idle', 'connecting', 'playing', 'stalled', 'reconnecting', 'stopped'];
+
+// Number of the last player log id handed out
+ZLMPlayerBase._lastLogId = 0;
+
+// Single-slot callback of each event, kept for backward compatibility
+ZLMPlayerBase.CALLBACKS = {
+    connected: 'onConnected',
+    disconnected: 'onDisconnected',
+    reconnecting: 'onReconnecting',
+    reconnected: 'onReconnected',
+    error: 'onError',
+    stats: 'onStats',
+    log: 'onLog',
+    statechange: 'onStateChange',
+    catchup: 'onCatchUp',
+    livejump: 'onLiveJump',
+    switch: 'onSwitch',
+    probe: 'onProbe',
+    recording: 'onRecording',
+    metadata: 'onMetadata',
+    audiolevel: 'onAudioLevel'
+};
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMPlayerBase;
+} else {
+    window.ZLMPlayerBase = ZLMPlayerBase;
+}
\ No newline at end of file
@@ -0,0 +1,344 @@
+/**
+ * ZLMediaKit QoE Monitor
+ * Measures the quality of experience of any player from its video element:
+ * startup time (time to first frame), rebuffering, frozen frames and dropped
+ * frames, combined into a 0-100 score per session. Frames are observed with
+ * requestVideoFrameCallback where available, otherwise by polling
+ * getVideoPlaybackQuality(). Audio-only playback has no frames; its playback
+ * position stands in for them.
+ */
+class ZLMQoEMonitor {
+    /**
+     * Create a new QoE monitor
+     * @param {Object} options - Configuration options
+     * @param {HTMLVideoElement} options.videoElement - The video element to observe
+     * @param {number} [options.freezeThreshold] - Milliseconds without a new frame that count as a freeze;
+     *     by default max(3 x, 150 ms + 1 x) the average frame duration, as in WebRTC's freezeCount
+     * @param {number} [options.interval=1000] - Interval of `onUpdate` calls in milliseconds
+     * @param {boolean} [options.audioOnly=false] - The element only plays audio: the first 'playing' is the first
+     *     frame, a playback position that stops advancing is a freeze, and no frames are dropped
+     * @param {Function} [options.now] - Clock in milliseconds, for tests
+     */
+    constructor(options) {
+        if (!options || !options.videoElement) {
+            throw new Error('Video element is required');
+        }
+        
+        this.videoElement = options.videoElement;
+        this.freezeThreshold = options.freezeThreshold || null;
+        this.interval = options.interval || 1000;
+        this.audioOnly = !!options.audioOnly;
+        this._now = options.now || (() => (typeof performance !== 'undefined' ? performance.now() : Date.now()));
+        
+        // Internal state
+        this.running = false;
+        this._listeners = [];
+        this._frameCallbackId = null;
+        this._checkTimer = null;
+        this._updateTimer = null;
+        this._reset();
+        
+        // Set up event callbacks (can be overridden by users)
+        this.onUpdate = (metrics) => {};
+        this.onEvent = (type, data) => {};
+    }
+    
+    /**
+     * Start a session; the startup time is measured from now to the first frame
+     * Call it right before the player's play().
+     */
+    start() {
+        this.stop();
+        this._reset();
+        this.running = true;
+        this._startedAt = this._now();
+        this._qualityBaseline = this._playbackQuality();
+        
+        const video = this.videoElement;
+        this._listen('waiting', () => this._startRebuffer());
+        this._listen('playing', () => {
+            this._endRebuffer();
+            // Without frame callbacks, the first 'playing' is the best first frame estimate
+            if (!this._hasFrameCallback()) this._onFrame(this._now());
+        });
+        this._listen('pause', () => {
+            this._endRebuffer();
+            this._endFreeze(this._now());
+        });
+        
+        if (this._hasFrameCallback()) {
+            const onFrame = () => {
+                if (!this.running) return;
+                this._onFrame(this._now());
+                this._frameCallbackId = video.requestVideoFrameCallback(onFrame);
+            };
+            this._frameCallbackId = video.requestVideoFrameCallback(onFrame);
+        }
+        
+        // Freezes are noticed by the absence of frames, so check often
+        this._checkTimer = setInterval(() => this._check(), 100);
+        this._updateTimer = setInterval(() => this.onUpdate(this.getMetrics()), this.interval);
+    }
+    
+    /**
+     * Stop the session; the metrics stay available until the next start()
+     */
+    stop() {
+        if (!this.running) return;
+        
+        const now = this._now();
+        this._endRebuffer();
+        this._endFreeze(now);
+        this._endedAt = now;
+        this._dropped = this._droppedFrames();
+        this.running = false;
+        
+        this._listeners.forEach(([event, handler]) => this.videoElement.removeEventListener(event, handler));
+        this._listeners = [];
+        if (this._frameCallbackId !== null && typeof this.videoElement.cancelVideoFrameCallback === 'function') {
+            this.videoElement.cancelVideoFrameCallback(this._frameCallbackId);
+        }
+        this._frameCallbackId = null;
+        clearInterval(this._checkTimer);
+        clearInterval(this._updateTimer);
+        this._checkTimer = null;
+        this._updateTimer = null;
+        
+        this.onUpdate(this.getMetrics());
+    }
+    
+    /**
+     * Current metrics of the session
+     * Durations are in milliseconds; startupTime is null until the first frame.
+     * @returns {Object} - startupTime, rebufferCount, rebufferDuration, freezeCount, freezeDuration,
+     *     droppedFrames, totalFrames, droppedRatio, sessionDuration, stallRatio and score
+     */
+    getMetrics() {
+        const now = this._endedAt !== null ? this._endedAt : this._now();
+        const rebufferDuration = this._rebufferDuration + (this._rebufferStart !== null ? now - this._rebufferStart : 0);
+        const freezeDuration = this._freezeDuration + (this._freezeStart !== null ? now - this._freezeStart : 0);
+        const dropped = this.running ? this._droppedFrames() : this._dropped;
+        const sessionDuration = this._startedAt !== null ? now - this._startedAt : 0;
+        // Stalls count against the time after the first frame
+        const watchTime = this._firstFrameAt !== null ? now - this._firstFrameAt : 0;
+        
+        const metrics = {
+            startupTime: this._firstFrameAt !== null ? Math.round(this._firstFrameAt - this._startedAt) : null,
+            rebufferCount: this._rebufferCount,
+            rebufferDuration: Math.round(rebufferDuration),
+            freezeCount: this._freezeCount,
+            freezeDuration: Math.round(freezeDuration),
+            droppedFrames: dropped.dropped,
+            totalFrames: dropped.total,
+            droppedRatio: dropped.total > 0 ? dropped.dropped / dropped.total : 0,
+            sessionDuration: Math.round(sessionDuration),
+            stallRatio: watchTime > 0 ? Math.min(1, (rebufferDuration + freezeDuration) / watchTime) : 0
+        };
+        metrics.score = ZLMQoEMonitor.score(metrics);
+        return metrics;
+    }
+    
+    /**
+     * Score a session from 0 (unwatchable) to 100 (instant start, no stalls, no drops)
+     * Penalties: startup above 500 ms (up to 20), share of watch time stalled
+     * (up to 50), stall frequency per minute (up to 15) and dropped frames (up to 15).
+     * A session without a first frame scores 0.
+     * @param {Object} metrics - Metrics as returned by getMetrics()
+     * @returns {number|null} - The score, or null before the session started
+     */
+    static score(metrics) {
+        if (!metrics.sessionDuration) return null;
+        if (metrics.startupTime === null) return 0;
+        
+        const watchMinutes = Math.max(metrics.sessionDuration - metrics.startupTime, 1000) / 60000;
+        const stallsPerMinute = (metrics.rebufferCount + metrics.freezeCount) / watchMinutes;
+        
+        const penalty = Math.min(20, Math.max(0, metrics.startupTime - 500) / 100)
+            + Math.min(50, metrics.stallRatio * 250)
+            + Math.min(15, stallsPerMinute * 3)
+            + Math.min(15, metrics.droppedRatio * 150);
+        return Math.max(0, Math.round(100 - penalty));
+    }
+    
+    /**
+     * Clear the session metrics
+     * @private
+     */
+    _reset() {
+        this._startedAt = null;
+        this._endedAt = null;
+        this._firstFrameAt = null;
+        this._lastFrameAt = null;
+        this._frameDuration = null;
+        this._rebufferStart = null;
+        this._rebufferCount = 0;
+        this._rebufferDuration = 0;
+        this._freezeStart = null;
+        this._freezeCount = 0;
+        this._freezeDuration = 0;
+        this._qualityBaseline = null;
+        this._lastFrameCount = null;
+        this._dropped = { dropped: 0, total: 0 };
+    }
+    
+    /**
+     * Handle a rendered frame
+     * @param {number} now - Time of the frame in milliseconds
+     * @private
+     */
+    _onFrame(now) {
+        if (this._firstFrameAt === null) {
+            this._firstFrameAt = now;
+            this.onEvent('firstframe', { startupTime: Math.round(now - this._startedAt) });
+        } else if (this._lastFrameAt !== null) {
+            // Average frame duration, leaving out the gaps of stalls
+            const duration = now - this._lastFrameAt;
+            if (this._freezeStart === null && this._rebufferStart === null && duration < 1000) {
+                this._frameDuration = this._frameDuration === null ? duration : this._frameDuration * 0.9 + duration * 0.1;
+            }
+        }
+        
+        this._endFreeze(now);
+        this._endRebuffer();
+        this._lastFrameAt = now;
+    }
+    
+    /**
+     * Detect freezes, and frames when requestVideoFrameCallback is not available
+     * @private
+     */
+    _check() {
+        const now = this._now();
+        
+        if (!this._hasFrameCallback()) {
+            // Decoded frame count, or the playback position as a last resort
+            const quality = this._playbackQuality();
+            const frameCount = quality ? quality.total : this.videoElement.currentTime;
+            if (this._lastFrameCount !== null && frameCount > this._lastFrameCount && this._firstFrameAt !== null) {
+                this._onFrame(now);
+            }
+            this._lastFrameCount = frameCount;
+        }
+        
+        if (this._lastFrameAt === null || this._freezeStart !== null || this._rebufferStart !== null) return;
+        if (this.videoElement.paused) return;
+        
+        if (now - this._lastFrameAt > this._currentFreezeThreshold()) {
+            // The freeze started when the last frame was shown
+            this._freezeStart = this._lastFrameAt;
+            this._freezeCount++;
+            this.onEvent('freeze', { count: this._freezeCount });
+        }
+    }
+    
+    /**
+     * Freeze threshold in milliseconds
+     * @returns {number}
+     * @private
+     */
+    _currentFreezeThreshold() {
+        if (this.freezeThreshold) return this.freezeThreshold;
+        
+        // Polling only sees frames every check, so allow for its granularity
+        const frameDuration = this._frameDuration || 40;
+        const threshold = Math.max(3 * frameDuration, frameDuration + 150);
+        return this._hasFrameCallback() ? threshold : Math.max(threshold, 300);
+    }
+    
+    /**
+     * End a freeze at the time of the next frame
+     * @param {number} now - Time in milliseconds
+     * @private
+     */
+    _endFreeze(now) {
+        if (this._freezeStart === null) return;
+        
+        const duration = now - this._freezeStart;
+        this._freezeDuration += duration;
+        this._freezeStart = null;
+        this.onEvent('freeze-end', { duration: Math.round(duration) });
+    }
+    
+    /**
+     * Start a rebuffering period, once playback has started
+     * @private
+     */
+    _startRebuffer() {
+        if (this._firstFrameAt === null || this._rebufferStart !== null) return;
+        
+        // A freeze running into a rebuffer counts as the rebuffer from here on
+        const now = this._now();
+        this._endFreeze(now);
+        this._rebufferStart = now;
+        this._rebufferCount++;
+        this.onEvent('rebuffer', { count: this._rebufferCount });
+    }
+    
+    /**
+     * End the current rebuffering period
+     * @private
+     */
+    _endRebuffer() {
+        if (this._rebufferStart === null) return;
+        
+        const duration = this._now() - this._rebufferStart;
+        this._rebufferDuration += duration;
+        this._rebufferStart = null;
+        this.onEvent('rebuffer-end', { duration: Math.round(duration) });
+    }
+    
+    /**
+     * Dropped and total frames since start()
+     * @returns {Object} - { dropped, total }
+     * @private
+     */
+    _droppedFrames() {
+        const quality = this._playbackQuality();
+        const baseline = this._qualityBaseline || { dropped: 0, total: 0 };
+        if (!quality) return { dropped: 0, total: 0 };
+        
+        // The counters restart when the player replaces the media source
+        if (quality.total < baseline.total) {
+            this._qualityBaseline = { dropped: 0, total: 0 };
+            return quality;
+        }
+        return { dropped: quality.dropped - baseline.dropped, total: quality.total - baseline.total };
+    }
+    
+    /**
+     * Read the frame counters of the video element
+     * @returns {Object|null} - { dropped, total }, or null if not supported
+     * @private
+     */
+    _playbackQuality() {
+        if (this.audioOnly) return null;
+        
+        const video = this.videoElement;
+        if (typeof video.getVideoPlaybackQuality === 'function') {
+            const quality = video.getVideoPlaybackQuality();
+            return { dropped: quality.droppedVideoFrames, total: quality.totalVideoFrames };
+        }
+        if (typeof video.webkitDecodedFrameCount === 'number') {
+            return { dropped: video.webkitDroppedFrameCount || 0, total: video.webkitDecodedFrameCount };
+        }
+        return null;
+    }
+    
+    /** @private */
+    _hasFrameCallback() {
+        return !this.audioOnly && typeof this.videoElement.requestVideoFrameCallback === 'function';
+    }
+    
+    /** @private */
+    _listen(event, handler) {
+        this.videoElement.addEventListener(event, handler);
+        this._listeners.push([event, handler]);
+    }
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMQoEMonitor;
+} else {
+    window.ZLMQoEMonitor = ZLMQoEMonitor;
+}
\ No newline at end of file
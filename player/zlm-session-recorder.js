@@ -0,0 +1,402 @@
+/**
+ * ZLMediaKit Session Recorder
+ * Records every stats sample, connection event, log message and error of a
+ * set of players during a comparison session, and exports the session as
+ * JSON or CSV. Exported JSON sessions can be loaded back for review.
+ */
+class ZLMSessionRecorder {
+    /**
+     * Create a new session recorder
+     * @param {Object} [options] - Configuration options
+     * @param {Object} [options.meta] - Free-form session metadata (server, stream, configuration...)
+     * @param {boolean} [options.recordLogs=true] - Record player log messages
+     */
+    constructor(options = {}) {
+        this.meta = options.meta || {};
+        this.recordLogs = options.recordLogs !== false;
+        
+        // Session data
+        this.players = {};
+        this.entries = [];
+        this.startedAt = null;
+        this.endedAt = null;
+        this.recording = false;
+        this.context = null;
+        
+        // Internal state
+        this._detachers = {};
+    }
+    
+    /**
+     * Start a new recording, discarding previous entries
+     * @param {Object} [meta] - Session metadata, merged over the constructor metadata
+     */
+    start(meta) {
+        this.entries = [];
+        this.meta = { ...this.meta, ...(meta || {}) };
+        this.startedAt = Date.now();
+        this.endedAt = null;
+        this.recording = true;
+        
+        // Players still attached are recorded from the start, detached ones are dropped
+        Object.keys(this.players).forEach(id => {
+            if (this._detachers[id]) {
+                this.players[id].attachedAt = 0;
+            } else {
+                delete this.players[id];
+            }
+        });
+        
+        // Conditions set before the start apply from the first entry
+        if (this.context) {
+            this.record(null, 'marker', 'context', this.context);
+        }
+    }
+    
+    /**
+     * Stop recording
+     */
+    stop() {
+        if (!this.recording) return;
+        this.recording = false;
+        this.endedAt = Date.now();
+    }
+    
+    /**
+     * Set the conditions the following entries are recorded under, e.g. the
+     * simulated network profile. Every entry carries the context current at
+     * the time it was recorded, and a change is recorded as a marker.
+     * @param {Object|null} context - Flat description of the conditions, or null to clear
+     */
+    setContext(context) {
+        this.context = context ? ZLMSessionRecorder._plain(context) : null;
+        this.record(null, 'marker', 'context', this.context || {});
+    }
+    
+    /**
+     * Record the events of a player
+     * Players with an event emitter (on/off) get listeners; for others the
+     * callbacks are wrapped, so attach after assigning your own callbacks.
+     * Attaching an id again replaces the previous player.
+     * @param {string} id - Unique id of the player within the session
+     * @param {Object} player - A ZLM player (or publisher)
+     * @param {Object} [info] - Description of the player, e.g. { protocol, label }
+     */
+    attach(id, player, info = {}) {
+        this.detach(id);
+        
+        this.players[id] = { ...info, attachedAt: this.recording ? Date.now() - this.startedAt : 0 };
+        
+        const handlers = {
+            stats: (stats) => this.record(id, 'stats', null, stats),
+            connected: () => this.record(id, 'event', 'connected'),
+            disconnected: () => this.record(id, 'event', 'disconnected'),
+            reconnecting: (attempt, strategy) => this.record(id, 'event', 'reconnecting', { attempt, strategy }),
+            reconnected: () => this.record(id, 'event', 'reconnected'),
+            statechange: (state, previous) => this.record(id, 'state', state, { previous }),
+            catchup: (info) => this.record(id, 'event', info.active ? 'catchup' : 'catchup-end', info),
+            livejump: (info) => this.record(id, 'event', 'livejump', info),
+            switch: (info) => this.record(id, 'event', 'switch', info),
+            probe: (info) => this.record(id, 'event', 'probe', info),
+            // The recorded media itself stays out of the session
+            recording: (info) => this.record(id, 'event', info.active ? 'recording' : 'recording-end',
+                info.active ? { mimeType: info.mimeType } : { mimeType: info.mimeType, size: info.size, duration: info.duration, reason: info.reason }),
+            error: (error) => this.record(id, 'error', error && error.message ? error.message : String(error)),
+            log: (message, type) => {
+                if (this.recordLogs) this.record(id, 'log', message, { level: type });
+            }
+        };
+        
+        if (typeof player.on === 'function' && typeof player.off === 'function') {
+            Object.keys(handlers).forEach(event => player.on(event, handlers[event]));
+            this._detachers[id] = () => {
+                Object.keys(handlers).forEach(event => player.off(event, handlers[event]));
+            };
+            return;
+        }
+        
+        // Callback slots of the same events, e.g. onStats
+        const wrapped = {};
+        Object.keys(handlers).forEach(event => {
+            if (event !== 'statechange') {
+                wrapped[`on${event.charAt(0).toUpperCase()}${event.slice(1)}`] = handlers[event];
+            }
+        });
+        
+        const originals = {};
+        Object.keys(wrapped).forEach(name => {
+            if (typeof player[name] !== 'function') return;
+            const original = player[name];
+            originals[name] = original;
+            player[name] = (...args) => {
+                wrapped[name](...args);
+                return original.apply(player, args);
+            };
+        });
+        
+        this._detachers[id] = () => {
+            Object.keys(originals).forEach(name => {
+                player[name] = originals[name];
+            });
+        };
+    }
+    
+    /**
+     * Stop recording a player and restore its callbacks
+     * @param {string} id - The player id
+     */
+    detach(id) {
+        if (this._detachers[id]) {
+            this._detachers[id]();
+            delete this._detachers[id];
+        }
+    }
+    
+    /**
+     * Record an entry
+     * @param {string} playerId - The player id, or null for session-wide entries
+     * @param {string} type - 'stats', 'event', 'state', 'log', 'error', 'qoe' or 'marker'
+     * @param {string|null} message - Event name or message
+     * @param {Object} [data] - Entry data
+     */
+    record(playerId, type, message, data) {
+        if (!this.recording) return;
+        
+        const wallClock = Date.now();
+        this.entries.push({
+            t: wallClock - this.startedAt,
+            wallClock: wallClock,
+            player: playerId,
+            type: type,
+            message: message,
+            data: data ? ZLMSessionRecorder._plain(data) : null,
+            context: this.context
+        });
+    }
+    
+    /**
+     * Summarize the session per player
+     * @returns {Object} - Per player: samples, errors, reconnects, latency min/avg/max in ms and the last QoE metrics
+     */
+    summarize() {
+        const summary = {};
+        
+        Object.keys(this.players).forEach(id => {
+            summary[id] = { ...this.players[id], samples: 0, errors: 0, reconnects: 0, latency: null, qoe: null };
+        });
+        
+        const latencies = {};
+        this.entries.forEach(entry => {
+            const item = summary[entry.player];
+            if (!item) return;
+            
+            if (entry.type === 'stats') {
+                item.samples++;
+                if (entry.data && typeof entry.data.latency === 'number') {
+                    (latencies[entry.player] = latencies[entry.player] || []).push(entry.data.latency);
+                }
+            } else if (entry.type === 'error') {
+                item.errors++;
+            } else if (entry.type === 'event' && entry.message === 'reconnecting') {
+                item.reconnects++;
+            } else if (entry.type === 'qoe') {
+                item.qoe = entry.data;
+            }
+        });
+        
+        Object.keys(latencies).forEach(id => {
+            const values = latencies[id];
+            summary[id].latency = {
+                min: Math.min(...values),
+                avg: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+                max: Math.max(...values)
+            };
+        });
+        
+        return summary;
+    }
+    
+    /**
+     * Show the summary as a table, one row per player that took part in the session
+     * The values may come from a loaded file, so they are only ever set as text.
+     * @param {HTMLElement} container - Element whose content is replaced with the table
+     * @returns {HTMLTableElement}
+     */
+    renderSummary(container) {
+        const summary = this.summarize();
+        const table = document.createElement('table');
+        const addRow = (tag, cells) => {
+            const row = document.createElement('tr');
+            cells.forEach(value => {
+                const cell = document.createElement(tag);
+                cell.textContent = String(value);
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        };
+        
+        addRow('th', ['Player', 'Configuration', 'Samples', 'Latency min / avg / max', 'QoE score', 'Reconnects', 'Errors']);
+        // Players that took no part in the session (e.g. an idle publisher) are left out
+        const active = new Set(this.entries.map(entry => entry.player));
+        Object.keys(summary).filter(id => active.has(id)).forEach(id => {
+            const item = summary[id];
+            const latency = item.latency
+                ? `${item.latency.min} / ${item.latency.avg} / ${item.latency.max}ms`
+                : 'n/a';
+            const qoe = item.qoe && item.qoe.score !== null && item.qoe.score !== undefined ? item.qoe.score : 'n/a';
+            addRow('td', [item.label || id, item.config || item.protocol || '', item.samples, latency, qoe, item.reconnects, item.errors]);
+        });
+        
+        container.innerHTML = '';
+        container.appendChild(table);
+        return table;
+    }
+    
+    /**
+     * Export the session as a plain object
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            format: 'zlm-session',
+            version: 1,
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            endedAt: this.endedAt ? new Date(this.endedAt).toISOString() : null,
+            meta: this.meta,
+            players: this.players,
+            entries: this.entries
+        };
+    }
+    
+    /**
+     * Export the session as CSV, one row per entry with stats flattened into columns
+     * @returns {string}
+     */
+    toCSV() {
+        const statKeys = new Set();
+        this.entries.forEach(entry => {
+            if (entry.data) {
+                Object.keys(ZLMSessionRecorder._flatten(entry.data)).forEach(key => statKeys.add(key));
+            }
+        });
+        const dataColumns = Array.from(statKeys).sort();
+        
+        const contextKeys = new Set();
+        this.entries.forEach(entry => {
+            if (entry.context) {
+                Object.keys(ZLMSessionRecorder._flatten(entry.context)).forEach(key => contextKeys.add(key));
+            }
+        });
+        const contextColumns = Array.from(contextKeys).sort();
+        
+        const header = ['t_ms', 'wall_clock', 'player', 'protocol', 'type', 'message',
+            ...contextColumns.map(key => `context.${key}`), ...dataColumns];
+        const rows = this.entries.map(entry => {
+            const flat = entry.data ? ZLMSessionRecorder._flatten(entry.data) : {};
+            const context = entry.context ? ZLMSessionRecorder._flatten(entry.context) : {};
+            const player = this.players[entry.player] || {};
+            return [
+                entry.t,
+                new Date(entry.wallClock).toISOString(),
+                entry.player,
+                player.protocol,
+                entry.type,
+                entry.message,
+                ...contextColumns.map(key => context[key]),
+                ...dataColumns.map(key => flat[key])
+            ].map(ZLMSessionRecorder._csvValue).join(',');
+        });
+        
+        return [header.join(','), ...rows].join('\n') + '\n';
+    }
+    
+    /**
+     * Load an exported JSON session for review
+     * @param {string|Object} json - The exported session
+     * @returns {ZLMSessionRecorder} - A stopped recorder holding the session
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.format !== 'zlm-session' || !Array.isArray(data.entries)) {
+            throw new Error('Not a ZLM session export');
+        }
+        
+        const recorder = new ZLMSessionRecorder({ meta: data.meta });
+        recorder.players = data.players || {};
+        recorder.entries = data.entries;
+        recorder.startedAt = data.startedAt ? Date.parse(data.startedAt) : null;
+        recorder.endedAt = data.endedAt ? Date.parse(data.endedAt) : null;
+        return recorder;
+    }
+    
+    /**
+     * Offer content as a file download (browser only)
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File content
+     * @param {string} [mimeType='application/json'] - Content type
+     */
+    static download(filename, content, mimeType = 'application/json') {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Copy a stats object without functions or DOM references
+     * @param {Object} data - Entry data
+     * @returns {Object}
+     * @private
+     */
+    static _plain(data) {
+        try {
+            return JSON.parse(JSON.stringify(data));
+        } catch (e) {
+            return { value: String(data) };
+        }
+    }
+    
+    /**
+     * Flatten nested objects to dotted keys
+     * @param {Object} data - Nested data
+     * @param {string} [prefix] - Key prefix
+     * @returns {Object}
+     * @private
+     */
+    static _flatten(data, prefix = '') {
+        const result = {};
+        Object.keys(data).forEach(key => {
+            const value = data[key];
+            const name = prefix ? `${prefix}.${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.assign(result, ZLMSessionRecorder._flatten(value, name));
+            } else {
+                result[name] = Array.isArray(value) ? value.join(' ') : value;
+            }
+        });
+        return result;
+    }
+    
+    /**
+     * Quote a CSV value when needed
+     * @param {*} value - The value
+     * @returns {string}
+     * @private
+     */
+    static _csvValue(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMSessionRecorder;
+} else {
+    window.ZLMSessionRecorder = ZLMSessionRecorder;
+}
\ No newline at end of file
@@ -0,0 +1,328 @@
+/**
+ * ZLMediaKit Stats Chart
+ * Plots the stats reported through the players' `onStats` callback over a
+ * rolling time window. Every metric gets its own canvas, and all players are
+ * drawn on the same axes so protocols can be compared at a glance.
+ */
+class ZLMStatsChart {
+    /**
+     * Create a new stats chart
+     * @param {Object} options - Configuration options
+     * @param {HTMLElement} options.container - Element the charts are rendered into
+     * @param {string[]} [options.metrics] - Metrics to plot (keys of ZLMStatsChart.METRICS), all by default
+     * @param {number} [options.window=60] - Rolling window in seconds
+     * @param {number} [options.height=120] - Height of each chart in CSS pixels
+     */
+    constructor(options = {}) {
+        this.container = options.container;
+        this.metrics = options.metrics || Object.keys(ZLMStatsChart.METRICS);
+        this.window = (options.window || 60) * 1000;
+        this.height = options.height || 120;
+        
+        if (!this.container) {
+            throw new Error('A container element is required');
+        }
+        
+        // Internal state
+        this.series = {};
+        this._colorIndex = 0;
+        this._drawPending = false;
+        this._canvases = {};
+        
+        this._render();
+    }
+    
+    /**
+     * Add a player line to all charts
+     * @param {string} id - Unique id of the series
+     * @param {Object} [info] - Series display options
+     * @param {string} [info.label] - Legend label, defaults to the id
+     * @param {string} [info.color] - Line color, picked from ZLMStatsChart.COLORS by default
+     */
+    addSeries(id, info = {}) {
+        this.series[id] = {
+            label: info.label || id,
+            color: info.color || ZLMStatsChart.COLORS[this._colorIndex++ % ZLMStatsChart.COLORS.length],
+            samples: [],
+            previous: {}
+        };
+        this._renderLegend();
+        this._scheduleDraw();
+    }
+    
+    /**
+     * Remove a player line from all charts
+     * @param {string} id - The series id
+     */
+    removeSeries(id) {
+        delete this.series[id];
+        this._renderLegend();
+        this._scheduleDraw();
+    }
+    
+    /**
+     * Add a stats sample, as passed to a player's `onStats` callback
+     * @param {string} id - The series id
+     * @param {Object} stats - The stats object
+     * @param {number} [time=Date.now()] - Sample time in milliseconds
+     */
+    push(id, stats, time = Date.now()) {
+        const series = this.series[id];
+        if (!series) return;
+        
+        const values = {};
+        this.metrics.forEach(key => {
+            const metric = ZLMStatsChart.METRICS[key];
+            let value = metric.value(stats);
+            if (typeof value !== 'number' || !isFinite(value)) {
+                value = null;
+            } else if (metric.perSecond) {
+                // Counters are plotted as a rate between consecutive samples
+                const previous = series.previous[key];
+                series.previous[key] = { value, time };
+                value = previous && value >= previous.value && time > previous.time
+                    ? (value - previous.value) * 1000 / (time - previous.time)
+                    : null;
+            }
+            values[key] = value;
+        });
+        
+        series.samples.push({ time, values });
+        while (series.samples.length && series.samples[0].time < time - this.window) {
+            series.samples.shift();
+        }
+        
+        this._scheduleDraw();
+    }
+    
+    /**
+     * Clear the samples of all series, keeping the series themselves
+     */
+    clear() {
+        Object.keys(this.series).forEach(id => {
+            this.series[id].samples = [];
+            this.series[id].previous = {};
+        });
+        this._scheduleDraw();
+    }
+    
+    /**
+     * Remove the charts from the container
+     */
+    destroy() {
+        this.series = {};
+        this._canvases = {};
+        this.container.innerHTML = '';
+    }
+    
+    /**
+     * Create the legend and one canvas per metric
+     * @private
+     */
+    _render() {
+        this.container.innerHTML = '';
+        
+        this._legend = document.createElement('div');
+        this._legend.className = 'stats-chart-legend';
+        this.container.appendChild(this._legend);
+        
+        this.metrics.forEach(key => {
+            const canvas = document.createElement('canvas');
+            canvas.className = 'stats-chart';
+            canvas.style.width = '100%';
+            canvas.style.height = `${this.height}px`;
+            this.container.appendChild(canvas);
+            this._canvases[key] = canvas;
+        });
+    }
+    
+    /**
+     * Show the color and label of every series
+     * @private
+     */
+    _renderLegend() {
+        this._legend.innerHTML = '';
+        Object.keys(this.series).forEach(id => {
+            const series = this.series[id];
+            const item = document.createElement('span');
+            item.className = 'stats-chart-legend-item';
+            item.style.color = series.color;
+            item.textContent = `■ ${series.label}`;
+            this._legend.appendChild(item);
+        });
+    }
+    
+    /**
+     * Redraw on the next animation frame, at most once per frame
+     * @private
+     */
+    _scheduleDraw() {
+        if (this._drawPending) return;
+        this._drawPending = true;
+        
+        const draw = () => {
+            this._drawPending = false;
+            this._draw();
+        };
+        if (typeof requestAnimationFrame === 'function') {
+            requestAnimationFrame(draw);
+        } else {
+            setTimeout(draw, 16);
+        }
+    }
+    
+    /**
+     * Draw all charts
+     * @private
+     */
+    _draw() {
+        // Every chart shares the same time axis, ending at the latest sample
+        let end = 0;
+        Object.keys(this.series).forEach(id => {
+            const samples = this.series[id].samples;
+            if (samples.length) end = Math.max(end, samples[samples.length - 1].time);
+        });
+        const start = (end || Date.now()) - this.window;
+        
+        this.metrics.forEach(key => {
+            if (this._canvases[key]) {
+                this._drawMetric(this._canvases[key], key, start);
+            }
+        });
+    }
+    
+    /**
+     * Draw the chart of one metric
+     * @param {HTMLCanvasElement} canvas - The chart canvas
+     * @param {string} key - The metric key
+     * @param {number} start - Time at the left edge of the chart in milliseconds
+     * @private
+     */
+    _drawMetric(canvas, key, start) {
+        const metric = ZLMStatsChart.METRICS[key];
+        const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        const width = canvas.clientWidth || 600;
+        const height = this.height;
+        if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+            canvas.width = width * ratio;
+            canvas.height = height * ratio;
+        }
+        
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        
+        // Plot area, leaving room for the y axis labels and the title
+        const left = 50;
+        const top = 18;
+        const right = width - 10;
+        const bottom = height - 18;
+        
+        // Shared y axis: from zero to the largest visible value of any player
+        let max = 0;
+        Object.keys(this.series).forEach(id => {
+            this.series[id].samples.forEach(sample => {
+                const value = sample.values[key];
+                if (value !== null && sample.time >= start) max = Math.max(max, value);
+            });
+        });
+        max = ZLMStatsChart._niceMax(max || metric.defaultMax || 1);
+        
+        const x = (time) => left + (time - start) / this.window * (right - left);
+        const y = (value) => bottom - Math.min(value, max) / max * (bottom - top);
+        
+        // Grid and labels
+        ctx.font = '11px Arial, sans-serif';
+        ctx.fillStyle = '#333333';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${metric.label} (${metric.unit})`, left, 2);
+        
+        ctx.strokeStyle = '#eeeeee';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#999999';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const value = max * i / 4;
+            const lineY = y(value);
+            ctx.beginPath();
+            ctx.moveTo(left, lineY);
+            ctx.lineTo(right, lineY);
+            ctx.stroke();
+            ctx.fillText(ZLMStatsChart._formatValue(value), 4, lineY);
+        }
+        
+        ctx.textBaseline = 'top';
+        for (let seconds = 0; seconds <= this.window / 1000; seconds += this.window / 4000) {
+            const label = seconds === this.window / 1000 ? 'now' : `-${this.window / 1000 - seconds}s`;
+            ctx.fillText(label, x(start + seconds * 1000) - 10, bottom + 4);
+        }
+        
+        // One line per player; missing values break the line
+        Object.keys(this.series).forEach(id => {
+            const series = this.series[id];
+            ctx.strokeStyle = series.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let drawing = false;
+            series.samples.forEach(sample => {
+                const value = sample.values[key];
+                if (value === null || sample.time < start) {
+                    drawing = false;
+                    return;
+                }
+                if (drawing) {
+                    ctx.lineTo(x(sample.time), y(value));
+                } else {
+                    ctx.moveTo(x(sample.time), y(value));
+                    drawing = true;
+                }
+            });
+            ctx.stroke();
+        });
+    }
+    
+    /**
+     * Round an axis maximum up to 1, 2 or 5 times a power of ten
+     * @param {number} value - The largest value
+     * @returns {number}
+     * @private
+     */
+    static _niceMax(value) {
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const steps = [1, 2, 5, 10];
+        for (let i = 0; i < steps.length; i++) {
+            if (value <= steps[i] * magnitude) return steps[i] * magnitude;
+        }
+        return 10 * magnitude;
+    }
+    
+    /**
+     * Format an axis label
+     * @param {number} value - The value
+     * @returns {string}
+     * @private
+     */
+    static _formatValue(value) {
+        if (value >= 10000) return `${Math.round(value / 1000)}k`;
+        return Number.isInteger(value) ? String(value) : value.toFixed(1);
+    }
+}
+
+// Metrics that can be plotted, read from the stats objects of all players
+ZLMStatsChart.METRICS = {
+    bitrate: { label: 'Bitrate', unit: 'kbps', defaultMax: 1000, value: (stats) => stats.bitrate },
+    frameRate: { label: 'Frame rate', unit: 'fps', defaultMax: 30, value: (stats) => stats.frameRate },
+    droppedFrames: { label: 'Dropped frames', unit: 'frames/s', defaultMax: 1, perSecond: true, value: (stats) => stats.droppedFrames },
+    buffer: { label: 'Buffer', unit: 's', defaultMax: 1, value: (stats) => stats.buffer },
+    latency: { label: 'Latency', unit: 'ms', defaultMax: 1000, value: (stats) => stats.latency }
+};
+
+// Default series colors
+ZLMStatsChart.COLORS = ['#2196F3', '#4CAF50', '#FF9800', '#9C27B0', '#F44336', '#00BCD4', '#795548', '#607D8B'];
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMStatsChart;
+} else {
+    window.ZLMStatsChart = ZLMStatsChart;
+}
\ No newline at end of file
@@ -0,0 +1,521 @@
+/**
+ * ZLMediaKit Stream Wall
+ * Plays many streams at once, one tile per stream, within a budget: only
+ * tiles on screen play (via IntersectionObserver), and the number of
+ * concurrent players and WebRTC peer connections is capped. Tiles beyond
+ * the caps wait in a queue; WebRTC tiles can fall back to another protocol
+ * when no peer connection is free. Each tile shows its own stats and is
+ * restarted with a growing delay when its player gives up.
+ */
+class ZLMStreamWall {
+    /**
+     * Create a new stream wall
+     * @param {Object} options - Configuration options
+     * @param {HTMLElement} options.container - Element the tiles are rendered into
+     * @param {ZLMUrlBuilder} options.urlBuilder - Builder holding server base, vhost and params; app and stream come from each tile
+     * @param {Object[]} [options.streams] - Streams to show: { stream, app?, label?, protocol? }
+     * @param {string} [options.protocol='webrtc'] - Protocol of tiles without their own (a ZLMUrlBuilder protocol)
+     * @param {string} [options.fallbackProtocol] - Protocol for WebRTC tiles started while all peer connections are taken
+     *     (kept until the tile is restarted); without it those tiles wait
+     * @param {number} [options.maxPlayers=16] - Maximum number of concurrent players (decoders)
+     * @param {number} [options.maxPeerConnections=8] - Maximum number of concurrent WebRTC peer connections
+     * @param {number} [options.hideDelay=2000] - Milliseconds a tile must be off screen before its player is stopped
+     * @param {number} [options.retryDelay=5000] - First delay before a failed tile is restarted, doubled on every failure
+     * @param {number} [options.maxRetryDelay=60000] - Maximum delay before a failed tile is restarted
+     * @param {Function} [options.createPlayer] - (protocol, elements, tile) => player, overriding ZLMStreamWall.createPlayer
+     */
+    constructor(options) {
+        // Required options
+        if (!options || !options.container) {
+            throw new Error('A container element is required');
+        }
+        if (!options.urlBuilder) {
+            throw new Error('urlBuilder is required');
+        }
+        
+        this.container = options.container;
+        this.urlBuilder = options.urlBuilder;
+        this.protocol = options.protocol || 'webrtc';
+        this.fallbackProtocol = options.fallbackProtocol || null;
+        this.maxPlayers = options.maxPlayers || 16;
+        this.maxPeerConnections = options.maxPeerConnections !== undefined ? options.maxPeerConnections : 8;
+        this.hideDelay = options.hideDelay !== undefined ? options.hideDelay : 2000;
+        this.retryDelay = options.retryDelay || 5000;
+        this.maxRetryDelay = options.maxRetryDelay || 60000;
+        this.createPlayer = options.createPlayer || ZLMStreamWall.createPlayer;
+        
+        // Internal state
+        this.tiles = [];
+        this.running = false;
+        this._nextTileId = 1;
+        this._observer = null;
+        this._healthTimer = null;
+        
+        // Set up event callbacks (can be overridden by users)
+        this.onHealth = (health) => {};
+        this.onTileState = (tile, state) => {};
+        
+        if (options.streams) {
+            this.setStreams(options.streams);
+        }
+    }
+    
+    /**
+     * Replace the streams on the wall
+     * Tiles of streams that stay on the wall keep playing.
+     * @param {Object[]} streams - { stream, app?, label?, protocol? }
+     */
+    setStreams(streams) {
+        const keep = new Map();
+        streams.forEach(stream => keep.set(ZLMStreamWall.streamKey(stream), stream));
+        
+        this.tiles.filter(tile => !keep.has(tile.key)).forEach(tile => this._removeTile(tile));
+        
+        const existing = new Map(this.tiles.map(tile => [tile.key, tile]));
+        this.tiles = Array.from(keep.values()).map(stream => {
+            const tile = existing.get(ZLMStreamWall.streamKey(stream)) || this._createTile(stream);
+            tile.stream = { ...stream };
+            this.container.appendChild(tile.element);
+            return tile;
+        });
+        
+        this._schedule();
+    }
+    
+    /**
+     * Start playing the visible tiles
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        
+        // Without IntersectionObserver every tile counts as visible
+        if (typeof IntersectionObserver !== 'undefined') {
+            this._observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    const tile = this.tiles.find(item => item.element === entry.target);
+                    if (tile) this._setVisible(tile, entry.isIntersecting);
+                });
+            }, { threshold: 0.1 });
+            this.tiles.forEach(tile => this._observer.observe(tile.element));
+        }
+        
+        this._healthTimer = setInterval(() => this.onHealth(this.getHealth()), 1000);
+        this._schedule();
+    }
+    
+    /**
+     * Stop all players; the tiles stay on the wall
+     */
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        
+        if (this._observer) {
+            this._observer.disconnect();
+            this._observer = null;
+        }
+        clearInterval(this._healthTimer);
+        this._healthTimer = null;
+        
+        this.tiles.forEach(tile => {
+            this._stopTile(tile);
+            tile.retries = 0;
+            this._setTileState(tile, 'idle');
+        });
+        this.onHealth(this.getHealth());
+    }
+    
+    /**
+     * Stop everything and remove the tiles from the container
+     */
+    destroy() {
+        this.stop();
+        this.tiles.forEach(tile => this._removeTile(tile));
+        this.tiles = [];
+    }
+    
+    /**
+     * Restart the player of a tile now, resetting its retry delay
+     * @param {number} id - The tile id
+     */
+    reconnectTile(id) {
+        const tile = this.tiles.find(item => item.id === id);
+        if (!tile) return;
+        
+        this._stopTile(tile);
+        tile.retries = 0;
+        this._setTileState(tile, 'queued');
+        this._schedule();
+    }
+    
+    /**
+     * Aggregate health of the wall
+     * @returns {Object} - tiles, visible, players, peerConnections, counts per tile state,
+     *     healthy (share of visible tiles playing, 0-1), bitrate (kbps, sum) and latency (ms, average)
+     */
+    getHealth() {
+        const states = {};
+        ZLMStreamWall.TILE_STATES.forEach(state => { states[state] = 0; });
+        
+        let bitrate = 0;
+        const latencies = [];
+        this.tiles.forEach(tile => {
+            states[tile.state]++;
+            if (tile.player && tile.stats) {
+                bitrate += tile.stats.bitrate || 0;
+                if (typeof tile.stats.latency === 'number') latencies.push(tile.stats.latency);
+            }
+        });
+        
+        const visible = this.tiles.filter(tile => tile.visible).length;
+        return {
+            tiles: this.tiles.length,
+            visible: visible,
+            players: this._count(),
+            peerConnections: this._count(true),
+            states: states,
+            healthy: visible > 0 ? states.playing / visible : null,
+            bitrate: bitrate,
+            latency: latencies.length ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null
+        };
+    }
+    
+    /**
+     * Create the element and state of a tile
+     * @param {Object} stream - The stream
+     * @returns {Object} - The tile
+     * @private
+     */
+    _createTile(stream) {
+        const tile = {
+            id: this._nextTileId++,
+            key: ZLMStreamWall.streamKey(stream),
+            stream: stream,
+            player: null,
+            protocol: null,
+            state: 'idle',
+            visible: typeof IntersectionObserver === 'undefined',
+            stats: null,
+            error: null,
+            retries: 0,
+            retryTimer: null,
+            hideTimer: null
+        };
+        
+        const element = document.createElement('div');
+        element.className = 'zlm-wall-tile';
+        
+        const video = document.createElement('video');
+        // Autoplay of many tiles is only allowed muted
+        video.muted = true;
+        video.autoplay = true;
+        video.playsInline = true;
+        
+        const header = document.createElement('div');
+        header.className = 'zlm-wall-header';
+        const label = document.createElement('span');
+        label.className = 'zlm-wall-label';
+        label.textContent = stream.label || stream.stream;
+        label.title = tile.key;
+        const badge = document.createElement('span');
+        badge.className = 'zlm-wall-state state-idle';
+        badge.textContent = 'idle';
+        const reconnect = document.createElement('button');
+        reconnect.className = 'zlm-wall-reconnect';
+        reconnect.textContent = '↻';
+        reconnect.title = 'Reconnect';
+        reconnect.addEventListener('click', () => this.reconnectTile(tile.id));
+        header.appendChild(label);
+        header.appendChild(badge);
+        header.appendChild(reconnect);
+        
+        const stats = document.createElement('div');
+        stats.className = 'zlm-wall-stats';
+        
+        element.appendChild(video);
+        element.appendChild(header);
+        element.appendChild(stats);
+        
+        tile.element = element;
+        tile.video = video;
+        tile.badge = badge;
+        tile.statsElement = stats;
+        
+        if (this._observer) {
+            this._observer.observe(element);
+        }
+        return tile;
+    }
+    
+    /**
+     * Stop a tile and remove its element
+     * @param {Object} tile - The tile
+     * @private
+     */
+    _removeTile(tile) {
+        this._stopTile(tile);
+        clearTimeout(tile.hideTimer);
+        if (this._observer) {
+            this._observer.unobserve(tile.element);
+        }
+        tile.element.remove();
+    }
+    
+    /**
+     * Handle a tile entering or leaving the viewport
+     * @param {Object} tile - The tile
+     * @param {boolean} visible - Whether the tile is on screen
+     * @private
+     */
+    _setVisible(tile, visible) {
+        tile.visible = visible;
+        clearTimeout(tile.hideTimer);
+        tile.hideTimer = null;
+        
+        if (visible) {
+            this._schedule();
+            return;
+        }
+        
+        // A short delay keeps tiles playing while the page is scrolled past them
+        tile.hideTimer = setTimeout(() => {
+            tile.hideTimer = null;
+            if (tile.visible) return;
+            this._stopTile(tile);
+            this._setTileState(tile, 'hidden');
+            this._schedule();
+        }, this.hideDelay);
+    }
+    
+    /**
+     * Start queued visible tiles while players and peer connections are available
+     * @private
+     */
+    _schedule() {
+        if (!this.running) return;
+        
+        this.tiles.forEach(tile => {
+            if (!tile.visible) {
+                if (!tile.player && tile.state !== 'hidden') this._setTileState(tile, 'hidden');
+                return;
+            }
+            if (tile.player || tile.retryTimer) return;
+            
+            const protocol = this._pickProtocol(tile);
+            if (protocol && this._count() < this.maxPlayers) {
+                this._startTile(tile, protocol);
+            } else {
+                this._setTileState(tile, 'queued');
+            }
+        });
+    }
+    
+    /**
+     * Choose the protocol a tile can start with now
+     * @param {Object} tile - The tile
+     * @returns {string|null} - null when the tile has to wait for a peer connection
+     * @private
+     */
+    _pickProtocol(tile) {
+        const protocol = tile.stream.protocol || this.protocol;
+        if (!ZLMStreamWall.isWebRTC(protocol) || this._count(true) < this.maxPeerConnections) {
+            return protocol;
+        }
+        return this.fallbackProtocol && !ZLMStreamWall.isWebRTC(this.fallbackProtocol) ? this.fallbackProtocol : null;
+    }
+    
+    /**
+     * Number of running players, or of those using a peer connection
+     * @param {boolean} [webrtcOnly=false] - Only count WebRTC players
+     * @returns {number}
+     * @private
+     */
+    _count(webrtcOnly = false) {
+        return this.tiles.filter(tile => tile.player && (!webrtcOnly || ZLMStreamWall.isWebRTC(tile.protocol))).length;
+    }
+    
+    /**
+     * Create and start the player of a tile
+     * @param {Object} tile - The tile
+     * @param {string} protocol - Protocol to play with
+     * @private
+     */
+    async _startTile(tile, protocol) {
+        let player;
+        let url;
+        try {
+            url = this.urlBuilder.build(protocol, { app: tile.stream.app, stream: tile.stream.stream });
+            player = this.createPlayer(protocol, { videoElement: tile.video }, tile);
+        } catch (error) {
+            this._failTile(tile, error);
+            return;
+        }
+        
+        tile.player = player;
+        tile.protocol = protocol;
+        tile.stats = null;
+        
+        player.on('statechange', (state) => {
+            if (tile.player !== player) return;
+            // A player that gave up stops itself
+            if (state === 'stopped') {
+                this._failTile(tile, new Error('Player stopped'));
+                return;
+            }
+            this._setTileState(tile, state);
+        });
+        player.on('connected', () => {
+            tile.retries = 0;
+        });
+        player.on('stats', (stats) => {
+            if (tile.player !== player) return;
+            tile.stats = stats;
+            this._renderStats(tile);
+        });
+        
+        this._setTileState(tile, 'connecting');
+        try {
+            await player.play(url);
+        } catch (error) {
+            if (tile.player === player) this._failTile(tile, error);
+        }
+    }
+    
+    /**
+     * Stop the player of a tile and cancel a pending restart
+     * @param {Object} tile - The tile
+     * @private
+     */
+    _stopTile(tile) {
+        clearTimeout(tile.retryTimer);
+        tile.retryTimer = null;
+        
+        const player = tile.player;
+        if (!player) return;
+        tile.player = null;
+        tile.protocol = null;
+        tile.stats = null;
+        player.stop();
+        this._renderStats(tile);
+    }
+    
+    /**
+     * Stop a failed tile and restart it after the retry delay
+     * @param {Object} tile - The tile
+     * @param {Error} error - Why the tile failed
+     * @private
+     */
+    _failTile(tile, error) {
+        this._stopTile(tile);
+        
+        const delay = Math.min(this.retryDelay * Math.pow(2, tile.retries), this.maxRetryDelay);
+        tile.retries++;
+        tile.error = error.message;
+        this._setTileState(tile, 'failed');
+        tile.statsElement.textContent = `${error.message} - retry in ${Math.round(delay / 1000)}s`;
+        
+        tile.retryTimer = setTimeout(() => {
+            tile.retryTimer = null;
+            this._schedule();
+        }, delay);
+        
+        // Its slot may be used by a queued tile meanwhile
+        this._schedule();
+    }
+    
+    /**
+     * Change the wall state of a tile
+     * @param {Object} tile - The tile
+     * @param {string} state - One of ZLMStreamWall.TILE_STATES
+     * @private
+     */
+    _setTileState(tile, state) {
+        if (tile.state === state) return;
+        tile.state = state;
+        tile.badge.textContent = tile.protocol && tile.player ? `${state} (${tile.protocol})` : state;
+        tile.badge.className = `zlm-wall-state state-${state}`;
+        this.onTileState(tile, state);
+    }
+    
+    /**
+     * Show the stats of a tile on one line
+     * @param {Object} tile - The tile
+     * @private
+     */
+    _renderStats(tile) {
+        const stats = tile.stats;
+        if (!stats) {
+            tile.statsElement.textContent = '';
+            return;
+        }
+        const parts = [`${stats.bitrate || 0} kbps`, `${Math.round(stats.frameRate || 0)} fps`];
+        if (typeof stats.latency === 'number') parts.push(`${stats.latency} ms`);
+        if (stats.droppedFrames) parts.push(`${stats.droppedFrames} dropped`);
+        tile.statsElement.textContent = parts.join(' · ');
+    }
+    
+    /**
+     * Create the player for a protocol from the globally loaded player classes
+     * @param {string} protocol - A ZLMUrlBuilder protocol
+     * @param {Object} elements - { videoElement }
+     * @returns {ZLMPlayerBase}
+     */
+    static createPlayer(protocol, elements) {
+        if (ZLMStreamWall.isWebRTC(protocol)) {
+            return new ZLMWebRTCPlayer({ ...elements, signaling: protocol === 'whep' ? 'whep' : 'zlm' });
+        }
+        if (protocol === 'hls') {
+            return new ZLMHLSPlayer(elements);
+        }
+        return new ZLMStreamPlayer({
+            ...elements,
+            streamType: protocol === 'http-ts' ? 'mpegts' : (protocol === 'fmp4' ? 'mp4' : 'flv')
+        });
+    }
+    
+    /**
+     * Whether a protocol uses a WebRTC peer connection
+     * @param {string} protocol - A ZLMUrlBuilder protocol
+     * @returns {boolean}
+     */
+    static isWebRTC(protocol) {
+        return protocol === 'webrtc' || protocol === 'whep';
+    }
+    
+    /**
+     * Key identifying a stream on the wall
+     * @param {Object} stream - { stream, app? }
+     * @returns {string} - 'app/stream'
+     */
+    static streamKey(stream) {
+        return `${stream.app || 'live'}/${stream.stream}`;
+    }
+    
+    /**
+     * Parse a stream list, one stream per line or comma separated: '[app/]stream [label]'
+     * @param {string} text - The list
+     * @returns {Object[]} - Streams for setStreams()
+     */
+    static parseStreams(text) {
+        return text.split(/[\n,]/).map(line => line.trim()).filter(Boolean).map(line => {
+            const [path, ...label] = line.split(/\s+/);
+            const separator = path.lastIndexOf('/');
+            const stream = separator > 0
+                ? { app: path.slice(0, separator), stream: path.slice(separator + 1) }
+                : { stream: path.replace(/^\//, '') };
+            if (label.length) stream.label = label.join(' ');
+            return stream;
+        });
+    }
+}
+
+// Wall states of a tile: the player states plus the scheduling states
+ZLMStreamWall.TILE_STATES = ['idle', 'queued', 'hidden', 'connecting', 'playing', 'stalled', 'reconnecting', 'failed'];
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMStreamWall;
+} else {
+    window.ZLMStreamWall = ZLMStreamWall;
+}
\ No newline at end of file
@@ -0,0 +1,190 @@
+/**
+ * ZLMediaKit Tap Loader
+ * A fetch- or WebSocket-based loader for mpegts.js that hands every received
+ * chunk to a tap callback before it reaches the demuxer. Used to read data
+ * mpegts.js does not expose, such as SEI timestamps.
+ * Requires mpegts.js (https://github.com/xqq/mpegts.js)
+ */
+
+/**
+ * Create a loader class suitable for the mpegts.js `customLoader` option
+ * Note: mpegts.js cannot hand a custom loader to its worker, so players using
+ * it must run with `enableWorker: false`.
+ * @param {Object} mpegts - The mpegts.js module
+ * @param {Function} onData - Called with each received chunk (ArrayBuffer)
+ * @returns {Function} - A loader class extending mpegts.BaseLoader
+ */
+function createZLMTapLoader(mpegts, onData) {
+    const { BaseLoader, LoaderStatus, LoaderErrors } = mpegts;
+    
+    return class ZLMTapLoader extends BaseLoader {
+        constructor(seekHandler, config) {
+            super('zlm-tap-loader');
+            this._seekHandler = seekHandler;
+            this._config = config;
+            this._needStash = true;
+            this._abortController = null;
+            this._socket = null;
+            this._requestAbort = false;
+            this._receivedLength = 0;
+            this._range = null;
+        }
+        
+        destroy() {
+            if (this.isWorking()) {
+                this.abort();
+            }
+            super.destroy();
+        }
+        
+        open(dataSource, range) {
+            this._range = range;
+            this._receivedLength = 0;
+            this._requestAbort = false;
+            
+            let sourceURL = dataSource.url;
+            if (this._config.reuseRedirectedURL && dataSource.redirectedURL) {
+                sourceURL = dataSource.redirectedURL;
+            }
+            
+            // WS-FLV/WS-TS: the stream arrives as binary WebSocket messages
+            if (/^wss?:/i.test(sourceURL)) {
+                this._openWebSocket(sourceURL);
+                return;
+            }
+            
+            const seekConfig = this._seekHandler.getConfig(sourceURL, range);
+            
+            const headers = new Headers();
+            const extraHeaders = { ...seekConfig.headers, ...this._config.headers };
+            Object.keys(extraHeaders).forEach(key => headers.append(key, extraHeaders[key]));
+            
+            this._abortController = new AbortController();
+            this._status = LoaderStatus.kConnecting;
+            
+            fetch(seekConfig.url, {
+                method: 'GET',
+                headers: headers,
+                mode: dataSource.cors === false ? 'same-origin' : 'cors',
+                credentials: dataSource.withCredentials ? 'include' : 'same-origin',
+                signal: this._abortController.signal
+            }).then(response => {
+                if (this._requestAbort) {
+                    this._status = LoaderStatus.kIdle;
+                    response.body.cancel();
+                    return;
+                }
+                
+                if (!response.ok) {
+                    this._status = LoaderStatus.kError;
+                    if (this._onError) {
+                        this._onError(LoaderErrors.HTTP_STATUS_CODE_INVALID, { code: response.status, msg: response.statusText });
+                    }
+                    return;
+                }
+                
+                if (response.url && response.url !== seekConfig.url && this._onURLRedirect) {
+                    this._onURLRedirect(this._seekHandler.removeURLParameters(response.url));
+                }
+                
+                this._status = LoaderStatus.kBuffering;
+                return this._pump(response.body.getReader());
+            }).catch(error => {
+                if (this._abortController && this._abortController.signal.aborted) return;
+                
+                this._status = LoaderStatus.kError;
+                if (this._onError) {
+                    this._onError(LoaderErrors.EXCEPTION, { code: -1, msg: error.message });
+                }
+            });
+        }
+        
+        abort() {
+            this._requestAbort = true;
+            if (this._abortController) {
+                this._abortController.abort();
+            }
+            if (this._socket) {
+                this._socket.close();
+                this._socket = null;
+            }
+            this._status = LoaderStatus.kComplete;
+        }
+        
+        _openWebSocket(url) {
+            this._status = LoaderStatus.kConnecting;
+            
+            const socket = new WebSocket(url);
+            socket.binaryType = 'arraybuffer';
+            this._socket = socket;
+            
+            socket.onopen = () => {
+                this._status = LoaderStatus.kBuffering;
+            };
+            socket.onmessage = (event) => {
+                if (this._requestAbort || !(event.data instanceof ArrayBuffer)) return;
+                this._dispatch(event.data);
+            };
+            socket.onerror = () => {
+                if (this._requestAbort) return;
+                
+                this._status = LoaderStatus.kError;
+                if (this._onError) {
+                    this._onError(LoaderErrors.EXCEPTION, { code: -1, msg: `WebSocket error on ${url}` });
+                }
+            };
+            socket.onclose = () => {
+                // An error already ended the stream
+                if (this._requestAbort || this._status === LoaderStatus.kError) return;
+                
+                this._status = LoaderStatus.kComplete;
+                if (this._onComplete) {
+                    this._onComplete(this._range.from, this._range.from + this._receivedLength - 1);
+                }
+            };
+        }
+        
+        _pump(reader) {
+            return reader.read().then(result => {
+                if (this._requestAbort) {
+                    reader.cancel();
+                    return;
+                }
+                
+                if (result.done) {
+                    this._status = LoaderStatus.kComplete;
+                    if (this._onComplete) {
+                        this._onComplete(this._range.from, this._range.from + this._receivedLength - 1);
+                    }
+                    return;
+                }
+                
+                this._dispatch(result.value.buffer.slice(result.value.byteOffset, result.value.byteOffset + result.value.byteLength));
+                return this._pump(reader);
+            });
+        }
+        
+        _dispatch(chunk) {
+            const byteStart = this._range.from + this._receivedLength;
+            this._receivedLength += chunk.byteLength;
+            
+            try {
+                onData(chunk);
+            } catch (e) {
+                // A failing tap must never break playback
+                console.warn('ZLM Tap Loader: tap callback failed:', e);
+            }
+            
+            if (this._onDataArrival) {
+                this._onDataArrival(chunk, byteStart, this._receivedLength);
+            }
+        }
+    };
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = createZLMTapLoader;
+} else {
+    window.createZLMTapLoader = createZLMTapLoader;
+}
\ No newline at end of file
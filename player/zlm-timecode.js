@@ -0,0 +1,138 @@
+/**
+ * ZLMediaKit Timecode
+ * Burns a machine-readable timecode into video frames and reads it back from
+ * decoded frames. The timecode is a strip of black and white cells across
+ * the bottom of the frame: two reference cells (white, black), then 48 data
+ * bits holding the sender wall clock (Unix ms, lower 32 bits), an 8-bit
+ * frame counter and an 8-bit checksum. The cells are large enough to survive
+ * scaling and lossy encoding. Differences between timestamps are taken as
+ * signed 32-bit values, `(a - b) | 0`, to allow for the wrap.
+ */
+class ZLMTimecode {
+    /**
+     * Draw the timecode strip at the bottom of a canvas
+     * @param {CanvasRenderingContext2D} context - Context of the canvas being captured
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {number} timestamp - Sender wall clock in Unix milliseconds
+     * @param {number} frame - Frame counter
+     */
+    static draw(context, width, height, timestamp, frame) {
+        const cellWidth = width / ZLMTimecode.CELLS;
+        const top = height - ZLMTimecode.stripHeight(width);
+        const bits = [1, 0, ...ZLMTimecode.encode(timestamp, frame)];
+        
+        bits.forEach((bit, index) => {
+            context.fillStyle = bit ? '#ffffff' : '#000000';
+            // Whole pixels keep cell edges sharp
+            const left = Math.round(index * cellWidth);
+            context.fillRect(left, top, Math.round((index + 1) * cellWidth) - left, height - top);
+        });
+    }
+    
+    /**
+     * Read the timecode from the pixels of a frame
+     * The image may be the whole frame or only its bottom strip, at any scale
+     * that keeps the aspect ratio.
+     * @param {ImageData} image - Pixels of the frame, e.g. from getImageData()
+     * @returns {{timestamp: number, frame: number}|null} - The timecode, or null when none was found
+     */
+    static read(image) {
+        const { width, height, data } = image;
+        const cellWidth = width / ZLMTimecode.CELLS;
+        const stripHeight = Math.min(height, ZLMTimecode.stripHeight(width));
+        if (cellWidth < 2 || stripHeight < 2) return null;
+        
+        // Average the luma of the middle of each cell, away from blurred edges
+        const top = height - stripHeight;
+        const levels = [];
+        for (let cell = 0; cell < ZLMTimecode.CELLS; cell++) {
+            const x0 = Math.floor(cell * cellWidth + cellWidth / 4);
+            const x1 = Math.max(x0 + 1, Math.floor(cell * cellWidth + cellWidth * 3 / 4));
+            const y0 = Math.floor(top + stripHeight / 4);
+            const y1 = Math.max(y0 + 1, Math.floor(top + stripHeight * 3 / 4));
+            let sum = 0;
+            let count = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const i = (y * width + x) * 4;
+                    sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                    count++;
+                }
+            }
+            levels.push(sum / count);
+        }
+        
+        // The reference cells give the black and white levels of this frame
+        const [white, black] = levels;
+        if (white - black < ZLMTimecode.MIN_CONTRAST) return null;
+        const threshold = (white + black) / 2;
+        
+        return ZLMTimecode.decode(levels.slice(2).map(level => (level > threshold ? 1 : 0)));
+    }
+    
+    /**
+     * Encode a timecode to data bits
+     * @param {number} timestamp - Unix milliseconds
+     * @param {number} frame - Frame counter
+     * @returns {number[]} - 48 bits, most significant first
+     */
+    static encode(timestamp, frame) {
+        const bytes = [];
+        const low = timestamp % 0x100000000;
+        for (let shift = 24; shift >= 0; shift -= 8) {
+            bytes.push(Math.floor(low / Math.pow(2, shift)) & 0xFF);
+        }
+        bytes.push(frame & 0xFF);
+        bytes.push(bytes.reduce((checksum, byte) => checksum ^ byte, 0x5A));
+        
+        const bits = [];
+        bytes.forEach(byte => {
+            for (let bit = 7; bit >= 0; bit--) {
+                bits.push((byte >> bit) & 1);
+            }
+        });
+        return bits;
+    }
+    
+    /**
+     * Decode data bits
+     * @param {number[]} bits - 48 bits, most significant first
+     * @returns {{timestamp: number, frame: number}|null} - null when the checksum does not match
+     */
+    static decode(bits) {
+        const bytes = [];
+        for (let i = 0; i < 6; i++) {
+            bytes.push(bits.slice(i * 8, i * 8 + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        const checksum = bytes.slice(0, 5).reduce((value, byte) => value ^ byte, 0x5A);
+        if (checksum !== bytes[5]) return null;
+        
+        return {
+            timestamp: ((bytes[0] << 24) >>> 0) + (bytes[1] << 16) + (bytes[2] << 8) + bytes[3],
+            frame: bytes[4]
+        };
+    }
+    
+    /**
+     * Height of the strip for a frame width; cells are square
+     * @param {number} width - Frame width
+     * @returns {number}
+     */
+    static stripHeight(width) {
+        return Math.round(width / ZLMTimecode.CELLS);
+    }
+}
+
+// Cells of the strip: two reference cells and 48 data bits
+ZLMTimecode.CELLS = 50;
+
+// Minimum luma difference between the reference cells for a strip to be read
+ZLMTimecode.MIN_CONTRAST = 64;
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMTimecode;
+} else {
+    window.ZLMTimecode = ZLMTimecode;
+}
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * ZLMediaKit MPEG-TS Stream Parser
+ * Incrementally parses an HTTP-TS/WS-TS byte stream and extracts SEI messages
+ * from the H.264/H.265 PES packets of its first video stream. The counterpart
+ * of ZLMFlvParser, with the same interface, lastTimestamps included: the PTS
+ * of the newest PES packet of the first video and the first audio stream.
+ * Requires zlm-flv-parser.js
+ */
+class ZLMTsParser {
+    /**
+     * Create a new MPEG-TS parser
+     */
+    constructor() {
+        const FlvParser = typeof ZLMFlvParser !== 'undefined' ? ZLMFlvParser
+            : (typeof require === 'function' ? require('./zlm-flv-parser.js') : null);
+        if (!FlvParser) {
+            throw new Error('zlm-flv-parser.js is required. Please include it in your page.');
+        }
+        this._FlvParser = FlvParser;
+        
+        this.reset();
+        
+        // Set up event callbacks (can be overridden by users)
+        this.onSei = (sei) => {};
+    }
+    
+    /**
+     * Reset the parser state for a new stream
+     */
+    reset() {
+        this._buffer = new Uint8Array(0);
+        this._pmtPid = null;
+        this._videoPid = null;
+        this._audioPid = null;
+        this._pes = [];
+        this._pesLength = 0;
+        this.firstTimestamp = null;
+        this.lastTimestamps = { audio: null, video: null };
+        this.videoCodec = null;
+        this.audioCodec = null;
+    }
+    
+    /**
+     * Feed a chunk of the MPEG-TS byte stream
+     * @param {ArrayBuffer|Uint8Array} chunk - Raw bytes as received from the network
+     */
+    push(chunk) {
+        const data = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+        const merged = new Uint8Array(this._buffer.length + data.length);
+        merged.set(this._buffer, 0);
+        merged.set(data, this._buffer.length);
+        
+        let offset = 0;
+        while (merged.length - offset >= 188) {
+            // Resynchronise on the next sync byte
+            if (merged[offset] !== 0x47) {
+                offset++;
+                continue;
+            }
+            this._parsePacket(merged.subarray(offset, offset + 188));
+            offset += 188;
+        }
+        
+        this._buffer = merged.slice(offset);
+    }
+    
+    /**
+     * Parse one 188 byte transport packet
+     * @param {Uint8Array} packet - The packet
+     * @private
+     */
+    _parsePacket(packet) {
+        const payloadStart = (packet[1] & 0x40) !== 0;
+        const pid = ((packet[1] & 0x1F) << 8) | packet[2];
+        const adaptation = (packet[3] >> 4) & 0x03;
+        let offset = 4;
+        if (adaptation & 0x02) offset += 1 + packet[4];
+        if (!(adaptation & 0x01) || offset >= packet.length) return;
+        const payload = packet.subarray(offset);
+        
+        if (pid === 0 && payloadStart) {
+            // PAT: the PMT of the first program
+            const table = payload.subarray(1 + payload[0]);
+            const end = Math.min(table.length, 3 + (((table[1] & 0x0F) << 8) | table[2])) - 4;
+            for (let i = 8; i + 4 <= end; i += 4) {
+                if (((table[i] << 8) | table[i + 1]) !== 0) {
+                    this._pmtPid = ((table[i + 2] & 0x1F) << 8) | table[i + 3];
+                    break;
+                }
+            }
+        } else if (pid === this._pmtPid && payloadStart && this._videoPid === null && this._audioPid === null) {
+            // PMT: the first H.264 or H.265 stream and the first audio stream
+            const table = payload.subarray(1 + payload[0]);
+            const end = Math.min(table.length, 3 + (((table[1] & 0x0F) << 8) | table[2])) - 4;
+            for (let i = 12 + (((table[10] & 0x0F) << 8) | table[11]); i + 5 <= end;) {
+                const elementaryPid = ((table[i + 1] & 0x1F) << 8) | table[i + 2];
+                const videoCodec = ZLMTsParser.STREAM_TYPES[table[i]];
+                const audioCodec = ZLMTsParser.AUDIO_STREAM_TYPES[table[i]];
+                if (videoCodec && this._videoPid === null) {
+                    this._videoPid = elementaryPid;
+                    this.videoCodec = videoCodec;
+                } else if (audioCodec && this._audioPid === null) {
+                    this._audioPid = elementaryPid;
+                    this.audioCodec = audioCodec;
+                }
+                i += 5 + (((table[i + 3] & 0x0F) << 8) | table[i + 4]);
+            }
+        } else if (pid === this._audioPid) {
+            // Only the timestamps of the audio are needed, from the header of each PES packet
+            const pts = payloadStart ? ZLMTsParser._pesTimestamp(payload) : null;
+            if (pts !== null) this.lastTimestamps.audio = pts;
+        } else if (pid === this._videoPid) {
+            // Video PES packets span many transport packets; a new one starts with payloadStart
+            if (payloadStart) {
+                this._flushPes();
+                const pts = ZLMTsParser._pesTimestamp(payload);
+                if (pts !== null) this.lastTimestamps.video = pts;
+            } else if (!this._pes.length) {
+                return;
+            }
+            this._pes.push(payload.slice());
+            this._pesLength += payload.length;
+        }
+    }
+    
+    /**
+     * Parse the buffered PES packet: its timestamps, then the SEI of its access unit
+     * @private
+     */
+    _flushPes() {
+        if (!this._pes.length) return;
+        
+        const pes = new Uint8Array(this._pesLength);
+        let length = 0;
+        this._pes.forEach(part => {
+            pes.set(part, length);
+            length += part.length;
+        });
+        this._pes = [];
+        this._pesLength = 0;
+        
+        if (pes.length < 9 || pes[0] !== 0 || pes[1] !== 0 || pes[2] !== 1) return;
+        const flags = pes[7] >> 6;
+        if (!(flags & 0x02) || pes.length < 14) return;
+        
+        const pts = ZLMTsParser._readTimestamp(pes, 9);
+        const dts = flags === 0x03 && pes.length >= 19 ? ZLMTsParser._readTimestamp(pes, 14) : pts;
+        if (this.firstTimestamp === null) {
+            this.firstTimestamp = dts;
+        }
+        
+        this._FlvParser.parseAnnexB(pes.subarray(9 + pes[8]), this.videoCodec, dts, pts).forEach(sei => this.onSei(sei));
+    }
+    
+    /**
+     * The PTS in the header of a PES packet
+     * @param {Uint8Array} data - The start of the packet
+     * @returns {number|null} - The timestamp in milliseconds, or null without one
+     * @private
+     */
+    static _pesTimestamp(data) {
+        if (data.length < 14 || data[0] !== 0 || data[1] !== 0 || data[2] !== 1 || !(data[7] & 0x80)) return null;
+        return ZLMTsParser._readTimestamp(data, 9);
+    }
+    
+    /**
+     * Read a 33 bit PES timestamp
+     * @param {Uint8Array} data - The PES header
+     * @param {number} offset - Offset of the five timestamp bytes
+     * @returns {number} - The timestamp in milliseconds
+     * @private
+     */
+    static _readTimestamp(data, offset) {
+        const ticks = (data[offset] & 0x0E) * 536870912 + // << 29, beyond 32 bit integers
+            ((data[offset + 1] << 22) | ((data[offset + 2] & 0xFE) << 14) | (data[offset + 3] << 7) | (data[offset + 4] >> 1));
+        return ticks / 90;
+    }
+}
+
+// Video codecs by PMT stream type
+ZLMTsParser.STREAM_TYPES = { 0x1B: 'h264', 0x24: 'h265' };
+
+// Audio codecs by PMT stream type
+ZLMTsParser.AUDIO_STREAM_TYPES = { 0x03: 'mp3', 0x04: 'mp3', 0x0F: 'aac', 0x11: 'aac-latm', 0x81: 'ac3' };
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMTsParser;
+} else {
+    window.ZLMTsParser = ZLMTsParser;
+}
\ No newline at end of file
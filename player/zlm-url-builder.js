@@ -0,0 +1,153 @@
+/**
+ * ZLMediaKit URL Builder
+ * Builds playback, publishing and HTTP API URLs for a ZLMediaKit server from
+ * server base, vhost, app, stream and extra (e.g. on_play auth) parameters.
+ */
+class ZLMUrlBuilder {
+    /**
+     * Create a new URL builder
+     * @param {Object} options - Configuration options
+     * @param {string} options.serverBase - Server base URL (e.g. https://server.com)
+     * @param {string} [options.stream] - Stream name
+     * @param {string} [options.app='live'] - Application name
+     * @param {string} [options.vhost] - Virtual host, sent as the `vhost` query parameter
+     * @param {Object|string} [options.params] - Extra query parameters, as an object or 'key=value&key=value'
+     * @param {string} [options.secret] - HTTP API secret, only added to API URLs
+     * @param {Object} [options.templates] - URL templates overriding ZLMUrlBuilder.TEMPLATES per protocol
+     */
+    constructor(options = {}) {
+        this.serverBase = (options.serverBase || '').trim().replace(/\/+$/, '');
+        this.stream = options.stream || '';
+        this.app = options.app || 'live';
+        this.vhost = options.vhost || '';
+        this.params = ZLMUrlBuilder.parseParams(options.params);
+        this.secret = options.secret || '';
+        this.templates = { ...ZLMUrlBuilder.TEMPLATES, ...(options.templates || {}) };
+    }
+    
+    /**
+     * Build the URL of a stream for a protocol
+     * @param {string} protocol - One of the keys of ZLMUrlBuilder.TEMPLATES
+     * @param {Object} [overrides] - Per-call overrides
+     * @param {string} [overrides.template] - Use this template instead of the configured one
+     * @param {string} [overrides.stream] - Stream name
+     * @param {string} [overrides.app] - Application name
+     * @returns {string} - The stream URL
+     */
+    build(protocol, overrides = {}) {
+        const template = overrides.template || this.templates[protocol];
+        if (!template) {
+            throw new Error(`Unknown protocol: ${protocol}`);
+        }
+        
+        const stream = overrides.stream || this.stream;
+        if (!this.serverBase) {
+            throw new Error('Server base URL is required');
+        }
+        if (!stream) {
+            throw new Error('Stream name is required');
+        }
+        
+        const url = new URL(this._render(template, overrides.app || this.app, stream));
+        this._appendParams(url, this.params);
+        return url.toString();
+    }
+    
+    /**
+     * Build the URL of a ZLMediaKit HTTP API method
+     * @param {string} method - API method, e.g. 'getMediaList'
+     * @param {Object} [params] - Query parameters for the call
+     * @returns {string} - The API URL including secret and vhost
+     */
+    apiUrl(method, params = {}) {
+        if (!this.serverBase) {
+            throw new Error('Server base URL is required');
+        }
+        
+        const url = new URL(`${this.serverBase}/index/api/${method}`);
+        if (this.secret) {
+            url.searchParams.set('secret', this.secret);
+        }
+        this._appendParams(url, params);
+        return url.toString();
+    }
+    
+    /**
+     * Replace template placeholders
+     * @param {string} template - Template with {base}, {wsBase}, {host}, {app}, {stream} and {vhost} placeholders
+     * @param {string} app - Application name
+     * @param {string} stream - Stream name
+     * @returns {string}
+     * @private
+     */
+    _render(template, app, stream) {
+        const base = new URL(this.serverBase);
+        const values = {
+            base: this.serverBase,
+            wsBase: this.serverBase.replace(/^http/i, 'ws'),
+            host: base.hostname,
+            app: encodeURIComponent(app),
+            stream: encodeURIComponent(stream),
+            vhost: encodeURIComponent(this.vhost)
+        };
+        return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+    }
+    
+    /**
+     * Append vhost and extra parameters to a URL (existing parameters win)
+     * @param {URL} url - The URL to modify
+     * @param {Object} params - Parameters to append
+     * @private
+     */
+    _appendParams(url, params) {
+        if (this.vhost && !url.searchParams.has('vhost')) {
+            url.searchParams.set('vhost', this.vhost);
+        }
+        Object.keys(params).forEach(key => {
+            if (!url.searchParams.has(key)) {
+                url.searchParams.set(key, params[key]);
+            }
+        });
+    }
+    
+    /**
+     * Parse extra parameters given as a query string or object
+     * @param {Object|string} [params] - 'key=value&key=value', '?key=value' or a plain object
+     * @returns {Object} - The parameters as a plain object
+     */
+    static parseParams(params) {
+        if (!params) return {};
+        if (typeof params === 'object') return { ...params };
+        
+        const result = {};
+        new URLSearchParams(params.trim().replace(/^\?/, '')).forEach((value, key) => {
+            result[key] = value;
+        });
+        return result;
+    }
+}
+
+// Default URL templates per protocol, matching ZLMediaKit's standard endpoints
+ZLMUrlBuilder.TEMPLATES = {
+    'webrtc': '{base}/index/api/webrtc?app={app}&stream={stream}&type=play',
+    'webrtc-push': '{base}/index/api/webrtc?app={app}&stream={stream}&type=push',
+    'whep': '{base}/index/api/whep?app={app}&stream={stream}',
+    'whip': '{base}/index/api/whip?app={app}&stream={stream}',
+    'http-flv': '{base}/{app}/{stream}.live.flv',
+    'ws-flv': '{wsBase}/{app}/{stream}.live.flv',
+    'http-ts': '{base}/{app}/{stream}.live.ts',
+    'ws-ts': '{wsBase}/{app}/{stream}.live.ts',
+    'fmp4': '{base}/{app}/{stream}.live.mp4',
+    'ws-fmp4': '{wsBase}/{app}/{stream}.live.mp4',
+    'hls': '{base}/{app}/{stream}/hls.m3u8',
+    'hls-fmp4': '{base}/{app}/{stream}/hls.fmp4.m3u8',
+    'rtsp': 'rtsp://{host}/{app}/{stream}',
+    'rtmp': 'rtmp://{host}/{app}/{stream}'
+};
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMUrlBuilder;
+} else {
+    window.ZLMUrlBuilder = ZLMUrlBuilder;
+}
\ No newline at end of file
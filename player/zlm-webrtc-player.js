@@ -1,17 +1,44 @@
 /**
  * ZLMediaKit WebRTC Player
  * A reusable component for playing WebRTC streams from ZLMediaKit
+ * Requires zlm-player-base.js; glass-to-glass latency also zlm-latency-meter.js
+ * (null without it), reading SEI metadata also zlm-flv-parser.js
  */
-class ZLMWebRTCPlayer {
+class ZLMWebRTCPlayer extends (typeof ZLMPlayerBase !== 'undefined' ? ZLMPlayerBase
+    : typeof require === 'function' ? require('./zlm-player-base.js')
+    : (() => { throw new Error('zlm-player-base.js is required. Please include it before zlm-webrtc-player.js.'); })()) {
     /**
      * Create a new WebRTC player
      * @param {Object} options - Configuration options
      * @param {HTMLVideoElement} options.videoElement - The video element to play the stream in
      * @param {HTMLElement} [options.logContainer] - Optional container for logs
+     * @param {ZLMLogger} [options.logger] - Logger for the entries of this player; ZLMLogger.shared by default
+     * @param {string} [options.logId] - Player id in the log entries; generated by default
      * @param {HTMLElement} [options.statsContainer] - Optional container for statistics
      * @param {Array} [options.iceServers] - Custom ICE servers configuration
+     * @param {string} [options.signaling='zlm'] - Signaling mode: 'zlm' (ZLMediaKit JSON API) or 'whep'
+     * @param {string} [options.bearerToken] - Bearer token sent with WHEP requests
+     * @param {boolean} [options.trickleIce=false] - WHEP only: send the offer before ICE gathering completes and trickle all candidates via PATCH
+     * @param {number} [options.iceGatheringTimeout=5000] - Milliseconds to wait for ICE gathering before sending the offer with the candidates found so far
+     * @param {Object} [options.latencyMeter] - ZLMLatencyMeter options (e.g. clockOffset)
+     * @param {boolean} [options.audioOnly=false] - Only receive the audio of the stream
+     * @param {Object|boolean} [options.metadata] - Emit the metadata sent by the server as 'metadata' (true or options)
+     * @param {boolean|string} [options.metadata.dataChannel=true] - Negotiate a DataChannel, labelled 'metadata' unless given a label
+     * @param {boolean} [options.metadata.encodedFrames=true] - Read the SEI of the received H.264/H.265 frames
+     *     (RTCRtpScriptTransform, or createEncodedStreams in older Chrome)
+     * @param {string} [options.metadata.seiUuid] - Only emit SEI with this UUID (32 hex digits)
+     * @param {string} [options.metadata.workerUrl] - URL of zlm-metadata-worker.js; next to this file by default
+     * @param {Object|boolean} [options.reconnect] - Recovery strategy, or false to disable
+     * @param {boolean} [options.reconnect.iceRestart=true] - Try an ICE restart before a full re-offer
+     * @param {number} [options.reconnect.maxAttempts=5] - Full re-offer attempts before giving up
+     * @param {number} [options.reconnect.baseDelay=1000] - First backoff delay in milliseconds
+     * @param {number} [options.reconnect.maxDelay=30000] - Upper bound of the backoff delay in milliseconds
+     * @param {number} [options.reconnect.disconnectedTimeout=3000] - Grace period for a 'disconnected' ICE state to recover on its own
+     * @param {number} [options.reconnect.iceRestartTimeout=5000] - Time allowed for an ICE restart to reconnect
      */
     constructor(options) {
+        super();
+        
         // Required options
         if (!options.videoElement) {
             throw new Error('Video element is required');
@@ -20,132 +47,371 @@ class ZLMWebRTCPlayer {
         // Store options
         this.videoElement = options.videoElement;
         this.logContainer = options.logContainer || null;
+        this._setupLogging(options, 'ZLM WebRTC Player');
         this.statsContainer = options.statsContainer || null;
         
         // Internal state
         this.peerConnection = null;
         this.statsInterval = null;
+        this._lastStats = null;
         this.stream = null;
         this.iceServers = options.iceServers || [{ urls: 'stun:stun.l.google.com:19302' }];
+        this.signaling = options.signaling || 'zlm';
+        this.bearerToken = options.bearerToken || null;
+        this.trickleIce = !!options.trickleIce;
+        this.iceGatheringTimeout = options.iceGatheringTimeout || 5000;
+        this.audioOnly = !!options.audioOnly;
+        
+        // WHEP session state
+        this.whepResource = null;
+        this.whepEtag = null;
+        this._pendingCandidates = [];
+        this._endOfCandidates = false;
+        
+        // Metadata: DataChannel messages, and SEI of the encoded video frames
+        this.metadata = options.metadata ? {
+            dataChannel: true,
+            encodedFrames: true,
+            seiUuid: null,
+            workerUrl: ZLMWebRTCPlayer.METADATA_WORKER_URL,
+            ...(typeof options.metadata === 'object' ? options.metadata : {})
+        } : null;
+        this.dataChannel = null;
+        this._metadataWorker = null;
+        this._FlvParser = null;
+        if (this.metadata && this.metadata.encodedFrames) {
+            this._FlvParser = typeof ZLMFlvParser !== 'undefined' ? ZLMFlvParser
+                : (typeof require === 'function' ? require('./zlm-flv-parser.js') : null);
+            if (!this._FlvParser) {
+                throw new Error('zlm-flv-parser.js is required to read SEI metadata. Please include it in your page.');
+            }
+        }
+        
+        // Glass-to-glass latency from RTCP sender reports, reported as null without zlm-latency-meter.js
+        const LatencyMeter = typeof ZLMLatencyMeter !== 'undefined' ? ZLMLatencyMeter
+            : (typeof require === 'function' ? require('./zlm-latency-meter.js') : null);
+        this.latencyMeter = LatencyMeter ? new LatencyMeter(options.latencyMeter) : null;
+        
+        // Reconnection state
+        this.reconnect = options.reconnect === false ? { enabled: false } : {
+            enabled: true,
+            iceRestart: true,
+            maxAttempts: 5,
+            baseDelay: 1000,
+            maxDelay: 30000,
+            disconnectedTimeout: 3000,
+            iceRestartTimeout: 5000,
+            ...(typeof options.reconnect === 'object' ? options.reconnect : {})
+        };
+        this.url = null;
+        this.reconnectAttempts = 0;
+        this.reconnecting = false;
+        this._stopped = true;
+        this._recoveryTimer = null;
         
         // Bind methods to this
         this.play = this.play.bind(this);
         this.stop = this.stop.bind(this);
         this._connectToZLM = this._connectToZLM.bind(this);
+        this._connectWHEP = this._connectWHEP.bind(this);
         this._waitForIceGathering = this._waitForIceGathering.bind(this);
         this._startStatsMonitoring = this._startStatsMonitoring.bind(this);
+        this._recover = this._recover.bind(this);
         
         // Set up event callbacks (can be overridden by users)
         this.onConnected = () => {};
         this.onDisconnected = () => {};
+        this.onReconnecting = (attempt, strategy) => {};
+        this.onReconnected = () => {};
         this.onError = (error) => { console.error('ZLM WebRTC Player error:', error); };
         this.onStats = (stats) => {};
-    }
-    
-    /**
-     * Log a message
-     * @param {string} message - The message to log
-     * @param {string} [type='info'] - Log level (info, error, success)
-     * @private
-     */
-    _log(message, type = 'info') {
-        console.log(`ZLM WebRTC Player: ${message}`);
-        
-        if (this.logContainer) {
-            const logEntry = document.createElement('div');
-            logEntry.className = `log-entry log-${type}`;
-            logEntry.textContent = `${new Date().toLocaleTimeString()} - ${message}`;
-            this.logContainer.appendChild(logEntry);
-            this.logContainer.scrollTop = this.logContainer.scrollHeight;
-        }
+        this.onLog = (message, type) => {};
+        this.onStateChange = (state, previous) => {};
+        this.onRecording = (info) => {};
+        this.onMetadata = (frameTimestamp, payload, info) => {};
+        this.onAudioLevel = (level) => {};
     }
     
     /**
      * Start playing a stream
-     * @param {string} url - The WebRTC stream URL from ZLMediaKit
+     * @param {string|ZLMUrlBuilder} url - The WebRTC stream URL from ZLMediaKit, or a URL builder
      * @returns {Promise} - Resolves when connected, rejects on error
      */
     async play(url) {
+        // Accept a ZLMUrlBuilder in place of a URL
+        if (url && typeof url.build === 'function') {
+            url = url.build(this.signaling === 'whep' ? 'whep' : 'webrtc');
+        }
+        
         if (!url) {
             throw new Error('Stream URL is required');
         }
         
         this._log('Starting stream...');
-        this.stop();
+        this._teardown();
+        
+        this.url = url;
+        this._stopped = false;
+        this.reconnectAttempts = 0;
+        this._setState('connecting');
+        this._trackStalls(this.videoElement);
         
         try {
-            // Create peer connection
-            this.peerConnection = new RTCPeerConnection({
-                iceServers: this.iceServers
-            });
-            
-            // Set up event listeners
-            this.peerConnection.oniceconnectionstatechange = () => {
-                this._log(`ICE Connection State: ${this.peerConnection.iceConnectionState}`);
-                if (this.peerConnection.iceConnectionState === 'connected') {
-                    this._startStatsMonitoring();
-                    this.onConnected();
-                } else if (['disconnected', 'failed', 'closed'].includes(this.peerConnection.iceConnectionState)) {
-                    this.onDisconnected();
-                }
-            };
-            
-            this.peerConnection.onconnectionstatechange = () => {
-                this._log(`Connection State: ${this.peerConnection.connectionState}`);
-            };
-            
-            this.peerConnection.onicecandidate = event => {
-                if (event.candidate) {
-                    this._log(`New ICE candidate generated`);
-                }
-            };
+            await this._negotiate();
+            return true;
             
-            this.peerConnection.ontrack = event => {
-                this._log('Received remote track', 'success');
+        } catch (error) {
+            this._log(`Error: ${error.message}`, 'error');
+            this._emit('error', error);
+            this.stop();
+            throw error;
+        }
+    }
+    
+    /**
+     * Create a peer connection and negotiate it with the server
+     * The video element keeps its current stream until the new one arrives.
+     * @private
+     */
+    async _negotiate() {
+        // Create peer connection; createEncodedStreams() has to be enabled here
+        const config = { iceServers: this.iceServers };
+        if (this.metadata && this.metadata.encodedFrames && ZLMWebRTCPlayer.encodedFrameApi() === 'encoded-streams') {
+            config.encodedInsertableStreams = true;
+        }
+        const pc = new RTCPeerConnection(config);
+        this.peerConnection = pc;
+        
+        // Set up event listeners (ignore events from connections we replaced)
+        pc.oniceconnectionstatechange = () => {
+            if (pc !== this.peerConnection) return;
+            this._handleIceStateChange(pc.iceConnectionState);
+        };
+        
+        pc.onconnectionstatechange = () => {
+            if (pc !== this.peerConnection) return;
+            this._log(`Connection State: ${pc.connectionState}`);
+        };
+        
+        pc.onicecandidate = event => {
+            if (event.candidate) {
+                this._log(`New ICE candidate generated`);
+            }
+            if (pc === this.peerConnection && this.signaling === 'whep') {
+                this._queueCandidate(event.candidate);
+            }
+        };
+        
+        pc.ontrack = event => {
+            if (pc !== this.peerConnection) return;
+            this._log('Received remote track', 'success');
+            if (this.videoElement.srcObject !== event.streams[0]) {
                 this.videoElement.srcObject = event.streams[0];
-                this.stream = event.streams[0];
-            };
-            
-            // Add transceivers for audio and video (both recvonly)
-            this.peerConnection.addTransceiver('video', {direction: 'recvonly'});
-            this.peerConnection.addTransceiver('audio', {direction: 'recvonly'});
-            
-            // Create offer with specific constraints
-            const offer = await this.peerConnection.createOffer({
-                offerToReceiveAudio: true,
-                offerToReceiveVideo: true
-            });
+            }
+            this.stream = event.streams[0];
+            if (this.audioMeter) {
+                this.audioMeter.setSource(this._audioSource());
+            }
             
-            // Set local description
-            await this.peerConnection.setLocalDescription(offer);
-            this._log('Local description set');
+            if (this.metadata && this.metadata.encodedFrames && event.track && event.track.kind === 'video' && event.receiver) {
+                this._readEncodedFrames(event.receiver);
+            }
+        };
+        
+        // Add transceivers for audio and video (both recvonly), or only audio
+        if (!this.audioOnly) {
+            pc.addTransceiver('video', {direction: 'recvonly'});
+        }
+        pc.addTransceiver('audio', {direction: 'recvonly'});
+        
+        if (this.metadata && this.metadata.dataChannel) {
+            this._openDataChannel(pc);
+        }
+        
+        // Create offer with specific constraints
+        const offer = await pc.createOffer({
+            offerToReceiveAudio: true,
+            offerToReceiveVideo: !this.audioOnly
+        });
+        
+        // Set local description
+        await pc.setLocalDescription(offer);
+        this._log('Local description set');
+        
+        // Exchange SDP with the server
+        await this._signal();
+    }
+    
+    /**
+     * Send the current local offer using the configured signaling mode
+     * @private
+     */
+    async _signal() {
+        if (this.signaling === 'whep') {
+            await this._connectWHEP(this.url);
+        } else {
+            await this._connectToZLM(this.url);
+        }
+    }
+    
+    /**
+     * React to ICE connection state changes
+     * 'disconnected' stalls playback until it recovers or the recovery kicks in;
+     * 'failed' without recovery stops the player.
+     * @param {string} state - The new ICE connection state
+     * @private
+     */
+    _handleIceStateChange(state) {
+        this._log(`ICE Connection State: ${state}`);
+        
+        if (state === 'connected' || state === 'completed') {
+            clearTimeout(this._recoveryTimer);
+            this._recoveryTimer = null;
+            this._startStatsMonitoring();
             
-            // Connect to ZLMediaKit server
-            await this._connectToZLM(url);
+            if (this.reconnecting) {
+                this.reconnecting = false;
+                this.reconnectAttempts = 0;
+                this._log('Reconnected', 'success');
+                this._setState('playing');
+                this._emit('reconnected');
+            } else if (this.state === 'connecting') {
+                this._setState('playing');
+                this._emit('connected');
+            } else if (this.state === 'stalled') {
+                this._setState('playing');
+            }
+        } else if (state === 'disconnected') {
+            if (this.state === 'playing') {
+                this._setState('stalled');
+            }
             
-            return true;
+            // 'disconnected' often recovers by itself, give it a moment
+            if (this.reconnect.enabled && !this._recoveryTimer) {
+                this._recoveryTimer = setTimeout(() => {
+                    this._recoveryTimer = null;
+                    if (this.peerConnection && this.peerConnection.iceConnectionState === 'disconnected') {
+                        this._recover();
+                    }
+                }, this.reconnect.disconnectedTimeout);
+            }
+        } else if (state === 'failed') {
+            clearTimeout(this._recoveryTimer);
+            this._recoveryTimer = null;
+            if (this.reconnect.enabled) {
+                this._recover();
+            } else {
+                this._log('Connection failed', 'error');
+                this.stop();
+            }
+        } else if (state === 'closed') {
+            this.stop();
+        }
+    }
+    
+    /**
+     * Recover a lost connection: ICE restart first, then full re-offers with exponential backoff
+     * @param {boolean} [skipIceRestart=false] - Go straight to a full re-offer
+     * @private
+     */
+    async _recover(skipIceRestart = false) {
+        if (this._stopped || !this.url) return;
+        
+        const firstAttempt = !this.reconnecting;
+        this.reconnecting = true;
+        this._setState('reconnecting');
+        
+        // ICE restart keeps the existing peer connection and media pipeline
+        if (firstAttempt && !skipIceRestart && this.reconnect.iceRestart && this.peerConnection) {
+            this._log('Connection lost, attempting ICE restart...', 'info');
+            this._emit('reconnecting', 0, 'ice-restart');
             
-        } catch (error) {
-            this._log(`Error: ${error.message}`, 'error');
-            this.onError(error);
+            try {
+                const offer = await this.peerConnection.createOffer({ iceRestart: true });
+                await this.peerConnection.setLocalDescription(offer);
+                if (this.signaling === 'whep' && this.whepResource) {
+                    await this._restartWHEPIce();
+                } else {
+                    await this._signal();
+                }
+                
+                this._recoveryTimer = setTimeout(() => {
+                    this._recoveryTimer = null;
+                    if (this.reconnecting) {
+                        this._log('ICE restart did not reconnect, falling back to a new session', 'info');
+                        this._recover(true);
+                    }
+                }, this.reconnect.iceRestartTimeout);
+                return;
+            } catch (error) {
+                this._log(`ICE restart failed: ${error.message}`, 'error');
+            }
+        }
+        
+        if (this.reconnectAttempts >= this.reconnect.maxAttempts) {
+            this._log(`Reconnection failed after ${this.reconnectAttempts} attempts`, 'error');
+            this._emit('error', new Error(`Reconnection failed after ${this.reconnectAttempts} attempts`));
             this.stop();
-            throw error;
+            return;
+        }
+        
+        this.reconnectAttempts++;
+        const delay = Math.min(this.reconnect.baseDelay * Math.pow(2, this.reconnectAttempts - 1), this.reconnect.maxDelay);
+        this._log(`Reconnecting ${this.reconnectAttempts}/${this.reconnect.maxAttempts} in ${delay}ms...`, 'info');
+        this._emit('reconnecting', this.reconnectAttempts, 're-offer');
+        
+        this._recoveryTimer = setTimeout(async () => {
+            this._recoveryTimer = null;
+            if (this._stopped) return;
+            
+            this._closePeerConnection();
+            this._deleteWHEPResource();
+            try {
+                await this._negotiate();
+            } catch (error) {
+                this._log(`Reconnection attempt failed: ${error.message}`, 'error');
+                this._recover(true);
+            }
+        }, delay);
+    }
+    
+    /**
+     * Close the current peer connection without detaching the video element
+     * @private
+     */
+    _closePeerConnection() {
+        if (this.peerConnection) {
+            const pc = this.peerConnection;
+            this.peerConnection = null;
+            this.dataChannel = null;
+            pc.close();
+            this._log('Connection closed');
         }
     }
     
     /**
-     * Stop playing the stream
+     * Close the connection and release the media without changing the state
+     * @private
      */
-    stop() {
+    _teardown() {
+        super._teardown();
+        this._stopped = true;
+        this.reconnecting = false;
+        clearTimeout(this._recoveryTimer);
+        this._recoveryTimer = null;
+        
         if (this.statsInterval) {
             clearInterval(this.statsInterval);
             this.statsInterval = null;
         }
+        this._lastStats = null;
         
-        if (this.peerConnection) {
-            this.peerConnection.close();
-            this.peerConnection = null;
-            this._log('Connection closed');
+        this._closePeerConnection();
+        this._deleteWHEPResource();
+        
+        if (this._metadataWorker) {
+            this._metadataWorker.terminate();
+            this._metadataWorker = null;
         }
         
         if (this.videoElement.srcObject) {
@@ -157,12 +423,108 @@ class ZLMWebRTCPlayer {
         }
         
         this.stream = null;
+        if (this.latencyMeter) this.latencyMeter.reset();
         
         if (this.statsContainer) {
             this.statsContainer.innerHTML = '';
         }
     }
     
+    /**
+     * Record the received MediaStream itself rather than a capture of the element
+     * @returns {MediaStream}
+     * @private
+     */
+    _recordingStream() {
+        if (!this.stream) {
+            throw new Error('Nothing to record: no stream received yet');
+        }
+        return this.stream;
+    }
+    
+    /**
+     * Measure the received MediaStream: browsers cannot always read remote audio through the element
+     * Until a stream is received the meter has no source; ontrack gives it one.
+     * @returns {Object}
+     * @private
+     */
+    _audioSource() {
+        return { stream: this.stream };
+    }
+    
+    /**
+     * The signaling protocol, for the log entries
+     * @returns {string}
+     * @private
+     */
+    _logProtocol() {
+        return this.signaling === 'whep' ? 'whep' : 'webrtc';
+    }
+    
+    /**
+     * Negotiate a DataChannel and emit its messages as 'metadata'
+     * Messages are JSON, text or binary. A JSON object with an `rtpTimestamp`
+     * (90 kHz, as in the RTP packets of the video) belongs to that video frame.
+     * @param {RTCPeerConnection} pc - The new peer connection
+     * @private
+     */
+    _openDataChannel(pc) {
+        const label = typeof this.metadata.dataChannel === 'string' ? this.metadata.dataChannel : 'metadata';
+        const channel = pc.createDataChannel(label);
+        channel.binaryType = 'arraybuffer';
+        
+        channel.onopen = () => {
+            if (pc === this.peerConnection) this._log(`DataChannel '${label}' open`, 'success');
+        };
+        channel.onmessage = (event) => {
+            if (pc !== this.peerConnection) return;
+            const payload = ZLMWebRTCPlayer.decodeMetadata(event.data);
+            const frameTimestamp = payload && typeof payload.rtpTimestamp === 'number' ? payload.rtpTimestamp / 90000 : null;
+            this._emit('metadata', frameTimestamp, payload, { source: 'datachannel', clock: frameTimestamp !== null ? 'rtp' : null, label });
+        };
+        this.dataChannel = channel;
+    }
+    
+    /**
+     * Read the SEI of the received video frames, passing the frames on unchanged
+     * @param {RTCRtpReceiver} receiver - The video receiver
+     * @private
+     */
+    _readEncodedFrames(receiver) {
+        const params = typeof receiver.getParameters === 'function' ? receiver.getParameters() : {};
+        const mimeType = params.codecs && params.codecs[0] ? params.codecs[0].mimeType : 'video/H264';
+        const codec = /h265|hevc/i.test(mimeType) ? 'h265' : (/h264/i.test(mimeType) ? 'h264' : null);
+        if (!codec) {
+            this._log(`No SEI metadata in ${mimeType} video`, 'info');
+            return;
+        }
+        
+        const api = ZLMWebRTCPlayer.encodedFrameApi();
+        if (api === 'script-transform') {
+            // The frames go through a worker, which posts the SEI it finds
+            if (!this._metadataWorker) {
+                this._metadataWorker = new Worker(this.metadata.workerUrl);
+                this._metadataWorker.onmessage = (event) => {
+                    event.data.messages.forEach(sei => this._emitSeiMetadata(sei, event.data.timestamp / 90000, 'rtp'));
+                };
+            }
+            receiver.transform = new RTCRtpScriptTransform(this._metadataWorker, { codec });
+        } else if (api === 'encoded-streams') {
+            const { readable, writable } = receiver.createEncodedStreams();
+            readable.pipeThrough(new TransformStream({
+                transform: (frame, controller) => {
+                    this._FlvParser.parseAnnexB(new Uint8Array(frame.data), codec, 0, 0)
+                        .forEach(sei => this._emitSeiMetadata(sei, frame.timestamp / 90000, 'rtp'));
+                    controller.enqueue(frame);
+                }
+            })).pipeTo(writable).catch(() => {
+                // Ends with the connection
+            });
+        } else {
+            this._log('This browser cannot read encoded frames, SEI metadata is not available over WebRTC', 'warn');
+        }
+    }
+    
     /**
      * Connect to ZLMediaKit server
      * @param {string} url - The WebRTC stream URL
@@ -221,35 +583,286 @@ class ZLMWebRTCPlayer {
         }
     }
     
+    /**
+     * Connect to a WHEP endpoint (RFC 9725 style)
+     * POSTs the offer as application/sdp, reads the answer and the session
+     * resource from the 201 response, then trickles candidates via PATCH.
+     * @param {string} url - The WHEP endpoint URL
+     * @private
+     */
+    async _connectWHEP(url) {
+        try {
+            this._log(`Connecting to WHEP endpoint: ${url}`);
+            
+            this.whepResource = null;
+            this.whepEtag = null;
+            this._endOfCandidates = false;
+            
+            if (this.trickleIce) {
+                // Candidates gathered from now on are sent via PATCH
+                this._pendingCandidates = [];
+            } else {
+                await this._waitForIceGathering();
+                this._pendingCandidates = [];
+                this._endOfCandidates = false;
+            }
+            
+            const offerSdp = this.peerConnection.localDescription.sdp;
+            this._log(`Sending SDP offer (${offerSdp.length} bytes)`);
+            
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: this._whepHeaders({
+                    'Content-Type': 'application/sdp',
+                    'Accept': 'application/sdp'
+                }),
+                body: offerSdp
+            });
+            
+            if (response.status !== 201 && response.status !== 200) {
+                throw new Error(`WHEP server returned ${response.status}: ${response.statusText}`);
+            }
+            
+            const location = response.headers.get('Location');
+            if (location) {
+                this.whepResource = new URL(location, url).toString();
+                this._log(`WHEP session resource: ${this.whepResource}`);
+            } else {
+                this._log('WHEP response has no Location header, trickle ICE and teardown are unavailable', 'error');
+            }
+            this.whepEtag = response.headers.get('ETag');
+            
+            const answerSdp = await response.text();
+            if (!answerSdp || answerSdp.indexOf('v=0') === -1) {
+                throw new Error('No SDP answer found in WHEP response');
+            }
+            
+            await this.peerConnection.setRemoteDescription({
+                type: 'answer',
+                sdp: answerSdp
+            });
+            
+            this._log('Remote description set successfully', 'success');
+            
+            // Send anything gathered while the POST was in flight
+            await this._flushCandidates();
+        } catch (error) {
+            this._log(`Error in WHEP connection: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+    
+    /**
+     * Build headers for a WHEP request
+     * @param {Object} headers - Request specific headers
+     * @returns {Object} - Headers including authorization when configured
+     * @private
+     */
+    _whepHeaders(headers) {
+        if (this.bearerToken) {
+            headers['Authorization'] = `Bearer ${this.bearerToken}`;
+        }
+        return headers;
+    }
+    
+    /**
+     * Queue a local ICE candidate for trickling to the WHEP resource
+     * @param {RTCIceCandidate|null} candidate - The candidate, or null at the end of gathering
+     * @private
+     */
+    _queueCandidate(candidate) {
+        if (candidate) {
+            this._pendingCandidates.push(candidate);
+        } else {
+            this._endOfCandidates = true;
+        }
+        
+        if (this.whepResource) {
+            this._flushCandidates().catch(error => {
+                this._log(`Trickle ICE failed: ${error.message}`, 'error');
+            });
+        }
+    }
+    
+    /**
+     * Send queued candidates to the WHEP resource as a trickle-ice-sdpfrag PATCH
+     * @private
+     */
+    async _flushCandidates() {
+        if (!this.whepResource || !this.peerConnection) return;
+        if (this._pendingCandidates.length === 0 && !this._endOfCandidates) return;
+        
+        const candidates = this._pendingCandidates;
+        const endOfCandidates = this._endOfCandidates;
+        this._pendingCandidates = [];
+        this._endOfCandidates = false;
+        
+        const fragment = ZLMWebRTCPlayer.buildSdpFragment(this.peerConnection.localDescription.sdp, candidates, endOfCandidates);
+        const headers = this._whepHeaders({ 'Content-Type': 'application/trickle-ice-sdpfrag' });
+        if (this.whepEtag) {
+            headers['If-Match'] = this.whepEtag;
+        }
+        
+        const response = await fetch(this.whepResource, {
+            method: 'PATCH',
+            headers: headers,
+            body: fragment
+        });
+        
+        if (response.status === 405 || response.status === 501) {
+            // Server does not support trickle ICE; it must rely on the candidates in the offer
+            this._log('WHEP server does not support trickle ICE', 'info');
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`WHEP PATCH returned ${response.status}: ${response.statusText}`);
+        }
+        
+        this._log(`Trickled ${candidates.length} ICE candidate(s)${endOfCandidates ? ' (end of candidates)' : ''}`);
+    }
+    
+    /**
+     * Restart ICE on an existing WHEP session
+     * Sends the new local ICE credentials via PATCH and applies the server's
+     * new credentials from the sdpfrag response to the remote description.
+     * @private
+     */
+    async _restartWHEPIce() {
+        await this._waitForIceGathering();
+        this._pendingCandidates = [];
+        this._endOfCandidates = false;
+        
+        const fragment = ZLMWebRTCPlayer.buildSdpFragment(this.peerConnection.localDescription.sdp, [], false, true);
+        const response = await fetch(this.whepResource, {
+            method: 'PATCH',
+            headers: this._whepHeaders({
+                'Content-Type': 'application/trickle-ice-sdpfrag',
+                'If-Match': '*'
+            }),
+            body: fragment
+        });
+        
+        if (response.status !== 200) {
+            throw new Error(`WHEP ICE restart returned ${response.status}: ${response.statusText}`);
+        }
+        this.whepEtag = response.headers.get('ETag') || this.whepEtag;
+        
+        const remoteFragment = await response.text();
+        const ufrag = (remoteFragment.match(/^a=ice-ufrag:(.*)$/m) || [])[1];
+        const pwd = (remoteFragment.match(/^a=ice-pwd:(.*)$/m) || [])[1];
+        if (!ufrag || !pwd) {
+            throw new Error('WHEP ICE restart response has no ICE credentials');
+        }
+        
+        const remoteSdp = this.peerConnection.remoteDescription.sdp
+            .replace(/^a=ice-ufrag:.*$/gm, `a=ice-ufrag:${ufrag.trim()}`)
+            .replace(/^a=ice-pwd:.*$/gm, `a=ice-pwd:${pwd.trim()}`);
+        
+        await this.peerConnection.setRemoteDescription({
+            type: 'answer',
+            sdp: remoteSdp
+        });
+        
+        this._log('WHEP ICE restart negotiated', 'success');
+    }
+    
+    /**
+     * Terminate the WHEP session by deleting its resource
+     * @private
+     */
+    _deleteWHEPResource() {
+        if (!this.whepResource) return;
+        
+        const resource = this.whepResource;
+        this.whepResource = null;
+        this.whepEtag = null;
+        this._pendingCandidates = [];
+        
+        fetch(resource, {
+            method: 'DELETE',
+            headers: this._whepHeaders({}),
+            keepalive: true
+        }).then(response => {
+            this._log(`WHEP session deleted (${response.status})`);
+        }).catch(error => {
+            this._log(`Failed to delete WHEP session: ${error.message}`, 'error');
+        });
+    }
+    
+    /**
+     * Build a trickle-ice-sdpfrag body (RFC 8840) from the local description
+     * @param {string} localSdp - The current local SDP
+     * @param {RTCIceCandidate[]} candidates - Candidates to include
+     * @param {boolean} [endOfCandidates=false] - Signal the end of gathering
+     * @param {boolean} [credentialsOnly=false] - Only send ICE credentials (ICE restart)
+     * @returns {string} - The SDP fragment
+     */
+    static buildSdpFragment(localSdp, candidates, endOfCandidates = false, credentialsOnly = false) {
+        const ufrag = (localSdp.match(/^a=ice-ufrag:(.*)$/m) || [])[1];
+        const pwd = (localSdp.match(/^a=ice-pwd:(.*)$/m) || [])[1];
+        const lines = [];
+        
+        if (ufrag) lines.push(`a=ice-ufrag:${ufrag.trim()}`);
+        if (pwd) lines.push(`a=ice-pwd:${pwd.trim()}`);
+        if (credentialsOnly) {
+            return lines.join('\r\n') + '\r\n';
+        }
+        
+        // One media section per mid, in the order of the local description
+        const mediaSections = localSdp.split(/\r?\nm=/).slice(1).map(section => {
+            const mLine = 'm=' + section.split(/\r?\n/)[0];
+            const mid = (section.match(/^a=mid:(.*)$/m) || [])[1];
+            return { mLine, mid: mid ? mid.trim() : null };
+        });
+        
+        mediaSections.forEach((media, index) => {
+            const mediaCandidates = candidates.filter(candidate =>
+                candidate.sdpMid === media.mid || (candidate.sdpMid == null && candidate.sdpMLineIndex === index));
+            if (mediaCandidates.length === 0 && !endOfCandidates) return;
+            
+            lines.push(media.mLine);
+            if (media.mid !== null) lines.push(`a=mid:${media.mid}`);
+            mediaCandidates.forEach(candidate => lines.push(`a=${candidate.candidate}`));
+            if (endOfCandidates) lines.push('a=end-of-candidates');
+        });
+        
+        return lines.join('\r\n') + '\r\n';
+    }
+    
     /**
      * Wait for ICE gathering to complete
      * @returns {Promise} - Resolves when ICE gathering is complete
      * @private
      */
     _waitForIceGathering() {
+        // Keep the connection at hand, the player may close it while waiting
+        const pc = this.peerConnection;
+        
         return new Promise(resolve => {
-            if (this.peerConnection.iceGatheringState === 'complete') {
+            if (pc.iceGatheringState === 'complete') {
                 resolve();
                 return;
             }
             
+            let timer = null;
             const checkState = () => {
-                if (this.peerConnection.iceGatheringState === 'complete') {
-                    this.peerConnection.removeEventListener('icegatheringstatechange', checkState);
+                if (pc.iceGatheringState === 'complete') {
+                    pc.removeEventListener('icegatheringstatechange', checkState);
+                    clearTimeout(timer);
                     resolve();
                 }
             };
             
-            this.peerConnection.addEventListener('icegatheringstatechange', checkState);
+            pc.addEventListener('icegatheringstatechange', checkState);
             
             // Add a timeout in case gathering takes too long
-            setTimeout(() => {
-                if (this.peerConnection.iceGatheringState !== 'complete') {
+            timer = setTimeout(() => {
+                if (pc.iceGatheringState !== 'complete') {
                     this._log('ICE gathering timed out, continuing with available candidates', 'info');
-                    this.peerConnection.removeEventListener('icegatheringstatechange', checkState);
+                    pc.removeEventListener('icegatheringstatechange', checkState);
                     resolve();
                 }
-            }, 5000);
+            }, this.iceGatheringTimeout);
         });
     }
     
@@ -264,39 +877,203 @@ class ZLMWebRTCPlayer {
             if (!this.peerConnection) return;
             
             const stats = await this.peerConnection.getStats();
-            let statsData = {};
-            
-            stats.forEach(report => {
-                if (report.type === 'inbound-rtp' && report.kind === 'video') {
-                    statsData = {
-                        packetsReceived: report.packetsReceived,
-                        packetsLost: report.packetsLost,
-                        bytesReceived: report.bytesReceived,
-                        framesDecoded: report.framesDecoded,
-                        frameRate: report.framesPerSecond || 0,
-                        jitter: report.jitter,
-                        timestamp: report.timestamp
-                    };
-                    
-                    // Update stats container if available
-                    if (this.statsContainer) {
-                        this.statsContainer.innerHTML = `
-                            Packets Received: ${report.packetsReceived}<br>
-                            Bytes Received: ${(report.bytesReceived / 1024 / 1024).toFixed(2)} MB<br>
-                            Frame Rate: ${report.framesPerSecond || 0} fps<br>
-                            Frames Decoded: ${report.framesDecoded}<br>
-                        `;
-                    }
-                    
-                    // Call the stats callback
-                    this.onStats(statsData);
-                }
-            });
+            const statsData = this._buildStats(stats);
+            if (!statsData) return;
+            
+            const { video, audio, transport, avSync } = statsData;
+            
+            // Update stats container if available
+            if (this.statsContainer) {
+                const videoLines = video ? `
+                    Video: ${video.codec || 'n/a'} ${video.width && video.height ? `${video.width}x${video.height}` : ''} @ ${video.frameRate} fps, ${video.bitrate} kbps<br>
+                    Video Loss: ${video.packetsLost} packets (${(video.lossRate * 100).toFixed(1)}%), NACK/PLI/FIR: ${video.nackCount}/${video.pliCount}/${video.firCount}<br>
+                    Frames Decoded: ${video.framesDecoded}, Dropped: ${video.framesDropped}, Freezes: ${video.freezeCount}<br>
+                    Jitter Buffer: ${video.jitterBufferDelay !== null ? `${video.jitterBufferDelay} ms` : 'n/a'}<br>` : `
+                    Video: none<br>`;
+                this.statsContainer.innerHTML = `${videoLines}
+                    Audio: ${audio ? `${audio.codec || 'n/a'}, ${audio.bitrate} kbps, loss ${(audio.lossRate * 100).toFixed(1)}%, concealed ${(audio.concealmentRate * 100).toFixed(1)}%` : 'none'}<br>
+                    A/V Sync: ${avSync ? `${avSync.offset} ms, drift ${avSync.drift} ms` : 'n/a'}<br>
+                    RTT: ${transport.rtt !== null ? `${transport.rtt} ms` : 'n/a'} (${transport.relayed ? `relayed via TURN/${transport.relayProtocol || '?'}` : `${transport.localCandidateType || '?'} / ${transport.remoteCandidateType || '?'}`})<br>
+                    Latency: ${statsData.latency !== null ? `${statsData.latency} ms` : 'n/a (no RTCP sender report)'}<br>
+                `;
+            }
+            
+            // Call the stats callback
+            this._emit('stats', statsData);
             
         }, 1000);
     }
+    
+    /**
+     * Build the stats object passed to `onStats` from a getStats() report
+     * The top level keeps the flat video fields (bitrate, frameRate, droppedFrames,
+     * buffer, latency...) shared with the other players, taken from the audio when
+     * there is no video; `video`, `audio` and `transport` hold the full model. Rates
+     * are computed from the previous sample. `avSync` compares the capture times of
+     * the audio and video being played out (estimatedPlayoutTimestamp).
+     * @param {RTCStatsReport} stats - The result of RTCPeerConnection.getStats()
+     * @returns {Object|null} - The stats, or null before any media is received
+     * @private
+     */
+    _buildStats(stats) {
+        let videoReport = null;
+        let audioReport = null;
+        let pairReport = null;
+        let selectedPairId = null;
+        
+        stats.forEach(report => {
+            if (report.type === 'inbound-rtp' && report.kind === 'video') {
+                videoReport = report;
+            } else if (report.type === 'inbound-rtp' && report.kind === 'audio') {
+                audioReport = report;
+            } else if (report.type === 'transport' && report.selectedCandidatePairId) {
+                selectedPairId = report.selectedCandidatePairId;
+            } else if (report.type === 'candidate-pair' && (report.selected || (report.nominated && report.state === 'succeeded'))) {
+                pairReport = pairReport || report;
+            }
+        });
+        if (!videoReport && !audioReport) return null;
+        
+        if (selectedPairId && stats.get(selectedPairId)) {
+            pairReport = stats.get(selectedPairId);
+        }
+        
+        // Counters restart with a new peer connection, so drop the previous sample then
+        const kind = videoReport ? 'video' : 'audio';
+        const mainReport = videoReport || audioReport;
+        const previous = this._lastStats && this._lastStats[kind] && this._lastStats[kind].bytesReceived <= mainReport.bytesReceived
+            ? this._lastStats
+            : null;
+        const elapsed = previous ? (mainReport.timestamp - previous[kind].timestamp) / 1000 : 0;
+        const rate = (current, last, key) => {
+            if (!last || elapsed <= 0 || typeof current[key] !== 'number' || typeof last[key] !== 'number') return 0;
+            return Math.max(0, current[key] - last[key]) / elapsed;
+        };
+        const lossRate = (current, last) => {
+            const lost = rate(current, last, 'packetsLost');
+            const received = rate(current, last, 'packetsReceived');
+            return lost + received > 0 ? lost / (lost + received) : 0;
+        };
+        const codecOf = (report) => {
+            const codec = report.codecId ? stats.get(report.codecId) : null;
+            return codec ? codec.mimeType.replace(/^(video|audio)\//, '') : null;
+        };
+        
+        // Average jitter buffer delay of the frames (or samples) emitted since the previous sample, in ms
+        const bufferDelay = (current, last) => {
+            const emitted = last ? current.jitterBufferEmittedCount - last.jitterBufferEmittedCount : current.jitterBufferEmittedCount;
+            const delay = last ? current.jitterBufferDelay - last.jitterBufferDelay : current.jitterBufferDelay;
+            return emitted > 0 ? Math.round(delay / emitted * 1000) : null;
+        };
+        
+        let video = null;
+        if (videoReport) {
+            const lastVideo = previous ? previous.video : null;
+            video = {
+                codec: codecOf(videoReport),
+                width: videoReport.frameWidth || null,
+                height: videoReport.frameHeight || null,
+                frameRate: videoReport.framesPerSecond || 0,
+                bitrate: Math.round(rate(videoReport, lastVideo, 'bytesReceived') * 8 / 1000),
+                bytesReceived: videoReport.bytesReceived,
+                packetsReceived: videoReport.packetsReceived,
+                packetsLost: videoReport.packetsLost,
+                lossRate: lossRate(videoReport, lastVideo),
+                jitter: videoReport.jitter,
+                jitterBufferDelay: bufferDelay(videoReport, lastVideo),
+                framesDecoded: videoReport.framesDecoded,
+                framesDropped: videoReport.framesDropped || 0,
+                keyFramesDecoded: videoReport.keyFramesDecoded || 0,
+                freezeCount: videoReport.freezeCount || 0,
+                totalFreezesDuration: videoReport.totalFreezesDuration || 0,
+                nackCount: videoReport.nackCount || 0,
+                pliCount: videoReport.pliCount || 0,
+                firCount: videoReport.firCount || 0,
+                decoder: videoReport.decoderImplementation || null
+            };
+        }
+        
+        let audio = null;
+        if (audioReport) {
+            const lastAudio = previous ? previous.audio : null;
+            const samples = rate(audioReport, lastAudio, 'totalSamplesReceived');
+            audio = {
+                codec: codecOf(audioReport),
+                bitrate: Math.round(rate(audioReport, lastAudio, 'bytesReceived') * 8 / 1000),
+                bytesReceived: audioReport.bytesReceived,
+                packetsReceived: audioReport.packetsReceived,
+                packetsLost: audioReport.packetsLost,
+                lossRate: lossRate(audioReport, lastAudio),
+                jitter: audioReport.jitter,
+                jitterBufferDelay: bufferDelay(audioReport, lastAudio),
+                concealedSamples: audioReport.concealedSamples || 0,
+                concealmentRate: samples > 0 ? rate(audioReport, lastAudio, 'concealedSamples') / samples : 0,
+                audioLevel: audioReport.audioLevel !== undefined ? audioReport.audioLevel : null
+            };
+        }
+        
+        const localCandidate = pairReport && pairReport.localCandidateId ? stats.get(pairReport.localCandidateId) : null;
+        const remoteCandidate = pairReport && pairReport.remoteCandidateId ? stats.get(pairReport.remoteCandidateId) : null;
+        const transport = {
+            rtt: pairReport && typeof pairReport.currentRoundTripTime === 'number' ? Math.round(pairReport.currentRoundTripTime * 1000) : null,
+            availableIncomingBitrate: pairReport && pairReport.availableIncomingBitrate ? Math.round(pairReport.availableIncomingBitrate / 1000) : null,
+            localCandidateType: localCandidate ? localCandidate.candidateType : null,
+            remoteCandidateType: remoteCandidate ? remoteCandidate.candidateType : null,
+            protocol: localCandidate ? localCandidate.protocol : null,
+            relayed: !!((localCandidate && localCandidate.candidateType === 'relay') || (remoteCandidate && remoteCandidate.candidateType === 'relay')),
+            relayProtocol: localCandidate && localCandidate.candidateType === 'relay' ? localCandidate.relayProtocol || null : null
+        };
+        
+        this._lastStats = { video: videoReport, audio: audioReport };
+        
+        const latency = this.latencyMeter ? this.latencyMeter.measureWebRTC(stats) : null;
+        
+        // Positive when the audio played out was captured before the video shown: the audio is behind.
+        // WebRTC lip sync steers both playout delays, so the drift shows how well it keeps up.
+        const playout = (report) => report && typeof report.estimatedPlayoutTimestamp === 'number' ? report.estimatedPlayoutTimestamp : null;
+        const avSync = playout(videoReport) !== null && playout(audioReport) !== null
+            ? this._measureAvSync(playout(videoReport) - playout(audioReport), 'playout')
+            : null;
+        
+        const main = video || audio;
+        return {
+            packetsReceived: main.packetsReceived,
+            packetsLost: main.packetsLost,
+            bytesReceived: main.bytesReceived,
+            bitrate: main.bitrate,
+            framesDecoded: video ? video.framesDecoded : 0,
+            droppedFrames: video ? video.framesDropped : 0,
+            frameRate: video ? video.frameRate : 0,
+            jitter: main.jitter,
+            // Jitter buffer delay in seconds, like the buffer level of the other players
+            buffer: main.jitterBufferDelay !== null ? main.jitterBufferDelay / 1000 : 0,
+            latency: latency,
+            latencySource: latency !== null ? this.latencyMeter.source : null,
+            avSync: avSync,
+            timestamp: mainReport.timestamp,
+            video: video,
+            audio: audio,
+            transport: transport
+        };
+    }
+    
+    /**
+     * The API this browser offers to read received encoded frames
+     * @returns {string|null} - 'script-transform' (RTCRtpScriptTransform), 'encoded-streams'
+     *     (createEncodedStreams in older Chrome) or null
+     */
+    static encodedFrameApi() {
+        if (typeof RTCRtpScriptTransform !== 'undefined') return 'script-transform';
+        if (typeof RTCRtpReceiver !== 'undefined' && 'createEncodedStreams' in RTCRtpReceiver.prototype) return 'encoded-streams';
+        return null;
+    }
 }
 
+// The RTCRtpScriptTransform worker that reads SEI metadata, next to this file
+ZLMWebRTCPlayer.METADATA_WORKER_URL = typeof document !== 'undefined' && document.currentScript && document.currentScript.src
+    ? new URL('zlm-metadata-worker.js', document.currentScript.src).href
+    : 'zlm-metadata-worker.js';
+
 // Export for module environments
 if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
     module.exports = ZLMWebRTCPlayer;
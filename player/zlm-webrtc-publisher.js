@@ -0,0 +1,523 @@
+/**
+ * ZLMediaKit WebRTC Publisher
+ * A reusable component for pushing camera, screen or synthetic streams to ZLMediaKit over WebRTC
+ */
+class ZLMWebRTCPublisher {
+    /**
+     * Create a new WebRTC publisher
+     * @param {Object} options - Configuration options
+     * @param {HTMLVideoElement} [options.videoElement] - Optional video element for a local preview
+     * @param {HTMLElement} [options.logContainer] - Optional container for logs
+     * @param {ZLMLogger} [options.logger] - Logger for the entries of this publisher; ZLMLogger.shared by default
+     * @param {string} [options.logId='publisher'] - Publisher id in the log entries
+     * @param {HTMLElement} [options.statsContainer] - Optional container for statistics
+     * @param {Array} [options.iceServers] - Custom ICE servers configuration
+     * @param {string} [options.source='camera'] - Media source: 'camera', 'screen' or 'canvas' (synthetic test pattern)
+     * @param {boolean} [options.audio=true] - Capture audio (a test tone for the canvas source)
+     * @param {Object} [options.videoConstraints] - Constraints for getUserMedia/getDisplayMedia video
+     * @param {string} [options.videoCodec] - Preferred video codec: 'H264', 'VP8', 'VP9' or 'AV1'
+     * @param {number} [options.maxBitrate] - Maximum video bitrate in kbps
+     * @param {number} [options.maxFramerate] - Maximum video frame rate
+     * @param {Object} [options.canvasSize] - Size of the synthetic source, defaults to { width: 1280, height: 720 }
+     * @param {boolean} [options.timecode=true] - Burn a ZLMTimecode strip into the synthetic source (requires zlm-timecode.js)
+     */
+    constructor(options = {}) {
+        // Store options
+        this.videoElement = options.videoElement || null;
+        this.logContainer = options.logContainer || null;
+        this.statsContainer = options.statsContainer || null;
+        this.iceServers = options.iceServers || [{ urls: 'stun:stun.l.google.com:19302' }];
+        this.source = options.source || 'camera';
+        this.audio = options.audio !== false;
+        this.videoConstraints = options.videoConstraints || true;
+        this.videoCodec = options.videoCodec || null;
+        this.maxBitrate = options.maxBitrate || null;
+        this.maxFramerate = options.maxFramerate || null;
+        this.canvasSize = options.canvasSize || { width: 1280, height: 720 };
+        this.timecode = options.timecode !== false;
+        
+        // Structured log, shown in the log container; only onLog without zlm-logger.js
+        const Logger = typeof ZLMLogger !== 'undefined' ? ZLMLogger
+            : (typeof require === 'function' ? require('./zlm-logger.js') : null);
+        this.logger = options.logger || (Logger ? Logger.shared : null);
+        this.logId = options.logId || 'publisher';
+        this.logView = this.logContainer && this.logger
+            ? this.logger.attach(this.logContainer, { filter: { player: this.logId } })
+            : null;
+        
+        // Internal state
+        this.peerConnection = null;
+        this.statsInterval = null;
+        this.stream = null;
+        this._synthetic = null;
+        this._lastStats = null;
+        
+        // Bind methods to this
+        this.publish = this.publish.bind(this);
+        this.stop = this.stop.bind(this);
+        this._connectToZLM = this._connectToZLM.bind(this);
+        this._waitForIceGathering = this._waitForIceGathering.bind(this);
+        this._startStatsMonitoring = this._startStatsMonitoring.bind(this);
+        
+        // Set up event callbacks (can be overridden by users)
+        this.onConnected = () => {};
+        this.onDisconnected = () => {};
+        this.onError = (error) => { console.error('ZLM WebRTC Publisher error:', error); };
+        this.onStats = (stats) => {};
+        this.onLog = (message, type) => {};
+    }
+    
+    /**
+     * Log a message
+     * @param {string} message - The message to log
+     * @param {string} [type='info'] - Log level: debug, info, warn, error or success
+     * @private
+     */
+    _log(message, type = 'info') {
+        if (this.logger) {
+            this.logger.log(type, message, { source: 'ZLM WebRTC Publisher', player: this.logId, protocol: 'webrtc' });
+        }
+        this.onLog(message, type);
+    }
+    
+    /**
+     * List the video codecs this browser can send
+     * @returns {string[]} - Codec names such as 'H264', 'VP8', 'VP9', 'AV1'
+     */
+    static getSupportedCodecs() {
+        if (typeof RTCRtpSender === 'undefined' || !RTCRtpSender.getCapabilities) {
+            return [];
+        }
+        const capabilities = RTCRtpSender.getCapabilities('video');
+        const names = capabilities.codecs
+            .map(codec => codec.mimeType.split('/')[1].toUpperCase())
+            .filter(name => !['RTX', 'RED', 'ULPFEC', 'FLEXFEC-03'].includes(name));
+        return Array.from(new Set(names));
+    }
+    
+    /**
+     * Start publishing a stream
+     * @param {string|ZLMUrlBuilder} url - The WebRTC push URL from ZLMediaKit (/index/api/webrtc?...&type=push), or a URL builder
+     * @returns {Promise} - Resolves when the offer has been answered, rejects on error
+     */
+    async publish(url) {
+        // Accept a ZLMUrlBuilder in place of a URL
+        if (url && typeof url.build === 'function') {
+            url = url.build('webrtc-push');
+        }
+        
+        if (!url) {
+            throw new Error('Stream URL is required');
+        }
+        
+        this._log(`Starting ${this.source} publish...`);
+        this.stop();
+        
+        try {
+            // Capture the media source
+            this.stream = await this._captureSource();
+            if (this.videoElement) {
+                this.videoElement.srcObject = this.stream;
+                this.videoElement.muted = true;
+            }
+            this._log(`Captured ${this.stream.getTracks().map(track => track.kind).join(' + ')}`, 'success');
+            
+            // Create peer connection
+            this.peerConnection = new RTCPeerConnection({
+                iceServers: this.iceServers
+            });
+            
+            // Set up event listeners
+            this.peerConnection.oniceconnectionstatechange = () => {
+                this._log(`ICE Connection State: ${this.peerConnection.iceConnectionState}`);
+                if (this.peerConnection.iceConnectionState === 'connected') {
+                    this._applyEncodingParameters();
+                    this._startStatsMonitoring();
+                    this.onConnected();
+                } else if (['disconnected', 'failed', 'closed'].includes(this.peerConnection.iceConnectionState)) {
+                    this.onDisconnected();
+                }
+            };
+            
+            this.peerConnection.onconnectionstatechange = () => {
+                this._log(`Connection State: ${this.peerConnection.connectionState}`);
+            };
+            
+            // Add sendonly transceivers for the captured tracks
+            this.stream.getTracks().forEach(track => {
+                const transceiver = this.peerConnection.addTransceiver(track, {
+                    direction: 'sendonly',
+                    streams: [this.stream]
+                });
+                if (track.kind === 'video') {
+                    this._applyCodecPreference(transceiver);
+                }
+            });
+            
+            // Create and set the local offer
+            const offer = await this.peerConnection.createOffer();
+            await this.peerConnection.setLocalDescription(offer);
+            this._log('Local description set');
+            
+            // Connect to ZLMediaKit server
+            await this._connectToZLM(url);
+            
+            return true;
+        
+        } catch (error) {
+            this._log(`Error: ${error.message}`, 'error');
+            this.onError(error);
+            this.stop();
+            throw error;
+        }
+    }
+    
+    /**
+     * Stop publishing and release the captured media
+     */
+    stop() {
+        if (this.statsInterval) {
+            clearInterval(this.statsInterval);
+            this.statsInterval = null;
+        }
+        
+        if (this.peerConnection) {
+            this.peerConnection.close();
+            this.peerConnection = null;
+            this._log('Connection closed');
+        }
+        
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+            this._log('Capture stopped');
+        }
+        
+        if (this._synthetic) {
+            clearInterval(this._synthetic.drawInterval);
+            if (this._synthetic.audioContext) {
+                this._synthetic.audioContext.close();
+            }
+            this._synthetic = null;
+        }
+        
+        if (this.videoElement) {
+            this.videoElement.srcObject = null;
+        }
+        
+        this._lastStats = null;
+        
+        if (this.statsContainer) {
+            this.statsContainer.innerHTML = '';
+        }
+    }
+    
+    /**
+     * Capture the configured media source
+     * @returns {Promise<MediaStream>}
+     * @private
+     */
+    async _captureSource() {
+        if (this.source === 'canvas') {
+            return this._createSyntheticSource();
+        }
+        
+        if (this.source === 'screen') {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+                throw new Error('Screen capture is not supported in this browser');
+            }
+            return navigator.mediaDevices.getDisplayMedia({
+                video: this.videoConstraints,
+                audio: this.audio
+            });
+        }
+        
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('Camera capture is not supported in this browser (a secure context is required)');
+        }
+        return navigator.mediaDevices.getUserMedia({
+            video: this.videoConstraints,
+            audio: this.audio
+        });
+    }
+    
+    /**
+     * Create a synthetic test source: an animated canvas showing the wall clock
+     * and a machine-readable timecode, plus an optional 440 Hz tone
+     * @returns {MediaStream}
+     * @private
+     */
+    _createSyntheticSource() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.canvasSize.width;
+        canvas.height = this.canvasSize.height;
+        const context = canvas.getContext('2d');
+        const frameRate = this.maxFramerate || 30;
+        
+        let Timecode = null;
+        if (this.timecode) {
+            Timecode = typeof ZLMTimecode !== 'undefined' ? ZLMTimecode
+                : (typeof require === 'function' ? require('./zlm-timecode.js') : null);
+            if (!Timecode) {
+                this._log('zlm-timecode.js is not loaded, publishing without timecode', 'error');
+            }
+        }
+        
+        this._synthetic = { canvas, drawInterval: null, audioContext: null, frameCount: 0 };
+        
+        const draw = () => {
+            const { width, height } = canvas;
+            const now = new Date();
+            const frame = this._synthetic.frameCount++;
+            
+            context.fillStyle = '#202020';
+            context.fillRect(0, 0, width, height);
+            
+            // Moving bar makes stalls and dropped frames easy to spot
+            context.fillStyle = '#4CAF50';
+            context.fillRect((frame * 8) % width, 0, 16, height);
+            
+            context.fillStyle = '#ffffff';
+            context.font = `bold ${Math.round(height / 8)}px monospace`;
+            context.textAlign = 'center';
+            context.fillText(`${now.toLocaleTimeString()}.${String(now.getMilliseconds()).padStart(3, '0')}`, width / 2, height / 2);
+            context.font = `${Math.round(height / 16)}px monospace`;
+            context.fillText(`frame ${frame}`, width / 2, height / 2 + height / 8);
+            
+            // Read back by ZLMFrameComparator to line up frames of different players
+            if (Timecode) {
+                Timecode.draw(context, width, height, now.getTime(), frame);
+            }
+        };
+        
+        // A timer rather than requestAnimationFrame, which stops entirely in background tabs
+        draw();
+        this._synthetic.drawInterval = setInterval(draw, 1000 / frameRate);
+        
+        const stream = canvas.captureStream(frameRate);
+        
+        if (this.audio) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            const audioContext = new AudioContextClass();
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            const destination = audioContext.createMediaStreamDestination();
+            oscillator.frequency.value = 440;
+            gain.gain.value = 0.1;
+            oscillator.connect(gain).connect(destination);
+            oscillator.start();
+            this._synthetic.audioContext = audioContext;
+            destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+        }
+        
+        return stream;
+    }
+    
+    /**
+     * Put the preferred video codec first in the transceiver's codec list
+     * @param {RTCRtpTransceiver} transceiver - The video transceiver
+     * @private
+     */
+    _applyCodecPreference(transceiver) {
+        if (!this.videoCodec) return;
+        
+        if (!transceiver.setCodecPreferences || !RTCRtpSender.getCapabilities) {
+            this._log('Codec selection is not supported in this browser', 'error');
+            return;
+        }
+        
+        const codecs = RTCRtpSender.getCapabilities('video').codecs;
+        const wanted = `video/${this.videoCodec}`.toLowerCase();
+        const preferred = codecs.filter(codec => codec.mimeType.toLowerCase() === wanted);
+        if (preferred.length === 0) {
+            this._log(`Codec ${this.videoCodec} is not supported by this browser`, 'error');
+            return;
+        }
+        
+        const others = codecs.filter(codec => codec.mimeType.toLowerCase() !== wanted);
+        transceiver.setCodecPreferences([...preferred, ...others]);
+        this._log(`Preferred video codec: ${this.videoCodec}`);
+    }
+    
+    /**
+     * Apply bitrate and frame rate limits to the video sender
+     * @private
+     */
+    async _applyEncodingParameters() {
+        if (!this.maxBitrate && !this.maxFramerate) return;
+        
+        const sender = this.peerConnection.getSenders().find(s => s.track && s.track.kind === 'video');
+        if (!sender) return;
+        
+        try {
+            const parameters = sender.getParameters();
+            if (!parameters.encodings || parameters.encodings.length === 0) {
+                parameters.encodings = [{}];
+            }
+            parameters.encodings.forEach(encoding => {
+                if (this.maxBitrate) encoding.maxBitrate = this.maxBitrate * 1000;
+                if (this.maxFramerate) encoding.maxFramerate = this.maxFramerate;
+            });
+            await sender.setParameters(parameters);
+            this._log(`Encoding limits applied${this.maxBitrate ? ` (${this.maxBitrate} kbps)` : ''}`);
+        } catch (error) {
+            this._log(`Failed to apply encoding limits: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Connect to ZLMediaKit server
+     * @param {string} url - The WebRTC push URL
+     * @private
+     */
+    async _connectToZLM(url) {
+        try {
+            this._log(`Connecting to ZLMediaKit server: ${url}`);
+            
+            // Wait for ICE gathering to complete
+            await this._waitForIceGathering();
+            
+            const offerSdp = this.peerConnection.localDescription.sdp;
+            this._log(`Sending SDP offer (${offerSdp.length} bytes)`);
+            
+            // ZLMediaKit expects the raw SDP offer as text/plain
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'text/plain;charset=UTF-8',
+                    'Accept': 'application/json, text/plain, */*'
+                },
+                body: offerSdp
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+            }
+            
+            const result = await response.json();
+            this._log(`Received answer from server`);
+            
+            if (result.code !== 0) {
+                throw new Error(`ZLMediaKit error: ${result.msg || 'Unknown error'}`);
+            }
+            
+            const answerSdp = result.sdp || result.answer || result.data?.sdp;
+            if (!answerSdp) {
+                throw new Error('No SDP answer found in response');
+            }
+            
+            await this.peerConnection.setRemoteDescription({
+                type: 'answer',
+                sdp: answerSdp
+            });
+            
+            this._log('Remote description set successfully', 'success');
+        } catch (error) {
+            this._log(`Error in ZLMediaKit connection: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+    
+    /**
+     * Wait for ICE gathering to complete
+     * @returns {Promise} - Resolves when ICE gathering is complete
+     * @private
+     */
+    _waitForIceGathering() {
+        return new Promise(resolve => {
+            const pc = this.peerConnection;
+            if (pc.iceGatheringState === 'complete') {
+                resolve();
+                return;
+            }
+            
+            const checkState = () => {
+                if (pc.iceGatheringState === 'complete') {
+                    pc.removeEventListener('icegatheringstatechange', checkState);
+                    resolve();
+                }
+            };
+            
+            pc.addEventListener('icegatheringstatechange', checkState);
+            
+            // Add a timeout in case gathering takes too long
+            setTimeout(() => {
+                if (pc.iceGatheringState !== 'complete') {
+                    this._log('ICE gathering timed out, continuing with available candidates', 'info');
+                    pc.removeEventListener('icegatheringstatechange', checkState);
+                    resolve();
+                }
+            }, 5000);
+        });
+    }
+    
+    /**
+     * Start monitoring outbound WebRTC stats
+     * @private
+     */
+    _startStatsMonitoring() {
+        if (this.statsInterval) return;
+        
+        this.statsInterval = setInterval(async () => {
+            if (!this.peerConnection) return;
+            
+            const stats = await this.peerConnection.getStats();
+            let codecs = {};
+            let outbound = null;
+            
+            stats.forEach(report => {
+                if (report.type === 'codec') {
+                    codecs[report.id] = report.mimeType;
+                } else if (report.type === 'outbound-rtp' && report.kind === 'video') {
+                    outbound = report;
+                }
+            });
+            if (!outbound) return;
+            
+            // Bitrate from the difference to the previous sample
+            let bitrate = 0;
+            if (this._lastStats) {
+                const elapsed = (outbound.timestamp - this._lastStats.timestamp) / 1000;
+                if (elapsed > 0) {
+                    bitrate = Math.round((outbound.bytesSent - this._lastStats.bytesSent) * 8 / elapsed / 1000);
+                }
+            }
+            this._lastStats = { timestamp: outbound.timestamp, bytesSent: outbound.bytesSent };
+            
+            const statsData = {
+                packetsSent: outbound.packetsSent,
+                bytesSent: outbound.bytesSent,
+                bitrate: bitrate,
+                framesEncoded: outbound.framesEncoded,
+                frameRate: outbound.framesPerSecond || 0,
+                frameWidth: outbound.frameWidth,
+                frameHeight: outbound.frameHeight,
+                codec: codecs[outbound.codecId] || null,
+                qualityLimitationReason: outbound.qualityLimitationReason || 'none',
+                timestamp: outbound.timestamp
+            };
+            
+            // Update stats container if available
+            if (this.statsContainer) {
+                this.statsContainer.innerHTML = `
+                    Codec: ${statsData.codec || 'unknown'}<br>
+                    Bitrate: ${statsData.bitrate} kbps<br>
+                    Resolution: ${statsData.frameWidth || 0}x${statsData.frameHeight || 0} @ ${statsData.frameRate} fps<br>
+                    Frames Encoded: ${statsData.framesEncoded}<br>
+                    Quality Limitation: ${statsData.qualityLimitationReason}<br>
+                `;
+            }
+            
+            // Call the stats callback
+            this.onStats(statsData);
+        
+        }, 1000);
+    }
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ZLMWebRTCPublisher;
+} else {
+    window.ZLMWebRTCPublisher = ZLMWebRTCPublisher;
+}
\ No newline at end of file
@@ -0,0 +1,264 @@
+/**
+ * Audio: ZLMAudioMeter on a fake Web Audio graph, audio-only playback, and
+ * the A/V sync of HTTP-FLV (stream timestamps) and WebRTC (playout timestamps)
+ */
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FakeAudioContext, FakeMediaStream, FakeVideoElement, createFakeMpegts, installBrowser, startMockServer, waitFor } = require('./helpers/fake-browser.js');
+const ZLMAudioMeter = require('../player/zlm-audio-meter.js');
+const ZLMStreamPlayer = require('../player/zlm-flv-player.js');
+const ZLMWebRTCPlayer = require('../player/zlm-webrtc-player.js');
+
+describe('ZLMAudioMeter', () => {
+    let restore;
+    let meter;
+    
+    beforeEach(() => {
+        restore = installBrowser();
+    });
+    
+    afterEach(() => {
+        if (meter) meter.stop();
+        meter = null;
+        restore();
+    });
+    
+    it('computes RMS and peak levels in dBFS', () => {
+        const full = ZLMAudioMeter.levelOf([1, -1, 1, -1]);
+        assert.deepStrictEqual(full, { rms: 1, peak: 1, db: 0, peakDb: 0, clipping: true });
+        
+        const quiet = ZLMAudioMeter.levelOf(new Float32Array([0.1, -0.1]));
+        assert.ok(Math.abs(quiet.db + 20) < 0.01);
+        assert.strictEqual(quiet.clipping, false);
+        
+        assert.strictEqual(ZLMAudioMeter.levelOf(new Float32Array(8)).db, ZLMAudioMeter.MIN_DB);
+    });
+    
+    it('routes an element through Web Audio once and keeps it audible', async () => {
+        const context = new FakeAudioContext();
+        const video = new FakeVideoElement();
+        video.src = 'blob:fake-mse';
+        video.audioSamples = [0.5, -0.5];
+        
+        meter = new ZLMAudioMeter({ mediaElement: video, audioContext: context, interval: 10 });
+        const levels = [];
+        meter.onLevel = (level) => levels.push(level);
+        meter.start();
+        await new Promise(resolve => setTimeout(resolve, 35));
+        
+        assert.strictEqual(context.state, 'running', 'the context is resumed on start');
+        assert.ok(levels.length >= 2);
+        assert.ok(Math.abs(levels[0].db + 6.02) < 0.01);
+        assert.strictEqual(levels[0].silent, false);
+        assert.deepStrictEqual(video._audioSourceNode.outputs.map(node => node === context.destination), [true, false]);
+        
+        // A second meter of the same element reuses its source
+        meter.stop();
+        meter = new ZLMAudioMeter({ mediaElement: video, audioContext: context });
+        meter.start();
+        assert.strictEqual(meter.measure().peak, 0.5);
+        assert.throws(() => new ZLMAudioMeter({ mediaElement: video, audioContext: new FakeAudioContext() }).start(), /another AudioContext/);
+    });
+    
+    it('only routes an element through a running context, once it loads', () => {
+        const context = new FakeAudioContext();
+        context.gesture = false;
+        const video = new FakeVideoElement();
+        video.audioSamples = [0.5];
+        
+        // Started before play(), like from the click on Play, but without a user gesture
+        meter = new ZLMAudioMeter({ mediaElement: video, audioContext: context });
+        meter.start();
+        assert.strictEqual(meter.blocked, 'suspended');
+        assert.strictEqual(video._audioSourceNode, undefined, 'the element keeps playing on its own');
+        assert.strictEqual(meter.measure(), null);
+        
+        context.gesture = true;
+        context.resume();
+        assert.strictEqual(meter.blocked, 'no-source');
+        assert.strictEqual(video._audioSourceNode, undefined);
+        
+        video.src = 'blob:fake-mse';
+        assert.strictEqual(meter.blocked, null);
+        assert.strictEqual(meter.measure().peak, 0.5);
+    });
+    
+    it('measures cross-origin media from a capture of the element', async () => {
+        const context = new FakeAudioContext();
+        await context.resume();
+        const video = new FakeVideoElement();
+        video.src = 'https://cdn.example.com/live/test/hls.m3u8';
+        video.audioSamples = [0.25];
+        
+        meter = new ZLMAudioMeter({ mediaElement: video, audioContext: context });
+        meter.start();
+        assert.strictEqual(meter.measure().peak, 0.25);
+        assert.strictEqual(video._audioSourceNode, undefined, 'Web Audio would play it as silence');
+        meter.stop();
+        
+        // Without captureStream() there is nothing to measure it with
+        video.captureStream = undefined;
+        meter.start();
+        assert.strictEqual(meter.blocked, 'cross-origin');
+        assert.strictEqual(meter.measure(), null);
+        assert.strictEqual(video._audioSourceNode, undefined);
+        
+        // Loaded with CORS it can be read
+        video.crossOrigin = 'anonymous';
+        meter.setSource({ mediaElement: video });
+        assert.strictEqual(meter.blocked, null);
+        assert.ok(video._audioSourceNode);
+    });
+    
+    it('measures a MediaStream and reports how long it has been silent', async () => {
+        const stream = new FakeMediaStream(['video', 'audio']);
+        meter = new ZLMAudioMeter({ audioContext: new FakeAudioContext(), silenceThreshold: -50 });
+        meter.start();
+        assert.strictEqual(meter.measure(), null, 'nothing to measure without a source');
+        
+        meter.setSource({ stream });
+        const first = meter.measure();
+        assert.strictEqual(first.db, ZLMAudioMeter.MIN_DB);
+        assert.strictEqual(first.silent, true);
+        
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.ok(meter.measure().silentFor >= 25);
+        
+        stream.audioSamples = [0.01];
+        const loud = meter.measure();
+        assert.strictEqual(loud.silent, false);
+        assert.strictEqual(loud.silentFor, 0);
+    });
+});
+
+describe('Player audio', () => {
+    const streams = [
+        { app: 'live', stream: 'test', video: ['H264', 1280, 720, 25], audio: ['AAC', 48000, 2], readers: 0, audioOffset: 120 },
+        { app: 'live', stream: 'mute', video: ['H264', 1280, 720, 25], audio: null, readers: 0 }
+    ];
+    let mock;
+    let restore;
+    let player;
+    
+    before(async () => {
+        mock = await startMockServer({ streams, frameInterval: 20 });
+    });
+    
+    after(() => mock.close());
+    
+    beforeEach(() => {
+        restore = installBrowser();
+    });
+    
+    afterEach(() => {
+        if (player) {
+            player.stopAudioMeter();
+            player.stop();
+        }
+        player = null;
+        streams[0].audioOffset = 120;
+        restore();
+    });
+    
+    const stats = (report) => new Map(Object.entries(report));
+    const audioReport = (extra) => ({
+        type: 'inbound-rtp', kind: 'audio', timestamp: 1000, bytesReceived: 4000, packetsReceived: 50, packetsLost: 0,
+        jitter: 0.002, jitterBufferDelay: 2400, jitterBufferEmittedCount: 48000, totalSamplesReceived: 48000, concealedSamples: 0,
+        ...extra
+    });
+    
+    it('plays only the audio of an HTTP-FLV stream and measures its A/V sync from the stream timestamps', async () => {
+        const mpegts = createFakeMpegts();
+        player = new ZLMStreamPlayer({ videoElement: new FakeVideoElement(), mpegts, audioOnly: true, latencyMeter: true });
+        player.onError = () => {};
+        
+        await player.play(`${mock.baseUrl}/live/test.live.flv`);
+        assert.strictEqual(mpegts.players[0]._mediaDataSource.hasVideo, false);
+        assert.strictEqual(player.codecs.audio.codec, 'aac');
+        mpegts.players[0].mediaInfo = { hasAudio: true, audioCodec: 'mp4a.40.2', audioSampleRate: 48000, audioChannelCount: 2, audioDataRate: 128 };
+        
+        // The newest audio tag may still be on its way: within one frame (20 ms) of the offset
+        const [first] = await waitFor(player, 'stats');
+        assert.ok(first.avSync.offset >= 100 && first.avSync.offset <= 120, `offset ${first.avSync.offset}`);
+        assert.strictEqual(first.avSync.source, 'timestamps');
+        assert.deepStrictEqual(first.audio, { codec: 'mp4a.40.2', sampleRate: 48000, channelCount: 2, bitrate: 128 });
+        
+        streams[0].audioOffset = 200;
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const [second] = await waitFor(player, 'stats');
+        assert.ok(second.avSync.drift >= 60 && second.avSync.drift <= 100, `drift ${second.avSync.drift}`);
+    });
+    
+    it('refuses to play a stream without audio in audio-only mode', async () => {
+        player = new ZLMStreamPlayer({ videoElement: new FakeVideoElement(), mpegts: createFakeMpegts(), audioOnly: true, latencyMeter: false });
+        player.onError = () => {};
+        
+        await assert.rejects(player.play(`${mock.baseUrl}/live/mute.live.flv`), /no audio/);
+        assert.strictEqual(player.state, 'stopped');
+    });
+    
+    it('negotiates only audio over WebRTC and reports audio stats without video', async () => {
+        player = new ZLMWebRTCPlayer({ videoElement: new FakeVideoElement(), iceServers: [], audioOnly: true });
+        player.onError = () => {};
+        
+        const connected = waitFor(player, 'connected');
+        await player.play(`${mock.baseUrl}/index/api/webrtc?app=live&stream=test&type=play`);
+        await connected;
+        
+        const sdp = player.peerConnection.localDescription.sdp;
+        assert.match(sdp, /^m=audio/m);
+        assert.doesNotMatch(sdp, /^m=video/m);
+        
+        player.peerConnection.getStats = async () => stats({ audio: audioReport() });
+        const [result] = await waitFor(player, 'stats');
+        assert.strictEqual(result.video, null);
+        assert.strictEqual(result.audio.jitterBufferDelay, 50);
+        assert.strictEqual(result.packetsReceived, 50);
+        assert.strictEqual(result.frameRate, 0);
+        assert.strictEqual(result.buffer, 0.05);
+        assert.strictEqual(result.avSync, null);
+    });
+    
+    it('measures the WebRTC A/V sync from the playout timestamps', async () => {
+        player = new ZLMWebRTCPlayer({ videoElement: new FakeVideoElement(), iceServers: [] });
+        player.onError = () => {};
+        
+        const connected = waitFor(player, 'connected');
+        await player.play(`${mock.baseUrl}/index/api/webrtc?app=live&stream=test&type=play`);
+        await connected;
+        
+        let videoPlayout = 5080;
+        player.peerConnection.getStats = async () => stats({
+            video: { type: 'inbound-rtp', kind: 'video', timestamp: 1000, bytesReceived: 90000, estimatedPlayoutTimestamp: videoPlayout },
+            audio: audioReport({ estimatedPlayoutTimestamp: 5000 })
+        });
+        
+        const [first] = await waitFor(player, 'stats');
+        assert.deepStrictEqual(first.avSync, { offset: 80, drift: 0, source: 'playout' });
+        
+        videoPlayout = 4960;
+        const [second] = await waitFor(player, 'stats');
+        assert.deepStrictEqual(second.avSync, { offset: -40, drift: -120, source: 'playout' });
+    });
+    
+    it('meters the received WebRTC stream and emits audiolevel', async () => {
+        player = new ZLMWebRTCPlayer({ videoElement: new FakeVideoElement(), iceServers: [] });
+        player.onError = () => {};
+        
+        // Started before the stream arrives, like from the click on Play
+        const meter = player.startAudioMeter({ interval: 10 });
+        assert.strictEqual(player.startAudioMeter(), meter);
+        const connected = waitFor(player, 'connected');
+        await player.play(`${mock.baseUrl}/index/api/webrtc?app=live&stream=test&type=play`);
+        await connected;
+        
+        assert.strictEqual(meter.stream, player.stream);
+        player.stream.audioSamples = [0.25];
+        const [level] = await waitFor(player, 'audiolevel');
+        assert.strictEqual(level.peak, 0.25);
+        
+        player.stopAudioMeter();
+        assert.strictEqual(player.audioMeter, null);
+        assert.strictEqual(meter.running, false);
+    });
+});
\ No newline at end of file
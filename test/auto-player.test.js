@@ -0,0 +1,335 @@
+/**
+ * ZLMAutoPlayer switching policy: start-up fallback, lost connections, QoE
+ * degradation, upgrade probes and the element swap, with scripted players
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { FakeVideoElement } = require('./helpers/fake-browser.js');
+const ZLMPlayerBase = require('../player/zlm-player-base.js');
+const ZLMUrlBuilder = require('../player/zlm-url-builder.js');
+const ZLMAutoPlayer = require('../player/zlm-auto-player.js');
+
+// A player that connects, stalls and fails when the test says so
+class ScriptedPlayer extends ZLMPlayerBase {
+    constructor(protocol, options) {
+        super();
+        this.protocol = protocol;
+        this.videoElement = options.videoElement;
+        this.url = null;
+    }
+    
+    play(url) {
+        this.url = url;
+        this._setState('connecting');
+        return new Promise((resolve, reject) => {
+            this._resolve = resolve;
+            this._reject = reject;
+        });
+    }
+    
+    connect() {
+        this._setState('playing');
+        this._emit('connected');
+        this._resolve(true);
+    }
+    
+    giveUp() {
+        this._emit('error', new Error('Reconnection failed after 3 attempts'));
+        this.stop();
+    }
+}
+
+// Let promise continuations run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// ZLMQoEMonitor metrics after `duration` ms of which `stalled` ms were stalled
+const metricsAt = (duration, stalled = 0) => ({
+    startupTime: 200,
+    rebufferCount: stalled > 0 ? 1 : 0,
+    rebufferDuration: stalled,
+    freezeCount: 0,
+    freezeDuration: 0,
+    droppedFrames: 0,
+    totalFrames: duration / 40,
+    droppedRatio: 0,
+    sessionDuration: duration,
+    stallRatio: stalled / duration
+});
+
+describe('ZLMAutoPlayer', () => {
+    let video;
+    let standby;
+    let players;
+    let player;
+    
+    const latest = (protocol) => players.filter(item => item.protocol === protocol).pop();
+    const createAutoPlayer = (options = {}) => new ZLMAutoPlayer({
+        videoElement: video,
+        standbyElement: standby,
+        createPlayer: (protocol, playerOptions) => {
+            const scripted = new ScriptedPlayer(protocol, playerOptions);
+            players.push(scripted);
+            return scripted;
+        },
+        ...options
+    });
+    const urlBuilder = new ZLMUrlBuilder({ serverBase: 'http://zlm.local', stream: 'camera' });
+    
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+        video = new FakeVideoElement();
+        standby = new FakeVideoElement();
+        players = [];
+        player = createAutoPlayer();
+    });
+    
+    afterEach(() => {
+        player.stop();
+        mock.timers.reset();
+    });
+    
+    it('starts with the preferred protocol on the standby element and swaps it in', async () => {
+        const events = [];
+        player.on('connected', () => events.push('connected'));
+        player.on('switch', (info) => events.push(info));
+        video.muted = true;
+        
+        const started = player.play(urlBuilder);
+        await flush();
+        assert.strictEqual(player.state, 'connecting');
+        assert.strictEqual(latest('webrtc').videoElement, standby);
+        assert.match(latest('webrtc').url, /\/index\/api\/webrtc\?app=live&stream=camera&type=play$/);
+        
+        latest('webrtc').connect();
+        assert.strictEqual(await started, true);
+        
+        assert.strictEqual(player.protocol, 'webrtc');
+        assert.strictEqual(player.state, 'playing');
+        assert.strictEqual(player.videoElement, standby);
+        assert.strictEqual(player.standbyElement, video);
+        assert.strictEqual(standby.style.display, '');
+        assert.strictEqual(video.style.display, 'none');
+        assert.strictEqual(standby.muted, true);
+        assert.deepStrictEqual(events, [{ from: null, to: 'webrtc', reason: 'start' }, 'connected']);
+    });
+    
+    it('falls back to the next protocol when one does not start in time', async () => {
+        const started = player.play(urlBuilder);
+        await flush();
+        
+        mock.timers.tick(ZLMAutoPlayer.POLICY_DEFAULTS.connectTimeout);
+        await flush();
+        assert.strictEqual(latest('webrtc').state, 'stopped');
+        assert.match(latest('http-flv').url, /\/live\/camera\.live\.flv$/);
+        
+        latest('http-flv').giveUp();
+        await flush();
+        latest('hls').connect();
+        await started;
+        
+        assert.strictEqual(player.protocol, 'hls');
+        assert.strictEqual(player.state, 'playing');
+    });
+    
+    it('rejects and stops when no protocol plays', async () => {
+        const errors = [];
+        player.on('error', (error) => errors.push(error.message));
+        const started = player.play(urlBuilder);
+        
+        for (const protocol of ['webrtc', 'http-flv', 'hls']) {
+            await flush();
+            latest(protocol).giveUp();
+        }
+        
+        await assert.rejects(started, /None of the protocols played: webrtc, http-flv, hls/);
+        assert.strictEqual(player.state, 'stopped');
+        assert.deepStrictEqual(errors, ['None of the protocols played: webrtc, http-flv, hls']);
+    });
+    
+    it('only tries the protocols the URL map has', async () => {
+        player.play({ 'http-flv': 'http://zlm.local/live/camera.live.flv', hls: 'http://zlm.local/live/camera/hls.m3u8' });
+        await flush();
+        
+        assert.deepStrictEqual(players.map(item => item.protocol), ['http-flv']);
+        assert.strictEqual(latest('http-flv').url, 'http://zlm.local/live/camera.live.flv');
+    });
+    
+    it('falls back when the active player reconnects for too long', async () => {
+        const events = [];
+        player.on('reconnecting', (attempt, strategy) => events.push(`reconnecting:${strategy}`));
+        player.on('reconnected', () => events.push('reconnected'));
+        player.on('switch', (info) => events.push(`switch:${info.from}>${info.to}:${info.reason}`));
+        
+        player.play(urlBuilder);
+        await flush();
+        latest('webrtc').connect();
+        await flush();
+        
+        const webrtc = latest('webrtc');
+        webrtc._setState('reconnecting');
+        webrtc._emit('reconnecting', 0, 'ice-restart');
+        assert.strictEqual(player.state, 'reconnecting');
+        
+        mock.timers.tick(ZLMAutoPlayer.POLICY_DEFAULTS.reconnectTimeout);
+        await flush();
+        assert.strictEqual(latest('http-flv').videoElement, video);
+        
+        latest('http-flv').connect();
+        await flush();
+        
+        assert.strictEqual(player.protocol, 'http-flv');
+        assert.strictEqual(player.state, 'playing');
+        assert.strictEqual(player.videoElement, video);
+        assert.strictEqual(webrtc.state, 'stopped');
+        assert.deepStrictEqual(events, [
+            'switch:null>webrtc:start',
+            'reconnecting:ice-restart',
+            'reconnecting:fallback',
+            'switch:webrtc>http-flv:reconnect-timeout',
+            'reconnected'
+        ]);
+    });
+    
+    it('keeps the active player when it recovers before the fallback plays', async () => {
+        player.play(urlBuilder);
+        await flush();
+        latest('webrtc').connect();
+        await flush();
+        
+        const webrtc = latest('webrtc');
+        webrtc._setState('reconnecting');
+        mock.timers.tick(ZLMAutoPlayer.POLICY_DEFAULTS.reconnectTimeout);
+        await flush();
+        const flv = latest('http-flv');
+        
+        webrtc._setState('playing');
+        await flush();
+        
+        assert.strictEqual(flv.state, 'stopped');
+        assert.strictEqual(player.protocol, 'webrtc');
+        assert.strictEqual(player.state, 'playing');
+        assert.strictEqual(players.length, 2);
+    });
+    
+    it('falls back when the QoE score of the window drops below minScore', async () => {
+        player.play(urlBuilder);
+        await flush();
+        latest('webrtc').connect();
+        await flush();
+        
+        player._evaluate(metricsAt(1000));
+        player._evaluate(metricsAt(11000));
+        assert.strictEqual(player.score, 100);
+        assert.strictEqual(players.length, 1);
+        
+        // 4 of the last 10 seconds stalled
+        player._evaluate(metricsAt(15000, 4000));
+        assert.ok(player.score < ZLMAutoPlayer.POLICY_DEFAULTS.minScore);
+        await flush();
+        
+        // Degraded but still playing: the switch is silent until the next protocol plays
+        assert.strictEqual(player.state, 'playing');
+        latest('http-flv').connect();
+        await flush();
+        assert.strictEqual(player.protocol, 'http-flv');
+        assert.strictEqual(latest('webrtc').state, 'stopped');
+    });
+    
+    it('lets a custom policy decide on the fallback', async () => {
+        const samples = [];
+        player = createAutoPlayer({
+            policy: {
+                evaluationWindow: 2000,
+                shouldFallback: (sample) => {
+                    samples.push(sample);
+                    return false;
+                }
+            }
+        });
+        player.play(urlBuilder);
+        await flush();
+        latest('webrtc').connect();
+        await flush();
+        
+        player._evaluate(metricsAt(1000));
+        player._evaluate(metricsAt(3000, 2000));
+        
+        assert.strictEqual(samples.length, 1);
+        assert.strictEqual(samples[0].protocol, 'webrtc');
+        assert.strictEqual(samples[0].metrics.stallRatio, 1);
+        assert.strictEqual(samples[0].score, player.score);
+        assert.strictEqual(players.length, 1);
+    });
+    
+    it('probes the preferred protocol and switches back once it holds', async () => {
+        const probes = [];
+        player.on('probe', (info) => probes.push(info));
+        const policy = ZLMAutoPlayer.POLICY_DEFAULTS;
+        
+        player.play(urlBuilder);
+        await flush();
+        latest('webrtc').giveUp();
+        await flush();
+        latest('http-flv').connect();
+        await flush();
+        
+        // First probe fails, the next one waits twice as long
+        mock.timers.tick(policy.upgradeInterval);
+        await flush();
+        latest('webrtc').giveUp();
+        await flush();
+        assert.deepStrictEqual(probes, [{ protocol: 'webrtc', success: false, error: 'stopped' }]);
+        
+        mock.timers.tick(policy.upgradeInterval);
+        await flush();
+        assert.strictEqual(players.filter(item => item.protocol === 'webrtc').length, 2);
+        mock.timers.tick(policy.upgradeInterval);
+        await flush();
+        
+        // Playing is not enough, the probe must hold
+        latest('webrtc').connect();
+        await flush();
+        assert.strictEqual(player.protocol, 'http-flv');
+        mock.timers.tick(policy.probeDuration);
+        await flush();
+        
+        assert.strictEqual(player.protocol, 'webrtc');
+        assert.strictEqual(probes[1].success, true);
+        assert.strictEqual(latest('http-flv').state, 'stopped');
+    });
+    
+    it('switches on request and stops every player on stop()', async () => {
+        player.play(urlBuilder);
+        await flush();
+        latest('webrtc').connect();
+        await flush();
+        
+        const switched = player.switchTo('hls');
+        await flush();
+        latest('hls').connect();
+        assert.strictEqual(await switched, true);
+        assert.strictEqual(player.protocol, 'hls');
+        
+        // The probe back to WebRTC is cancelled with the player
+        mock.timers.tick(ZLMAutoPlayer.POLICY_DEFAULTS.upgradeInterval);
+        await flush();
+        player.stop();
+        
+        assert.strictEqual(player.state, 'stopped');
+        assert.ok(players.every(item => item.state === 'stopped'));
+    });
+    
+    it('computes the metrics of a window between two samples', () => {
+        const window = ZLMAutoPlayer.windowMetrics(metricsAt(10000, 1000), {
+            ...metricsAt(20000, 3000),
+            rebufferCount: 3,
+            droppedFrames: 25
+        });
+        
+        assert.strictEqual(window.sessionDuration, 10000);
+        assert.strictEqual(window.rebufferCount, 2);
+        assert.strictEqual(window.stallRatio, 0.2);
+        assert.strictEqual(window.droppedRatio, 0.1);
+        assert.strictEqual(window.startupTime, 0);
+    });
+});
\ No newline at end of file
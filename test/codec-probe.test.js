@@ -0,0 +1,154 @@
+/**
+ * ZLMCodecProbe: codec strings from FLV, MPEG-TS and fMP4 headers, and the
+ * browser support check behind ZLMCodecError
+ */
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FakeMediaSource, FakeVideoElement, installBrowser } = require('./helpers/fake-browser.js');
+const ZLMCodecProbe = require('../player/zlm-codec-probe.js');
+const ZLMCodecError = require('../player/zlm-codec-error.js');
+
+const HVCC = [1, 0x01, 0x60, 0, 0, 0, 0xB0, 0, 0, 0, 0, 0, 93, 0xF0, 0, 0xFC, 0xFD, 0xF8, 0xF8, 0, 0, 0x0F, 0];
+const AVCC = [1, 0x64, 0x00, 0x1F, 0xFF, 0xE1, 0, 4, 0x67, 0x64, 0x00, 0x1F, 1, 0, 2, 0x68, 0xCE];
+
+const flvTag = (type, body) => {
+    const header = Buffer.alloc(11);
+    header[0] = type;
+    header.writeUIntBE(body.length, 1, 3);
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(11 + body.length);
+    return Buffer.concat([header, Buffer.from(body), size]);
+};
+
+const tsPacket = (pid, payload) => {
+    const packet = Buffer.alloc(188, 0xFF);
+    packet[0] = 0x47;
+    packet[1] = 0x40 | (pid >> 8);
+    packet[2] = pid & 0xFF;
+    packet[3] = 0x10;
+    Buffer.from(payload).copy(packet, 4);
+    return packet;
+};
+
+const box = (type, ...payloads) => {
+    const body = Buffer.concat(payloads.map(payload => Buffer.from(payload)));
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+};
+
+// Feed a stream in small chunks, as the network would
+const probeBytes = (bytes, chunkSize = 7) => {
+    const probe = new ZLMCodecProbe();
+    for (let offset = 0; offset < bytes.length && !probe.done; offset += chunkSize) {
+        probe.push(new Uint8Array(bytes.subarray(offset, offset + chunkSize)));
+    }
+    return probe;
+};
+
+describe('ZLMCodecProbe', () => {
+    let restore = null;
+    
+    afterEach(() => {
+        if (restore) restore();
+        restore = null;
+    });
+    
+    it('reads H.264 and AAC from legacy FLV sequence headers', () => {
+        const probe = probeBytes(Buffer.concat([
+            Buffer.from([0x46, 0x4C, 0x56, 0x01, 0x05, 0, 0, 0, 9, 0, 0, 0, 0]),
+            flvTag(9, [0x17, 0, 0, 0, 0, ...AVCC]),
+            flvTag(8, [0xAF, 0, 0x12, 0x10])
+        ]));
+        
+        assert.strictEqual(probe.done, true);
+        assert.deepStrictEqual(probe.result, {
+            container: 'flv',
+            video: { codec: 'h264', name: 'H.264', mime: 'avc1.64001f' },
+            audio: { codec: 'aac', name: 'AAC', mime: 'mp4a.40.2' }
+        });
+    });
+    
+    it('reads H.265 from legacy and enhanced-RTMP FLV tags', () => {
+        const header = Buffer.from([0x46, 0x4C, 0x56, 0x01, 0x01, 0, 0, 0, 9, 0, 0, 0, 0]);
+        const legacy = probeBytes(Buffer.concat([header, flvTag(9, [0x1C, 0, 0, 0, 0, ...HVCC])]));
+        const enhanced = probeBytes(Buffer.concat([header, flvTag(9, [0x90, ...Buffer.from('hvc1'), ...HVCC])]));
+        
+        assert.strictEqual(legacy.video.mime, 'hvc1.1.6.L93.B0');
+        assert.deepStrictEqual(enhanced.video, legacy.video);
+        assert.strictEqual(enhanced.audio, null);
+    });
+    
+    it('reads the PMT and the first PES packets of MPEG-TS', () => {
+        const pat = [0, 0x00, 0xB0, 13, 0, 1, 0xC1, 0, 0, 0, 1, 0xE1, 0x00, 0, 0, 0, 0];
+        const pmt = [0, 0x02, 0xB0, 23, 0, 1, 0xC1, 0, 0, 0xE1, 0x01, 0xF0, 0,
+            0x1B, 0xE1, 0x01, 0xF0, 0, 0x0F, 0xE1, 0x02, 0xF0, 0, 0, 0, 0, 0];
+        const pes = (streamId, es) => [0, 0, 1, streamId, 0, 0, 0x80, 0x80, 5, 0x21, 0, 1, 0, 1, ...es];
+        
+        const probe = probeBytes(Buffer.concat([
+            tsPacket(0, pat),
+            tsPacket(0x100, pmt),
+            tsPacket(0x101, pes(0xE0, [0, 0, 0, 1, 0x09, 0xF0, 0, 0, 0, 1, 0x67, 0x4D, 0x40, 0x28, 0x95])),
+            tsPacket(0x102, pes(0xC0, [0xFF, 0xF1, 0x50, 0x80]))
+        ]), 100);
+        
+        assert.deepStrictEqual(probe.result, {
+            container: 'mpegts',
+            video: { codec: 'h264', name: 'H.264', mime: 'avc1.4d4028' },
+            audio: { codec: 'aac', name: 'AAC', mime: 'mp4a.40.2' }
+        });
+    });
+    
+    it('reads the sample entries of the fMP4 moov box', () => {
+        const trak = (handler, entry) => box('trak', box('mdia',
+            box('hdlr', Buffer.alloc(8), Buffer.from(handler), Buffer.alloc(13)),
+            box('minf', box('stbl', box('stsd', [0, 0, 0, 0, 0, 0, 0, 1], entry)))));
+        const esds = box('esds', [0, 0, 0, 0, 0x03, 22, 0, 1, 0, 0x04, 17, 0x40, 0x15, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0x05, 2, 0x12, 0x10]);
+        
+        const probe = probeBytes(Buffer.concat([
+            box('ftyp', Buffer.from('isom'), Buffer.alloc(4)),
+            box('moov', box('mvhd', Buffer.alloc(100)),
+                trak('vide', box('hev1', Buffer.alloc(78), box('hvcC', HVCC))),
+                trak('soun', box('mp4a', Buffer.alloc(28), esds))),
+            box('moof')
+        ]), 64);
+        
+        assert.deepStrictEqual(probe.result, {
+            container: 'mp4',
+            video: { codec: 'h265', name: 'H.265/HEVC', mime: 'hev1.1.6.L93.B0' },
+            audio: { codec: 'aac', name: 'AAC', mime: 'mp4a.40.2' }
+        });
+    });
+    
+    it('gives up on data it does not recognise', () => {
+        const probe = probeBytes(Buffer.from('<html><body>Not found</body></html>'));
+        assert.strictEqual(probe.done, true);
+        assert.deepStrictEqual(probe.result, { container: null, video: null, audio: null });
+    });
+    
+    it('lists the tracks MediaSource refuses and names them in a ZLMCodecError', () => {
+        const result = {
+            container: 'flv',
+            video: { codec: 'h265', name: 'H.265/HEVC', mime: 'hvc1.1.6.L93.B0' },
+            audio: { codec: 'g711a', name: 'G.711 A-law', mime: null }
+        };
+        assert.strictEqual(ZLMCodecProbe.unsupportedTracks(result), null, 'no MediaSource to ask');
+        
+        restore = installBrowser();
+        FakeMediaSource.supports = (type) => !/hvc1|hev1/.test(type);
+        const tracks = ZLMCodecProbe.unsupportedTracks(result);
+        assert.deepStrictEqual(tracks.map(track => [track.kind, track.type]), [
+            ['video', 'video/mp4; codecs="hvc1.1.6.L93.B0"'],
+            ['audio', null]
+        ]);
+        assert.deepStrictEqual(ZLMCodecProbe.unsupportedTracks({ ...result, audio: null }, { mediaElement: new FakeVideoElement() })
+            .map(track => track.codec), ['h265']);
+        
+        const error = new ZLMCodecError(tracks, result);
+        assert.ok(error instanceof Error);
+        assert.strictEqual(error.name, 'ZLMCodecError');
+        assert.strictEqual(error.codecs, result);
+        assert.match(error.message, /cannot play the H\.265\/HEVC video \(hvc1\.1\.6\.L93\.B0\) and G\.711 A-law audio of this stream/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * ZLMFlvParser: SEI of H.264 and H.265 FLV streams fed in arbitrary chunks,
+ * enhanced-RTMP tags, Annex B byte streams and emulation prevention
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { SEI_UUID, METADATA_UUID, flvStream, flvTag } = require('../mock/zlm-mock-server.js');
+const ZLMFlvParser = require('../player/zlm-flv-parser.js');
+
+const WALL_CLOCK = 1767225600123;
+
+// Feed the bytes in small chunks, as they arrive from the network
+const parse = (bytes, chunkSize = 7) => {
+    const parser = new ZLMFlvParser();
+    const messages = [];
+    parser.onSei = (sei) => messages.push(sei);
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+        parser.push(bytes.subarray(offset, offset + chunkSize));
+    }
+    return { parser, messages };
+};
+
+const clockOf = (payload) => Number(Buffer.from(payload).readBigUInt64BE());
+
+describe('ZLMFlvParser', () => {
+    it('reads the SEI of H.264 frames split across chunks', () => {
+        const { parser, messages } = parse(Buffer.concat([
+            flvStream.header(true),
+            flvStream.sequenceHeader('H264'),
+            flvStream.audioSequenceHeader(48000, 2),
+            flvStream.frame(1000, WALL_CLOCK, true, 'H264', { frame: 1 }),
+            flvStream.audioFrame(1010),
+            flvStream.frame(1040, WALL_CLOCK + 40, false)
+        ]));
+        
+        assert.strictEqual(parser.videoCodec, 'h264');
+        assert.strictEqual(parser.firstTimestamp, 0, 'the sequence headers come first');
+        assert.deepStrictEqual(parser.lastTimestamps, { audio: 1010, video: 1040 });
+        assert.deepStrictEqual(messages.map(sei => [sei.payloadType, sei.codec, sei.pts, sei.uuid]), [
+            [5, 'h264', 1000, SEI_UUID.toString('hex')],
+            [5, 'h264', 1000, METADATA_UUID.toString('hex')],
+            [5, 'h264', 1040, SEI_UUID.toString('hex')]
+        ]);
+        assert.strictEqual(clockOf(messages[0].payload), WALL_CLOCK);
+        assert.deepStrictEqual(JSON.parse(Buffer.from(messages[1].payload).toString()), { frame: 1 });
+        assert.strictEqual(clockOf(messages[2].payload), WALL_CLOCK + 40);
+    });
+    
+    it('reads the SEI of H.265 frames', () => {
+        const { parser, messages } = parse(Buffer.concat([
+            flvStream.header(),
+            flvStream.sequenceHeader('H265'),
+            flvStream.frame(2000, WALL_CLOCK, true, 'H265')
+        ]), 64);
+        
+        assert.strictEqual(parser.videoCodec, 'h265');
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].codec, 'h265');
+        assert.strictEqual(clockOf(messages[0].payload), WALL_CLOCK);
+    });
+    
+    it('reads enhanced-RTMP tags with their composition time', () => {
+        const sei = Buffer.from([0x4E, 0x01, 5, 17, ...SEI_UUID, 0x2A, 0x80]);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(sei.length);
+        // Frame type 1 (keyframe) with the enhanced bit, PacketTypeCodedFrames, 'hvc1', composition time 33 ms
+        const body = Buffer.concat([Buffer.from([0x80 | 0x10 | 1]), Buffer.from('hvc1'), Buffer.from([0, 0, 33]), length, sei]);
+        
+        const { parser, messages } = parse(Buffer.concat([flvStream.header(), flvTag(9, 500, body)]));
+        assert.strictEqual(parser.videoCodec, 'h265');
+        assert.strictEqual(parser.lastTimestamps.video, 533);
+        assert.deepStrictEqual(messages.map(message => [message.dts, message.pts, Array.from(message.payload)]), [[500, 533, [0x2A]]]);
+    });
+    
+    it('names other codecs and rejects data that is not FLV', () => {
+        const { parser, messages } = parse(Buffer.concat([flvStream.header(), flvTag(9, 0, Buffer.from([0x12, 0, 0, 0, 0]))]));
+        assert.strictEqual(parser.videoCodec, 'flv-codec-2');
+        assert.strictEqual(messages.length, 0);
+        
+        assert.throws(() => new ZLMFlvParser().push(Buffer.from('<html>not a stream</html>')), /Invalid FLV header/);
+    });
+    
+    it('starts over after reset()', () => {
+        const { parser } = parse(Buffer.concat([flvStream.header(), flvStream.sequenceHeader(), flvStream.frame(40, WALL_CLOCK, true)]));
+        parser.reset();
+        assert.strictEqual(parser.firstTimestamp, null);
+        assert.deepStrictEqual(parser.lastTimestamps, { audio: null, video: null });
+        
+        parser.push(Buffer.concat([flvStream.header(), flvStream.frame(9000, WALL_CLOCK, true)]));
+        assert.strictEqual(parser.firstTimestamp, 9000);
+    });
+    
+    it('reads the SEI of an Annex B access unit', () => {
+        const sei = [0x06, 5, 19, ...SEI_UUID, 0x00, 0x00, 0x03, 0x01, 0x80];
+        const accessUnit = Uint8Array.from([0, 0, 0, 1, 0x09, 0xF0, 0, 0, 0, 1, ...sei, 0, 0, 1, 0x65, 0x88]);
+        
+        const messages = ZLMFlvParser.parseAnnexB(accessUnit, 'h264', 100, 140);
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].uuid, SEI_UUID.toString('hex'));
+        assert.deepStrictEqual(Array.from(messages[0].payload), [0, 0, 1], 'the emulation prevention byte is removed');
+        assert.strictEqual(messages[0].pts, 140);
+    });
+    
+    it('removes emulation prevention bytes only after two zeros', () => {
+        const unescaped = ZLMFlvParser.removeEmulationPrevention(Uint8Array.from([0, 0, 3, 1, 0, 3, 0, 0, 3]));
+        assert.deepStrictEqual(Array.from(unescaped), [0, 0, 1, 0, 3, 0, 0]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * ZLMTimecode round trips and ZLMFrameComparator offsets, on fake canvases
+ * holding frames with a burned-in timecode
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FakeCanvas, FakeVideoElement } = require('./helpers/fake-browser.js');
+const ZLMTimecode = require('../player/zlm-timecode.js');
+const ZLMFrameComparator = require('../player/zlm-frame-comparator.js');
+
+// A 1280x720 frame of the synthetic source with a timecode
+const frameWith = (timestamp, frame, width = 1280, height = 720) => {
+    const canvas = new FakeCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#202020';
+    context.fillRect(0, 0, width, height);
+    ZLMTimecode.draw(context, width, height, timestamp, frame);
+    return canvas;
+};
+
+const imageOf = (canvas) => canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+
+describe('ZLMTimecode', () => {
+    const timestamp = 1760000000123;
+    
+    it('reads back the timecode it draws', () => {
+        assert.deepStrictEqual(ZLMTimecode.read(imageOf(frameWith(timestamp, 300))),
+            { timestamp: timestamp % 0x100000000, frame: 300 % 256 });
+    });
+    
+    it('reads a scaled, noisy frame', () => {
+        const scaled = new FakeCanvas(640, 360);
+        scaled.getContext('2d').drawImage(frameWith(timestamp, 7), 0, 0, 640, 360);
+        for (let i = 0; i < scaled.data.length; i += 4) {
+            const noise = Math.round((Math.random() - 0.5) * 60);
+            scaled.data[i] += noise;
+            scaled.data[i + 1] += noise;
+            scaled.data[i + 2] += noise;
+        }
+        
+        assert.deepStrictEqual(ZLMTimecode.read(imageOf(scaled)), { timestamp: timestamp % 0x100000000, frame: 7 });
+    });
+    
+    it('rejects frames without a timecode or with a corrupted one', () => {
+        const plain = new FakeCanvas(1280, 720);
+        plain.getContext('2d').fillRect(0, 0, 1280, 720);
+        assert.strictEqual(ZLMTimecode.read(imageOf(plain)), null);
+        
+        const bits = ZLMTimecode.encode(timestamp, 1);
+        bits[10] ^= 1;
+        assert.strictEqual(ZLMTimecode.decode(bits), null);
+    });
+});
+
+describe('ZLMFrameComparator', () => {
+    let videoA;
+    let videoB;
+    let comparator;
+    let savedDocument;
+    
+    const show = (video, timestamp, frame) => {
+        video.frame = frameWith(timestamp, frame);
+    };
+    
+    beforeEach(() => {
+        savedDocument = global.document;
+        global.document = { createElement: () => new FakeCanvas() };
+        
+        [videoA, videoB] = [new FakeVideoElement(), new FakeVideoElement()];
+        [videoA, videoB].forEach(video => {
+            video.readyState = 4;
+            video.videoWidth = 1280;
+            video.videoHeight = 720;
+        });
+        comparator = new ZLMFrameComparator({ videoA, videoB, interval: 10000 });
+        comparator.running = true;
+    });
+    
+    afterEach(() => {
+        comparator.stop();
+        global.document = savedDocument;
+        if (savedDocument === undefined) delete global.document;
+    });
+    
+    it('measures the offset between the frames shown by both videos', async () => {
+        const results = [];
+        comparator.onUpdate = (result) => results.push(result);
+        
+        show(videoA, 1760000001000, 25);
+        show(videoB, 1760000000520, 13);
+        await comparator._measure();
+        
+        assert.strictEqual(results.length, 1);
+        assert.strictEqual(results[0].offset, 480);
+        assert.strictEqual(results[0].frames, 12);
+        assert.strictEqual(results[0].ahead, 'a');
+        assert.strictEqual(results[0].a.source, 'timecode');
+        assert.strictEqual(ZLMFrameComparator.describe(results[0], 'WebRTC', 'HTTP-FLV'), 'WebRTC ahead by 12 frames (480 ms)');
+    });
+    
+    it('reports no offset until both videos show a timecode', async () => {
+        show(videoA, 1760000001000, 25);
+        videoB.readyState = 0;
+        await comparator._measure();
+        
+        assert.strictEqual(comparator.result.offset, null);
+        assert.strictEqual(comparator.result.b, null);
+        assert.strictEqual(ZLMFrameComparator.describe(comparator.result), 'No timecode');
+    });
+    
+    it('smooths the offset and learns the frame duration', () => {
+        const code = (timestamp, frame) => ({ timestamp, frame, source: 'timecode' });
+        comparator._update(code(1000, 10), code(600, 0));
+        comparator._update(code(1040, 11), code(1040, 11));
+        comparator._update(code(1080, 12), code(1000, 10));
+        
+        assert.strictEqual(comparator.result.smoothedOffset, 80);
+        assert.strictEqual(comparator.result.frameDuration, 40);
+        assert.strictEqual(ZLMFrameComparator.describe(ZLMFrameComparator.compare(code(5, 0), code(5, 0))), 'In sync');
+    });
+    
+    it('counts frames across the counter and timestamp wrap', () => {
+        const result = ZLMFrameComparator.compare({ timestamp: 20, frame: 2 }, { timestamp: 0xFFFFFFF0, frame: 254 });
+        assert.strictEqual(result.offset, 36);
+        assert.strictEqual(result.frames, 4);
+        
+        // Beyond the 8-bit counter the frames come from the frame duration
+        const far = ZLMFrameComparator.compare({ timestamp: 10000, frame: 0 }, { timestamp: 0, frame: 0 }, 40);
+        assert.strictEqual(far.frames, 250);
+        assert.strictEqual(ZLMFrameComparator.describe(ZLMFrameComparator.compare({ timestamp: 0, frame: null }, { timestamp: 100, frame: null })),
+            'B ahead by 100 ms');
+    });
+    
+    it('parses QR code timestamps', () => {
+        assert.deepStrictEqual(ZLMFrameComparator.parseQr('1760000000123'), { timestamp: 1760000000123 % 0x100000000, frame: null });
+        assert.deepStrictEqual(ZLMFrameComparator.parseQr('t=1760000000123;f=300'), { timestamp: 1760000000123 % 0x100000000, frame: 44 });
+        assert.strictEqual(ZLMFrameComparator.parseQr('https://example.com'), null);
+    });
+    
+    it('stops and reports an error when the frames cannot be read', async () => {
+        const errors = [];
+        comparator.onError = (error) => errors.push(error);
+        videoA.frame = { get width() { const error = new Error('tainted'); error.name = 'SecurityError'; throw error; } };
+        await comparator._measure();
+        
+        assert.strictEqual(comparator.running, false);
+        assert.match(errors[0].message, /cross-origin/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,1180 @@
+/**
+ * Fake browser media APIs for running the players under Node
+ * RTCPeerConnection, HTMLVideoElement, MediaSource, MediaRecorder, WebSocket, Web Audio, canvas, DOM and mpegts.js stand-ins that behave
+ * like the real ones at the level the players use them, plus helpers to
+ * install them as globals and to start the mock ZLMediaKit server.
+ */
+const { EventEmitter } = require('events');
+const http = require('http');
+const crypto = require('crypto');
+const { createMockServer } = require('../../mock/zlm-mock-server.js');
+const createZLMTapLoader = require('../../player/zlm-tap-loader.js');
+
+/**
+ * A MediaStream with one track of each kind given, video by default
+ * Its `audioSamples` are what a FakeAnalyserNode measures from it.
+ */
+class FakeMediaStream {
+    constructor(kinds = ['video']) {
+        this._tracks = kinds.map(kind => ({ kind, readyState: 'live', stop() { this.readyState = 'ended'; } }));
+        this.audioSamples = null;
+    }
+    
+    getTracks() {
+        return this._tracks;
+    }
+    
+    getAudioTracks() {
+        return this._tracks.filter(track => track.kind === 'audio');
+    }
+    
+    getVideoTracks() {
+        return this._tracks.filter(track => track.kind === 'video');
+    }
+}
+
+/**
+ * An RTCDataChannel that opens with its connection; tests deliver messages with `receive()`
+ */
+class FakeDataChannel {
+    constructor(label) {
+        this.label = label;
+        this.binaryType = 'blob';
+        this.readyState = 'connecting';
+        this.onopen = null;
+        this.onmessage = null;
+    }
+    
+    /**
+     * Deliver a message from the server
+     * @param {string|ArrayBuffer} data - The message
+     */
+    receive(data) {
+        if (this.onmessage) this.onmessage({ data });
+    }
+    
+    close() {
+        this.readyState = 'closed';
+    }
+    
+    /** @private */
+    _open() {
+        if (this.readyState !== 'connecting') return;
+        this.readyState = 'open';
+        if (this.onopen) this.onopen({});
+    }
+}
+
+/**
+ * An RTCRtpReceiver whose createEncodedStreams() really streams: tests push
+ * encoded frames with `deliver()` and read what comes out in `played`
+ */
+class FakeRtpReceiver {
+    constructor(mimeType = 'video/H264') {
+        this.mimeType = mimeType;
+        this.played = [];
+        this._controller = null;
+    }
+    
+    getParameters() {
+        return { codecs: [{ mimeType: this.mimeType }] };
+    }
+    
+    createEncodedStreams() {
+        const readable = new ReadableStream({
+            start: (controller) => {
+                this._controller = controller;
+            }
+        });
+        const writable = new WritableStream({
+            write: (frame) => {
+                this.played.push(frame);
+            }
+        });
+        return { readable, writable };
+    }
+    
+    /**
+     * Receive an encoded frame
+     * @param {ArrayBuffer} data - The frame (Annex B)
+     * @param {number} timestamp - Its RTP timestamp
+     */
+    deliver(data, timestamp) {
+        this._controller.enqueue({ data, timestamp });
+    }
+}
+
+/**
+ * An RTCPeerConnection that produces SDP offers, "gathers" candidates and
+ * connects as soon as a remote answer is set. Tests drive ICE failures with
+ * `setIceConnectionState()`.
+ */
+class FakeRTCPeerConnection extends EventTarget {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.iceGatheringState = 'new';
+        this.iceConnectionState = 'new';
+        this.connectionState = 'new';
+        this.localDescription = null;
+        this.remoteDescription = null;
+        this.transceivers = [];
+        this.dataChannels = [];
+        this.receivers = [];
+        this.offers = [];
+        this.closed = false;
+        
+        this.oniceconnectionstatechange = null;
+        this.onconnectionstatechange = null;
+        this.onicecandidate = null;
+        this.ontrack = null;
+        
+        FakeRTCPeerConnection.instances.push(this);
+    }
+    
+    addTransceiver(trackOrKind, init) {
+        const kind = typeof trackOrKind === 'string' ? trackOrKind : trackOrKind.kind;
+        const transceiver = { kind, direction: init && init.direction };
+        this.transceivers.push(transceiver);
+        return transceiver;
+    }
+    
+    createDataChannel(label) {
+        const channel = new FakeDataChannel(label);
+        this.dataChannels.push(channel);
+        return channel;
+    }
+    
+    async createOffer(options = {}) {
+        this.offers.push(options);
+        const lines = ['v=0', `o=- ${this.offers.length} 2 IN IP4 127.0.0.1`, 's=-', 't=0 0'];
+        this.transceivers.forEach((transceiver, index) => {
+            lines.push(`m=${transceiver.kind} 9 UDP/TLS/RTP/SAVPF 96`, `a=mid:${index}`, `a=${transceiver.direction || 'sendrecv'}`);
+        });
+        if (this.dataChannels.length) {
+            lines.push('m=application 9 UDP/DTLS/SCTP webrtc-datachannel', `a=mid:${this.transceivers.length}`);
+        }
+        return { type: 'offer', sdp: lines.join('\r\n') + '\r\n' };
+    }
+    
+    async setLocalDescription(description) {
+        this.localDescription = description;
+        if (this.iceGatheringState === 'complete' && !(this.offers[this.offers.length - 1] || {}).iceRestart) return;
+        
+        this._setGatheringState('gathering');
+        if (FakeRTCPeerConnection.gathering === 'complete') {
+            setTimeout(() => {
+                if (this.closed) return;
+                if (this.onicecandidate) this.onicecandidate({ candidate: null });
+                this._setGatheringState('complete');
+            }, 0);
+        }
+    }
+    
+    async setRemoteDescription(description) {
+        if (!description || typeof description.sdp !== 'string' || !/^v=0/.test(description.sdp)) {
+            throw new Error('Failed to parse SessionDescription');
+        }
+        this.remoteDescription = description;
+        
+        if (FakeRTCPeerConnection.autoConnect) {
+            setTimeout(() => {
+                if (this.closed) return;
+                if (!this._remoteStream) {
+                    const kinds = this.transceivers.map(transceiver => transceiver.kind);
+                    this._remoteStream = new FakeMediaStream(kinds.length ? kinds : ['video']);
+                    const receiver = new FakeRtpReceiver();
+                    this.receivers.push(receiver);
+                    if (this.ontrack) this.ontrack({ streams: [this._remoteStream], track: this._remoteStream.getTracks()[0], receiver });
+                }
+                this.setIceConnectionState('connected');
+                this.dataChannels.forEach(channel => channel._open());
+            }, 0);
+        }
+    }
+    
+    async getStats() {
+        return new Map();
+    }
+    
+    /**
+     * Change the ICE connection state and fire the change event
+     * @param {string} state - The new state
+     */
+    setIceConnectionState(state) {
+        if (this.closed) return;
+        this.iceConnectionState = state;
+        if (this.oniceconnectionstatechange) this.oniceconnectionstatechange();
+        this.dispatchEvent(new Event('iceconnectionstatechange'));
+    }
+    
+    close() {
+        // Like the real API, closing fires no state change events
+        this.closed = true;
+        this.dataChannels.forEach(channel => channel.close());
+        this.iceConnectionState = 'closed';
+        this.connectionState = 'closed';
+    }
+    
+    /** @private */
+    _setGatheringState(state) {
+        this.iceGatheringState = state;
+        this.dispatchEvent(new Event('icegatheringstatechange'));
+    }
+    
+    /**
+     * Restore the default behaviour and forget all instances
+     */
+    static reset() {
+        FakeRTCPeerConnection.instances = [];
+        FakeRTCPeerConnection.gathering = 'complete';
+        FakeRTCPeerConnection.autoConnect = true;
+    }
+}
+
+FakeRTCPeerConnection.reset();
+
+/**
+ * An HTMLVideoElement whose play() promise settles like the browser's: it
+ * resolves once media data arrives and rejects with an AbortError when the
+ * source is replaced first.
+ */
+class FakeVideoElement extends EventTarget {
+    constructor() {
+        super();
+        this.readyState = 0;
+        this.currentTime = 0;
+        this.playbackRate = 1;
+        this.paused = true;
+        this.error = null;
+        this.srcObject = null;
+        this.muted = false;
+        this.volume = 1;
+        this.audioSamples = null;
+        this.style = {};
+        this.buffered = { length: 0, start: () => 0, end: () => 0 };
+        this._src = '';
+        this._pendingPlays = [];
+        this._frameCallbacks = new Map();
+        this._nextFrameCallback = 1;
+    }
+    
+    get src() {
+        return this._src;
+    }
+    
+    set src(value) {
+        // Loading a new source starts over without data, as in the browser
+        this._src = value;
+        this.readyState = 0;
+        this._abortPlays();
+        if (value) this.dispatchEvent(new Event('loadstart'));
+    }
+    
+    play() {
+        this.paused = false;
+        if (this.readyState >= 3 || this.srcObject) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => this._pendingPlays.push({ resolve, reject }));
+    }
+    
+    pause() {
+        this.paused = true;
+    }
+    
+    load() {
+        this._abortPlays();
+    }
+    
+    removeAttribute(name) {
+        if (name === 'src') this.src = '';
+    }
+    
+    canPlayType(type) {
+        return FakeMediaSource.isTypeSupported(type) ? 'maybe' : '';
+    }
+    
+    captureStream() {
+        // The captured audio is the audio of the element
+        const stream = new FakeMediaStream(['video', 'audio']);
+        Object.defineProperty(stream, 'audioSamples', { get: () => this.audioSamples });
+        return stream;
+    }
+    
+    requestVideoFrameCallback(callback) {
+        const id = this._nextFrameCallback++;
+        this._frameCallbacks.set(id, callback);
+        return id;
+    }
+    
+    cancelVideoFrameCallback(id) {
+        this._frameCallbacks.delete(id);
+    }
+    
+    /**
+     * Present a frame: calls the pending requestVideoFrameCallback callbacks
+     * @param {Object} metadata - Frame metadata, e.g. { mediaTime, rtpTimestamp }
+     */
+    presentFrame(metadata) {
+        const callbacks = [...this._frameCallbacks.values()];
+        this._frameCallbacks.clear();
+        callbacks.forEach(callback => callback(Date.now(), metadata));
+    }
+    
+    /**
+     * Simulate decoded media: resolves pending play() calls and fires 'playing'
+     */
+    receiveData() {
+        if (this.readyState >= 3) return;
+        this.readyState = 4;
+        const plays = this._pendingPlays.splice(0);
+        plays.forEach(play => play.resolve());
+        this.dispatchEvent(new Event('canplay'));
+        if (!this.paused) this.dispatchEvent(new Event('playing'));
+    }
+    
+    /**
+     * Set the buffered range to end `ahead` seconds after the playback position and fire 'timeupdate'
+     * @param {number} ahead - Seconds buffered ahead
+     */
+    bufferAhead(ahead) {
+        const end = this.currentTime + ahead;
+        this.buffered = { length: 1, start: () => 0, end: () => end };
+        this.dispatchEvent(new Event('timeupdate'));
+    }
+    
+    /**
+     * Simulate a buffer underrun
+     */
+    starve() {
+        this.readyState = 1;
+        this.dispatchEvent(new Event('waiting'));
+    }
+    
+    /** @private */
+    _abortPlays() {
+        this.readyState = 0;
+        const plays = this._pendingPlays.splice(0);
+        plays.forEach(play => {
+            const error = new Error('The play() request was interrupted by a new load request.');
+            error.name = 'AbortError';
+            play.reject(error);
+        });
+    }
+}
+
+/**
+ * MediaSource type support; tests replace `FakeMediaSource.supports` to
+ * refuse codecs. Also answers FakeVideoElement#canPlayType.
+ */
+class FakeMediaSource {
+    static isTypeSupported(type) {
+        return FakeMediaSource.supports(type);
+    }
+}
+
+FakeMediaSource.supports = () => true;
+
+/**
+ * A MediaRecorder that records nothing by itself: tests hand it chunks with
+ * `emitData()`. Like the real one it delivers a last chunk before 'stop', and
+ * stops by itself when the recorded tracks end (`end()`).
+ */
+class FakeMediaRecorder {
+    constructor(stream, options = {}) {
+        this.stream = stream;
+        this.mimeType = options.mimeType || 'video/webm';
+        this.state = 'inactive';
+        this.timeslice = null;
+        this.ondataavailable = null;
+        this.onstop = null;
+        this.onerror = null;
+        FakeMediaRecorder.instances.push(this);
+    }
+    
+    static isTypeSupported(type) {
+        return FakeMediaRecorder.supportedTypes.includes(type);
+    }
+    
+    start(timeslice) {
+        this.state = 'recording';
+        this.timeslice = timeslice;
+    }
+    
+    stop() {
+        if (this.state === 'inactive') return;
+        this.state = 'inactive';
+        setTimeout(() => {
+            this.emitData(FakeMediaRecorder.FINAL_CHUNK_SIZE);
+            if (this.onstop) this.onstop();
+        }, 0);
+    }
+    
+    /**
+     * Deliver a recorded chunk
+     * @param {number} size - Chunk size in bytes
+     */
+    emitData(size) {
+        if (this.ondataavailable) {
+            this.ondataavailable({ data: new Blob([new Uint8Array(size)], { type: this.mimeType }) });
+        }
+    }
+    
+    /**
+     * Simulate the recorded tracks ending
+     */
+    end() {
+        this.stop();
+    }
+}
+
+FakeMediaRecorder.supportedTypes = ['video/webm;codecs=vp8,opus', 'video/webm'];
+FakeMediaRecorder.FINAL_CHUNK_SIZE = 100;
+FakeMediaRecorder.instances = [];
+
+/**
+ * A WebSocket client over Node's HTTP upgrade, enough for the binary messages
+ * of WS-FLV from the mock server (no masking, fragmentation or text frames)
+ */
+class FakeWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.binaryType = 'blob';
+        this.readyState = 0;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+        this._socket = null;
+        
+        this._request = http.request(url.replace(/^ws/i, 'http'), {
+            headers: {
+                'Connection': 'Upgrade',
+                'Upgrade': 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+            }
+        });
+        this._request.on('upgrade', (response, socket, head) => {
+            this._socket = socket;
+            if (this.readyState !== 0) {
+                socket.destroy();
+                return;
+            }
+            this.readyState = 1;
+            if (this.onopen) this.onopen({});
+            
+            let buffer = head;
+            socket.on('data', chunk => {
+                buffer = this._receive(Buffer.concat([buffer, chunk]));
+            });
+            socket.on('close', () => this._closed());
+            socket.on('error', () => this._closed());
+        });
+        this._request.on('response', response => {
+            response.resume();
+            this._fail();
+        });
+        this._request.on('error', () => this._fail());
+        this._request.end();
+    }
+    
+    close() {
+        if (this.readyState >= 2) return;
+        this.readyState = 2;
+        if (this._socket) {
+            // Masked close frame with an empty payload
+            this._socket.end(Buffer.from([0x88, 0x80, 0, 0, 0, 0]));
+        } else {
+            this._request.destroy();
+            setImmediate(() => this._closed());
+        }
+    }
+    
+    /** @private */
+    _receive(buffer) {
+        while (buffer.length >= 2) {
+            let length = buffer[1] & 0x7F;
+            let offset = 2;
+            if (length === 126) {
+                if (buffer.length < 4) break;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) break;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (buffer.length < offset + length) break;
+            
+            const payload = buffer.subarray(offset, offset + length);
+            if ((buffer[0] & 0x0F) === 2 && this.readyState === 1 && this.onmessage) {
+                this.onmessage({ data: payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.length) });
+            }
+            buffer = buffer.subarray(offset + length);
+        }
+        return buffer;
+    }
+    
+    /** @private */
+    _fail() {
+        if (this.readyState === 3) return;
+        if (this.readyState < 2 && this.onerror) this.onerror({});
+        this._closed();
+    }
+    
+    /** @private */
+    _closed() {
+        if (this.readyState === 3) return;
+        this.readyState = 3;
+        if (this.onclose) this.onclose({});
+    }
+}
+
+/**
+ * A DOM element that keeps its children, text and class name
+ */
+class FakeElement extends EventTarget {
+    constructor(tagName) {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.children = [];
+        this.parentNode = null;
+        this.className = '';
+        this.textContent = '';
+        this.title = '';
+        this.style = {};
+    }
+    
+    appendChild(child) {
+        if (child.parentNode) {
+            child.parentNode.children.splice(child.parentNode.children.indexOf(child), 1);
+        }
+        this.children.push(child);
+        child.parentNode = this;
+        return child;
+    }
+    
+    remove() {
+        if (!this.parentNode) return;
+        this.parentNode.children.splice(this.parentNode.children.indexOf(this), 1);
+        this.parentNode = null;
+    }
+    
+    click() {
+        this.dispatchEvent(new Event('click'));
+    }
+}
+
+/**
+ * An IntersectionObserver whose entries are triggered by the test
+ */
+class FakeIntersectionObserver {
+    constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.elements = new Set();
+        FakeIntersectionObserver.instances.push(this);
+    }
+    
+    observe(element) {
+        this.elements.add(element);
+    }
+    
+    unobserve(element) {
+        this.elements.delete(element);
+    }
+    
+    disconnect() {
+        this.elements.clear();
+    }
+    
+    /**
+     * Report elements entering or leaving the viewport to every observer watching them
+     * @param {Element[]} elements - The elements
+     * @param {boolean} isIntersecting - Whether they are visible
+     */
+    static trigger(elements, isIntersecting) {
+        FakeIntersectionObserver.instances.forEach(observer => {
+            const entries = elements.filter(element => observer.elements.has(element))
+                .map(target => ({ target, isIntersecting }));
+            if (entries.length) observer.callback(entries, observer);
+        });
+    }
+}
+
+FakeIntersectionObserver.instances = [];
+
+/**
+ * A Web Audio node that remembers its connections
+ */
+class FakeAudioNode {
+    constructor(context, media = null) {
+        this.context = context;
+        this.media = media;
+        this.inputs = [];
+        this.outputs = [];
+    }
+    
+    connect(node) {
+        this.outputs.push(node);
+        if (node.inputs) node.inputs.push(this);
+        return node;
+    }
+    
+    disconnect(node) {
+        this.outputs = this.outputs.filter(output => output !== node);
+        if (node && node.inputs) node.inputs = node.inputs.filter(input => input !== this);
+    }
+}
+
+/**
+ * An AnalyserNode whose time domain data repeats the `audioSamples` of the
+ * element or stream connected to it (silence without them)
+ */
+class FakeAnalyserNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.fftSize = 2048;
+    }
+    
+    getFloatTimeDomainData(array) {
+        const source = this.inputs.find(input => input.media);
+        const samples = source && source.media.audioSamples;
+        for (let i = 0; i < array.length; i++) {
+            array[i] = samples && samples.length ? samples[i % samples.length] : 0;
+        }
+    }
+}
+
+/**
+ * An AudioContext that starts suspended, like one created without a user
+ * gesture. Like the real one it routes a media element only once. Set
+ * `gesture` to false to keep resume() from starting it.
+ */
+class FakeAudioContext extends EventTarget {
+    constructor() {
+        super();
+        this.state = 'suspended';
+        this.gesture = true;
+        this.destination = new FakeAudioNode(this);
+        FakeAudioContext.instances.push(this);
+    }
+    
+    resume() {
+        if (!this.gesture) return new Promise(() => {});
+        this.state = 'running';
+        this.dispatchEvent(new Event('statechange'));
+        return Promise.resolve();
+    }
+    
+    createAnalyser() {
+        return new FakeAnalyserNode(this);
+    }
+    
+    createMediaElementSource(element) {
+        if (element._audioSourceNode) {
+            throw new Error('InvalidStateError: the element is already connected to a MediaElementSourceNode');
+        }
+        element._audioSourceNode = new FakeAudioNode(this, element);
+        return element._audioSourceNode;
+    }
+    
+    createMediaStreamSource(stream) {
+        return new FakeAudioNode(this, stream);
+    }
+}
+
+FakeAudioContext.instances = [];
+
+/**
+ * A canvas with a real RGBA pixel buffer
+ * The 2D context supports solid fillRect, drawImage (nearest neighbour, from
+ * another FakeCanvas or a video whose `frame` is one), strokeRect (one pixel
+ * outline) and getImageData; text and paths are accepted and ignored.
+ * captureStream() returns a stream with one video track.
+ */
+class FakeCanvas {
+    constructor(width = 300, height = 150) {
+        this._width = width;
+        this._height = height;
+        this.data = new Uint8ClampedArray(width * height * 4);
+    }
+    
+    get width() {
+        return this._width;
+    }
+    
+    set width(value) {
+        this._width = value;
+        this.data = new Uint8ClampedArray(this._width * this._height * 4);
+    }
+    
+    get height() {
+        return this._height;
+    }
+    
+    set height(value) {
+        this._height = value;
+        this.data = new Uint8ClampedArray(this._width * this._height * 4);
+    }
+    
+    captureStream() {
+        return new FakeMediaStream(['video']);
+    }
+    
+    toBlob(callback, type = 'image/png') {
+        setTimeout(() => callback(new Blob([this.data], { type })), 0);
+    }
+    
+    getContext() {
+        const canvas = this;
+        const noop = () => {};
+        return {
+            canvas,
+            fillStyle: '#000000',
+            strokeStyle: '#000000',
+            lineWidth: 1,
+            font: '',
+            textAlign: 'left',
+            fillRect(x, y, width, height) {
+                const hex = /^#([0-9a-f]{6})$/i.exec(this.fillStyle);
+                const color = hex ? [0, 2, 4].map(i => parseInt(hex[1].substr(i, 2), 16)) : [0, 0, 0];
+                canvas._fill(x, y, width, height, [...color, 255]);
+            },
+            clearRect(x, y, width, height) {
+                canvas._fill(x, y, width, height, [0, 0, 0, 0]);
+            },
+            strokeRect(x, y, width, height) {
+                const fillStyle = this.fillStyle;
+                this.fillStyle = this.strokeStyle;
+                this.fillRect(x, y, width, 1);
+                this.fillRect(x, y + height - 1, width, 1);
+                this.fillRect(x, y, 1, height);
+                this.fillRect(x + width - 1, y, 1, height);
+                this.fillStyle = fillStyle;
+            },
+            measureText(text) {
+                return { width: String(text).length * 6 };
+            },
+            drawImage(source, ...args) {
+                const image = source instanceof FakeCanvas ? source : source.frame;
+                if (!image) return;
+                const [sx, sy, sw, sh, dx, dy, dw, dh] = args.length === 8 ? args
+                    : args.length === 4 ? [0, 0, image.width, image.height, ...args]
+                        : [0, 0, image.width, image.height, args[0], args[1], image.width, image.height];
+                for (let y = Math.max(0, Math.round(dy)); y < Math.min(canvas.height, Math.round(dy + dh)); y++) {
+                    for (let x = Math.max(0, Math.round(dx)); x < Math.min(canvas.width, Math.round(dx + dw)); x++) {
+                        const u = Math.min(image.width - 1, Math.floor(sx + (x - dx + 0.5) * sw / dw));
+                        const v = Math.min(image.height - 1, Math.floor(sy + (y - dy + 0.5) * sh / dh));
+                        const from = (v * image.width + u) * 4;
+                        canvas.data.set(image.data.subarray(from, from + 4), (y * canvas.width + x) * 4);
+                    }
+                }
+            },
+            getImageData(x, y, width, height) {
+                const data = new Uint8ClampedArray(width * height * 4);
+                for (let row = 0; row < height; row++) {
+                    const from = ((y + row) * canvas.width + x) * 4;
+                    data.set(canvas.data.subarray(from, from + width * 4), row * width * 4);
+                }
+                return { width, height, data };
+            },
+            fillText: noop,
+            save: noop,
+            restore: noop,
+            beginPath: noop,
+            rect: noop,
+            clip: noop
+        };
+    }
+    
+    /** @private */
+    _fill(x, y, width, height, rgba) {
+        for (let row = Math.max(0, Math.round(y)); row < Math.min(this.height, Math.round(y + height)); row++) {
+            for (let column = Math.max(0, Math.round(x)); column < Math.min(this.width, Math.round(x + width)); column++) {
+                this.data.set(rgba, (row * this.width + column) * 4);
+            }
+        }
+    }
+}
+
+/**
+ * Create a stand-in for the mpegts.js module
+ * Players load through `customLoader` when given one and through a plain fetch
+ * loader otherwise, so streams really come from the mock server. A finished or
+ * failed load is reported as a NetworkError like mpegts.js does for live streams.
+ * @returns {Object} - The fake module; `players` lists every created player
+ */
+function createFakeMpegts() {
+    const LoaderStatus = { kIdle: 0, kConnecting: 1, kBuffering: 2, kError: 3, kComplete: 4 };
+    const LoaderErrors = {
+        OK: 'OK',
+        EXCEPTION: 'Exception',
+        HTTP_STATUS_CODE_INVALID: 'HttpStatusCodeInvalid',
+        CONNECTING_TIMEOUT: 'ConnectingTimeout',
+        EARLY_EOF: 'EarlyEof',
+        UNRECOVERABLE_EARLY_EOF: 'UnrecoverableEarlyEof'
+    };
+    
+    class BaseLoader {
+        constructor(typeName) {
+            this._type = typeName || 'undefined';
+            this._status = LoaderStatus.kIdle;
+            this._needStash = false;
+            this._onContentLengthKnown = null;
+            this._onURLRedirect = null;
+            this._onDataArrival = null;
+            this._onError = null;
+            this._onComplete = null;
+        }
+        
+        destroy() {
+            this._status = LoaderStatus.kIdle;
+            this._onContentLengthKnown = null;
+            this._onURLRedirect = null;
+            this._onDataArrival = null;
+            this._onError = null;
+            this._onComplete = null;
+        }
+        
+        isWorking() {
+            return this._status === LoaderStatus.kConnecting || this._status === LoaderStatus.kBuffering;
+        }
+        
+        get type() { return this._type; }
+        get status() { return this._status; }
+        get needStashBuffer() { return this._needStash; }
+        get onURLRedirect() { return this._onURLRedirect; }
+        set onURLRedirect(callback) { this._onURLRedirect = callback; }
+        get onDataArrival() { return this._onDataArrival; }
+        set onDataArrival(callback) { this._onDataArrival = callback; }
+        get onError() { return this._onError; }
+        set onError(callback) { this._onError = callback; }
+        get onComplete() { return this._onComplete; }
+        set onComplete(callback) { this._onComplete = callback; }
+    }
+    
+    const mpegts = {
+        LoaderStatus,
+        LoaderErrors,
+        BaseLoader,
+        Events: {
+            ERROR: 'error',
+            LOADING_COMPLETE: 'loading_complete',
+            MEDIA_INFO: 'media_info',
+            STATISTICS_INFO: 'statistics_info'
+        },
+        ErrorTypes: { NETWORK_ERROR: 'NetworkError', MEDIA_ERROR: 'MediaError', OTHER_ERROR: 'OtherError' },
+        ErrorDetails: {
+            NETWORK_EXCEPTION: LoaderErrors.EXCEPTION,
+            NETWORK_STATUS_CODE_INVALID: LoaderErrors.HTTP_STATUS_CODE_INVALID,
+            NETWORK_TIMEOUT: LoaderErrors.CONNECTING_TIMEOUT,
+            NETWORK_UNRECOVERABLE_EARLY_EOF: LoaderErrors.UNRECOVERABLE_EARLY_EOF,
+            MEDIA_MSE_ERROR: 'MediaMSEError',
+            MEDIA_FORMAT_ERROR: 'MediaFormatError',
+            MEDIA_FORMAT_UNSUPPORTED: 'MediaFormatUnsupported',
+            MEDIA_CODEC_UNSUPPORTED: 'MediaCodecUnsupported'
+        },
+        players: [],
+        getFeatureList: () => ({ mseLivePlayback: true }),
+        enableLogs: () => {},
+        createPlayer: (mediaDataSource, config) => new FakeMpegtsPlayer(mediaDataSource, config)
+    };
+    
+    const FetchLoader = createZLMTapLoader(mpegts, () => {});
+    const seekHandler = {
+        getConfig: (url) => ({ url, headers: {} }),
+        removeURLParameters: (url) => url
+    };
+    
+    class FakeMpegtsPlayer extends EventEmitter {
+        constructor(mediaDataSource, config) {
+            super();
+            this._mediaDataSource = { ...mediaDataSource };
+            this.config = config;
+            this.statisticsInfo = { speed: 0, decodedFrames: 0, droppedFrames: 0, totalBytes: 0 };
+            this.video = null;
+            this.loader = null;
+            this.openedUrl = null;
+            this.destroyed = false;
+            mpegts.players.push(this);
+        }
+        
+        attachMediaElement(video) {
+            this.video = video;
+            video.src = 'blob:fake-mse';
+        }
+        
+        detachMediaElement() {
+            this.video = null;
+        }
+        
+        load() {
+            const Loader = this.config.customLoader || FetchLoader;
+            this.loader = new Loader(seekHandler, this.config);
+            
+            this.loader.onDataArrival = (chunk) => {
+                this.statisticsInfo.totalBytes += chunk.byteLength;
+                this.statisticsInfo.decodedFrames++;
+                if (this.video) this.video.receiveData();
+            };
+            this.loader.onError = (type, info) => {
+                this.emit(mpegts.Events.ERROR, mpegts.ErrorTypes.NETWORK_ERROR, type, info);
+            };
+            this.loader.onComplete = () => {
+                this.emit(mpegts.Events.ERROR, mpegts.ErrorTypes.NETWORK_ERROR, LoaderErrors.UNRECOVERABLE_EARLY_EOF,
+                    { code: -1, msg: 'Stream ended' });
+            };
+            
+            const { url, cors, withCredentials } = this._mediaDataSource;
+            this.openedUrl = url;
+            this.loader.open({ url, cors, withCredentials }, { from: 0, to: -1 });
+        }
+        
+        unload() {
+            if (this.loader) {
+                this.loader.destroy();
+                this.loader = null;
+            }
+        }
+        
+        pause() {
+            if (this.video) this.video.pause();
+        }
+        
+        destroy() {
+            this.unload();
+            this.removeAllListeners();
+            this.destroyed = true;
+        }
+    }
+    
+    return mpegts;
+}
+
+/**
+ * Create a stand-in for the hls.js class
+ * Instances really load the playlist from the mock server: a parsed playlist
+ * is reported as MANIFEST_PARSED (first load), LEVEL_LOADED and FRAG_LOADED and
+ * feeds the media element, a failed load as a fatal NETWORK_ERROR. `fail()`
+ * reports a fatal error of the running stream.
+ * @returns {Function} - The fake class; `instances` lists every created instance
+ */
+function createFakeHls() {
+    class FakeHls extends EventEmitter {
+        constructor(config) {
+            super();
+            this.config = config;
+            this.url = null;
+            this.media = null;
+            this.levels = [];
+            this.currentLevel = -1;
+            this.latency = 0;
+            this.bandwidthEstimate = 0;
+            this.playingDate = null;
+            this.loads = 0;
+            this.recoveries = 0;
+            this.audioCodecSwaps = 0;
+            this.destroyed = false;
+            FakeHls.instances.push(this);
+        }
+        
+        static isSupported() {
+            return true;
+        }
+        
+        // hls.js passes the event name before the data
+        emit(event, data) {
+            return super.emit(event, event, data);
+        }
+        
+        loadSource(url) {
+            this.url = url;
+        }
+        
+        attachMedia(media) {
+            this.media = media;
+            media.src = 'blob:fake-hls';
+            this.startLoad();
+        }
+        
+        startLoad() {
+            this.loads++;
+            fetch(this.url).then(async response => {
+                if (this.destroyed) return;
+                if (!response.ok) {
+                    this.fail(FakeHls.ErrorTypes.NETWORK_ERROR, 'manifestLoadError');
+                    return;
+                }
+                
+                const playlist = await response.text();
+                const dates = playlist.match(/^#EXT-X-PROGRAM-DATE-TIME:(.*)$/gm) || [];
+                if (this.destroyed) return;
+                if (!this.levels.length) {
+                    this.levels = [{ bitrate: 2000000, width: 1280, height: 720 }];
+                    this.currentLevel = 0;
+                    this.emit(FakeHls.Events.MANIFEST_PARSED, { levels: this.levels });
+                }
+                this.emit(FakeHls.Events.LEVEL_LOADED, { details: { partList: null } });
+                if (dates.length) {
+                    this.playingDate = new Date(dates[0].split(':').slice(1).join(':'));
+                }
+                this.emit(FakeHls.Events.FRAG_LOADED, {});
+                if (this.media) this.media.receiveData();
+            }, () => {
+                if (!this.destroyed) this.fail(FakeHls.ErrorTypes.NETWORK_ERROR, 'manifestLoadError');
+            });
+        }
+        
+        fail(type = FakeHls.ErrorTypes.NETWORK_ERROR, details = 'levelLoadError') {
+            this.emit(FakeHls.Events.ERROR, { type, details, fatal: true });
+        }
+        
+        recoverMediaError() {
+            this.recoveries++;
+        }
+        
+        swapAudioCodec() {
+            this.audioCodecSwaps++;
+        }
+        
+        destroy() {
+            this.removeAllListeners();
+            this.media = null;
+            this.destroyed = true;
+        }
+    }
+    
+    FakeHls.Events = {
+        MANIFEST_PARSED: 'hlsManifestParsed',
+        LEVEL_LOADED: 'hlsLevelLoaded',
+        FRAG_LOADED: 'hlsFragLoaded',
+        ERROR: 'hlsError'
+    };
+    FakeHls.ErrorTypes = { NETWORK_ERROR: 'networkError', MEDIA_ERROR: 'mediaError', OTHER_ERROR: 'otherError' };
+    FakeHls.instances = [];
+    
+    return FakeHls;
+}
+
+/**
+ * Install the fake browser globals the players expect
+ * Player logs are silenced; pass `verbose` to see them.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.verbose=false] - Keep console.log output
+ * @returns {Function} - Restores the previous globals
+ */
+function installBrowser(options = {}) {
+    const saved = {
+        window: global.window,
+        document: global.document,
+        RTCPeerConnection: global.RTCPeerConnection,
+        RTCRtpReceiver: global.RTCRtpReceiver,
+        IntersectionObserver: global.IntersectionObserver,
+        MediaSource: global.MediaSource,
+        MediaRecorder: global.MediaRecorder,
+        WebSocket: global.WebSocket,
+        AudioContext: global.AudioContext,
+        log: console.log
+    };
+    
+    global.window = { location: { origin: 'http://localhost', href: 'http://localhost/test.html' } };
+    global.document = {
+        createElement: (tagName) => {
+            if (tagName === 'video') return new FakeVideoElement();
+            if (tagName === 'canvas') return new FakeCanvas();
+            return new FakeElement(tagName);
+        }
+    };
+    global.RTCPeerConnection = FakeRTCPeerConnection;
+    global.RTCRtpReceiver = FakeRtpReceiver;
+    global.IntersectionObserver = FakeIntersectionObserver;
+    global.MediaSource = FakeMediaSource;
+    global.MediaRecorder = FakeMediaRecorder;
+    global.WebSocket = FakeWebSocket;
+    global.AudioContext = FakeAudioContext;
+    FakeAudioContext.instances = [];
+    FakeMediaSource.supports = () => true;
+    FakeMediaRecorder.instances = [];
+    FakeRTCPeerConnection.reset();
+    FakeIntersectionObserver.instances = [];
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+    
+    return () => {
+        console.log = saved.log;
+        ['window', 'document', 'RTCPeerConnection', 'RTCRtpReceiver', 'IntersectionObserver', 'MediaSource', 'MediaRecorder', 'WebSocket', 'AudioContext'].forEach(name => {
+            if (saved[name] === undefined) {
+                delete global[name];
+            } else {
+                global[name] = saved[name];
+            }
+        });
+    };
+}
+
+/**
+ * Start the mock ZLMediaKit server on a free local port
+ * @param {Object} [options] - createMockServer options
+ * @returns {Promise<Object>} - `{ server, baseUrl, close() }`
+ */
+function startMockServer(options = {}) {
+    const server = createMockServer(options);
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                server,
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+/**
+ * Resolve when an emitter fires an event, or reject after a timeout
+ * @param {Object} target - A player (on/off) or EventTarget
+ * @param {string} event - Event name
+ * @param {number} [timeout=5000] - Milliseconds to wait
+ * @returns {Promise<Array>} - The event arguments
+ */
+function waitFor(target, event, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for '${event}'`)), timeout);
+        const listener = (...args) => {
+            clearTimeout(timer);
+            resolve(args);
+        };
+        if (typeof target.once === 'function') {
+            target.once(event, listener);
+        } else {
+            target.addEventListener(event, listener, { once: true });
+        }
+    });
+}
+
+module.exports = {
+    FakeAudioContext,
+    FakeCanvas,
+    FakeDataChannel,
+    FakeElement,
+    FakeIntersectionObserver,
+    FakeMediaRecorder,
+    FakeMediaSource,
+    FakeMediaStream,
+    FakeRTCPeerConnection,
+    FakeRtpReceiver,
+    FakeVideoElement,
+    FakeWebSocket,
+    createFakeHls,
+    createFakeMpegts,
+    installBrowser,
+    startMockServer,
+    waitFor
+};
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * ZLMHLSPlayer against the mock HLS playlist, natively and with a fake hls.js
+ */
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FakeMediaSource, FakeVideoElement, createFakeHls, installBrowser, startMockServer, waitFor } = require('./helpers/fake-browser.js');
+const ZLMHLSPlayer = require('../player/zlm-hls-player.js');
+const ZLMUrlBuilder = require('../player/zlm-url-builder.js');
+
+const STREAMS = [
+    { app: 'live', stream: 'test', video: ['H264', 1280, 720, 25], audio: null, readers: 0 }
+];
+
+describe('ZLMHLSPlayer', () => {
+    let mock;
+    let restore;
+    let Hls;
+    let player;
+    
+    before(async () => {
+        mock = await startMockServer({ streams: STREAMS });
+    });
+    
+    after(() => mock.close());
+    
+    beforeEach(() => {
+        restore = installBrowser();
+        Hls = createFakeHls();
+    });
+    
+    afterEach(() => {
+        if (player) player.stop();
+        player = null;
+        restore();
+    });
+    
+    const createPlayer = (options = {}) => {
+        player = new ZLMHLSPlayer({
+            videoElement: new FakeVideoElement(),
+            Hls: Hls,
+            reconnectDelay: 10,
+            ...options
+        });
+        player.onError = () => {};
+        return player;
+    };
+    
+    it('plays natively when the browser supports HLS', async () => {
+        createPlayer();
+        const video = player.videoElement;
+        const url = `${mock.baseUrl}/live/test/hls.m3u8`;
+        
+        const playing = player.play(new ZLMUrlBuilder({ serverBase: mock.baseUrl, stream: 'test' }));
+        assert.strictEqual(player.mode, 'native');
+        assert.strictEqual(video.src, url);
+        assert.strictEqual(player.state, 'connecting');
+        
+        // Safari maps the first PROGRAM-DATE-TIME to the start of the media timeline
+        video.getStartDate = () => new Date(Date.now() - 3000);
+        video.receiveData();
+        assert.strictEqual(await playing, true);
+        assert.strictEqual(player.state, 'playing');
+        assert.strictEqual(Hls.instances.length, 0);
+        
+        const [stats] = await waitFor(player, 'stats', 2000);
+        assert.strictEqual(stats.mode, 'native');
+        assert.ok(stats.latency >= 3000 && stats.latency < 5000, `latency ${stats.latency}`);
+    });
+    
+    it('plays with hls.js and reads the program date time', async () => {
+        createPlayer({ preferNative: false });
+        const connected = waitFor(player, 'connected');
+        
+        assert.strictEqual(await player.play(`${mock.baseUrl}/live/test/hls.m3u8`), true);
+        await connected;
+        assert.strictEqual(player.mode, 'mse');
+        assert.strictEqual(player.state, 'playing');
+        assert.strictEqual(Hls.instances[0].media, player.videoElement);
+        assert.strictEqual(Hls.instances[0].config.lowLatencyMode, true);
+        
+        const [stats] = await waitFor(player, 'stats', 2000);
+        assert.strictEqual(stats.bitrate, 2000);
+        assert.ok(stats.latency >= 6000 && stats.latency < 8000, `latency ${stats.latency}`);
+    });
+    
+    it('reloads after a network error and reports the reconnection', async () => {
+        createPlayer({ preferNative: false });
+        await player.play(`${mock.baseUrl}/live/test/hls.m3u8`);
+        const hls = Hls.instances[0];
+        
+        const reconnecting = waitFor(player, 'reconnecting');
+        const reconnected = waitFor(player, 'reconnected');
+        hls.fail();
+        
+        assert.deepStrictEqual(await reconnecting, [1, 'reload']);
+        assert.strictEqual(player.state, 'reconnecting');
+        await reconnected;
+        
+        assert.strictEqual(player.state, 'playing');
+        assert.strictEqual(hls.loads, 2);
+        assert.strictEqual(Hls.instances.length, 1, 'the same hls.js instance reloads');
+    });
+    
+    it('recovers from media errors a few times, once with the audio codec swapped', async () => {
+        createPlayer({ preferNative: false });
+        await player.play(`${mock.baseUrl}/live/test/hls.m3u8`);
+        const hls = Hls.instances[0];
+        const errors = [];
+        player.on('error', error => errors.push(error));
+        
+        for (let i = 0; i < player.maxMediaRecoveries; i++) {
+            hls.fail(Hls.ErrorTypes.MEDIA_ERROR, 'bufferStalledError');
+        }
+        assert.strictEqual(hls.recoveries, 3);
+        assert.strictEqual(hls.audioCodecSwaps, 1);
+        assert.strictEqual(errors.length, 0);
+        assert.strictEqual(player.state, 'playing');
+        
+        hls.fail(Hls.ErrorTypes.MEDIA_ERROR, 'bufferStalledError');
+        assert.strictEqual(hls.recoveries, 3, 'no recovery after the last attempt');
+        assert.match(errors[0].message, /mediaError: bufferStalledError/);
+        assert.strictEqual(player.state, 'stopped');
+        assert.strictEqual(hls.destroyed, true);
+    });
+    
+    it('reloads natively after a video element error', async () => {
+        createPlayer();
+        const video = player.videoElement;
+        const url = `${mock.baseUrl}/live/test/hls.m3u8`;
+        const playing = player.play(url);
+        video.receiveData();
+        await playing;
+        
+        const reconnecting = waitFor(player, 'reconnecting');
+        const reconnected = waitFor(player, 'reconnected');
+        video.error = { code: 2 };
+        video.dispatchEvent(new Event('error'));
+        
+        assert.deepStrictEqual(await reconnecting, [1, 'reload']);
+        assert.strictEqual(player.state, 'reconnecting');
+        await new Promise(resolve => video.addEventListener('loadstart', resolve, { once: true }));
+        assert.strictEqual(video.src, url);
+        
+        video.receiveData();
+        await reconnected;
+        assert.strictEqual(player.state, 'playing');
+        assert.strictEqual(player.reconnectAttempts, 0);
+    });
+    
+    it('gives up natively when the stream stays stalled', async () => {
+        createPlayer();
+        player.maxReconnectAttempts = 1;
+        const video = player.videoElement;
+        const errors = [];
+        player.on('error', error => errors.push(error));
+        
+        const playing = player.play(`${mock.baseUrl}/live/test/hls.m3u8`);
+        video.dispatchEvent(new Event('stalled'));
+        assert.strictEqual(player.state, 'connecting', 'play() handles stalls before the first frame');
+        video.receiveData();
+        await playing;
+        
+        video.dispatchEvent(new Event('stalled'));
+        assert.strictEqual(player.state, 'reconnecting');
+        await new Promise(resolve => video.addEventListener('loadstart', resolve, { once: true }));
+        
+        video.dispatchEvent(new Event('stalled'));
+        assert.match(errors[0].message, /Native HLS playback failed: stalled/);
+        assert.strictEqual(player.state, 'stopped');
+    });
+    
+    it('rejects when the playlist cannot be loaded', async () => {
+        FakeMediaSource.supports = (type) => type !== 'application/vnd.apple.mpegurl';
+        createPlayer();
+        const errors = [];
+        player.on('error', error => errors.push(error));
+        
+        await assert.rejects(player.play(`${mock.baseUrl}/live/missing/hls.m3u8`), /networkError: manifestLoadError/);
+        assert.strictEqual(player.mode, 'mse');
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(player.state, 'stopped');
+        assert.strictEqual(Hls.instances[0].destroyed, true);
+    });
+    
+    it('settles play() when stopped before the manifest is parsed', async () => {
+        createPlayer({ preferNative: false });
+        const errors = [];
+        player.on('error', error => errors.push(error));
+        
+        const playing = player.play(`${mock.baseUrl}/live/test/hls.m3u8`);
+        player.stop();
+        
+        await assert.rejects(playing, { name: 'AbortError' });
+        assert.strictEqual(errors.length, 0);
+        assert.strictEqual(player.state, 'stopped');
+        assert.strictEqual(Hls.instances[0].destroyed, true);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * ZLMLatencyMeter: SEI timestamp formats, latency of the shown frame, RTCP
+ * sender reports, program date time, smoothing and the clock offset
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const ZLMLatencyMeter = require('../player/zlm-latency-meter.js');
+
+const NOW = 1767225600000;
+const UUID = '5a4c4d2d6d6f636b2d74696d65737470';
+
+const bytes = (text) => new TextEncoder().encode(text);
+const bigEndian = (value) => {
+    const data = Buffer.alloc(8);
+    data.writeBigUInt64BE(BigInt(value));
+    return new Uint8Array(data);
+};
+const sei = (pts, payload, uuid = UUID) => ({ payloadType: 5, uuid, pts, payload });
+
+describe('ZLMLatencyMeter.parseTimestamp', () => {
+    it('reads 8 byte big-endian milliseconds', () => {
+        assert.strictEqual(ZLMLatencyMeter.parseTimestamp(bigEndian(NOW + 123)), NOW + 123);
+    });
+    
+    it('reads ASCII milliseconds and seconds, with a fraction or trailing NULs', () => {
+        assert.strictEqual(ZLMLatencyMeter.parseTimestamp(bytes('1767225600123')), NOW + 123);
+        assert.strictEqual(ZLMLatencyMeter.parseTimestamp(bytes('1767225600.5')), NOW + 500);
+        assert.strictEqual(ZLMLatencyMeter.parseTimestamp(bytes('1767225600\0\0')), NOW);
+    });
+    
+    it('rejects data that is not a plausible wall-clock time', () => {
+        assert.strictEqual(ZLMLatencyMeter.parseTimestamp(new Uint8Array(0)), null);
+        assert.strictEqual(ZLMLatencyMeter.parseTimestamp(null), null);
+        assert.strictEqual(ZLMLatencyMeter.parseTimestamp(bytes('{"frame":1}')), null);
+        assert.strictEqual(ZLMLatencyMeter.parseTimestamp(bytes('42')), null, 'neither seconds nor milliseconds since 1970');
+        assert.strictEqual(ZLMLatencyMeter.parseTimestamp(bigEndian(42)), null);
+    });
+});
+
+describe('ZLMLatencyMeter', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: NOW });
+    });
+    
+    afterEach(() => mock.timers.reset());
+    
+    it('measures the frame shown from the SEI timestamps before it', () => {
+        const meter = new ZLMLatencyMeter({ smoothing: 1 });
+        // The media timeline starts at the first FLV timestamp, 5000 ms
+        meter.addSei(sei(5000, bigEndian(NOW - 3000)), 5000);
+        meter.addSei(sei(6000, bigEndian(NOW - 2000)), 5000);
+        
+        assert.strictEqual(meter.measureMediaElement({ currentTime: 0.5 }), 2500, 'half a second after the first timestamp');
+        assert.strictEqual(meter.measureMediaElement({ currentTime: 1 }), 2000);
+        assert.strictEqual(meter.source, 'sei');
+    });
+    
+    it('has no measurement before the first timestamped frame', () => {
+        const meter = new ZLMLatencyMeter();
+        assert.strictEqual(meter.measureMediaElement({ currentTime: 3 }), null);
+        
+        meter.addSei(sei(4000, bigEndian(NOW)), 0);
+        assert.strictEqual(meter.measureMediaElement({ currentTime: 3 }), null);
+    });
+    
+    it('only keeps timestamps of the configured UUID', () => {
+        const meter = new ZLMLatencyMeter({ seiUuid: '5A4C4D2D-6D6F-636B-2D74-696D65737470' });
+        meter.addSei(sei(0, bigEndian(NOW)), 0);
+        meter.addSei(sei(0, bigEndian(NOW), '00112233445566778899aabbccddeeff'), 0);
+        meter.addSei({ payloadType: 6, uuid: null, pts: 0, payload: bigEndian(NOW) }, 0);
+        meter.addSei(sei(0, bytes('{"frame":1}')), 0);
+        
+        assert.strictEqual(meter.samples.length, 1);
+    });
+    
+    it('keeps the most recent timestamps', () => {
+        const meter = new ZLMLatencyMeter();
+        for (let i = 0; i < meter.maxSamples + 10; i++) {
+            meter.addSei(sei(i * 40, bigEndian(NOW + i * 40)), 0);
+        }
+        assert.strictEqual(meter.samples.length, meter.maxSamples);
+        assert.strictEqual(meter.samples[0].mediaTime, 0.4);
+    });
+    
+    it('smooths measurements of one source and restarts with another', () => {
+        const meter = new ZLMLatencyMeter({ smoothing: 0.5 });
+        assert.strictEqual(meter.measureProgramDateTime(new Date(NOW - 4000)), 4000);
+        assert.strictEqual(meter.measureProgramDateTime(new Date(NOW - 2000)), 3000);
+        assert.strictEqual(meter.source, 'program-date-time');
+        
+        meter.addSei(sei(0, bigEndian(NOW - 500)), 0);
+        assert.strictEqual(meter.measureMediaElement({ currentTime: 0 }), 500);
+        
+        meter.reset();
+        assert.deepStrictEqual([meter.latency, meter.source, meter.samples], [null, null, []]);
+    });
+    
+    it('corrects a known clock skew', () => {
+        const meter = new ZLMLatencyMeter({ clockOffset: -250 });
+        assert.strictEqual(meter.now(), NOW - 250);
+        assert.strictEqual(meter.measureProgramDateTime(new Date(NOW - 1000)), 750);
+    });
+    
+    it('measures WebRTC from the playout timestamp of a sender report', () => {
+        const meter = new ZLMLatencyMeter();
+        const inbound = { id: 'IV', type: 'inbound-rtp', kind: 'video', remoteId: 'ROV', estimatedPlayoutTimestamp: NOW + ZLMLatencyMeter.NTP_EPOCH_OFFSET_MS - 180 };
+        const report = new Map([
+            ['IA', { id: 'IA', type: 'inbound-rtp', kind: 'audio' }],
+            ['IV', inbound]
+        ]);
+        
+        assert.strictEqual(meter.measureWebRTC(report), null, 'no sender report yet');
+        report.set('ROV', { id: 'ROV', type: 'remote-outbound-rtp', localId: 'IV' });
+        assert.strictEqual(meter.measureWebRTC(report), 180);
+        assert.strictEqual(meter.source, 'rtcp-sr');
+        
+        assert.strictEqual(meter.measureWebRTC(new Map()), null, 'no video');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * ZLMLogger: ring buffer, filters, views with a DOM cap and the NDJSON export,
+ * and the structured entries of the players
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FakeVideoElement, createFakeMpegts, installBrowser } = require('./helpers/fake-browser.js');
+const ZLMLogger = require('../player/zlm-logger.js');
+const ZLMStreamPlayer = require('../player/zlm-flv-player.js');
+const ZLMAutoPlayer = require('../player/zlm-auto-player.js');
+
+describe('ZLMLogger', () => {
+    let restore;
+    let logger;
+    
+    beforeEach(() => {
+        restore = installBrowser();
+        logger = new ZLMLogger({ capacity: 3, consoleLevel: 'off' });
+    });
+    
+    afterEach(() => restore());
+    
+    it('keeps the newest entries up to its capacity', () => {
+        ['one', 'two', 'three', 'four', 'five'].forEach(message => logger.info(message));
+        
+        assert.deepStrictEqual(logger.entries.map(entry => entry.message), ['three', 'four', 'five']);
+        assert.deepStrictEqual(logger.entries.map(entry => entry.seq), [3, 4, 5]);
+        assert.strictEqual(logger.dropped, 2);
+        
+        logger.clear();
+        assert.deepStrictEqual(logger.entries, []);
+    });
+    
+    it('writes only entries at the console level to the console', () => {
+        const written = [];
+        const saved = { log: console.log, warn: console.warn };
+        console.log = (line) => written.push(['log', line]);
+        console.warn = (line) => written.push(['warn', line]);
+        try {
+            logger = new ZLMLogger({ consoleLevel: 'info' });
+            logger.debug('Event: MEDIA_INFO', { source: 'ZLM Stream Player' });
+            logger.log('success', 'Stream started', { source: 'ZLM Stream Player' });
+            logger.warn('Non-fatal error');
+        } finally {
+            Object.assign(console, saved);
+        }
+        
+        assert.deepStrictEqual(written, [['log', 'ZLM Stream Player: Stream started'], ['warn', 'ZLM: Non-fatal error']]);
+        assert.strictEqual(logger.entries.length, 3, 'debug entries are kept all the same');
+        assert.strictEqual(logger.entries[1].level, 'info');
+        assert.strictEqual(logger.entries[1].type, 'success');
+    });
+    
+    it('filters by level, text, player and fields', () => {
+        logger = new ZLMLogger({ consoleLevel: 'off' });
+        logger.debug('Event: LOADING_COMPLETE', { player: 'panel-1', protocol: 'http-flv' });
+        logger.error('Player error: NetworkError', { player: 'panel-1', protocol: 'http-flv' });
+        logger.info('Trying webrtc', { player: 'panel-2/webrtc', protocol: 'webrtc' });
+        logger.info('Stream loaded', { player: 'panel-22', protocol: 'hls' });
+        
+        const messages = (filter) => logger.query(filter).map(entry => entry.message);
+        assert.deepStrictEqual(messages({ level: 'warn' }), ['Player error: NetworkError']);
+        assert.deepStrictEqual(messages({ search: 'NETWORK' }), ['Player error: NetworkError']);
+        assert.deepStrictEqual(messages({ search: 'webrtc' }), ['Trying webrtc']);
+        assert.deepStrictEqual(messages({ player: 'panel-2' }), ['Trying webrtc'], 'the players it created, not panel-22');
+        assert.deepStrictEqual(messages({ protocol: 'hls', level: '' }), ['Stream loaded']);
+    });
+    
+    it('exports entries as NDJSON', () => {
+        const circular = {};
+        circular.self = circular;
+        logger.info('Created player', { player: 'panel-1', data: { url: 'http://x/live/a.live.flv' } });
+        logger.debug('Event: MEDIA_INFO', { player: 'panel-1', data: circular });
+        
+        const lines = logger.toNDJSON().trim().split('\n').map(line => JSON.parse(line));
+        assert.strictEqual(lines.length, 2);
+        assert.match(lines[0].time, /^\d{4}-\d\d-\d\dT/);
+        assert.deepStrictEqual(lines[0].data, { url: 'http://x/live/a.live.flv' });
+        assert.strictEqual(lines[1].data, '[object Object]');
+        assert.strictEqual(logger.toNDJSON({ level: 'info' }).trim().split('\n').length, 1);
+    });
+    
+    it('shows matching entries in a view with a cap on DOM nodes', () => {
+        logger = new ZLMLogger({ consoleLevel: 'off' });
+        const container = document.createElement('div');
+        const view = logger.attach(container, { filter: { player: 'panel-1' }, maxEntries: 2 });
+        
+        logger.info('first', { player: 'panel-1' });
+        logger.info('other panel', { player: 'panel-2' });
+        logger.log('success', 'second', { player: 'panel-1' });
+        logger.error('third', { player: 'panel-1' });
+        
+        assert.deepStrictEqual(container.children.map(child => child.className), ['log-entry log-success', 'log-entry log-error']);
+        assert.match(container.children[1].textContent, / - third$/);
+        
+        view.setFilter({ player: 'panel-1', search: 'first' });
+        assert.deepStrictEqual(container.children.map(child => child.textContent.split(' - ')[1]), ['first']);
+        
+        // Attaching the container again replaces the view
+        logger.attach(container, { filter: { player: 'panel-2' } });
+        logger.info('later', { player: 'panel-1' });
+        assert.deepStrictEqual(container.children.map(child => child.textContent.split(' - ')[1]), ['other panel']);
+    });
+});
+
+describe('Player logging', () => {
+    let restore;
+    let logger;
+    let player;
+    
+    beforeEach(() => {
+        restore = installBrowser();
+        logger = new ZLMLogger({ consoleLevel: 'off' });
+    });
+    
+    afterEach(() => {
+        if (player) player.stop();
+        player = null;
+        restore();
+    });
+    
+    it('tags the entries of a player with its id, protocol and state', () => {
+        const container = document.createElement('div');
+        const events = [];
+        player = new ZLMStreamPlayer({
+            videoElement: new FakeVideoElement(),
+            mpegts: createFakeMpegts(),
+            transport: 'ws',
+            logger,
+            logId: 'panel-7',
+            logContainer: container
+        });
+        player.on('log', (message, type) => events.push([message, type]));
+        
+        player._log('Stream loaded', 'success');
+        player._log('Event: MEDIA_INFO', 'debug', [{ width: 1280 }]);
+        
+        const [loaded, mediaInfo] = logger.query({ player: 'panel-7' }).slice(-2);
+        assert.strictEqual(loaded.source, 'ZLM Stream Player');
+        assert.strictEqual(loaded.protocol, 'ws-flv');
+        assert.strictEqual(loaded.state, 'idle');
+        assert.deepStrictEqual(mediaInfo.data, [{ width: 1280 }]);
+        assert.deepStrictEqual(events, [['Stream loaded', 'success'], ['Event: MEDIA_INFO', 'debug']]);
+        assert.ok(container.children.length >= 2);
+        assert.strictEqual(player.logView.container, container);
+    });
+    
+    it('logs to the shared logger by default and names the players of an auto player after it', () => {
+        player = new ZLMStreamPlayer({ videoElement: new FakeVideoElement(), mpegts: createFakeMpegts() });
+        assert.strictEqual(player.logger, ZLMLogger.shared);
+        assert.match(player.logId, /^player-\d+$/);
+        player.stop();
+        
+        const created = [];
+        player = new ZLMAutoPlayer({
+            videoElement: new FakeVideoElement(),
+            standbyElement: new FakeVideoElement(),
+            logger,
+            logId: 'panel-3',
+            protocols: ['http-flv'],
+            createPlayer: (protocol, options) => {
+                created.push(options);
+                throw new Error('not in this test');
+            }
+        });
+        player.onError = () => {};
+        player._attempt('http-flv', 0);
+        
+        assert.strictEqual(created[0].logger, logger);
+        assert.strictEqual(created[0].logId, 'panel-3/http-flv');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * Snapshots and recordings of the players through ZLMMediaCapture, with a
+ * fake MediaRecorder and canvas
+ */
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { FakeCanvas, FakeMediaRecorder, FakeVideoElement, createFakeMpegts, installBrowser, startMockServer, waitFor } = require('./helpers/fake-browser.js');
+const ZLMMediaCapture = require('../player/zlm-media-capture.js');
+const ZLMStreamPlayer = require('../player/zlm-flv-player.js');
+const ZLMWebRTCPlayer = require('../player/zlm-webrtc-player.js');
+
+describe('ZLMMediaCapture', () => {
+    let restore;
+    let player;
+    
+    beforeEach(() => {
+        restore = installBrowser();
+    });
+    
+    afterEach(() => {
+        if (player) player.stop();
+        player = null;
+        mock.timers.reset();
+        restore();
+    });
+    
+    const createStreamPlayer = () => {
+        player = new ZLMStreamPlayer({ videoElement: new FakeVideoElement(), mpegts: createFakeMpegts(), latencyMeter: false });
+        player.onError = () => {};
+        return player;
+    };
+    
+    const showFrame = (video, width, height) => {
+        video.readyState = 4;
+        video.videoWidth = width;
+        video.videoHeight = height;
+        video.frame = new FakeCanvas(width, height);
+    };
+    
+    it('captures the current frame as PNG', async () => {
+        createStreamPlayer();
+        await assert.rejects(player.snapshot(), /No video frame to capture/);
+        
+        showFrame(player.videoElement, 64, 36);
+        const image = await player.snapshot();
+        
+        assert.strictEqual(image.type, 'image/png');
+        assert.strictEqual(image.size, 64 * 36 * 4);
+    });
+    
+    it('records the captured element stream until stopped', async () => {
+        createStreamPlayer();
+        const events = [];
+        player.on('recording', info => events.push(info));
+        
+        const recorder = player.startRecording();
+        const mediaRecorder = FakeMediaRecorder.instances[0];
+        assert.strictEqual(player.recorder, recorder);
+        assert.strictEqual(mediaRecorder.mimeType, 'video/webm;codecs=vp8,opus', 'the first supported format');
+        assert.strictEqual(mediaRecorder.timeslice, 1000);
+        assert.throws(() => player.startRecording(), /Already recording/);
+        
+        mediaRecorder.emitData(500);
+        const result = await player.stopRecording();
+        
+        assert.strictEqual(result.size, 500 + FakeMediaRecorder.FINAL_CHUNK_SIZE);
+        assert.strictEqual(result.blob.size, result.size);
+        assert.strictEqual(result.reason, 'manual');
+        assert.strictEqual(player.recorder, null);
+        assert.deepStrictEqual(events.map(info => [info.active, info.reason]), [[true, undefined], [false, 'manual']]);
+        await assert.rejects(player.stopRecording(), /Not recording/);
+    });
+    
+    it('stops by itself at the size limit', async () => {
+        createStreamPlayer();
+        const stopped = new Promise(resolve => player.on('recording', info => !info.active && resolve(info)));
+        
+        player.startRecording({ maxBytes: 1000 });
+        const mediaRecorder = FakeMediaRecorder.instances[0];
+        mediaRecorder.emitData(600);
+        assert.strictEqual(mediaRecorder.state, 'recording');
+        mediaRecorder.emitData(600);
+        
+        const info = await stopped;
+        assert.strictEqual(info.reason, 'max-bytes');
+        assert.strictEqual(info.size, 1200 + FakeMediaRecorder.FINAL_CHUNK_SIZE);
+    });
+    
+    it('stops by itself at the duration limit', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        createStreamPlayer();
+        const recorder = player.startRecording({ maxDuration: 5000 });
+        
+        mock.timers.tick(4999);
+        assert.strictEqual(recorder.recording, true);
+        mock.timers.tick(1);
+        mock.timers.tick(0);
+        
+        const result = await recorder.stop();
+        assert.strictEqual(result.reason, 'max-duration');
+    });
+    
+    it('ends the recording with the player', async () => {
+        createStreamPlayer();
+        const recorder = player.startRecording();
+        player.stop();
+        
+        assert.strictEqual((await recorder.stop()).reason, 'stopped');
+        assert.strictEqual(player.recorder, null);
+    });
+    
+    it('names captures after the stream, protocol and time', () => {
+        const date = new Date('2024-05-01T12:30:00.000Z');
+        assert.strictEqual(ZLMMediaCapture.fileName({ stream: 'camera 1', protocol: 'http-flv', mimeType: 'image/png', date }),
+            'camera-1_http-flv_2024-05-01T12-30-00-000Z.png');
+        assert.strictEqual(ZLMMediaCapture.fileName({ protocol: 'webrtc', mimeType: 'video/webm;codecs=vp8,opus', date }),
+            'stream_webrtc_2024-05-01T12-30-00-000Z.webm');
+    });
+});
+
+describe('ZLMWebRTCPlayer recording', () => {
+    const streams = [{ app: 'live', stream: 'test', video: ['H264', 1280, 720, 25], audio: null, readers: 0 }];
+    let server;
+    let restore;
+    let player;
+    
+    before(async () => {
+        server = await startMockServer({ streams });
+    });
+    
+    after(() => server.close());
+    
+    beforeEach(() => {
+        restore = installBrowser();
+        player = new ZLMWebRTCPlayer({ videoElement: new FakeVideoElement(), iceServers: [] });
+        player.onError = () => {};
+    });
+    
+    afterEach(() => {
+        player.stop();
+        restore();
+    });
+    
+    it('records the received MediaStream', async () => {
+        assert.throws(() => player.startRecording(), /no stream received yet/);
+        
+        const connected = waitFor(player, 'connected');
+        await player.play(`${server.baseUrl}/index/api/webrtc?app=live&stream=test&type=play`);
+        await connected;
+        player.startRecording();
+        
+        assert.strictEqual(FakeMediaRecorder.instances[0].stream, player.stream);
+    });
+});
\ No newline at end of file
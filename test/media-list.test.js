@@ -0,0 +1,139 @@
+/**
+ * ZLMMediaList polling: one loop per list, however often start() is called,
+ * and streams going offline between polls of the mock getMediaList
+ */
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const ZLMMediaList = require('../player/zlm-media-list.js');
+const ZLMUrlBuilder = require('../player/zlm-url-builder.js');
+const { startMockServer } = require('./helpers/fake-browser.js');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ZLMMediaList', () => {
+    let list;
+    let refreshes;
+    let release;
+    
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        list = new ZLMMediaList({ urlBuilder: new ZLMUrlBuilder({ serverBase: 'http://127.0.0.1:1' }), interval: 1000 });
+        refreshes = 0;
+        // Refreshes hang until the test releases them
+        list.refresh = () => {
+            refreshes++;
+            return new Promise(resolve => { release = resolve; });
+        };
+    });
+    
+    afterEach(() => {
+        list.stop();
+        mock.timers.reset();
+    });
+    
+    it('keeps a single poll loop when started again during a refresh', async () => {
+        const first = list.start();
+        const firstRelease = release;
+        const second = list.start();
+        firstRelease();
+        release();
+        await Promise.all([first, second]);
+        assert.strictEqual(refreshes, 2);
+        
+        mock.timers.tick(1000);
+        assert.strictEqual(refreshes, 3);
+        release();
+        await flush();
+        
+        mock.timers.tick(1000);
+        assert.strictEqual(refreshes, 4, 'one refresh per interval');
+    });
+    
+    it('does not poll again when stopped during a refresh', async () => {
+        const started = list.start();
+        list.stop();
+        release();
+        await started;
+        
+        mock.timers.tick(5000);
+        assert.strictEqual(refreshes, 1);
+        assert.strictEqual(list.pollTimer, null);
+    });
+});
+
+describe('ZLMMediaList against the mock server', () => {
+    const camera = { app: 'live', stream: 'camera', video: ['H264', 1920, 1080, 25], audio: ['AAC', 48000, 2], readers: 2 };
+    const screen = { app: 'live', stream: 'screen', video: ['H265', 1280, 720, 30], audio: null, readers: 0 };
+    const streams = [];
+    let clock = 0;
+    let server;
+    let list;
+    
+    before(async () => {
+        // The mock clock drives streams with onlineFor/offlineFor
+        server = await startMockServer({ streams, now: () => clock });
+    });
+    
+    after(() => server.close());
+    
+    beforeEach(() => {
+        clock = 0;
+        streams.splice(0, streams.length, camera, screen);
+        list = new ZLMMediaList({ urlBuilder: new ZLMUrlBuilder({ serverBase: server.baseUrl }), offlineRetention: 0 });
+    });
+    
+    it('merges the schemas of a stream into one entry', async () => {
+        const [first, second] = await list.refresh();
+        
+        assert.deepStrictEqual([first.key, second.key], ['__defaultVhost__/live/camera', '__defaultVhost__/live/screen']);
+        assert.deepStrictEqual(first.schemas, ['rtmp', 'rtsp', 'fmp4', 'ts', 'hls']);
+        assert.strictEqual(first.readerCount, 2);
+        assert.deepStrictEqual(first.video, { codec: 'H264', width: 1920, height: 1080, fps: 25 });
+        assert.deepStrictEqual(first.audio, { codec: 'AAC', sampleRate: 48000, channels: 2 });
+        assert.match(ZLMMediaList.describe(second), /^H265 1280x720@30/);
+    });
+    
+    it('flags a stream removed between two polls as offline, then forgets it', async () => {
+        const updates = [];
+        list.onUpdate = (current) => updates.push(current.map(stream => `${stream.stream}:${stream.online}`));
+        await list.refresh();
+        
+        streams.splice(streams.indexOf(camera), 1);
+        const current = await list.refresh();
+        
+        const offline = current.find(stream => stream.stream === 'camera');
+        assert.strictEqual(offline.online, false);
+        assert.strictEqual(typeof offline.offlineSince, 'number');
+        assert.strictEqual(offline.readerCount, 0);
+        assert.deepStrictEqual(updates, [['camera:true', 'screen:true'], ['screen:true', 'camera:false']], 'online streams first');
+        
+        // Retention is 0: the next poll without it drops it
+        await new Promise(resolve => setTimeout(resolve, 5));
+        assert.deepStrictEqual((await list.refresh()).map(stream => stream.stream), ['screen']);
+    });
+    
+    it('follows a stream going offline and coming back', async () => {
+        streams.splice(0, streams.length, { ...camera, onlineFor: 20, offlineFor: 10 });
+        list.offlineRetention = 60000;
+        const firstSeen = (await list.refresh())[0].firstSeen;
+        
+        clock = 25000;
+        assert.strictEqual((await list.refresh())[0].online, false);
+        
+        clock = 31000;
+        const [back] = await list.refresh();
+        assert.strictEqual(back.online, true);
+        assert.strictEqual(back.offlineSince, null);
+        assert.strictEqual(back.firstSeen, firstSeen, 'the same stream, not a new one');
+    });
+    
+    it('rejects with the server message on a non-zero code', async () => {
+        const secured = await startMockServer({ streams, secret: 'right' });
+        list = new ZLMMediaList({ urlBuilder: new ZLMUrlBuilder({ serverBase: secured.baseUrl, secret: 'wrong' }) });
+        try {
+            await assert.rejects(list.refresh(), /ZLMediaKit error: Incorrect secret/);
+        } finally {
+            await secured.close();
+        }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,282 @@
+/**
+ * Metadata for synchronized overlays: SEI of FLV and MPEG-TS streams, the
+ * DataChannel and encoded frames of WebRTC, and ZLMMetadataOverlay
+ */
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FakeCanvas, FakeVideoElement, createFakeMpegts, installBrowser, startMockServer, waitFor } = require('./helpers/fake-browser.js');
+const { METADATA_UUID } = require('../mock/zlm-mock-server.js');
+const ZLMPlayerBase = require('../player/zlm-player-base.js');
+const ZLMTsParser = require('../player/zlm-ts-parser.js');
+const ZLMStreamPlayer = require('../player/zlm-flv-player.js');
+const ZLMWebRTCPlayer = require('../player/zlm-webrtc-player.js');
+const ZLMMetadataOverlay = require('../player/zlm-metadata-overlay.js');
+
+const UUID = METADATA_UUID.toString('hex');
+
+/**
+ * An Annex B access unit: a JSON user_data_unregistered SEI and a slice
+ * @param {Object} data - The metadata
+ * @returns {Buffer}
+ */
+const accessUnit = (data) => {
+    const payload = Buffer.concat([METADATA_UUID, Buffer.from(JSON.stringify(data))]);
+    const size = [...Array(Math.floor(payload.length / 255)).fill(0xFF), payload.length % 255];
+    return Buffer.concat([
+        Buffer.from([0, 0, 0, 1, 0x06, 5, ...size]), payload, Buffer.from([0x80]),
+        Buffer.from([0, 0, 0, 1, 0x41, 0x9A, 0x02, 0x04])
+    ]);
+};
+
+/**
+ * A 188 byte transport packet, padded with adaptation field stuffing
+ * @param {number} pid - Packet id
+ * @param {boolean} payloadStart - Whether a PES packet or table starts here
+ * @param {Buffer} payload - Up to 184 bytes
+ * @returns {Buffer}
+ */
+const tsPacket = (pid, payloadStart, payload) => {
+    const packet = Buffer.alloc(188, 0xFF);
+    packet[0] = 0x47;
+    packet[1] = (payloadStart ? 0x40 : 0) | (pid >> 8);
+    packet[2] = pid & 0xFF;
+    if (payload.length >= 184) {
+        packet[3] = 0x10;
+    } else {
+        packet[3] = 0x30;
+        packet[4] = 183 - payload.length;
+        if (payload.length < 183) packet[5] = 0;
+    }
+    payload.copy(packet, 188 - Math.min(payload.length, 184), 0, 184);
+    return packet;
+};
+
+/**
+ * A PES timestamp field
+ * @param {number} prefix - 0x2 (PTS only), 0x3 (PTS of PTS+DTS) or 0x1 (DTS)
+ * @param {number} ticks - 90 kHz ticks
+ * @returns {number[]}
+ */
+const pesTimestamp = (prefix, ticks) => [
+    (prefix << 4) | (((ticks >>> 30) & 0x07) << 1) | 1,
+    (ticks >>> 22) & 0xFF,
+    (((ticks >>> 15) & 0x7F) << 1) | 1,
+    (ticks >>> 7) & 0xFF,
+    ((ticks & 0x7F) << 1) | 1
+];
+
+/**
+ * An MPEG-TS stream: PAT, PMT (H.264 on PID 0x100, AAC on 0x101), then one PES per access unit
+ * @param {Array} frames - [{ pts, dts, data, audio? }] with timestamps in 90 kHz ticks; audio frames have no dts
+ * @returns {Buffer}
+ */
+const tsStream = (frames) => {
+    const pat = Buffer.from([0, 0x00, 0xB0, 13, 0, 1, 0xC1, 0, 0, 0, 1, 0xF0, 0x00, 0, 0, 0, 0]);
+    const pmt = Buffer.from([0, 0x02, 0xB0, 23, 0, 1, 0xC1, 0, 0, 0xE1, 0x00, 0xF0, 0,
+        0x1B, 0xE1, 0x00, 0xF0, 0, 0x0F, 0xE1, 0x01, 0xF0, 0, 0, 0, 0, 0]);
+    const packets = [tsPacket(0, true, pat), tsPacket(0x1000, true, pmt)];
+    
+    frames.forEach(frame => {
+        const header = frame.audio
+            ? [0, 0, 1, 0xC0, 0, 0, 0x80, 0x80, 5, ...pesTimestamp(0x2, frame.pts)]
+            : [0, 0, 1, 0xE0, 0, 0, 0x80, 0xC0, 10, ...pesTimestamp(0x3, frame.pts), ...pesTimestamp(0x1, frame.dts)];
+        const pes = Buffer.concat([Buffer.from(header), frame.data]);
+        for (let offset = 0; offset < pes.length; offset += 184) {
+            packets.push(tsPacket(frame.audio ? 0x101 : 0x100, offset === 0, pes.subarray(offset, offset + 184)));
+        }
+    });
+    return Buffer.concat(packets);
+};
+
+describe('ZLMTsParser', () => {
+    it('reads the SEI of video PES packets split over transport packets and chunks', () => {
+        const parser = new ZLMTsParser();
+        const messages = [];
+        parser.onSei = (sei) => messages.push(sei);
+        
+        const padding = 'x'.repeat(300);
+        const stream = tsStream([
+            { pts: 93600, dts: 90000, data: accessUnit({ frame: 1, padding }) },
+            { pts: 97200, dts: 93600, data: accessUnit({ frame: 2 }) },
+            { pts: 100800, dts: 97200, data: accessUnit({ frame: 3 }) }
+        ]);
+        for (let offset = 0; offset < stream.length; offset += 100) {
+            parser.push(stream.subarray(offset, offset + 100));
+        }
+        
+        // A PES packet is complete when the next one starts
+        assert.strictEqual(parser.videoCodec, 'h264');
+        assert.strictEqual(parser.firstTimestamp, 1000);
+        assert.deepStrictEqual(messages.map(sei => [sei.uuid, sei.dts, sei.pts]), [[UUID, 1000, 1040], [UUID, 1040, 1080]]);
+        assert.deepStrictEqual(ZLMPlayerBase.decodeMetadata(messages[0].payload), { frame: 1, padding });
+    });
+    
+    it('keeps the timestamps of the newest audio and video PES packets', () => {
+        const parser = new ZLMTsParser();
+        parser.push(tsStream([
+            { pts: 93600, dts: 90000, data: accessUnit({ frame: 1 }) },
+            { audio: true, pts: 108000, data: Buffer.from([0xFF, 0xF1, 0x50, 0x80, 0x01, 0x7F, 0xFC]) },
+            { pts: 97200, dts: 93600, data: accessUnit({ frame: 2 }) }
+        ]));
+        
+        assert.strictEqual(parser.audioCodec, 'aac');
+        assert.deepStrictEqual(parser.lastTimestamps, { audio: 1200, video: 1080 });
+        parser.reset();
+        assert.deepStrictEqual(parser.lastTimestamps, { audio: null, video: null });
+    });
+});
+
+describe('ZLMPlayerBase.decodeMetadata', () => {
+    it('decodes JSON, then text, and keeps other data as bytes', () => {
+        const bytes = (text) => new TextEncoder().encode(text);
+        assert.deepStrictEqual(ZLMPlayerBase.decodeMetadata(bytes('{"boxes":[]}')), { boxes: [] });
+        assert.strictEqual(ZLMPlayerBase.decodeMetadata(bytes('person\0')), 'person');
+        assert.deepStrictEqual(ZLMPlayerBase.decodeMetadata(new Uint8Array([0, 0, 1, 0x9F])), new Uint8Array([0, 0, 1, 0x9F]));
+    });
+});
+
+describe('Player metadata', () => {
+    const streams = [{ app: 'live', stream: 'test', video: ['H264', 1280, 720, 25], audio: null, readers: 0, metadata: true }];
+    let mock;
+    let restore;
+    let player;
+    
+    before(async () => {
+        mock = await startMockServer({ streams, frameInterval: 20 });
+    });
+    
+    after(() => mock.close());
+    
+    beforeEach(() => {
+        restore = installBrowser();
+    });
+    
+    afterEach(() => {
+        if (player) player.stop();
+        player = null;
+        restore();
+    });
+    
+    it('emits the JSON SEI of an HTTP-FLV stream on the media clock', async () => {
+        player = new ZLMStreamPlayer({
+            videoElement: new FakeVideoElement(),
+            mpegts: createFakeMpegts(),
+            latencyMeter: false,
+            metadata: { seiUuid: UUID }
+        });
+        player.onError = () => {};
+        const received = waitFor(player, 'metadata');
+        
+        await player.play(`${mock.baseUrl}/live/test.live.flv`);
+        const [frameTimestamp, payload, info] = await received;
+        
+        assert.ok(frameTimestamp >= 0 && frameTimestamp < 1);
+        assert.strictEqual(payload.boxes[0].label, 'object');
+        assert.deepStrictEqual(info, { source: 'sei', clock: 'media', uuid: UUID });
+    });
+    
+    it('emits DataChannel messages and the SEI of encoded WebRTC frames', async () => {
+        player = new ZLMWebRTCPlayer({ videoElement: new FakeVideoElement(), iceServers: [], metadata: true });
+        player.onError = () => {};
+        const events = [];
+        player.on('metadata', (...args) => events.push(args));
+        
+        const connected = waitFor(player, 'connected');
+        await player.play(`${mock.baseUrl}/index/api/webrtc?app=live&stream=test&type=play`);
+        await connected;
+        
+        const pc = player.peerConnection;
+        assert.strictEqual(pc.config.encodedInsertableStreams, true);
+        assert.strictEqual(player.dataChannel.label, 'metadata');
+        assert.match(pc.localDescription.sdp, /^m=application/m);
+        
+        player.dataChannel.receive(JSON.stringify({ rtpTimestamp: 180000, boxes: [] }));
+        player.dataChannel.receive('door open');
+        
+        const frame = accessUnit({ frame: 7 });
+        pc.receivers[0].deliver(frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.length), 270000);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        
+        assert.deepStrictEqual(events, [
+            [2, { rtpTimestamp: 180000, boxes: [] }, { source: 'datachannel', clock: 'rtp', label: 'metadata' }],
+            [null, 'door open', { source: 'datachannel', clock: null, label: 'metadata' }],
+            [3, { frame: 7 }, { source: 'sei', clock: 'rtp', uuid: UUID }]
+        ]);
+        assert.strictEqual(pc.receivers[0].played.length, 1, 'the frame is passed on');
+        
+        player.stop();
+        assert.strictEqual(player.dataChannel, null);
+        assert.strictEqual(pc.dataChannels[0].readyState, 'closed');
+    });
+});
+
+describe('ZLMMetadataOverlay', () => {
+    let restore;
+    let video;
+    let canvas;
+    let overlay;
+    
+    beforeEach(() => {
+        restore = installBrowser();
+        video = new FakeVideoElement();
+        video.videoWidth = 200;
+        video.videoHeight = 100;
+        canvas = new FakeCanvas(200, 100);
+        overlay = new ZLMMetadataOverlay({ videoElement: video, canvas, holdTime: 0.5 });
+    });
+    
+    afterEach(() => {
+        overlay.destroy();
+        restore();
+    });
+    
+    const pixel = (x, y) => Array.from(canvas.getContext('2d').getImageData(x, y, 1, 1).data);
+    const GREEN = [0x00, 0xE6, 0x76, 255];
+    
+    it('draws each box once the displayed frame reaches its timestamp', () => {
+        overlay.push(1.0, { boxes: [{ x: 0.1, y: 0.2, width: 0.5, height: 0.5 }] }, { clock: 'media' });
+        overlay.push(2.0, { boxes: [{ x: 100, y: 10, width: 50, height: 50 }] }, { clock: 'media' });
+        overlay.start();
+        
+        video.presentFrame({ mediaTime: 0.96 });
+        assert.strictEqual(overlay.shown, null, 'not before its frame');
+        assert.deepStrictEqual(pixel(20, 20), [0, 0, 0, 0]);
+        
+        video.presentFrame({ mediaTime: 1.0 });
+        assert.deepStrictEqual(pixel(20, 20), GREEN, 'normalized box');
+        
+        video.presentFrame({ mediaTime: 1.6 });
+        assert.strictEqual(overlay.shown, null, 'gone after the hold time');
+        assert.deepStrictEqual(pixel(20, 20), [0, 0, 0, 0]);
+        
+        video.presentFrame({ mediaTime: 2.04 });
+        assert.deepStrictEqual(pixel(100, 10), GREEN, 'box in video pixels');
+        assert.deepStrictEqual(pixel(20, 20), [0, 0, 0, 0]);
+    });
+    
+    it('follows the RTP clock and letterboxes the picture', () => {
+        video.videoWidth = 100;
+        overlay.push(10, [{ x: 0, y: 0, width: 1, height: 1, color: '#ff0000' }], { clock: 'rtp' });
+        
+        overlay.render({ mediaTime: 50, rtpTimestamp: 899910 });
+        assert.strictEqual(overlay.shown, null);
+        
+        overlay.render({ mediaTime: 50, rtpTimestamp: 900000 });
+        // A 100x100 picture in the middle of the 200x100 canvas
+        assert.deepStrictEqual(pixel(50, 50), [255, 0, 0, 255]);
+        assert.deepStrictEqual(pixel(10, 50), [0, 0, 0, 0]);
+    });
+    
+    it('shows the metadata events of a player', () => {
+        const player = new ZLMPlayerBase();
+        player.metadata = {};
+        overlay.attach(player);
+        
+        player._emit('metadata', null, { boxes: [{ x: 0, y: 0, width: 0.5, height: 0.5 }] }, { source: 'datachannel', clock: null });
+        video.presentFrame({ mediaTime: 0 });
+        assert.deepStrictEqual(pixel(0, 0), GREEN, 'drawn at once without a timestamp');
+        
+        overlay.detach();
+        assert.strictEqual((player._listeners.metadata || []).length, 0);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,281 @@
+/**
+ * Network proxy impairments, control API and WebRTC candidate relaying,
+ * against the mock ZLMediaKit server and plain local servers
+ */
+const { describe, it, before, after, beforeEach, mock: mocks } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const dgram = require('dgram');
+const { startMockServer } = require('./helpers/fake-browser.js');
+const { createNetworkProxy, NetworkLink, PROFILES } = require('../mock/zlm-network-proxy.js');
+const ZLMNetworkSimulator = require('../player/zlm-network-simulator.js');
+const ZLMSessionRecorder = require('../player/zlm-session-recorder.js');
+
+const listen = (server) => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+const close = (server) => new Promise(resolve => {
+    if (server.closeAllConnections) server.closeAllConnections();
+    server.close(() => resolve());
+});
+
+describe('ZLM network proxy', () => {
+    let mock;
+    let proxy;
+    let proxyUrl;
+    let echo;
+    let echoPort;
+    
+    const answer = () => ({
+        code: 0,
+        id: 'session1',
+        type: 'answer',
+        sdp: [
+            'v=0',
+            'm=video 9 UDP/TLS/RTP/SAVPF 96',
+            `a=candidate:1 1 udp 2130706431 127.0.0.1 ${echoPort} typ host`,
+            `a=candidate:2 1 tcp 1518280447 127.0.0.1 ${echoPort} typ host tcptype passive`,
+            'a=end-of-candidates',
+            ''
+        ].join('\r\n')
+    });
+    const streams = [{ app: 'live', stream: 'test', video: ['H264', 640, 360, 25], audio: null, readers: 0 }];
+    
+    const control = (body, headers = {}) => fetch(`${proxyUrl}/__network`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    
+    const signal = () => fetch(`${proxyUrl}/index/api/webrtc?app=live&stream=test&type=play`, { method: 'POST', body: 'v=0\r\nm=video 9 UDP/TLS/RTP/SAVPF 96\r\n' });
+    
+    before(async () => {
+        // UDP echo server standing in for the ZLMediaKit RTC port
+        echo = dgram.createSocket('udp4');
+        echo.on('message', (message, remote) => echo.send(message, remote.port, remote.address));
+        await new Promise(resolve => echo.bind(0, '127.0.0.1', resolve));
+        echoPort = echo.address().port;
+        
+        streams[0].webrtc = answer();
+        mock = await startMockServer({ streams });
+        proxy = createNetworkProxy({ target: mock.baseUrl });
+        proxyUrl = await listen(proxy);
+    });
+    
+    after(async () => {
+        await close(proxy);
+        await mock.close();
+        echo.close();
+    });
+    
+    beforeEach(() => {
+        proxy.setProfile('none');
+        proxy.network.target = mock.baseUrl;
+    });
+    
+    it('forwards requests to the target unchanged without impairment', async () => {
+        proxy.setProfile('none');
+        const response = await fetch(`${proxyUrl}/live/missing.live.flv`);
+        assert.strictEqual(response.status, 404);
+        assert.strictEqual(mock.server.requests.at(-1).path, '/live/missing.live.flv');
+    });
+    
+    it('adds the one-way delay in both directions', async () => {
+        proxy.setProfile(null, { delay: 150 });
+        const started = Date.now();
+        const response = await fetch(`${proxyUrl}/live/missing.live.flv`);
+        await response.text();
+        assert.ok(Date.now() - started >= 290, `round trip took ${Date.now() - started}ms`);
+    });
+    
+    it('caps the bandwidth of a download', async () => {
+        const body = Buffer.alloc(100 * 1024);
+        const target = http.createServer((req, res) => res.end(body));
+        proxy.network.target = await listen(target);
+        proxy.setProfile(null, { bandwidth: 1600 });
+        
+        try {
+            const started = Date.now();
+            const response = await fetch(`${proxyUrl}/file`);
+            const received = Buffer.from(await response.arrayBuffer());
+            const elapsed = Date.now() - started;
+            
+            assert.strictEqual(received.length, body.length);
+            // 100 KiB at 1600 kbps takes 512 ms
+            assert.ok(elapsed >= 450, `download took ${elapsed}ms`);
+        } finally {
+            await close(target);
+        }
+    });
+    
+    it('delays lost TCP segments instead of dropping them', () => {
+        const settings = { bandwidth: 0, delay: 10, jitter: 0, loss: 100 };
+        const link = new NetworkLink(() => settings);
+        const flow = { last: 0 };
+        const delivered = [];
+        
+        link.send(1000, () => delivered.push('tcp'), flow);
+        link.send(1000, () => delivered.push('udp'));
+        
+        assert.strictEqual(link.stats.retransmits, 1);
+        assert.strictEqual(link.stats.dropped, 1);
+        assert.ok(flow.last - Date.now() >= 200);
+    });
+    
+    it('switches profiles and target through the control API', async () => {
+        let response = await fetch(`${proxyUrl}/__network`);
+        let status = await response.json();
+        assert.strictEqual(status.profile, 'none');
+        assert.strictEqual(status.target, mock.baseUrl);
+        assert.deepStrictEqual(status.profiles, PROFILES);
+        
+        response = await control({ profile: '3g' });
+        status = await response.json();
+        assert.strictEqual(status.profile, '3g');
+        assert.deepStrictEqual(status.settings, PROFILES['3g']);
+        
+        response = await control({ settings: { loss: 5 } });
+        status = await response.json();
+        assert.strictEqual(status.profile, 'custom');
+        assert.deepStrictEqual(status.settings, { ...PROFILES['3g'], loss: 5 });
+        
+        response = await control({ profile: 'dial-up' });
+        assert.strictEqual(response.status, 400);
+        
+        response = await control({ target: 'http://zlm.example:8080/ignored' });
+        assert.strictEqual((await response.json()).target, 'http://zlm.example:8080');
+    });
+    
+    it('only lets local or allowed pages use the control API', async () => {
+        let response = await control({ target: 'http://evil.example' }, { Origin: 'https://evil.example' });
+        assert.strictEqual(response.status, 403);
+        assert.strictEqual(response.headers.get('access-control-allow-origin'), null);
+        
+        // A form or text/plain post needs no preflight, so it is refused
+        response = await fetch(`${proxyUrl}/__network`, { method: 'POST', body: JSON.stringify({ target: 'http://evil.example' }) });
+        assert.strictEqual(response.status, 415);
+        assert.strictEqual(proxy.network.target, mock.baseUrl);
+        
+        response = await fetch(`${proxyUrl}/__network`, { method: 'OPTIONS', headers: { Origin: 'http://localhost:8080' } });
+        assert.strictEqual(response.status, 204);
+        assert.strictEqual(response.headers.get('access-control-allow-origin'), 'http://localhost:8080');
+        
+        const allowed = createNetworkProxy({ allowedOrigins: ['https://tools.example'] });
+        const allowedUrl = await listen(allowed);
+        try {
+            response = await fetch(`${allowedUrl}/__network`, { headers: { Origin: 'https://tools.example' } });
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers.get('access-control-allow-origin'), 'https://tools.example');
+            response = await fetch(`${allowedUrl}/__network`, { headers: { Origin: 'null' } });
+            assert.strictEqual(response.status, 403);
+        } finally {
+            await close(allowed);
+        }
+    });
+    
+    it('answers 502 without a target', async () => {
+        proxy.network.target = null;
+        const response = await fetch(`${proxyUrl}/live/test.live.flv`);
+        assert.strictEqual(response.status, 502);
+    });
+    
+    it('relays the UDP candidates of a WebRTC answer and drops TCP candidates', async () => {
+        const result = await (await signal()).json();
+        const candidates = result.sdp.split('\r\n').filter(line => line.startsWith('a=candidate:'));
+        
+        assert.strictEqual(candidates.length, 1);
+        const [, , , , host, port] = candidates[0].split(' ');
+        assert.strictEqual(host, '127.0.0.1');
+        assert.notStrictEqual(Number(port), echoPort);
+        
+        // Datagrams reach the server through the relay and the replies come back
+        const client = dgram.createSocket('udp4');
+        try {
+            const reply = new Promise(resolve => client.once('message', message => resolve(message.toString())));
+            client.send('stun-binding', Number(port), host);
+            assert.strictEqual(await reply, 'stun-binding');
+        } finally {
+            client.close();
+        }
+    });
+    
+    it('answers 502 when the candidates of an answer cannot be relayed', async () => {
+        mocks.method(dgram, 'createSocket', () => {
+            throw new Error('EMFILE: too many open files');
+        });
+        try {
+            const response = await signal();
+            assert.strictEqual(response.status, 502);
+            assert.match(await response.text(), /EMFILE/);
+        } finally {
+            mocks.restoreAll();
+        }
+    });
+    
+    it('relays WebSocket upgrades', async () => {
+        const target = http.createServer();
+        target.on('upgrade', (req, socket, head) => {
+            socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nX-Path: ${req.url}\r\n\r\n`);
+            socket.write(head);
+            socket.on('data', data => socket.write(data));
+            socket.on('end', () => socket.end());
+        });
+        proxy.network.target = await listen(target);
+        
+        const socket = net.connect(Number(new URL(proxyUrl).port), '127.0.0.1');
+        try {
+            const received = await new Promise((resolve, reject) => {
+                let data = '';
+                socket.on('data', chunk => {
+                    data += chunk;
+                    if (data.endsWith('ping')) resolve(data);
+                });
+                socket.on('error', reject);
+                socket.write('GET /live/test.live.flv HTTP/1.1\r\nHost: proxy\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n');
+                socket.write('ping');
+            });
+            assert.match(received, /^HTTP\/1\.1 101/);
+            assert.match(received, /X-Path: \/live\/test\.live\.flv/);
+        } finally {
+            socket.destroy();
+            await close(target);
+        }
+    });
+    
+    it('is driven by ZLMNetworkSimulator', async () => {
+        const simulator = new ZLMNetworkSimulator({ proxyUrl: `${proxyUrl}/` });
+        
+        let status = await simulator.setProfile('4g');
+        assert.strictEqual(status.profile, '4g');
+        status = await simulator.setTarget(mock.baseUrl);
+        assert.strictEqual(simulator.status.target, mock.baseUrl);
+        await assert.rejects(simulator.setProfile('dial-up'), /400: Unknown profile: dial-up/);
+        
+        assert.strictEqual(ZLMNetworkSimulator.describe(PROFILES['3g']), '1.5 Mbps, 150±40 ms, 1% loss');
+        assert.strictEqual(ZLMNetworkSimulator.describe(PROFILES.none), 'unimpaired');
+    });
+});
+
+describe('ZLMSessionRecorder context', () => {
+    it('records the network conditions with every entry', () => {
+        const recorder = new ZLMSessionRecorder();
+        recorder.setContext({ network: 'cable', delay: 10 });
+        recorder.start();
+        recorder.record('a', 'stats', null, { latency: 100 });
+        recorder.setContext({ network: '3g', delay: 150 });
+        recorder.record('a', 'stats', null, { latency: 400 });
+        recorder.setContext(null);
+        recorder.record('a', 'stats', null, { latency: 90 });
+        
+        assert.deepStrictEqual(recorder.entries.map(entry => entry.context && entry.context.network),
+            ['cable', 'cable', '3g', '3g', null, null]);
+        assert.deepStrictEqual(recorder.entries.filter(entry => entry.type === 'marker').map(entry => entry.data.network),
+            ['cable', '3g', undefined]);
+        
+        const [header, ...rows] = recorder.toCSV().trim().split('\n');
+        assert.ok(header.includes('context.delay,context.network'));
+        assert.match(rows[3], /,150,3g,/);
+    });
+});
\ No newline at end of file
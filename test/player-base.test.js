@@ -0,0 +1,146 @@
+/**
+ * ZLMPlayerBase events and state lifecycle
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { FakeVideoElement } = require('./helpers/fake-browser.js');
+const ZLMPlayerBase = require('../player/zlm-player-base.js');
+
+class TestPlayer extends ZLMPlayerBase {
+    constructor() {
+        super();
+        this.teardowns = 0;
+        this.onConnected = () => {};
+        this.onDisconnected = () => {};
+        this.onStateChange = (state, previous) => {};
+    }
+    
+    _teardown() {
+        super._teardown();
+        this.teardowns++;
+    }
+}
+
+describe('ZLMPlayerBase', () => {
+    it('calls the callback slot before the listeners', () => {
+        const player = new TestPlayer();
+        const calls = [];
+        player.onConnected = () => calls.push('slot');
+        player.on('connected', () => calls.push('listener'));
+        
+        player._emit('connected');
+        assert.deepStrictEqual(calls, ['slot', 'listener']);
+    });
+    
+    it('removes listeners with off() and once()', () => {
+        const player = new TestPlayer();
+        const calls = [];
+        const listener = (value) => calls.push(`on ${value}`);
+        player.on('stats', listener);
+        player.once('stats', (value) => calls.push(`once ${value}`));
+        
+        player._emit('stats', 1);
+        player.off('stats', listener);
+        player._emit('stats', 2);
+        
+        assert.deepStrictEqual(calls, ['on 1', 'once 1']);
+    });
+    
+    it('keeps emitting when a listener throws', () => {
+        const player = new TestPlayer();
+        const calls = [];
+        const error = console.error;
+        console.error = () => {};
+        try {
+            player.on('log', () => { throw new Error('boom'); });
+            player.on('log', () => calls.push('second'));
+            player._emit('log', 'message', 'info');
+        } finally {
+            console.error = error;
+        }
+        assert.deepStrictEqual(calls, ['second']);
+    });
+    
+    it('reports state changes with the previous state', () => {
+        const player = new TestPlayer();
+        const changes = [];
+        player.on('statechange', (state, previous) => changes.push(`${previous}->${state}`));
+        
+        player._setState('connecting');
+        player._setState('connecting');
+        player._setState('playing');
+        
+        assert.deepStrictEqual(changes, ['idle->connecting', 'connecting->playing']);
+    });
+    
+    it('emits disconnected on stop only when it was connected', () => {
+        const player = new TestPlayer();
+        let disconnected = 0;
+        player.on('disconnected', () => disconnected++);
+        
+        player.stop();
+        assert.strictEqual(player.state, 'idle');
+        
+        player._setState('connecting');
+        player.stop();
+        assert.strictEqual(player.state, 'stopped');
+        assert.strictEqual(disconnected, 0);
+        
+        player._setState('playing');
+        player.stop();
+        assert.strictEqual(disconnected, 1);
+        assert.strictEqual(player.teardowns, 3);
+    });
+    
+    it('tracks stalls from media element events and removes its listeners on teardown', () => {
+        const player = new TestPlayer();
+        const video = new EventTarget();
+        player._setState('playing');
+        player._trackStalls(video);
+        
+        video.dispatchEvent(new Event('waiting'));
+        assert.strictEqual(player.state, 'stalled');
+        video.dispatchEvent(new Event('playing'));
+        assert.strictEqual(player.state, 'playing');
+        
+        player._teardown();
+        video.dispatchEvent(new Event('waiting'));
+        assert.strictEqual(player.state, 'playing');
+    });
+});
+
+describe('script-tag pages', () => {
+    // Classic scripts in one global scope, without require
+    const loadScripts = (...files) => {
+        const context = vm.createContext({ console: { log() {}, error() {}, warn() {} }, setTimeout, clearTimeout, URL, AbortController });
+        context.window = context;
+        files.forEach(file => {
+            vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'player', file), 'utf8'), context, { filename: file });
+        });
+        return context;
+    };
+    
+    it('needs the base class before a player', () => {
+        assert.throws(() => loadScripts('zlm-webrtc-player.js'), /zlm-player-base\.js is required/);
+    });
+    
+    it('plays without the optional logger, latency meter and codec probe', () => {
+        const page = loadScripts('zlm-player-base.js', 'zlm-webrtc-player.js', 'zlm-flv-player.js');
+        page.mpegts = { isSupported: () => true, getFeatureList: () => ({ mseLivePlayback: true }), Events: {} };
+        
+        const webrtc = new page.ZLMWebRTCPlayer({ videoElement: new FakeVideoElement() });
+        const logged = [];
+        webrtc.on('log', message => logged.push(message));
+        webrtc._log('no logger');
+        assert.strictEqual(webrtc.logger, null);
+        assert.strictEqual(webrtc.latencyMeter, null);
+        assert.deepStrictEqual(logged, ['no logger']);
+        
+        const flv = new page.ZLMFLVPlayer({ videoElement: new FakeVideoElement() });
+        assert.strictEqual(flv.codecCheck, false);
+        assert.strictEqual(flv.logger, null);
+    });
+});
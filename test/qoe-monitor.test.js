@@ -0,0 +1,162 @@
+/**
+ * ZLMQoEMonitor metrics and scoring, driven by a fake clock and frame callbacks
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FakeVideoElement } = require('./helpers/fake-browser.js');
+const ZLMQoEMonitor = require('../player/zlm-qoe-monitor.js');
+
+describe('ZLMQoEMonitor', () => {
+    let clock;
+    let video;
+    let monitor;
+    
+    // Show `count` frames, `interval` ms apart
+    const frames = (count, interval = 40) => {
+        for (let i = 0; i < count; i++) {
+            clock += interval;
+            const callbacks = video.frameCallbacks.splice(0);
+            callbacks.forEach(callback => callback(clock, {}));
+            monitor._check();
+        }
+    };
+    
+    beforeEach(() => {
+        clock = 1000;
+        video = new FakeVideoElement();
+        video.paused = false;
+        video.frameCallbacks = [];
+        video.requestVideoFrameCallback = (callback) => video.frameCallbacks.push(callback);
+        video.quality = { droppedVideoFrames: 0, totalVideoFrames: 0 };
+        video.getVideoPlaybackQuality = () => video.quality;
+        monitor = new ZLMQoEMonitor({ videoElement: video, now: () => clock });
+    });
+    
+    afterEach(() => monitor.stop());
+    
+    it('measures the startup time to the first frame', () => {
+        const events = [];
+        monitor.onEvent = (type, data) => events.push([type, data]);
+        monitor.start();
+        
+        clock += 760;
+        frames(1, 0);
+        frames(50);
+        
+        const metrics = monitor.getMetrics();
+        assert.strictEqual(metrics.startupTime, 760);
+        assert.deepStrictEqual(events, [['firstframe', { startupTime: 760 }]]);
+        assert.strictEqual(metrics.freezeCount, 0);
+        assert.strictEqual(metrics.score, 97);
+    });
+    
+    it('detects frozen frames from gaps between frames', () => {
+        monitor.start();
+        frames(50);
+        
+        // No frame for a second
+        clock += 1000;
+        monitor._check();
+        assert.strictEqual(monitor.getMetrics().freezeCount, 1);
+        frames(1, 0);
+        frames(50);
+        
+        const metrics = monitor.getMetrics();
+        assert.strictEqual(metrics.freezeCount, 1);
+        assert.strictEqual(metrics.freezeDuration, 1000);
+        assert.ok(Math.abs(metrics.stallRatio - 0.2) < 0.01, `stall ratio ${metrics.stallRatio}`);
+        assert.ok(metrics.score < 70, `score ${metrics.score}`);
+    });
+    
+    it('counts rebuffering between waiting and playing, not as a freeze', () => {
+        monitor.start();
+        frames(25);
+        
+        video.dispatchEvent(new Event('waiting'));
+        clock += 500;
+        monitor._check();
+        video.dispatchEvent(new Event('playing'));
+        frames(25);
+        
+        const metrics = monitor.getMetrics();
+        assert.strictEqual(metrics.rebufferCount, 1);
+        assert.strictEqual(metrics.rebufferDuration, 500);
+        assert.strictEqual(metrics.freezeCount, 0);
+    });
+    
+    it('ignores waiting before the first frame and gaps while paused', () => {
+        monitor.start();
+        video.dispatchEvent(new Event('waiting'));
+        frames(10);
+        
+        video.paused = true;
+        clock += 2000;
+        monitor._check();
+        
+        const metrics = monitor.getMetrics();
+        assert.strictEqual(metrics.rebufferCount, 0);
+        assert.strictEqual(metrics.freezeCount, 0);
+    });
+    
+    it('reports dropped frames since start', () => {
+        video.quality = { droppedVideoFrames: 5, totalVideoFrames: 100 };
+        monitor.start();
+        frames(10);
+        video.quality = { droppedVideoFrames: 15, totalVideoFrames: 200 };
+        
+        const metrics = monitor.getMetrics();
+        assert.strictEqual(metrics.droppedFrames, 10);
+        assert.strictEqual(metrics.totalFrames, 100);
+        assert.strictEqual(metrics.droppedRatio, 0.1);
+    });
+    
+    it('keeps the final metrics after stop', () => {
+        let update = null;
+        monitor.onUpdate = (metrics) => { update = metrics; };
+        monitor.start();
+        frames(25);
+        monitor.stop();
+        clock += 5000;
+        
+        assert.strictEqual(monitor.running, false);
+        assert.strictEqual(update.sessionDuration, 1000);
+        assert.deepStrictEqual(monitor.getMetrics(), update);
+    });
+    
+    it('follows the playback position of audio-only playback', () => {
+        monitor = new ZLMQoEMonitor({ videoElement: video, now: () => clock, audioOnly: true });
+        video.quality = { droppedVideoFrames: 5, totalVideoFrames: 10 };
+        const advance = (count, step = 0.1) => {
+            for (let i = 0; i < count; i++) {
+                clock += 100;
+                video.currentTime += step;
+                monitor._check();
+            }
+        };
+        monitor.start();
+        
+        clock += 300;
+        video.dispatchEvent(new Event('playing'));
+        advance(20);
+        assert.strictEqual(monitor.getMetrics().startupTime, 300);
+        
+        // The position stands still for a second
+        advance(10, 0);
+        advance(20);
+        
+        const metrics = monitor.getMetrics();
+        assert.strictEqual(metrics.freezeCount, 1);
+        assert.strictEqual(metrics.freezeDuration, 1100);
+        assert.strictEqual(metrics.totalFrames, 0, 'no video frames to drop');
+        assert.strictEqual(video.frameCallbacks.length, 0);
+        assert.ok(metrics.score > 0, 'scored like a video session');
+    });
+    
+    it('scores a session without a first frame as 0', () => {
+        monitor.start();
+        clock += 3000;
+        assert.strictEqual(monitor.getMetrics().startupTime, null);
+        assert.strictEqual(monitor.getMetrics().score, 0);
+        assert.strictEqual(ZLMQoEMonitor.score({ sessionDuration: 0 }), null);
+    });
+});
\ No newline at end of file
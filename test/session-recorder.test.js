@@ -0,0 +1,168 @@
+/**
+ * ZLMSessionRecorder: recording players through events or callback slots,
+ * network context, the summary and the JSON and CSV exports
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { FakeElement, installBrowser } = require('./helpers/fake-browser.js');
+const ZLMPlayerBase = require('../player/zlm-player-base.js');
+const ZLMSessionRecorder = require('../player/zlm-session-recorder.js');
+
+const START = Date.parse('2026-01-01T00:00:00.000Z');
+
+describe('ZLMSessionRecorder', () => {
+    let recorder;
+    let player;
+    
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: START });
+        recorder = new ZLMSessionRecorder({ meta: { stream: 'test' } });
+        player = new ZLMPlayerBase();
+    });
+    
+    afterEach(() => mock.timers.reset());
+    
+    it('records the events of an attached player until it is detached', () => {
+        recorder.attach('panel-1', player, { protocol: 'webrtc', label: 'WebRTC' });
+        recorder.start({ server: 'http://zlm.local' });
+        
+        mock.timers.tick(100);
+        player._emit('connected');
+        player._emit('stats', { latency: 120, bitrate: 2000, video: { frameRate: 25 } });
+        mock.timers.tick(1000);
+        player._emit('stats', { latency: 180, bitrate: 1900, video: { frameRate: 24 } });
+        player._emit('reconnecting', 1, 'ice-restart');
+        player._emit('error', new Error('ICE failed'));
+        player._emit('log', 'ICE restart', 'info');
+        recorder.record('panel-1', 'qoe', null, { score: 93 });
+        
+        recorder.detach('panel-1');
+        player._emit('stats', { latency: 500 });
+        recorder.stop();
+        
+        assert.deepStrictEqual(recorder.entries.map(entry => [entry.t, entry.type, entry.message]), [
+            [100, 'event', 'connected'],
+            [100, 'stats', null],
+            [1100, 'stats', null],
+            [1100, 'event', 'reconnecting'],
+            [1100, 'error', 'ICE failed'],
+            [1100, 'log', 'ICE restart'],
+            [1100, 'qoe', null]
+        ]);
+        assert.deepStrictEqual(recorder.entries[3].data, { attempt: 1, strategy: 'ice-restart' });
+        assert.deepStrictEqual(recorder.meta, { stream: 'test', server: 'http://zlm.local' });
+        assert.deepStrictEqual(recorder.summarize()['panel-1'], {
+            protocol: 'webrtc',
+            label: 'WebRTC',
+            attachedAt: 0,
+            samples: 2,
+            errors: 1,
+            reconnects: 1,
+            latency: { min: 120, avg: 150, max: 180 },
+            qoe: { score: 93 }
+        });
+    });
+    
+    it('wraps the callbacks of players without events and restores them', () => {
+        const calls = [];
+        const legacy = { onStats: (stats) => calls.push(stats.bitrate), onConnected: () => calls.push('connected') };
+        const onStats = legacy.onStats;
+        recorder.start();
+        recorder.attach('legacy', legacy);
+        
+        legacy.onConnected();
+        legacy.onStats({ bitrate: 800 });
+        assert.deepStrictEqual(calls, ['connected', 800], 'the own callbacks still run');
+        assert.deepStrictEqual(recorder.entries.map(entry => entry.type), ['event', 'stats']);
+        
+        recorder.detach('legacy');
+        assert.strictEqual(legacy.onStats, onStats);
+    });
+    
+    it('keeps attached players and the context across a new start', () => {
+        recorder.attach('panel-1', player, { protocol: 'hls' });
+        recorder.attach('panel-2', new ZLMPlayerBase(), { protocol: 'http-flv' });
+        recorder.detach('panel-2');
+        recorder.setContext({ profile: '3g', delay: 200 });
+        
+        recorder.start();
+        player._emit('stats', { latency: 900 });
+        recorder.setContext(null);
+        player._emit('stats', { latency: 700 });
+        
+        assert.deepStrictEqual(Object.keys(recorder.players), ['panel-1']);
+        assert.deepStrictEqual(recorder.entries.map(entry => [entry.type, entry.message, entry.context]), [
+            ['marker', 'context', { profile: '3g', delay: 200 }],
+            ['stats', null, { profile: '3g', delay: 200 }],
+            ['marker', 'context', null],
+            ['stats', null, null]
+        ]);
+    });
+    
+    it('exports JSON that loads back for review', () => {
+        recorder.attach('panel-1', player, { protocol: 'webrtc' });
+        recorder.start();
+        mock.timers.tick(250);
+        player._emit('stats', { latency: 140 });
+        recorder.stop();
+        
+        const json = JSON.stringify(recorder.toJSON());
+        const loaded = ZLMSessionRecorder.fromJSON(json);
+        assert.strictEqual(loaded.recording, false);
+        assert.strictEqual(loaded.startedAt, START);
+        assert.strictEqual(loaded.endedAt, START + 250);
+        assert.deepStrictEqual(loaded.meta, { stream: 'test' });
+        assert.deepStrictEqual(loaded.entries, recorder.entries);
+        assert.deepStrictEqual(loaded.summarize()['panel-1'].latency, { min: 140, avg: 140, max: 140 });
+        
+        assert.throws(() => ZLMSessionRecorder.fromJSON({ entries: [] }), /Not a ZLM session export/);
+    });
+    
+    it('shows the summary of a loaded session as text, never as markup', () => {
+        const restore = installBrowser();
+        try {
+            const loaded = ZLMSessionRecorder.fromJSON({
+                format: 'zlm-session',
+                players: {
+                    'panel-1': { label: '<img src=x onerror=alert(1)>', config: '<b>webrtc</b>' },
+                    'idle': { label: 'Publisher' }
+                },
+                entries: [{ t: 0, player: 'panel-1', type: 'stats', message: null, data: { latency: 200 } }]
+            });
+            const container = new FakeElement('div');
+            const table = loaded.renderSummary(container);
+            
+            assert.deepStrictEqual(container.children, [table]);
+            assert.strictEqual(table.children.length, 2, 'a header and the player that took part');
+            assert.deepStrictEqual(table.children[1].children.map(cell => [cell.tagName, cell.textContent]), [
+                ['TD', '<img src=x onerror=alert(1)>'],
+                ['TD', '<b>webrtc</b>'],
+                ['TD', '1'],
+                ['TD', '200 / 200 / 200ms'],
+                ['TD', 'n/a'],
+                ['TD', '0'],
+                ['TD', '0']
+            ]);
+            assert.strictEqual(container.innerHTML, '', 'no markup is written');
+        } finally {
+            restore();
+        }
+    });
+    
+    it('exports CSV with flattened data, context columns and escaped values', () => {
+        recorder.attach('panel-1', player, { protocol: 'http-flv' });
+        recorder.start();
+        recorder.setContext({ profile: 'lossy' });
+        mock.timers.tick(40);
+        player._emit('stats', { latency: 95, video: { codec: 'avc1.42001e' }, tracks: ['video', 'audio'] });
+        player._emit('error', new Error('NetworkError: "stream" ended, reconnecting\nattempt 1'));
+        
+        const lines = recorder.toCSV().split('\n');
+        assert.strictEqual(lines[0], 't_ms,wall_clock,player,protocol,type,message,context.profile,latency,profile,tracks,video.codec');
+        assert.strictEqual(lines[1], '0,2026-01-01T00:00:00.000Z,,,marker,context,lossy,,lossy,,');
+        assert.strictEqual(lines[2], '40,2026-01-01T00:00:00.040Z,panel-1,http-flv,stats,,lossy,95,,video audio,avc1.42001e');
+        assert.strictEqual(`${lines[3]}\n${lines[4]}`,
+            '40,2026-01-01T00:00:00.040Z,panel-1,http-flv,error,"NetworkError: ""stream"" ended, reconnecting\nattempt 1",lossy,,,,');
+        assert.strictEqual(lines[5], '');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * ZLMStatsChart data handling: series, samples, per-second rates and the
+ * rolling window, with the DOM rendering and drawing stubbed out
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const ZLMStatsChart = require('../player/zlm-stats-chart.js');
+
+describe('ZLMStatsChart', () => {
+    let draws;
+    
+    beforeEach(() => {
+        draws = 0;
+        mock.method(ZLMStatsChart.prototype, '_render', () => {});
+        mock.method(ZLMStatsChart.prototype, '_renderLegend', () => {});
+        mock.method(ZLMStatsChart.prototype, '_scheduleDraw', () => { draws++; });
+    });
+    
+    afterEach(() => mock.restoreAll());
+    
+    const createChart = (options = {}) => new ZLMStatsChart({ container: {}, ...options });
+    const valuesOf = (series, key) => series.samples.map(sample => sample.values[key]);
+    
+    it('requires a container', () => {
+        assert.throws(() => new ZLMStatsChart(), /A container element is required/);
+    });
+    
+    it('adds series with their own label and color', () => {
+        const chart = createChart();
+        ZLMStatsChart.COLORS.forEach((color, index) => chart.addSeries(`player-${index}`));
+        chart.addSeries('webrtc', { label: 'WebRTC' });
+        chart.addSeries('hls', { color: '#000000' });
+        
+        assert.strictEqual(chart.series['player-0'].label, 'player-0');
+        assert.strictEqual(chart.series['player-1'].color, ZLMStatsChart.COLORS[1]);
+        assert.strictEqual(chart.series.webrtc.label, 'WebRTC');
+        assert.strictEqual(chart.series.webrtc.color, ZLMStatsChart.COLORS[0], 'the colors repeat');
+        assert.strictEqual(chart.series.hls.color, '#000000');
+        assert.strictEqual(draws, ZLMStatsChart.COLORS.length + 2);
+        
+        chart.removeSeries('webrtc');
+        assert.strictEqual(chart.series.webrtc, undefined);
+    });
+    
+    it('keeps the value of every metric, null when a player does not report it', () => {
+        const chart = createChart();
+        chart.addSeries('flv');
+        chart.push('flv', { bitrate: 2000, frameRate: 25, buffer: 0.4, latency: null }, 1000);
+        chart.push('flv', { bitrate: NaN, frameRate: '25' }, 2000);
+        chart.push('missing', { bitrate: 2000 }, 2000);
+        
+        assert.deepStrictEqual(chart.series.flv.samples, [
+            { time: 1000, values: { bitrate: 2000, frameRate: 25, droppedFrames: null, buffer: 0.4, latency: null } },
+            { time: 2000, values: { bitrate: null, frameRate: null, droppedFrames: null, buffer: null, latency: null } }
+        ]);
+        assert.strictEqual(chart.series.missing, undefined, 'samples of unknown series are dropped');
+    });
+    
+    it('only keeps the configured metrics', () => {
+        const chart = createChart({ metrics: ['latency'] });
+        chart.addSeries('webrtc');
+        chart.push('webrtc', { bitrate: 2000, latency: 180 }, 1000);
+        
+        assert.deepStrictEqual(chart.series.webrtc.samples[0].values, { latency: 180 });
+    });
+    
+    it('plots counters as a rate between samples', () => {
+        const chart = createChart({ metrics: ['droppedFrames'] });
+        chart.addSeries('hls');
+        chart.push('hls', { droppedFrames: 10 }, 1000);
+        chart.push('hls', { droppedFrames: 20 }, 3000);
+        chart.push('hls', { droppedFrames: 2 }, 4000);
+        chart.push('hls', { droppedFrames: 5 }, 4000);
+        
+        assert.deepStrictEqual(valuesOf(chart.series.hls, 'droppedFrames'), [null, 5, null, null],
+            'no rate for the first sample, after the counter restarts or without elapsed time');
+    });
+    
+    it('drops samples older than the window', () => {
+        const chart = createChart({ window: 10 });
+        chart.addSeries('webrtc');
+        chart.addSeries('flv');
+        for (let second = 0; second <= 15; second++) {
+            chart.push('webrtc', { bitrate: second }, second * 1000);
+        }
+        chart.push('flv', { bitrate: 1 }, 0);
+        
+        assert.strictEqual(chart.window, 10000);
+        assert.deepStrictEqual(chart.series.webrtc.samples.map(sample => sample.time / 1000), [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]);
+        assert.strictEqual(chart.series.flv.samples.length, 1, 'every series has its own window');
+    });
+    
+    it('clears the samples but keeps the series', () => {
+        const chart = createChart();
+        chart.addSeries('flv', { label: 'HTTP-FLV' });
+        chart.push('flv', { bitrate: 2000, droppedFrames: 3 }, 1000);
+        chart.clear();
+        
+        assert.deepStrictEqual(chart.series.flv.samples, []);
+        assert.deepStrictEqual(chart.series.flv.previous, {});
+        assert.strictEqual(chart.series.flv.label, 'HTTP-FLV');
+        
+        chart.push('flv', { droppedFrames: 5 }, 2000);
+        assert.strictEqual(chart.series.flv.samples[0].values.droppedFrames, null, 'the rate starts over');
+    });
+    
+    it('rounds axis maxima and formats axis labels', () => {
+        assert.deepStrictEqual([0.7, 1.5, 3, 7, 12, 999].map(ZLMStatsChart._niceMax), [1, 2, 5, 10, 20, 1000]);
+        assert.deepStrictEqual([5, 2.5, 25000].map(ZLMStatsChart._formatValue), ['5', '2.5', '25k']);
+    });
+});
\ No newline at end of file
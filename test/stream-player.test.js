@@ -0,0 +1,243 @@
+/**
+ * ZLMStreamPlayer against the mock HTTP-FLV endpoint, with a fake mpegts.js
+ */
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FakeMediaSource, FakeVideoElement, createFakeMpegts, installBrowser, startMockServer, waitFor } = require('./helpers/fake-browser.js');
+const { SEI_UUID } = require('../mock/zlm-mock-server.js');
+const ZLMStreamPlayer = require('../player/zlm-flv-player.js');
+const ZLMUrlBuilder = require('../player/zlm-url-builder.js');
+
+const STREAMS = [
+    { app: 'live', stream: 'test', video: ['H264', 1280, 720, 25], audio: null, readers: 0 },
+    { app: 'live', stream: 'hevc', video: ['H265', 1920, 1080, 25], audio: null, readers: 0 }
+];
+
+describe('ZLMStreamPlayer', () => {
+    let mock;
+    let droppingMock;
+    let restore;
+    let mpegts;
+    let player;
+    
+    before(async () => {
+        mock = await startMockServer({ streams: STREAMS, frameInterval: 20 });
+        droppingMock = await startMockServer({ streams: STREAMS, frameInterval: 20, dropAfter: 5 });
+    });
+    
+    after(async () => {
+        await mock.close();
+        await droppingMock.close();
+    });
+    
+    beforeEach(() => {
+        restore = installBrowser();
+        mpegts = createFakeMpegts();
+    });
+    
+    afterEach(() => {
+        if (player) player.stop();
+        player = null;
+        restore();
+    });
+    
+    const createPlayer = (options = {}) => {
+        player = new ZLMStreamPlayer({
+            videoElement: new FakeVideoElement(),
+            mpegts: mpegts,
+            reconnectDelay: 10,
+            latencyMeter: { seiUuid: SEI_UUID.toString('hex') },
+            ...options
+        });
+        player.onError = () => {};
+        return player;
+    };
+    
+    it('plays the chunked HTTP-FLV stream and reads SEI timestamps', async () => {
+        createPlayer();
+        const connected = waitFor(player, 'connected');
+        
+        assert.strictEqual(await player.play(`${mock.baseUrl}/live/test.live.flv`), true);
+        await connected;
+        assert.strictEqual(player.state, 'playing');
+        assert.strictEqual(mpegts.players[0].config.enableWorker, false, 'the tap loader needs the worker disabled');
+        
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const samples = player.latencyMeter.samples;
+        assert.ok(samples.length > 0, 'SEI timestamps received');
+        assert.ok(Math.abs(samples[samples.length - 1].wallClock - Date.now()) < 1000);
+        assert.strictEqual(player.flvParser.videoCodec, 'h264');
+    });
+    
+    it('uses the mpegts.js loader and worker unless latency measurement is asked for', async () => {
+        createPlayer({ latencyMeter: undefined });
+        await player.play(`${mock.baseUrl}/live/test.live.flv`);
+        
+        assert.strictEqual(player.latencyMeter, null);
+        assert.strictEqual(mpegts.players[0].config.enableWorker, true);
+        assert.strictEqual(player.state, 'playing');
+    });
+    
+    it('re-opens the stream after the connection drops', async () => {
+        createPlayer();
+        await player.play(`${droppingMock.baseUrl}/live/test.live.flv`);
+        
+        const reconnecting = waitFor(player, 'reconnecting');
+        const reconnected = waitFor(player, 'reconnected');
+        
+        assert.deepStrictEqual(await reconnecting, [1, 're-open']);
+        assert.strictEqual(player.state, 'reconnecting');
+        await reconnected;
+        
+        assert.strictEqual(player.state, 'playing');
+        assert.strictEqual(mpegts.players.length, 2);
+        assert.strictEqual(mpegts.players[0].destroyed, true);
+        assert.strictEqual(mpegts.players[1].openedUrl, `${droppingMock.baseUrl}/live/test.live.flv`);
+        assert.strictEqual(mpegts.players[1]._mediaDataSource.type, 'flv');
+    });
+    
+    it('gives up after the maximum number of attempts', async () => {
+        createPlayer();
+        const events = [];
+        player.on('reconnecting', attempt => events.push(`reconnecting ${attempt}`));
+        player.on('error', () => events.push('error'));
+        const stopped = new Promise(resolve => player.on('statechange', state => state === 'stopped' && resolve()));
+        
+        // The first play() is superseded by the reconnection, so it rejects
+        await assert.rejects(player.play(`${mock.baseUrl}/live/missing.live.flv`), { name: 'AbortError' });
+        await stopped;
+        
+        assert.deepStrictEqual(events, ['error', 'reconnecting 1', 'error', 'reconnecting 2', 'error', 'reconnecting 3', 'error']);
+        assert.strictEqual(player.player, null);
+        assert.strictEqual(mpegts.players.length, 4);
+    });
+    
+    it('catches up with the playback rate and jumps to the live edge', async () => {
+        createPlayer({ latencyControl: { targetLatency: 0.5, tolerance: 0.3, playbackRate: 1.25, jumpThreshold: 3 } });
+        await player.play(`${mock.baseUrl}/live/test.live.flv`);
+        const video = player.videoElement;
+        const events = [];
+        player.on('catchup', info => events.push(['catchup', info.active, info.playbackRate]));
+        player.on('livejump', info => events.push(['livejump', info.from, info.to]));
+        
+        video.currentTime = 10;
+        video.bufferAhead(0.7);
+        assert.strictEqual(video.playbackRate, 1, 'within the tolerance');
+        
+        video.bufferAhead(1.5);
+        assert.strictEqual(video.playbackRate, 1.25);
+        video.bufferAhead(0.9);
+        assert.strictEqual(video.playbackRate, 1.25, 'keeps catching up until the target');
+        video.bufferAhead(0.5);
+        assert.strictEqual(video.playbackRate, 1);
+        
+        video.bufferAhead(4);
+        assert.strictEqual(video.currentTime, 13.5);
+        assert.deepStrictEqual(events, [['catchup', true, 1.25], ['catchup', false, 1], ['livejump', 4, 0.5]]);
+    });
+    
+    it('leaves the latency alone unless latency control is enabled', async () => {
+        createPlayer();
+        await player.play(`${mock.baseUrl}/live/test.live.flv`);
+        const video = player.videoElement;
+        
+        video.bufferAhead(10);
+        assert.strictEqual(player.latencyControl.enabled, false);
+        assert.strictEqual(video.playbackRate, 1);
+        assert.strictEqual(video.currentTime, 0);
+    });
+    
+    it('applies latency control changes while playing', async () => {
+        createPlayer({ latencyControl: true });
+        await player.play(`${mock.baseUrl}/live/test.live.flv`);
+        const video = player.videoElement;
+        
+        video.bufferAhead(1.5);
+        assert.strictEqual(video.playbackRate, ZLMStreamPlayer.LATENCY_CONTROL_DEFAULTS.playbackRate);
+        
+        // Switching to jumps only ends the catch-up at once
+        player.setLatencyControl({ catchUp: false, jumpThreshold: 1 });
+        assert.strictEqual(video.playbackRate, 1);
+        assert.strictEqual(video.currentTime, 1, 'jumped with the new threshold');
+        
+        player.setLatencyControl({ enabled: false });
+        video.bufferAhead(10);
+        assert.strictEqual(video.currentTime, 1);
+        assert.strictEqual(mpegts.players[0].config.liveBufferLatencyChasing, false);
+    });
+    
+    it('does not report a play() superseded by a newer one as an error', async () => {
+        createPlayer();
+        const errors = [];
+        player.on('error', error => errors.push(error));
+        
+        const first = player.play(`${mock.baseUrl}/live/test.live.flv`);
+        const second = player.play(`${mock.baseUrl}/live/test.live.flv`);
+        
+        await assert.rejects(first, { name: 'AbortError' });
+        assert.strictEqual(await second, true);
+        assert.strictEqual(errors.length, 0);
+        assert.strictEqual(player.state, 'playing');
+    });
+    
+    it('does not report a play() cancelled by stop() as an error', async () => {
+        createPlayer();
+        const errors = [];
+        player.on('error', error => errors.push(error));
+        
+        const playing = player.play(`${mock.baseUrl}/live/test.live.flv`);
+        player.stop();
+        
+        await assert.rejects(playing, { name: 'AbortError' });
+        assert.strictEqual(errors.length, 0);
+        assert.strictEqual(player.state, 'stopped');
+        assert.strictEqual(mpegts.players.length, 0);
+    });
+    
+    it('plays WS-FLV when the transport is WebSocket', async () => {
+        createPlayer({ transport: 'ws' });
+        await player.play(new ZLMUrlBuilder({ serverBase: mock.baseUrl, stream: 'test' }));
+        
+        assert.match(mpegts.players[0].openedUrl, /^ws:\/\/127\.0\.0\.1:\d+\/live\/test\.live\.flv$/);
+        assert.deepStrictEqual(player.codecs.video, { codec: 'h264', name: 'H.264', mime: 'avc1.42001e' });
+        
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.ok(player.latencyMeter.samples.length > 0, 'SEI timestamps received over the WebSocket');
+    });
+    
+    it('fails with a ZLMCodecError before attaching when MediaSource cannot play the codecs', async () => {
+        FakeMediaSource.supports = (type) => !/hvc1|hev1/.test(type);
+        createPlayer();
+        const errors = [];
+        player.on('error', error => errors.push(error));
+        
+        await assert.rejects(player.play(`${mock.baseUrl}/live/hevc.live.flv`), { name: 'ZLMCodecError' });
+        
+        assert.strictEqual(mpegts.players.length, 0);
+        assert.strictEqual(player.state, 'stopped');
+        assert.strictEqual(errors.length, 1);
+        assert.deepStrictEqual(errors[0].tracks.map(track => track.type), ['video/mp4; codecs="hvc1.1.6.L93.B0"']);
+        assert.match(errors[0].message, /H\.265\/HEVC video/);
+    });
+    
+    it('reports mpegts.js codec failures as a ZLMCodecError without reconnecting', async () => {
+        createPlayer();
+        await player.play(`${mock.baseUrl}/live/hevc.live.flv`);
+        const errors = [];
+        player.on('error', error => errors.push(error));
+        player.on('reconnecting', () => errors.push('reconnecting'));
+        
+        mpegts.players[0].emit('error', 'MediaError', 'MediaMSEError', { code: -1, msg: 'addSourceBuffer failed' });
+        
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].name, 'ZLMCodecError');
+        assert.strictEqual(errors[0].tracks[0].codec, 'h265');
+        assert.match(errors[0].message, /\(MediaMSEError: addSourceBuffer failed\)/);
+        assert.strictEqual(player.state, 'stopped');
+    });
+    
+    it('rejects fMP4 over WebSocket', async () => {
+        createPlayer({ streamType: 'mp4', transport: 'ws' });
+        await assert.rejects(player.play(new ZLMUrlBuilder({ serverBase: mock.baseUrl, stream: 'test' })), /needs an HTTP URL/);
+    });
+});
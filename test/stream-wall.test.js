@@ -0,0 +1,217 @@
+/**
+ * ZLMStreamWall scheduling: visibility, player and peer connection caps,
+ * fallback protocol, failure retries and aggregate health, with scripted players
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { FakeElement, FakeIntersectionObserver, installBrowser } = require('./helpers/fake-browser.js');
+const ZLMPlayerBase = require('../player/zlm-player-base.js');
+const ZLMUrlBuilder = require('../player/zlm-url-builder.js');
+const ZLMStreamWall = require('../player/zlm-stream-wall.js');
+
+// A player that connects when the test says so
+class ScriptedPlayer extends ZLMPlayerBase {
+    constructor(protocol) {
+        super();
+        this.protocol = protocol;
+        this.url = null;
+    }
+    
+    play(url) {
+        this.url = url;
+        this._setState('connecting');
+        return new Promise((resolve, reject) => {
+            this._resolve = resolve;
+            this._reject = reject;
+        });
+    }
+    
+    connect(stats = { bitrate: 1000, frameRate: 25, latency: 300 }) {
+        this._setState('playing');
+        this._emit('connected');
+        this._emit('stats', stats);
+        this._resolve(true);
+    }
+    
+    giveUp() {
+        this._emit('error', new Error('Reconnection failed after 3 attempts'));
+        this.stop();
+    }
+}
+
+describe('ZLMStreamWall', () => {
+    let restore;
+    let container;
+    let players;
+    let wall;
+    
+    const streams = (count) => Array.from({ length: count }, (_, i) => ({ stream: `camera${i + 1}` }));
+    const createWall = (options = {}) => new ZLMStreamWall({
+        container,
+        urlBuilder: new ZLMUrlBuilder({ serverBase: 'http://zlm.local' }),
+        createPlayer: (protocol) => {
+            const player = new ScriptedPlayer(protocol);
+            players.push(player);
+            return player;
+        },
+        ...options
+    });
+    const states = () => wall.tiles.map(tile => tile.state);
+    const live = () => players.filter(player => player.state === 'connecting' || player.state === 'playing');
+    
+    beforeEach(() => {
+        restore = installBrowser();
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+        container = new FakeElement('div');
+        players = [];
+    });
+    
+    afterEach(() => {
+        wall.destroy();
+        mock.timers.reset();
+        restore();
+    });
+    
+    it('renders a tile per stream and plays only the visible ones', () => {
+        wall = createWall({ streams: streams(4), protocol: 'http-flv' });
+        wall.start();
+        assert.strictEqual(container.children.length, 4);
+        assert.deepStrictEqual(states(), ['hidden', 'hidden', 'hidden', 'hidden']);
+        
+        FakeIntersectionObserver.trigger(wall.tiles.slice(0, 2).map(tile => tile.element), true);
+        assert.deepStrictEqual(states(), ['connecting', 'connecting', 'hidden', 'hidden']);
+        assert.deepStrictEqual(players.map(player => player.url), [
+            'http://zlm.local/live/camera1.live.flv',
+            'http://zlm.local/live/camera2.live.flv'
+        ]);
+        
+        // Scrolled away: stopped only after the hide delay
+        FakeIntersectionObserver.trigger([wall.tiles[0].element], false);
+        mock.timers.tick(1000);
+        assert.strictEqual(players[0].state, 'connecting');
+        mock.timers.tick(1000);
+        assert.strictEqual(players[0].state, 'stopped');
+        assert.strictEqual(wall.tiles[0].state, 'hidden');
+    });
+    
+    it('caps the number of concurrent players', () => {
+        wall = createWall({ streams: streams(5), protocol: 'http-flv', maxPlayers: 3, hideDelay: 0 });
+        wall.start();
+        FakeIntersectionObserver.trigger(wall.tiles.map(tile => tile.element), true);
+        
+        assert.strictEqual(live().length, 3);
+        assert.deepStrictEqual(states(), ['connecting', 'connecting', 'connecting', 'queued', 'queued']);
+        
+        // A tile leaving the screen hands its slot to the first queued one
+        FakeIntersectionObserver.trigger([wall.tiles[1].element], false);
+        mock.timers.tick(0);
+        assert.deepStrictEqual(states(), ['connecting', 'hidden', 'connecting', 'connecting', 'queued']);
+        assert.strictEqual(live().length, 3);
+    });
+    
+    it('caps peer connections and falls back to another protocol', () => {
+        wall = createWall({ streams: [...streams(3), { stream: 'lobby', protocol: 'hls' }], maxPeerConnections: 2, fallbackProtocol: 'http-flv' });
+        wall.start();
+        FakeIntersectionObserver.trigger(wall.tiles.map(tile => tile.element), true);
+        
+        assert.deepStrictEqual(players.map(player => player.protocol), ['webrtc', 'webrtc', 'http-flv', 'hls']);
+        assert.strictEqual(wall.getHealth().peerConnections, 2);
+    });
+    
+    it('queues WebRTC tiles without a fallback until a peer connection is free', () => {
+        wall = createWall({ streams: streams(3), maxPeerConnections: 2 });
+        wall.start();
+        FakeIntersectionObserver.trigger(wall.tiles.map(tile => tile.element), true);
+        assert.deepStrictEqual(states(), ['connecting', 'connecting', 'queued']);
+        
+        wall.reconnectTile(wall.tiles[2].id);
+        assert.strictEqual(wall.tiles[2].state, 'queued');
+        
+        players[0].giveUp();
+        assert.strictEqual(wall.tiles[0].state, 'failed');
+        assert.strictEqual(wall.tiles[2].state, 'connecting');
+    });
+    
+    it('restarts failed tiles with a growing delay', () => {
+        wall = createWall({ streams: streams(1), protocol: 'http-flv', retryDelay: 1000 });
+        wall.start();
+        FakeIntersectionObserver.trigger([wall.tiles[0].element], true);
+        const tile = wall.tiles[0];
+        
+        players[0].giveUp();
+        assert.strictEqual(tile.state, 'failed');
+        assert.match(tile.statsElement.textContent, /retry in 1s/);
+        mock.timers.tick(1000);
+        assert.strictEqual(players.length, 2);
+        
+        players[1].giveUp();
+        mock.timers.tick(1000);
+        assert.strictEqual(players.length, 2);
+        mock.timers.tick(1000);
+        assert.strictEqual(players.length, 3);
+        
+        // A connection resets the delay
+        players[2].connect();
+        players[2].giveUp();
+        mock.timers.tick(1000);
+        assert.strictEqual(players.length, 4);
+        
+        // The tile's button restarts it immediately
+        players[3].giveUp();
+        tile.element.children[1].children[2].click();
+        assert.strictEqual(players.length, 5);
+    });
+    
+    it('shows per-tile stats and aggregates health', () => {
+        wall = createWall({ streams: streams(3), protocol: 'http-flv' });
+        const health = [];
+        wall.onHealth = (value) => health.push(value);
+        wall.start();
+        FakeIntersectionObserver.trigger(wall.tiles.map(tile => tile.element), true);
+        
+        players[0].connect({ bitrate: 1200, frameRate: 25, latency: 400, droppedFrames: 2 });
+        players[1].connect({ bitrate: 800, frameRate: 30, latency: 200 });
+        assert.strictEqual(wall.tiles[0].statsElement.textContent, '1200 kbps · 25 fps · 400 ms · 2 dropped');
+        assert.strictEqual(wall.tiles[0].badge.textContent, 'playing (http-flv)');
+        
+        mock.timers.tick(1000);
+        assert.strictEqual(health.length, 1);
+        assert.deepStrictEqual({ ...health[0], states: undefined }, {
+            tiles: 3,
+            visible: 3,
+            players: 3,
+            peerConnections: 0,
+            states: undefined,
+            healthy: 2 / 3,
+            bitrate: 2000,
+            latency: 300
+        });
+        assert.strictEqual(health[0].states.playing, 2);
+        assert.strictEqual(health[0].states.connecting, 1);
+    });
+    
+    it('keeps the tiles of streams that stay on the wall', () => {
+        wall = createWall({ streams: streams(2), protocol: 'http-flv' });
+        wall.start();
+        FakeIntersectionObserver.trigger(wall.tiles.map(tile => tile.element), true);
+        const kept = wall.tiles[1];
+        
+        wall.setStreams([{ stream: 'camera2', label: 'Gate' }, { app: 'yard', stream: 'camera9' }]);
+        
+        assert.strictEqual(players[0].state, 'stopped');
+        assert.strictEqual(wall.tiles[0], kept);
+        assert.strictEqual(kept.player, players[1]);
+        assert.deepStrictEqual(container.children, wall.tiles.map(tile => tile.element));
+        
+        FakeIntersectionObserver.trigger([wall.tiles[1].element], true);
+        assert.strictEqual(players[2].url, 'http://zlm.local/yard/camera9.live.flv');
+    });
+    
+    it('parses stream lists', () => {
+        assert.deepStrictEqual(ZLMStreamWall.parseStreams('camera1\nyard/camera2 Back yard, /camera3'), [
+            { stream: 'camera1' },
+            { app: 'yard', stream: 'camera2', label: 'Back yard' },
+            { stream: 'camera3' }
+        ]);
+    });
+});
\ No newline at end of file
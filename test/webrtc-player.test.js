@@ -0,0 +1,271 @@
+/**
+ * ZLMWebRTCPlayer against the mock ZLMediaKit signaling API
+ */
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FakeElement, FakeRTCPeerConnection, FakeVideoElement, installBrowser, startMockServer, waitFor } = require('./helpers/fake-browser.js');
+const ZLMWebRTCPlayer = require('../player/zlm-webrtc-player.js');
+const ZLMLatencyMeter = require('../player/zlm-latency-meter.js');
+
+describe('ZLMWebRTCPlayer', () => {
+    const stream = { app: 'live', stream: 'test', video: ['H264', 1280, 720, 25], audio: null, readers: 0 };
+    const streams = [];
+    let mock;
+    let restore;
+    let player;
+    
+    before(async () => {
+        mock = await startMockServer({ streams });
+    });
+    
+    after(() => mock.close());
+    
+    beforeEach(() => {
+        restore = installBrowser();
+        streams.splice(0, streams.length, stream);
+        mock.server.requests.length = 0;
+    });
+    
+    afterEach(() => {
+        if (player) player.stop();
+        player = null;
+        restore();
+    });
+    
+    const createPlayer = (options = {}) => {
+        player = new ZLMWebRTCPlayer({ videoElement: new FakeVideoElement(), iceServers: [], ...options });
+        player.onError = () => {};
+        return player;
+    };
+    
+    const playUrl = (stream = 'test') => `${mock.baseUrl}/index/api/webrtc?app=live&stream=${stream}&type=play`;
+    
+    const answer = (body, status) => {
+        streams.splice(1, 1, { ...stream, stream: 'broken', webrtc: body, webrtcStatus: status });
+        return playUrl('broken');
+    };
+    
+    it('negotiates with the server and reports connected', async () => {
+        createPlayer();
+        const connected = waitFor(player, 'connected');
+        
+        assert.strictEqual(await player.play(playUrl()), true);
+        await connected;
+        
+        assert.strictEqual(player.state, 'playing');
+        const pc = FakeRTCPeerConnection.instances[0];
+        assert.match(pc.remoteDescription.sdp, /^v=0/);
+        assert.match(pc.remoteDescription.sdp, /m=video[\s\S]*a=sendonly/);
+        assert.ok(player.videoElement.srcObject, 'remote stream attached');
+        
+        const request = mock.server.requests.find(item => item.path === '/index/api/webrtc');
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.headers['content-type'], 'text/plain;charset=UTF-8');
+    });
+    
+    it('accepts answers in the `answer` and `data.sdp` fields', async () => {
+        const sdp = 'v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n';
+        
+        await createPlayer().play(answer({ code: 0, answer: sdp }));
+        assert.strictEqual(FakeRTCPeerConnection.instances[0].remoteDescription.sdp, sdp);
+        player.stop();
+        
+        await createPlayer().play(answer({ code: 0, data: { sdp } }));
+        assert.strictEqual(FakeRTCPeerConnection.instances[1].remoteDescription.sdp, sdp);
+    });
+    
+    it('rejects with the server message on a non-zero code', async () => {
+        createPlayer();
+        const errors = [];
+        player.on('error', error => errors.push(error));
+        
+        await assert.rejects(player.play(playUrl('missing')), /ZLMediaKit error: stream not found/);
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(player.state, 'stopped');
+        assert.strictEqual(player.peerConnection, null);
+    });
+    
+    it('rejects malformed answers', async () => {
+        await assert.rejects(createPlayer().play(answer({ code: 0, id: 'x' })), /No SDP answer found/);
+        
+        await assert.rejects(createPlayer().play(answer('<html>502 Bad Gateway</html>')), SyntaxError);
+        
+        await assert.rejects(createPlayer().play(answer({ code: 0, sdp: 'not an sdp' })), /Failed to parse SessionDescription/);
+    });
+    
+    it('rejects on an HTTP error status', async () => {
+        await assert.rejects(createPlayer().play(answer({ code: -1 }, 500)), /Server returned 500/);
+        assert.strictEqual(player.state, 'stopped');
+    });
+    
+    it('sends the offer when ICE gathering times out', async () => {
+        FakeRTCPeerConnection.gathering = 'never';
+        createPlayer({ iceGatheringTimeout: 50 });
+        
+        const started = Date.now();
+        await player.play(playUrl());
+        
+        assert.ok(Date.now() - started >= 45, 'waited for the gathering timeout');
+        assert.strictEqual(FakeRTCPeerConnection.instances[0].iceGatheringState, 'gathering');
+        assert.ok(FakeRTCPeerConnection.instances[0].remoteDescription);
+    });
+    
+    it('ends the wait for ICE gathering with the connection it was started on', async () => {
+        FakeRTCPeerConnection.gathering = 'never';
+        createPlayer({ iceGatheringTimeout: 30 });
+        
+        // The timeout fires after stop() has dropped the connection
+        const playing = player.play(playUrl());
+        await new Promise(resolve => setTimeout(resolve, 10));
+        player.stop();
+        await playing.catch(() => {});
+        
+        assert.strictEqual(player.peerConnection, null);
+        assert.strictEqual(player.state, 'stopped');
+    });
+    
+    it('recovers with an ICE restart on the same connection', async () => {
+        createPlayer({ reconnect: { baseDelay: 10 } });
+        await player.play(playUrl());
+        await waitFor(player, 'connected');
+        
+        const pc = FakeRTCPeerConnection.instances[0];
+        const reconnecting = waitFor(player, 'reconnecting');
+        const reconnected = waitFor(player, 'reconnected');
+        pc.setIceConnectionState('failed');
+        
+        assert.deepStrictEqual(await reconnecting, [0, 'ice-restart']);
+        await reconnected;
+        
+        assert.strictEqual(FakeRTCPeerConnection.instances.length, 1);
+        assert.strictEqual(pc.offers[pc.offers.length - 1].iceRestart, true);
+        assert.strictEqual(player.state, 'playing');
+        assert.strictEqual(mock.server.requests.filter(item => item.path === '/index/api/webrtc').length, 2);
+    });
+    
+    it('falls back to a new session when the ICE restart does not reconnect', async () => {
+        createPlayer({ reconnect: { baseDelay: 10, iceRestartTimeout: 30 } });
+        await player.play(playUrl());
+        await waitFor(player, 'connected');
+        
+        // The restarted connection stays down
+        FakeRTCPeerConnection.autoConnect = false;
+        const strategies = [];
+        player.on('reconnecting', (attempt, strategy) => {
+            strategies.push(strategy);
+            FakeRTCPeerConnection.autoConnect = strategy === 're-offer';
+        });
+        const reconnected = waitFor(player, 'reconnected');
+        FakeRTCPeerConnection.instances[0].setIceConnectionState('failed');
+        await reconnected;
+        
+        assert.deepStrictEqual(strategies, ['ice-restart', 're-offer']);
+        assert.strictEqual(FakeRTCPeerConnection.instances.length, 2);
+        assert.strictEqual(FakeRTCPeerConnection.instances[0].closed, true);
+        assert.strictEqual(player.peerConnection, FakeRTCPeerConnection.instances[1]);
+        assert.strictEqual(player.state, 'playing');
+    });
+    
+    it('gives up after the maximum number of attempts', async () => {
+        createPlayer({ reconnect: { iceRestart: false, maxAttempts: 2, baseDelay: 5 } });
+        await player.play(playUrl());
+        await waitFor(player, 'connected');
+        
+        // The stream goes away, so every re-offer is refused
+        streams.length = 0;
+        const events = [];
+        player.on('reconnecting', attempt => events.push(`reconnecting ${attempt}`));
+        player.on('error', () => events.push('error'));
+        player.on('disconnected', () => events.push('disconnected'));
+        const stopped = new Promise(resolve => player.on('statechange', state => state === 'stopped' && resolve()));
+        
+        FakeRTCPeerConnection.instances[0].setIceConnectionState('failed');
+        await stopped;
+        
+        assert.deepStrictEqual(events, ['reconnecting 1', 'reconnecting 2', 'error', 'disconnected']);
+        assert.strictEqual(player.peerConnection, null);
+    });
+    
+    it('plays through WHEP and deletes the session on stop', async () => {
+        createPlayer({ signaling: 'whep' });
+        await player.play(`${mock.baseUrl}/index/api/whep?app=live&stream=test`);
+        await waitFor(player, 'connected');
+        
+        assert.match(player.whepResource, /\/index\/api\/delete_webrtc\?id=mock-\d+$/);
+        player.stop();
+        
+        // The DELETE is sent without waiting for it
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.ok(mock.server.requests.some(item => item.method === 'DELETE' && item.path === '/index/api/delete_webrtc'));
+    });
+    
+    // A getStats() report `sample` seconds into the stream, one sample per stats interval
+    const statsReport = (sample) => {
+        const timestamp = 1767225600000 + sample * 1000;
+        const playout = Date.now() + ZLMLatencyMeter.NTP_EPOCH_OFFSET_MS - 200;
+        return new Map([
+            ['IV', {
+                id: 'IV', type: 'inbound-rtp', kind: 'video', timestamp, codecId: 'CV', remoteId: 'ROV',
+                bytesReceived: 100000 + sample * 250000, packetsReceived: 1000 + sample * 190, packetsLost: 5 + sample * 10,
+                framesPerSecond: 25, framesDecoded: 500 + sample * 25, frameWidth: 1280, frameHeight: 720, jitter: 0.012,
+                jitterBufferDelay: 10 + sample * 3, jitterBufferEmittedCount: 200 + sample * 50, estimatedPlayoutTimestamp: playout
+            }],
+            ['IA', {
+                id: 'IA', type: 'inbound-rtp', kind: 'audio', timestamp, codecId: 'CA',
+                bytesReceived: 20000 + sample * 16000, packetsReceived: 400 + sample * 50, packetsLost: 0, jitter: 0.004,
+                totalSamplesReceived: 48000 + sample * 48000, concealedSamples: sample * 480, estimatedPlayoutTimestamp: playout - 40
+            }],
+            ['ROV', { id: 'ROV', type: 'remote-outbound-rtp', localId: 'IV' }],
+            ['CV', { id: 'CV', type: 'codec', mimeType: 'video/H264' }],
+            ['CA', { id: 'CA', type: 'codec', mimeType: 'audio/opus' }],
+            ['T', { id: 'T', type: 'transport', selectedCandidatePairId: 'CP' }],
+            ['CP', { id: 'CP', type: 'candidate-pair', currentRoundTripTime: 0.035, localCandidateId: 'L', remoteCandidateId: 'R' }],
+            ['L', { id: 'L', type: 'local-candidate', candidateType: 'relay', protocol: 'udp', relayProtocol: 'tls' }],
+            ['R', { id: 'R', type: 'remote-candidate', candidateType: 'host' }]
+        ]);
+    };
+    
+    it('reports rates, loss and jitter from two getStats() samples', async () => {
+        createPlayer({ statsContainer: new FakeElement('div') });
+        await player.play(playUrl());
+        let sample = 0;
+        FakeRTCPeerConnection.instances[0].getStats = async () => statsReport(sample++);
+        
+        const [first] = await waitFor(player, 'stats', 2000);
+        assert.strictEqual(first.bitrate, 0, 'no rate without a previous sample');
+        assert.strictEqual(first.video.jitterBufferDelay, 50, 'the average since the start: 10 s over 200 frames');
+        
+        const [stats] = await waitFor(player, 'stats', 2000);
+        assert.strictEqual(stats.bitrate, 2000, '250 kB in one second');
+        assert.strictEqual(stats.frameRate, 25);
+        assert.strictEqual(stats.packetsLost, 15);
+        assert.strictEqual(stats.jitter, 0.012);
+        assert.strictEqual(stats.buffer, 0.06, '3 s over 50 frames');
+        assert.deepStrictEqual([stats.video.codec, stats.video.width, stats.video.height], ['H264', 1280, 720]);
+        assert.strictEqual(stats.video.lossRate, 0.05, '10 of 200 packets lost');
+        
+        assert.strictEqual(stats.audio.codec, 'opus');
+        assert.strictEqual(stats.audio.bitrate, 128);
+        assert.strictEqual(stats.audio.lossRate, 0);
+        assert.strictEqual(stats.audio.concealmentRate, 0.01);
+        
+        assert.deepStrictEqual(stats.transport, {
+            rtt: 35, availableIncomingBitrate: null, localCandidateType: 'relay', remoteCandidateType: 'host',
+            protocol: 'udp', relayed: true, relayProtocol: 'tls'
+        });
+        assert.strictEqual(stats.avSync.offset, 40, 'the audio played out was captured 40 ms before the video');
+        assert.strictEqual(stats.latencySource, 'rtcp-sr');
+        assert.ok(stats.latency >= 200 && stats.latency < 400, `latency ${stats.latency}`);
+        assert.match(player.statsContainer.innerHTML, /H264 1280x720 @ 25 fps, 2000 kbps/);
+    });
+    
+    it('drops the previous sample when the counters restart', () => {
+        createPlayer();
+        player._buildStats(statsReport(3));
+        const stats = player._buildStats(statsReport(0));
+        
+        assert.strictEqual(stats.bitrate, 0);
+        assert.strictEqual(stats.video.lossRate, 0);
+        assert.strictEqual(player._buildStats(new Map()), null, 'no media received yet');
+    });
+});
\ No newline at end of file
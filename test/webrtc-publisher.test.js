@@ -0,0 +1,145 @@
+/**
+ * ZLMWebRTCPublisher pushing a synthetic source to the mock ZLMediaKit signaling API
+ */
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FakeElement, FakeRTCPeerConnection, FakeVideoElement, installBrowser, startMockServer } = require('./helpers/fake-browser.js');
+const ZLMWebRTCPublisher = require('../player/zlm-webrtc-publisher.js');
+const ZLMUrlBuilder = require('../player/zlm-url-builder.js');
+
+describe('ZLMWebRTCPublisher', () => {
+    const streams = [];
+    let mock;
+    let restore;
+    let publisher;
+    let errors;
+    
+    before(async () => {
+        mock = await startMockServer({ streams });
+    });
+    
+    after(() => mock.close());
+    
+    beforeEach(() => {
+        restore = installBrowser();
+        streams.length = 0;
+        mock.server.requests.length = 0;
+        errors = [];
+    });
+    
+    afterEach(() => {
+        if (publisher) publisher.stop();
+        publisher = null;
+        restore();
+    });
+    
+    const createPublisher = (options = {}) => {
+        publisher = new ZLMWebRTCPublisher({
+            videoElement: new FakeVideoElement(),
+            statsContainer: new FakeElement('div'),
+            iceServers: [],
+            source: 'canvas',
+            audio: false,
+            ...options
+        });
+        publisher.onError = (error) => errors.push(error);
+        return publisher;
+    };
+    
+    const pushUrl = (stream = 'push') => `${mock.baseUrl}/index/api/webrtc?app=live&stream=${stream}&type=push`;
+    
+    // The server answers pushes to live/broken with this body and status
+    const answer = (body, status) => {
+        streams.push({ app: 'live', stream: 'broken', video: ['H264', 1280, 720, 25], audio: null, readers: 0, webrtc: body, webrtcStatus: status });
+        return pushUrl('broken');
+    };
+    
+    it('pushes the captured source and reports connected', async () => {
+        createPublisher();
+        const connected = new Promise(resolve => { publisher.onConnected = resolve; });
+        
+        assert.strictEqual(await publisher.publish(new ZLMUrlBuilder({ serverBase: mock.baseUrl, stream: 'push' })), true);
+        await connected;
+        
+        const pc = FakeRTCPeerConnection.instances[0];
+        assert.deepStrictEqual(pc.transceivers, [{ kind: 'video', direction: 'sendonly' }]);
+        assert.match(pc.localDescription.sdp, /m=video[\s\S]*a=sendonly/);
+        assert.match(pc.remoteDescription.sdp, /m=video[\s\S]*a=recvonly/);
+        assert.strictEqual(publisher.videoElement.srcObject, publisher.stream, 'local preview');
+        assert.strictEqual(publisher.videoElement.muted, true);
+        assert.ok(publisher.statsInterval, 'stats are monitored once connected');
+        
+        const request = mock.server.requests.find(item => item.path === '/index/api/webrtc');
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.query.get('type'), 'push');
+        assert.match(request.headers['content-type'], /^text\/plain/);
+    });
+    
+    it('stops the previous push when publishing again', async () => {
+        createPublisher();
+        await publisher.publish(pushUrl());
+        const [first] = FakeRTCPeerConnection.instances;
+        const firstTrack = publisher.stream.getTracks()[0];
+        
+        await publisher.publish(pushUrl());
+        assert.strictEqual(first.closed, true);
+        assert.strictEqual(firstTrack.readyState, 'ended');
+        assert.strictEqual(publisher.peerConnection, FakeRTCPeerConnection.instances[1]);
+    });
+    
+    it('rejects with the server message on a non-zero code', async () => {
+        createPublisher();
+        await assert.rejects(publisher.publish(answer({ code: -300, msg: 'auth failed' })), /ZLMediaKit error: auth failed/);
+        assert.strictEqual(errors.length, 1);
+    });
+    
+    it('rejects on an HTTP error status', async () => {
+        createPublisher();
+        await assert.rejects(publisher.publish(answer({ code: -1 }, 500)), /Server returned 500/);
+    });
+    
+    it('rejects answers without an SDP', async () => {
+        createPublisher();
+        await assert.rejects(publisher.publish(answer({ code: 0 })), /No SDP answer found in response/);
+    });
+    
+    it('releases the connection and the capture when publishing fails', async () => {
+        createPublisher();
+        await assert.rejects(publisher.publish(answer({ code: -1, msg: 'stream already exists' })));
+        
+        const pc = FakeRTCPeerConnection.instances[0];
+        assert.strictEqual(pc.closed, true);
+        assert.strictEqual(publisher.peerConnection, null);
+        assert.strictEqual(publisher.stream, null);
+        assert.strictEqual(publisher._synthetic, null, 'the test pattern stops drawing');
+        assert.strictEqual(publisher.videoElement.srcObject, null);
+    });
+    
+    it('requires a URL before capturing', async () => {
+        createPublisher();
+        await assert.rejects(publisher.publish(''), /Stream URL is required/);
+        assert.strictEqual(publisher.stream, null);
+        assert.strictEqual(FakeRTCPeerConnection.instances.length, 0);
+    });
+    
+    it('stops the stats, the connection and the capture on stop', async () => {
+        createPublisher();
+        const connected = new Promise(resolve => { publisher.onConnected = resolve; });
+        await publisher.publish(pushUrl());
+        await connected;
+        const pc = publisher.peerConnection;
+        const track = publisher.stream.getTracks()[0];
+        publisher.statsContainer.innerHTML = 'Bitrate: 2000 kbps';
+        
+        publisher.stop();
+        assert.strictEqual(publisher.statsInterval, null);
+        assert.strictEqual(pc.closed, true);
+        assert.strictEqual(track.readyState, 'ended');
+        assert.strictEqual(publisher._synthetic, null);
+        assert.strictEqual(publisher.videoElement.srcObject, null);
+        assert.strictEqual(publisher.statsContainer.innerHTML, '');
+        
+        publisher.stop();
+        assert.strictEqual(publisher.peerConnection, null, 'stopping twice is harmless');
+    });
+});
\ No newline at end of file